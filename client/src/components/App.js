@@ -1,37 +1,57 @@
 import React from 'react';
 import { BrowserRouter as Router, Routes, Route } from 'react-router-dom';
 import { Web3Provider } from '../contexts/Web3Context';
+import { TransactionProvider } from '../contexts/TransactionContext';
 import Navigation from './Navigation';
 import Gallery from './Gallery';
+import Browse from './Browse';
 import CreateArtwork from './CreateArtwork';
+import BulkCreate from './BulkCreate';
 import ArtworkDetail from './ArtworkDetail';
 import CreateGallery from './CreateGallery';
-import { Alert } from '@/components/ui/alert';
+import PendingBalance from './PendingBalance';
+import MySubmissions from './MySubmissions';
+import VoucherListings from './VoucherListings';
+import Profile from './Profile';
+import WalletMenu from './WalletMenu';
+import TransactionToasts from './TransactionToasts';
+import { Alert, AlertDescription, AlertTitle } from '@/components/ui/alert';
+import { Button } from '@/components/ui/button';
 import { useWeb3 } from '../contexts/Web3Context';
 
 const App = () => {
   return (
     <Web3Provider>
-      <Router>
-        <div className="min-h-screen bg-gray-100">
-          <Navigation />
-          <Web3Status />
-          <main className="container mx-auto px-4 py-8">
-            <Routes>
-              <Route path="/" element={<Gallery />} />
-              <Route path="/create" element={<CreateArtwork />} />
-              <Route path="/artwork/:id" element={<ArtworkDetail />} />
-              <Route path="/create-gallery" element={<CreateGallery />} />
-            </Routes>
-          </main>
-        </div>
-      </Router>
+      <TransactionProvider>
+        <Router>
+          <div className="min-h-screen bg-gray-100">
+            <Navigation />
+            <Web3Status />
+            <PendingBalance />
+            <main className="container mx-auto px-4 py-8">
+              <Routes>
+                <Route path="/" element={<Gallery />} />
+                <Route path="/browse" element={<Browse />} />
+                <Route path="/create" element={<CreateArtwork />} />
+                <Route path="/create-series" element={<BulkCreate />} />
+                <Route path="/artwork/:id" element={<ArtworkDetail />} />
+                <Route path="/create-gallery" element={<CreateGallery />} />
+                <Route path="/gallery/:id/settings" element={<CreateGallery />} />
+                <Route path="/submissions" element={<MySubmissions />} />
+                <Route path="/vouchers" element={<VoucherListings />} />
+                <Route path="/profile/:address" element={<Profile />} />
+              </Routes>
+            </main>
+            <TransactionToasts />
+          </div>
+        </Router>
+      </TransactionProvider>
     </Web3Provider>
   );
 };
 
 const Web3Status = () => {
-  const { loading, error, account } = useWeb3();
+  const { loading, error, account, chainId, expectedChainId, switchChain } = useWeb3();
 
   if (loading) {
     return (
@@ -44,29 +64,36 @@ const Web3Status = () => {
     );
   }
 
-  if (error) {
-    return (
-      <Alert variant="destructive" className="m-4">
-        <AlertTitle>Error</AlertTitle>
-        <AlertDescription>
-          {error}
-        </AlertDescription>
-      </Alert>
-    );
-  }
+  const wrongChain = account && expectedChainId && chainId !== expectedChainId;
 
-  if (!account) {
-    return (
-      <Alert variant="warning" className="m-4">
-        <AlertTitle>Warning</AlertTitle>
-        <AlertDescription>
-          Please connect your wallet to continue
-        </AlertDescription>
-      </Alert>
-    );
-  }
+  return (
+    <div className="m-4 space-y-4">
+      <div className="flex items-center justify-end">
+        <WalletMenu />
+      </div>
+
+      {error && (
+        <Alert variant="destructive">
+          <AlertTitle>Error</AlertTitle>
+          <AlertDescription>
+            {error}
+          </AlertDescription>
+        </Alert>
+      )}
 
-  return null;
+      {wrongChain && (
+        <Alert variant="warning">
+          <AlertTitle>Wrong network</AlertTitle>
+          <AlertDescription className="flex items-center justify-between">
+            Your wallet is on chain {chainId}; the gallery runs on chain {expectedChainId}.
+            <Button variant="outline" onClick={() => switchChain()}>
+              Switch Network
+            </Button>
+          </AlertDescription>
+        </Alert>
+      )}
+    </div>
+  );
 };
 
 export default App;
\ No newline at end of file
@@ -0,0 +1,116 @@
+import React, { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useWeb3 } from '../contexts/Web3Context';
+import { useTransactions } from '../contexts/TransactionContext';
+import { Card, CardContent, CardFooter, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import ListingControls from './ListingControls';
+import MakeOfferForm from './MakeOfferForm';
+import ArtworkMedia from './ArtworkMedia';
+import ProfileLink from './ProfileLink';
+
+const ArtworkCard = ({ artwork, onUpdate, canCurate }) => {
+  const navigate = useNavigate();
+  const { web3, contract, account } = useWeb3();
+  const { sendTransaction } = useTransactions();
+  const [showOfferForm, setShowOfferForm] = useState(false);
+  const isOwner = account && artwork.owner && artwork.owner.toLowerCase() === account.toLowerCase();
+
+  const handlePurchase = async () => {
+    try {
+      await sendTransaction(contract.methods.purchaseArtwork(artwork.id), {
+        label: `Buy "${artwork.title}"`,
+        value: artwork.price,
+        tokenIds: [artwork.id]
+      });
+    } catch (error) {
+      // Already shown to the user
+    }
+  };
+
+  const handleRemove = async () => {
+    try {
+      await sendTransaction(contract.methods.removeFromGallery(artwork.id), {
+        label: `Remove "${artwork.title}" from gallery`,
+        tokenIds: [artwork.id]
+      });
+      if (onUpdate) {
+        onUpdate();
+      }
+    } catch (error) {
+      // Already shown to the user
+    }
+  };
+
+  return (
+    <Card className="overflow-hidden">
+      <CardHeader>
+        <CardTitle>{artwork.title}</CardTitle>
+      </CardHeader>
+      <CardContent>
+        <ArtworkMedia
+          tokenURI={artwork.uri}
+          alt={artwork.title}
+          className="w-full h-48 object-cover rounded-lg"
+          preferThumbnail
+        />
+        <div className="mt-4 space-y-2">
+          <p className="text-sm text-gray-600">Artist: <ProfileLink address={artwork.artist} /></p>
+          <p className="text-sm text-gray-600">
+            {artwork.forSale
+              ? `Price: ${web3.utils.fromWei(artwork.price, 'ether')} ETH`
+              : 'Not for sale'}
+          </p>
+          <div className="flex items-center">
+            <span className="text-sm text-gray-600">Rating: </span>
+            <div className="ml-2 flex">
+              {[1, 2, 3, 4, 5].map((star) => (
+                <span
+                  key={star}
+                  className={`text-xl ${
+                    star <= artwork.rating ? 'text-yellow-500' : 'text-gray-300'
+                  }`}
+                >
+                  ★
+                </span>
+              ))}
+            </div>
+          </div>
+        </div>
+        <div className="mt-4">
+          <ListingControls artwork={artwork} />
+        </div>
+        {showOfferForm && (
+          <div className="mt-4">
+            <MakeOfferForm artwork={artwork} onSubmitted={() => setShowOfferForm(false)} />
+          </div>
+        )}
+      </CardContent>
+      <CardFooter className="space-x-2">
+        <Button
+          onClick={() => navigate(`/artwork/${artwork.id}`)}
+          variant="outline"
+        >
+          View Details
+        </Button>
+        {account && artwork.forSale && !isOwner && (
+          <Button onClick={handlePurchase} variant="default">
+            Purchase
+          </Button>
+        )}
+        {account && !isOwner && (
+          <Button onClick={() => setShowOfferForm(!showOfferForm)} variant="outline">
+            Make Offer
+          </Button>
+        )}
+        {(isOwner || canCurate) && (
+          <Button onClick={handleRemove} variant="outline">
+            Remove
+          </Button>
+        )}
+      </CardFooter>
+    </Card>
+  );
+};
+
+export default ArtworkCard;
\ No newline at end of file
@@ -0,0 +1,219 @@
+import React, { useState, useEffect } from 'react';
+import { useParams } from 'react-router-dom';
+import { useWeb3 } from '../contexts/Web3Context';
+import { useTransactions } from '../contexts/TransactionContext';
+import useTokenMetadata from '../hooks/useTokenMetadata';
+import useConfirmedArtworks from '../hooks/useConfirmedArtworks';
+import ArtworkMedia from './ArtworkMedia';
+import ListingControls from './ListingControls';
+import AuctionPanel from './AuctionPanel';
+import OffersPanel from './OffersPanel';
+import RoyaltyReceiverForm from './RoyaltyReceiverForm';
+import GalleryPlacement from './GalleryPlacement';
+import ArtworkHistory from './ArtworkHistory';
+import ArtworkReviews from './ArtworkReviews';
+import ProfileLink from './ProfileLink';
+import { Card, CardContent, CardFooter, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+
+const ArtworkDetail = () => {
+  const { id } = useParams();
+  const { web3, contract, account } = useWeb3();
+  const { sendTransaction } = useTransactions();
+  const [artwork, setArtwork] = useState(null);
+  const [refreshKey, setRefreshKey] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (contract) {
+      loadArtwork();
+    }
+  }, [contract, id]);
+
+  const { metadata } = useTokenMetadata(artwork ? artwork.uri : null);
+
+  const loadArtwork = async () => {
+    try {
+      const [details] = await contract.methods.getArtworks([id]).call();
+      const collaborators = await contract.methods.getCollaborators(id).call();
+      const seriesId = await contract.methods.tokenSeries(id).call();
+      const edition = await contract.methods.getEditionInfo(id).call();
+      const series = seriesId !== '0' ? await contract.methods.series(seriesId).call() : null;
+
+      setArtwork({
+        id,
+        title: details.title,
+        artist: details.artist,
+        owner: details.owner,
+        price: details.price,
+        forSale: details.forSale,
+        rating: Number(details.avgRating),
+        totalRatings: Number(details.totalRatings),
+        galleryId: details.galleryId,
+        createdAt: Number(details.createdAt),
+        royaltyBasisPoints: details.royaltyBasisPoints,
+        collaborators: collaborators.accounts.map((address, i) => ({
+          address,
+          share: collaborators.shares[i] / 100
+        })),
+        uri: details.tokenURI,
+        seriesName: series ? series.name : null,
+        editionNumber: Number(edition.number),
+        editionSize: Number(edition.size)
+      });
+      setRefreshKey((key) => key + 1);
+      setLoading(false);
+    } catch (err) {
+      console.error('Error loading artwork:', err);
+      setError(err.message);
+      setLoading(false);
+    }
+  };
+
+  // Reload once any transaction touching this artwork confirms
+  useConfirmedArtworks((tokenIds) => {
+    if (tokenIds.includes(String(id))) {
+      loadArtwork();
+    }
+  });
+
+  const handlePurchase = async () => {
+    try {
+      await sendTransaction(contract.methods.purchaseArtwork(artwork.id), {
+        label: `Buy "${artwork.title}"`,
+        value: artwork.price,
+        tokenIds: [artwork.id]
+      });
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  if (loading) {
+    return <div>Loading artwork...</div>;
+  }
+
+  if (!artwork) {
+    return (
+      <Alert variant="destructive">
+        <AlertDescription>{error || 'Artwork not found'}</AlertDescription>
+      </Alert>
+    );
+  }
+
+  const isOwner = account && artwork.owner.toLowerCase() === account.toLowerCase();
+  // Metadata comes from whoever minted the token, so only follow plain web links
+  const isWebLink = (url) => typeof url === 'string' && /^https?:\/\//i.test(url);
+  const externalUrl = metadata && isWebLink(metadata.external_url) ? metadata.external_url : null;
+  const licenseUrl = metadata && metadata.license && isWebLink(metadata.license.url) ? metadata.license.url : null;
+
+  return (
+    <div className="max-w-3xl mx-auto space-y-6">
+      <Card>
+        <CardHeader>
+          <CardTitle>{artwork.title}</CardTitle>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          <ArtworkMedia tokenURI={artwork.uri} alt={artwork.title} className="w-full min-h-64 rounded-lg" />
+
+          {metadata && metadata.description && (
+            <p className="text-gray-700 whitespace-pre-line">{metadata.description}</p>
+          )}
+
+          {metadata && metadata.attributes.length > 0 && (
+            <div className="grid grid-cols-2 md:grid-cols-3 gap-2">
+              {metadata.attributes.map((attribute) => (
+                <div key={attribute.trait_type} className="p-2 border rounded-md text-sm">
+                  <p className="text-xs text-gray-500 uppercase">{attribute.trait_type}</p>
+                  <p>
+                    {String(attribute.value)}
+                    {attribute.max_value !== undefined && ` / ${attribute.max_value}`}
+                  </p>
+                </div>
+              ))}
+            </div>
+          )}
+
+          {(externalUrl || licenseUrl) && (
+            <div className="flex space-x-4 text-sm">
+              {externalUrl && (
+                <a href={externalUrl} target="_blank" rel="noopener noreferrer" className="text-blue-600 hover:underline">
+                  More about this work
+                </a>
+              )}
+              {licenseUrl && (
+                <a href={licenseUrl} target="_blank" rel="noopener noreferrer" className="text-blue-600 hover:underline">
+                  License: {metadata.license.name}
+                </a>
+              )}
+            </div>
+          )}
+
+          <div className="space-y-2">
+            <p className="text-sm text-gray-600">Artist: <ProfileLink address={artwork.artist} /></p>
+            {artwork.collaborators.length > 0 && (
+              <div className="text-sm text-gray-600">
+                <p>Collaborators:</p>
+                <ul className="ml-4 list-disc">
+                  {artwork.collaborators.map((collaborator) => (
+                    <li key={collaborator.address}>
+                      <ProfileLink address={collaborator.address} /> ({collaborator.share}%)
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+            <p className="text-sm text-gray-600">Owner: <ProfileLink address={artwork.owner} /></p>
+            {artwork.editionNumber > 0 && (
+              <p className="text-sm text-gray-600">
+                Edition {artwork.editionNumber} of {artwork.editionSize}
+              </p>
+            )}
+            {artwork.seriesName && artwork.editionNumber === 0 && (
+              <p className="text-sm text-gray-600">Series: {artwork.seriesName}</p>
+            )}
+            <p className="text-sm text-gray-600">Gallery: {artwork.galleryId || 'None'}</p>
+            <p className="text-sm text-gray-600">
+              Minted: {new Date(artwork.createdAt * 1000).toLocaleDateString()}
+            </p>
+            <p className="text-sm text-gray-600">Royalty: {artwork.royaltyBasisPoints / 100}%</p>
+            <p className="text-sm text-gray-600">
+              Rating: {artwork.totalRatings > 0 ? `${artwork.rating} / 5 (${artwork.totalRatings})` : 'Not rated yet'}
+            </p>
+            <p className="text-sm text-gray-600">
+              {artwork.forSale
+                ? `Price: ${web3.utils.fromWei(artwork.price, 'ether')} ETH`
+                : 'Not for sale'}
+            </p>
+          </div>
+
+          <RoyaltyReceiverForm artwork={artwork} />
+          <ListingControls artwork={artwork} />
+          <GalleryPlacement artwork={artwork} />
+
+          {error && (
+            <Alert variant="destructive">
+              <AlertDescription>{error}</AlertDescription>
+            </Alert>
+          )}
+        </CardContent>
+        {account && artwork.forSale && !isOwner && (
+          <CardFooter>
+            <Button onClick={handlePurchase} className="w-full">
+              Purchase
+            </Button>
+          </CardFooter>
+        )}
+      </Card>
+
+      <AuctionPanel artwork={artwork} />
+      <OffersPanel artwork={artwork} />
+      <ArtworkHistory artworkId={artwork.id} refreshKey={refreshKey} />
+      <ArtworkReviews artworkId={artwork.id} />
+    </div>
+  );
+};
+
+export default ArtworkDetail;
@@ -0,0 +1,115 @@
+import React, { useState, useEffect } from 'react';
+import { useWeb3 } from '../contexts/Web3Context';
+import { loadArtworkHistory } from '../utils/dataSource';
+import ProfileLink from './ProfileLink';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+const formatWhen = (entry) => (entry.timestamp
+  ? new Date(entry.timestamp * 1000).toLocaleString()
+  : `Block ${entry.blockNumber}`);
+
+/**
+ * Builds the ownership timeline from transfers, labelling mints and the transfers that
+ * came from a sale in the same transaction.
+ */
+const buildTimeline = (transfers, sales) => {
+  const salesByTx = new Map(sales.map((sale) => [sale.txHash, sale]));
+
+  return transfers.map((transfer) => {
+    const sale = salesByTx.get(transfer.txHash);
+    let kind = 'Transferred';
+    if (transfer.from === ZERO_ADDRESS) {
+      kind = 'Minted';
+    } else if (sale) {
+      kind = 'Sold';
+    }
+
+    return { ...transfer, kind, price: sale ? sale.price : null };
+  });
+};
+
+const ArtworkHistory = ({ artworkId, refreshKey }) => {
+  const { web3, contract } = useWeb3();
+  const [timeline, setTimeline] = useState([]);
+  const [royalties, setRoyalties] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    if (contract) {
+      loadHistory();
+    }
+  }, [contract, artworkId, refreshKey]);
+
+  const loadHistory = async () => {
+    try {
+      const history = await loadArtworkHistory(contract, artworkId);
+      setTimeline(buildTimeline(history.transfers, history.sales).reverse());
+      setRoyalties([...history.royalties].reverse());
+    } catch (err) {
+      console.error('Error loading artwork history:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (loading) {
+    return <div>Loading history...</div>;
+  }
+
+  return (
+    <>
+      <Card>
+        <CardHeader>
+          <CardTitle>Provenance</CardTitle>
+        </CardHeader>
+        <CardContent>
+          <ol className="border-l border-gray-300 space-y-4">
+            {timeline.map((entry) => (
+              <li key={`${entry.txHash}-${entry.to}`} className="ml-4 text-sm">
+                <p className="font-medium">
+                  {entry.kind}
+                  {entry.price && ` for ${web3.utils.fromWei(entry.price, 'ether')} ETH`}
+                </p>
+                {entry.kind === 'Minted' ? (
+                  <p className="text-gray-600 truncate">by <ProfileLink address={entry.to} /></p>
+                ) : (
+                  <p className="text-gray-600 truncate">
+                    <ProfileLink address={entry.from} /> &rarr; <ProfileLink address={entry.to} />
+                  </p>
+                )}
+                <p className="text-xs text-gray-500">{formatWhen(entry)}</p>
+              </li>
+            ))}
+          </ol>
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardHeader>
+          <CardTitle>Royalty Payouts</CardTitle>
+        </CardHeader>
+        <CardContent>
+          {royalties.length === 0 ? (
+            <p className="text-sm text-gray-600">No royalties paid yet</p>
+          ) : (
+            <ul className="space-y-2">
+              {royalties.map((payout) => (
+                <li key={`${payout.txHash}-${payout.recipient}`} className="flex justify-between text-sm">
+                  <ProfileLink address={payout.recipient} className="text-gray-600 truncate mr-2" />
+                  <span>
+                    {web3.utils.fromWei(payout.amount, 'ether')} ETH
+                    <span className="ml-2 text-xs text-gray-500">{formatWhen(payout)}</span>
+                  </span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </CardContent>
+      </Card>
+    </>
+  );
+};
+
+export default ArtworkHistory;
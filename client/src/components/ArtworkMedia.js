@@ -0,0 +1,61 @@
+import React, { useState, useEffect } from 'react';
+import useTokenMetadata from '../hooks/useTokenMetadata';
+import { getGatewayUrls } from '../utils/metadata';
+
+const MediaPlaceholder = ({ className, children }) => (
+  <div className={`${className} flex items-center justify-center bg-gray-200 text-sm text-gray-500`}>
+    {children}
+  </div>
+);
+
+/**
+ * Renders a token's image or animation from its metadata. Each IPFS gateway is tried in turn
+ * before falling back to a placeholder. With `preferThumbnail`, the downscaled copy recorded
+ * in `properties.thumbnail` is shown instead of the original image when there is one.
+ */
+const ArtworkMedia = ({ tokenURI, alt, className = 'w-full rounded-lg', preferThumbnail = false }) => {
+  const { metadata, loading, error } = useTokenMetadata(tokenURI);
+  const [attempt, setAttempt] = useState(0);
+
+  useEffect(() => {
+    setAttempt(0);
+  }, [metadata]);
+
+  if (loading) {
+    return <MediaPlaceholder className={`${className} animate-pulse`} />;
+  }
+
+  if (error || !metadata) {
+    return <MediaPlaceholder className={className}>Media unavailable</MediaPlaceholder>;
+  }
+
+  const thumbnail = preferThumbnail && metadata.properties && metadata.properties.thumbnail;
+  const isAnimation = Boolean(metadata.animation_url) && !(preferThumbnail && (thumbnail || metadata.image));
+  const urls = isAnimation
+    ? getGatewayUrls(metadata.animation_url)
+    : getGatewayUrls(thumbnail || metadata.image);
+  const src = urls[attempt];
+
+  if (!src) {
+    return <MediaPlaceholder className={className}>Media unavailable</MediaPlaceholder>;
+  }
+
+  const handleError = () => setAttempt((current) => current + 1);
+
+  if (isAnimation) {
+    return (
+      <video
+        key={src}
+        src={src}
+        poster={metadata.image ? getGatewayUrls(metadata.image)[0] : undefined}
+        onError={handleError}
+        controls
+        className={className}
+      />
+    );
+  }
+
+  return <img key={src} src={src} alt={alt} onError={handleError} className={className} />;
+};
+
+export default ArtworkMedia;
@@ -0,0 +1,163 @@
+import React, { useState, useEffect } from 'react';
+import { useWeb3 } from '../contexts/Web3Context';
+import { useTransactions } from '../contexts/TransactionContext';
+import ProfileLink from './ProfileLink';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+
+const PAGE_SIZE = 10;
+
+const StarRating = ({ value, onChange }) => (
+  <div className="flex">
+    {[1, 2, 3, 4, 5].map((star) => (
+      <button
+        key={star}
+        type="button"
+        onClick={onChange ? () => onChange(star) : undefined}
+        disabled={!onChange}
+        className={`text-xl ${star <= value ? 'text-yellow-500' : 'text-gray-300'}`}
+        aria-label={`${star} star${star > 1 ? 's' : ''}`}
+      >
+        ★
+      </button>
+    ))}
+  </div>
+);
+
+const ArtworkReviews = ({ artworkId, onReviewed }) => {
+  const { contract, account } = useWeb3();
+  const { sendTransaction } = useTransactions();
+  const [reviews, setReviews] = useState([]);
+  const [reviewCount, setReviewCount] = useState(0);
+  const [page, setPage] = useState(0);
+  const [hasRated, setHasRated] = useState(false);
+  const [rating, setRating] = useState(0);
+  const [comment, setComment] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (contract) {
+      loadReviews();
+    }
+  }, [contract, artworkId, page, account]);
+
+  const loadReviews = async () => {
+    try {
+      const count = Number(await contract.methods.getReviewCount(artworkId).call());
+      // Newest first: page 0 is the tail of the on-chain list
+      const end = Math.max(count - page * PAGE_SIZE, 0);
+      const start = Math.max(end - PAGE_SIZE, 0);
+      const pageReviews = end > start
+        ? await contract.methods.getReviews(artworkId, start, end - start).call()
+        : [];
+
+      setReviewCount(count);
+      setReviews([...pageReviews].reverse());
+      setHasRated(account ? await contract.methods.hasRated(artworkId, account).call() : false);
+    } catch (err) {
+      console.error('Error loading reviews:', err);
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (rating === 0) {
+      setError('Please choose a rating');
+      return;
+    }
+
+    setLoading(true);
+    setError('');
+
+    try {
+      await sendTransaction(contract.methods.addReview(artworkId, comment, rating), {
+        label: 'Post review',
+        tokenIds: [artworkId]
+      });
+      setComment('');
+      setRating(0);
+      setPage(0);
+      await loadReviews();
+      if (onReviewed) {
+        onReviewed();
+      }
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const pageCount = Math.ceil(reviewCount / PAGE_SIZE);
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>Reviews ({reviewCount})</CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {account && !hasRated && (
+          <form onSubmit={handleSubmit} className="space-y-2">
+            <StarRating value={rating} onChange={setRating} />
+            <textarea
+              value={comment}
+              onChange={(e) => setComment(e.target.value)}
+              className="w-full p-2 border rounded-md"
+              rows="3"
+              placeholder="Share your thoughts"
+            />
+            <Button type="submit" disabled={loading}>
+              {loading ? 'Submitting...' : 'Submit Review'}
+            </Button>
+          </form>
+        )}
+        {account && hasRated && (
+          <p className="text-sm text-gray-600">You have already reviewed this artwork</p>
+        )}
+
+        {error && (
+          <Alert variant="destructive">
+            <AlertDescription>{error}</AlertDescription>
+          </Alert>
+        )}
+
+        {reviews.length === 0 && (
+          <p className="text-sm text-gray-600">No reviews yet</p>
+        )}
+
+        <ul className="divide-y">
+          {reviews.map((review) => (
+            <li key={`${review.reviewer}-${review.timestamp}`} className="py-3 space-y-1">
+              <div className="flex items-center justify-between">
+                <StarRating value={Number(review.rating)} />
+                <span className="text-xs text-gray-500">
+                  {new Date(Number(review.timestamp) * 1000).toLocaleDateString()}
+                </span>
+              </div>
+              {review.comment && <p className="text-sm">{review.comment}</p>}
+              <p className="text-xs text-gray-500 truncate"><ProfileLink address={review.reviewer} /></p>
+            </li>
+          ))}
+        </ul>
+
+        {pageCount > 1 && (
+          <div className="flex items-center justify-center space-x-4">
+            <Button onClick={() => setPage(page - 1)} variant="outline" disabled={page === 0}>
+              Newer
+            </Button>
+            <span className="text-sm text-gray-600">
+              Page {page + 1} of {pageCount}
+            </span>
+            <Button onClick={() => setPage(page + 1)} variant="outline" disabled={page + 1 >= pageCount}>
+              Older
+            </Button>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default ArtworkReviews;
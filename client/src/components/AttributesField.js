@@ -0,0 +1,77 @@
+import React from 'react';
+import { DISPLAY_TYPES } from '../utils/metadataBuilder';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Select } from '@/components/ui/select';
+
+const DISPLAY_TYPE_LABELS = {
+  number: 'Number',
+  boost_number: 'Boost',
+  boost_percentage: 'Boost %',
+  date: 'Date'
+};
+
+const AttributesField = ({ attributes, onChange }) => {
+  const updateAttribute = (index, field, value) => {
+    onChange(attributes.map((attribute, i) => (
+      i === index ? { ...attribute, [field]: value } : attribute
+    )));
+  };
+
+  const addAttribute = () => {
+    onChange([...attributes, { trait_type: '', value: '', display_type: '' }]);
+  };
+
+  const removeAttribute = (index) => {
+    onChange(attributes.filter((_, i) => i !== index));
+  };
+
+  return (
+    <div className="space-y-2">
+      <label className="block text-sm font-medium">Attributes</label>
+      <p className="text-xs text-gray-500">
+        Traits shown on marketplaces. Numeric display types need a number; dates are Unix timestamps.
+      </p>
+
+      {attributes.map((attribute, index) => (
+        <div key={index} className="flex space-x-2">
+          <Input
+            type="text"
+            value={attribute.trait_type}
+            onChange={(e) => updateAttribute(index, 'trait_type', e.target.value)}
+            placeholder="Trait"
+            required
+          />
+          <Input
+            type={attribute.display_type ? 'number' : 'text'}
+            value={attribute.value}
+            onChange={(e) => updateAttribute(index, 'value', e.target.value)}
+            placeholder="Value"
+            required
+          />
+          <Select
+            value={attribute.display_type}
+            onChange={(e) => updateAttribute(index, 'display_type', e.target.value)}
+            className="w-36"
+          >
+            <option value="">Text</option>
+            {DISPLAY_TYPES.map((displayType) => (
+              <option key={displayType} value={displayType}>
+                {DISPLAY_TYPE_LABELS[displayType]}
+              </option>
+            ))}
+          </Select>
+          <Button type="button" variant="outline" onClick={() => removeAttribute(index)}>
+            Remove
+          </Button>
+        </div>
+      ))}
+
+      <Button type="button" variant="outline" onClick={addAttribute}>
+        Add Attribute
+      </Button>
+    </div>
+  );
+};
+
+export default AttributesField;
@@ -0,0 +1,286 @@
+import React, { useState, useEffect } from 'react';
+import { useWeb3 } from '../contexts/Web3Context';
+import { useTransactions } from '../contexts/TransactionContext';
+import ProfileLink from './ProfileLink';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+const formatCountdown = (seconds) => {
+  if (seconds <= 0) return 'Ended';
+
+  const days = Math.floor(seconds / 86400);
+  const hours = Math.floor((seconds % 86400) / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const secs = seconds % 60;
+
+  return `${days > 0 ? `${days}d ` : ''}${hours}h ${minutes}m ${secs}s`;
+};
+
+const AuctionPanel = ({ artwork, onUpdate }) => {
+  const { web3, contract, account } = useWeb3();
+  const { sendTransaction } = useTransactions();
+  const [auction, setAuction] = useState(null);
+  const [bids, setBids] = useState([]);
+  const [now, setNow] = useState(Math.floor(Date.now() / 1000));
+  const [bidAmount, setBidAmount] = useState('');
+  const [auctionForm, setAuctionForm] = useState({
+    reservePrice: '',
+    minBidIncrement: '',
+    durationHours: '24'
+  });
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (contract) {
+      loadAuction();
+    }
+  }, [contract, artwork.id]);
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Math.floor(Date.now() / 1000)), 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  const loadAuction = async () => {
+    try {
+      const auctionData = await contract.methods.auctions(artwork.id).call();
+      const createdEvents = await contract.getPastEvents('AuctionCreated', {
+        filter: { tokenId: artwork.id },
+        fromBlock: 0,
+        toBlock: 'latest'
+      });
+
+      // Only show bids for the most recent auction of this token
+      const latestAuction = createdEvents[createdEvents.length - 1];
+      const bidEvents = latestAuction
+        ? await contract.getPastEvents('BidPlaced', {
+          filter: { tokenId: artwork.id },
+          fromBlock: latestAuction.blockNumber,
+          toBlock: 'latest'
+        })
+        : [];
+
+      setAuction(auctionData);
+      setBids(
+        bidEvents
+          .map((event) => ({
+            id: `${event.transactionHash}-${event.logIndex}`,
+            bidder: event.returnValues.bidder,
+            amount: event.returnValues.amount
+          }))
+          .reverse()
+      );
+    } catch (err) {
+      console.error('Error loading auction:', err);
+    }
+  };
+
+  const runAuctionAction = async (action) => {
+    setLoading(true);
+    setError('');
+
+    try {
+      await action();
+      await loadAuction();
+      if (onUpdate) {
+        onUpdate();
+      }
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleCreateAuction = (e) => {
+    e.preventDefault();
+    runAuctionAction(() =>
+      sendTransaction(
+        contract.methods.createAuction(
+          artwork.id,
+          web3.utils.toWei(auctionForm.reservePrice, 'ether'),
+          web3.utils.toWei(auctionForm.minBidIncrement, 'ether'),
+          Math.floor(Number(auctionForm.durationHours) * 3600)
+        ),
+        { label: `Auction "${artwork.title}"`, tokenIds: [artwork.id] }
+      )
+    );
+  };
+
+  const handleBid = (e) => {
+    e.preventDefault();
+    runAuctionAction(async () => {
+      await sendTransaction(contract.methods.placeBid(artwork.id), {
+        label: `Bid ${bidAmount} ETH on "${artwork.title}"`,
+        value: web3.utils.toWei(bidAmount, 'ether'),
+        tokenIds: [artwork.id]
+      });
+      setBidAmount('');
+    });
+  };
+
+  const handleAuctionFormChange = (e) => {
+    const { name, value } = e.target;
+    setAuctionForm(prev => ({
+      ...prev,
+      [name]: value
+    }));
+  };
+
+  if (!auction) {
+    return null;
+  }
+
+  const isOwner = account && artwork.owner && artwork.owner.toLowerCase() === account.toLowerCase();
+  const isSeller = account && auction.seller.toLowerCase() === account.toLowerCase();
+  const hasBids = auction.highestBidder !== ZERO_ADDRESS;
+  const remaining = Number(auction.endTime) - now;
+  const minimumBid = hasBids
+    ? web3.utils.toBN(auction.highestBid).add(web3.utils.toBN(auction.minBidIncrement))
+    : web3.utils.toBN(auction.reservePrice);
+
+  if (!auction.active && !isOwner) {
+    return null;
+  }
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>Auction</CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {auction.active ? (
+          <>
+            <div className="space-y-1">
+              <p className="text-sm text-gray-600">
+                Time remaining: <span className="font-medium">{formatCountdown(remaining)}</span>
+              </p>
+              <p className="text-sm text-gray-600">
+                Reserve price: {web3.utils.fromWei(auction.reservePrice, 'ether')} ETH
+              </p>
+              <p className="text-sm text-gray-600">
+                {hasBids ? (
+                  <>
+                    Highest bid: {web3.utils.fromWei(auction.highestBid, 'ether')} ETH by{' '}
+                    <ProfileLink address={auction.highestBidder} />
+                  </>
+                ) : 'No bids yet'}
+              </p>
+            </div>
+
+            {remaining > 0 && account && !isSeller && (
+              <form onSubmit={handleBid} className="flex space-x-2">
+                <Input
+                  type="number"
+                  value={bidAmount}
+                  onChange={(e) => setBidAmount(e.target.value)}
+                  placeholder={`Min ${web3.utils.fromWei(minimumBid, 'ether')} ETH`}
+                  required
+                  step="0.001"
+                  min="0"
+                />
+                <Button type="submit" disabled={loading}>
+                  Place Bid
+                </Button>
+              </form>
+            )}
+
+            {remaining <= 0 && account && (
+              <Button
+                onClick={() => runAuctionAction(() =>
+                  sendTransaction(contract.methods.settleAuction(artwork.id), {
+                    label: `Settle auction of "${artwork.title}"`,
+                    tokenIds: [artwork.id]
+                  })
+                )}
+                disabled={loading}
+                className="w-full"
+              >
+                Settle Auction
+              </Button>
+            )}
+
+            {isSeller && !hasBids && (
+              <Button
+                onClick={() => runAuctionAction(() =>
+                  sendTransaction(contract.methods.cancelAuction(artwork.id), {
+                    label: `Cancel auction of "${artwork.title}"`,
+                    tokenIds: [artwork.id]
+                  })
+                )}
+                variant="outline"
+                disabled={loading}
+                className="w-full"
+              >
+                Cancel Auction
+              </Button>
+            )}
+          </>
+        ) : (
+          <form onSubmit={handleCreateAuction} className="space-y-2">
+            <Input
+              type="number"
+              name="reservePrice"
+              value={auctionForm.reservePrice}
+              onChange={handleAuctionFormChange}
+              placeholder="Reserve price (ETH)"
+              required
+              step="0.001"
+              min="0"
+            />
+            <Input
+              type="number"
+              name="minBidIncrement"
+              value={auctionForm.minBidIncrement}
+              onChange={handleAuctionFormChange}
+              placeholder="Minimum bid increment (ETH)"
+              required
+              step="0.001"
+              min="0"
+            />
+            <Input
+              type="number"
+              name="durationHours"
+              value={auctionForm.durationHours}
+              onChange={handleAuctionFormChange}
+              placeholder="Duration (hours)"
+              required
+              step="1"
+              min="1"
+            />
+            <Button type="submit" disabled={loading} className="w-full">
+              Start Auction
+            </Button>
+          </form>
+        )}
+
+        {bids.length > 0 && (
+          <div>
+            <h4 className="text-sm font-medium mb-2">Bid History</h4>
+            <ul className="space-y-1">
+              {bids.map((bid) => (
+                <li key={bid.id} className="text-sm text-gray-600 flex justify-between">
+                  <ProfileLink address={bid.bidder} className="truncate mr-2" />
+                  <span>{web3.utils.fromWei(bid.amount, 'ether')} ETH</span>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        {error && (
+          <Alert variant="destructive">
+            <AlertDescription>{error}</AlertDescription>
+          </Alert>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default AuctionPanel;
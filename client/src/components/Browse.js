@@ -0,0 +1,214 @@
+import React, { useState, useEffect } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { useWeb3 } from '../contexts/Web3Context';
+import ArtworkCard from './ArtworkCard';
+import { loadGalleries, searchArtworks } from '../utils/dataSource';
+import {
+  SORT_OPTIONS,
+  EMPTY_SEARCH,
+  searchFromParams,
+  searchToParams,
+  toArtworkFilters
+} from '../utils/artworkSearch';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Select } from '@/components/ui/select';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+
+const PAGE_SIZE = 12;
+
+const Browse = () => {
+  const { web3, contract } = useWeb3();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const search = searchFromParams(searchParams);
+  const page = Math.max(Number(searchParams.get('page')) || 0, 0);
+  // The form is edited locally and only written to the URL when applied
+  const [form, setForm] = useState(search);
+  const [galleries, setGalleries] = useState([]);
+  const [artworks, setArtworks] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (contract) {
+      loadGalleries(contract)
+        .then(setGalleries)
+        .catch((err) => console.error('Error loading galleries:', err));
+    }
+  }, [contract]);
+
+  useEffect(() => {
+    setForm(searchFromParams(searchParams));
+    if (contract) {
+      loadResults();
+    }
+  }, [contract, searchParams]);
+
+  const loadResults = async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const result = await searchArtworks(
+        contract,
+        toArtworkFilters(web3, search),
+        page * PAGE_SIZE,
+        PAGE_SIZE
+      );
+      setArtworks(result.artworks);
+      setTotal(result.total);
+    } catch (err) {
+      console.error('Error searching artworks:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const applySearch = (nextSearch, nextPage = 0) => {
+    const params = searchToParams(nextSearch);
+    setSearchParams(nextPage > 0 ? { ...params, page: String(nextPage) } : params);
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    applySearch(form);
+  };
+
+  const pageCount = Math.ceil(total / PAGE_SIZE);
+
+  return (
+    <div className="space-y-6">
+      <form onSubmit={handleSubmit} className="space-y-4 bg-white p-4 rounded-lg">
+        <div className="flex space-x-2">
+          <Input
+            type="search"
+            name="q"
+            value={form.q}
+            onChange={handleChange}
+            placeholder="Search titles, descriptions and artists"
+          />
+          <Button type="submit">Search</Button>
+        </div>
+
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+          <Select name="forSale" value={form.forSale} onChange={handleChange}>
+            <option value="">For sale or not</option>
+            <option value="true">For sale</option>
+            <option value="false">Not for sale</option>
+          </Select>
+          <Select name="galleryId" value={form.galleryId} onChange={handleChange}>
+            <option value="">All galleries</option>
+            {galleries.map((gallery) => (
+              <option key={gallery.id} value={gallery.id}>{gallery.name}</option>
+            ))}
+          </Select>
+          <Select name="minRating" value={form.minRating} onChange={handleChange}>
+            <option value="">Any rating</option>
+            {[1, 2, 3, 4, 5].map((stars) => (
+              <option key={stars} value={stars}>{stars}+ stars</option>
+            ))}
+          </Select>
+          <Select
+            name="sort"
+            value={form.sort}
+            onChange={(e) => applySearch({ ...form, sort: e.target.value })}
+          >
+            {SORT_OPTIONS.map((option) => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </Select>
+          <Input
+            type="number"
+            name="minPrice"
+            value={form.minPrice}
+            onChange={handleChange}
+            placeholder="Min price (ETH)"
+            step="0.001"
+            min="0"
+          />
+          <Input
+            type="number"
+            name="maxPrice"
+            value={form.maxPrice}
+            onChange={handleChange}
+            placeholder="Max price (ETH)"
+            step="0.001"
+            min="0"
+          />
+          <Input
+            type="number"
+            name="minRoyalty"
+            value={form.minRoyalty}
+            onChange={handleChange}
+            placeholder="Min royalty (%)"
+            step="0.01"
+            min="0"
+          />
+          <Input
+            type="number"
+            name="maxRoyalty"
+            value={form.maxRoyalty}
+            onChange={handleChange}
+            placeholder="Max royalty (%)"
+            step="0.01"
+            min="0"
+          />
+          <Button type="button" variant="outline" onClick={() => applySearch(EMPTY_SEARCH)}>
+            Clear Filters
+          </Button>
+        </div>
+      </form>
+
+      {error && (
+        <Alert variant="destructive">
+          <AlertDescription>{error}</AlertDescription>
+        </Alert>
+      )}
+
+      {loading ? (
+        <div>Searching artworks...</div>
+      ) : artworks.length === 0 ? (
+        <p className="text-gray-600">No artworks match these filters.</p>
+      ) : (
+        <>
+          <p className="text-sm text-gray-600">{total === 1 ? '1 artwork' : `${total} artworks`}</p>
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+            {artworks.map((artwork) => (
+              <ArtworkCard key={artwork.id} artwork={artwork} onUpdate={loadResults} />
+            ))}
+          </div>
+        </>
+      )}
+
+      {pageCount > 1 && (
+        <div className="flex items-center justify-center space-x-4">
+          <Button
+            onClick={() => applySearch(search, page - 1)}
+            variant="outline"
+            disabled={page === 0}
+          >
+            Previous
+          </Button>
+          <span className="text-sm text-gray-600">
+            Page {page + 1} of {pageCount}
+          </span>
+          <Button
+            onClick={() => applySearch(search, page + 1)}
+            variant="outline"
+            disabled={page + 1 >= pageCount}
+          >
+            Next
+          </Button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Browse;
@@ -0,0 +1,551 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useWeb3 } from '../contexts/Web3Context';
+import { useTransactions } from '../contexts/TransactionContext';
+import { ACCEPTED_TYPES, formatBytes, prepareFile, uploadWithRetry, validateFile } from '../utils/uploadPipeline';
+import { loadGalleries as fetchGalleries } from '../utils/dataSource';
+import { buildMetadata } from '../utils/metadataBuilder';
+import { parseCsv } from '../utils/csv';
+import MetadataFields, { EMPTY_METADATA_FIELDS } from './MetadataFields';
+import RoyaltyField from './RoyaltyField';
+import GallerySelect, { EMPTY_NEW_GALLERY, NEW_GALLERY } from './GallerySelect';
+import UploadProgress from './UploadProgress';
+import TransactionStatus from './TransactionStatus';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+
+const UPLOAD_STAGES = ['image', 'thumbnail', 'metadata'];
+
+const baseName = (fileName) => fileName.replace(/^.*[\\/]/, '').replace(/\.[^.]+$/, '');
+
+/**
+ * Matches selected files to CSV rows by file name. Without a manifest every file becomes
+ * an item, titled after its file name and ordered by it.
+ */
+const composeItems = (files, manifest) => {
+  if (!manifest) {
+    return [...files]
+      .sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }))
+      .map((file) => ({ file, title: baseName(file.name), description: '', price: '' }));
+  }
+
+  const byName = new Map(files.map((file) => [file.name, file]));
+  const missing = manifest.filter((row) => !byName.has(row.file.replace(/^.*[\\/]/, '')));
+  if (missing.length > 0) {
+    throw new Error(`The CSV lists files that were not selected: ${missing.map((row) => row.file).join(', ')}`);
+  }
+
+  return manifest.map((row) => ({
+    file: byName.get(row.file.replace(/^.*[\\/]/, '')),
+    title: row.title || baseName(row.file),
+    description: row.description || '',
+    price: row.price || ''
+  }));
+};
+
+const BulkCreate = () => {
+  const navigate = useNavigate();
+  const { web3, contract, account } = useWeb3();
+  const { sendTransaction } = useTransactions();
+  const [mode, setMode] = useState('series');
+  const [galleries, setGalleries] = useState([]);
+  const [limits, setLimits] = useState({ maxBasisPoints: 5000, platformFee: 25, maxBatchSize: 50 });
+  const [formData, setFormData] = useState({
+    name: '',
+    description: '',
+    price: '',
+    editionSize: '10',
+    royalty: '10',
+    galleryId: ''
+  });
+  const [newGallery, setNewGallery] = useState(EMPTY_NEW_GALLERY);
+  const [metadataFields, setMetadataFields] = useState(EMPTY_METADATA_FIELDS);
+  const [files, setFiles] = useState([]);
+  const [manifest, setManifest] = useState(null);
+  const [items, setItems] = useState([]);
+  const [uploads, setUploads] = useState([]);
+  const [transactions, setTransactions] = useState([]);
+  // CIDs of finished uploads, keyed by content, so a retry only re-sends what failed
+  const completedUploads = useRef({});
+  // ID of a gallery created by an earlier attempt, so a retried mint does not create it twice
+  const createdGallery = useRef(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (contract) {
+      loadGalleries();
+      loadLimits();
+    }
+  }, [contract]);
+
+  useEffect(() => {
+    try {
+      setItems(composeItems(files, manifest));
+    } catch (err) {
+      setItems([]);
+      setError(err.message);
+    }
+  }, [files, manifest]);
+
+  const loadGalleries = async () => {
+    try {
+      setGalleries(await fetchGalleries(contract));
+    } catch (error) {
+      console.error('Error loading galleries:', error);
+    }
+  };
+
+  const loadLimits = async () => {
+    try {
+      const [maxBasisPoints, platformFee, maxBatchSize] = await Promise.all([
+        contract.methods.maxRoyaltyBasisPoints().call(),
+        contract.methods.platformFee().call(),
+        contract.methods.MAX_BATCH_SIZE().call()
+      ]);
+      setLimits({
+        maxBasisPoints: Number(maxBasisPoints),
+        platformFee: Number(platformFee),
+        maxBatchSize: Number(maxBatchSize)
+      });
+    } catch (error) {
+      console.error('Error loading minting limits:', error);
+    }
+  };
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: value
+    }));
+  };
+
+  const setField = (name) => (value) => {
+    setFormData(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleFilesChange = (e) => {
+    setError('');
+    setUploads([]);
+    setFiles(Array.from(e.target.files).filter((file) => ACCEPTED_TYPES.includes(file.type)));
+  };
+
+  const handleManifestChange = async (e) => {
+    const file = e.target.files[0];
+    setError('');
+    if (!file) {
+      setManifest(null);
+      return;
+    }
+
+    try {
+      const rows = parseCsv(await file.text());
+      if (rows.length > 0 && !('file' in rows[0])) {
+        throw new Error('The CSV needs a "file" column');
+      }
+      setManifest(rows);
+    } catch (err) {
+      setManifest(null);
+      setError(err.message);
+    }
+  };
+
+  const updateItem = (index, field, value) => {
+    setItems(prev => prev.map((item, i) => (i === index ? { ...item, [field]: value } : item)));
+  };
+
+  const updateUpload = (key, changes) => {
+    setUploads(prev => prev.map((upload) => (upload.key === key ? { ...upload, ...changes } : upload)));
+  };
+
+  // Uploads one stage of an item, reporting it as a slice of the item's progress bar
+  const runUploadStage = async (key, stage, fingerprint, data) => {
+    const cacheKey = `${stage}:${fingerprint}`;
+    const stageIndex = UPLOAD_STAGES.indexOf(stage);
+    const report = (fraction) => (stageIndex + fraction) / UPLOAD_STAGES.length;
+
+    if (!completedUploads.current[cacheKey]) {
+      updateUpload(key, { status: 'uploading', progress: report(0) });
+      completedUploads.current[cacheKey] = await uploadWithRetry(data, {
+        onProgress: (progress) => updateUpload(key, { status: 'uploading', progress: report(progress) }),
+        onRetry: (attempt) => updateUpload(key, { status: 'retrying', attempt })
+      });
+    }
+    updateUpload(key, { progress: report(1) });
+    return completedUploads.current[cacheKey];
+  };
+
+  const uploadWork = async (key, file, describe) => {
+    try {
+      const prepared = await prepareFile(file);
+      const imageHash = await runUploadStage(key, 'image', prepared.contentHash, prepared.file);
+      const thumbnailHash = await runUploadStage(key, 'thumbnail', prepared.contentHash, prepared.thumbnail);
+
+      const metadataJson = JSON.stringify(describe(`ipfs://${imageHash}`, {
+        thumbnail: `ipfs://${thumbnailHash}`,
+        mime_type: prepared.file.type,
+        size: prepared.file.size,
+        width: prepared.dimensions.width,
+        height: prepared.dimensions.height,
+        content_hash: `sha256:${prepared.contentHash}`
+      }));
+      const metadataHash = await runUploadStage(
+        key,
+        'metadata',
+        metadataJson,
+        new Blob([metadataJson], { type: 'application/json' })
+      );
+
+      updateUpload(key, { status: 'done', progress: 1 });
+      return `ipfs://${metadataHash}`;
+    } catch (err) {
+      updateUpload(key, { status: 'failed' });
+      throw err;
+    }
+  };
+
+  const updateTransaction = (key, changes) => {
+    setTransactions(prev => prev.map((transaction) => (
+      transaction.key === key ? { ...transaction, ...changes } : transaction
+    )));
+  };
+
+  const runTransaction = async (key, method, label) => {
+    updateTransaction(key, { status: 'signing', hash: null });
+    try {
+      const receipt = await sendTransaction(method, {
+        label,
+        onHash: (hash) => updateTransaction(key, { status: 'confirming', hash })
+      });
+      updateTransaction(key, { status: 'done' });
+      return receipt;
+    } catch (err) {
+      updateTransaction(key, { status: 'failed' });
+      throw err;
+    }
+  };
+
+  const isEdition = mode === 'edition';
+  const creatingGallery = formData.galleryId === NEW_GALLERY;
+  const royaltyBasisPoints = Math.round(Number(formData.royalty) * 100);
+
+  const describeItem = (item) => (image, properties) => buildMetadata({
+    name: item.title,
+    description: item.description || formData.description,
+    image,
+    ...metadataFields,
+    attributes: isEdition
+      ? [{ trait_type: 'Edition Size', value: formData.editionSize, display_type: 'number' }]
+      : [{ trait_type: 'Series', value: formData.name }],
+    properties
+  });
+
+  // Everything the contract would reject, checked before any file is uploaded
+  const validate = (works) => {
+    const count = isEdition ? Number(formData.editionSize) : works.length;
+    if (!Number.isInteger(count) || count < 1 || count > limits.maxBatchSize) {
+      throw new Error(`A batch must have between 1 and ${limits.maxBatchSize} works`);
+    }
+    if (!(royaltyBasisPoints >= 0) || royaltyBasisPoints > limits.maxBasisPoints) {
+      throw new Error(`Royalty must be between 0% and ${limits.maxBasisPoints / 100}%`);
+    }
+    if (creatingGallery && newGallery.galleryId !== createdGallery.current
+      && galleries.some((gallery) => gallery.id === newGallery.galleryId)) {
+      throw new Error(`A gallery with the ID ${newGallery.galleryId} already exists`);
+    }
+
+    works.forEach((item) => {
+      validateFile(item.file);
+      if (!(Number(item.price || formData.price) > 0)) {
+        throw new Error(`${item.title || item.file.name}: price must be greater than 0`);
+      }
+      try {
+        describeItem(item)('ipfs://');
+      } catch (err) {
+        throw new Error(`${item.title || item.file.name}: ${err.message}`);
+      }
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    const works = isEdition
+      ? items.slice(0, 1).map((item) => ({ ...item, title: formData.name, price: formData.price }))
+      : items;
+
+    try {
+      validate(works);
+    } catch (err) {
+      setError(err.message);
+      return;
+    }
+
+    setLoading(true);
+    const galleryId = creatingGallery ? newGallery.galleryId : formData.galleryId;
+    const needsGallery = creatingGallery && createdGallery.current !== galleryId;
+
+    setUploads(works.map((item, index) => ({
+      key: String(index),
+      label: `${item.title} (${formatBytes(item.file.size)})`,
+      status: 'pending',
+      progress: 0
+    })));
+    const galleryLabel = `Create gallery "${newGallery.name}"`;
+    const mintLabel = isEdition ? `Mint ${formData.editionSize} editions` : `Mint ${works.length} works`;
+    setTransactions([
+      ...(creatingGallery
+        ? [{ key: 'gallery', label: galleryLabel, status: needsGallery ? 'pending' : 'done' }]
+        : []),
+      { key: 'mint', label: mintLabel, status: 'pending' }
+    ]);
+
+    try {
+      const tokenURIs = [];
+      for (const [index, item] of works.entries()) {
+        tokenURIs.push(await uploadWork(String(index), item.file, describeItem(item)));
+      }
+
+      if (needsGallery) {
+        await runTransaction(
+          'gallery',
+          contract.methods.createGallery(galleryId, newGallery.name, newGallery.description),
+          galleryLabel
+        );
+        createdGallery.current = galleryId;
+      }
+
+      const toWei = (price) => web3.utils.toWei(price, 'ether');
+      const mint = isEdition
+        ? contract.methods.createEdition(
+          formData.name,
+          tokenURIs[0],
+          toWei(formData.price),
+          galleryId,
+          royaltyBasisPoints,
+          formData.editionSize
+        )
+        : contract.methods.createSeries(
+          formData.name,
+          works.map((item) => item.title),
+          tokenURIs,
+          works.map((item) => toWei(item.price || formData.price)),
+          galleryId,
+          royaltyBasisPoints
+        );
+
+      const receipt = await runTransaction('mint', mint, mintLabel);
+      const [firstArtwork] = [].concat(receipt.events.ArtworkCreated);
+
+      navigate(`/artwork/${firstArtwork.returnValues.tokenId}`);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const failed = uploads.some((upload) => upload.status === 'failed')
+    || transactions.some((transaction) => transaction.status === 'failed');
+
+  const switchMode = (nextMode) => {
+    setMode(nextMode);
+    setFiles([]);
+    setManifest(null);
+    setUploads([]);
+    setTransactions([]);
+    setError('');
+  };
+
+  if (!account) {
+    return <div>Connect your wallet to mint a series or edition.</div>;
+  }
+
+  return (
+    <Card className="max-w-3xl mx-auto">
+      <CardHeader>
+        <CardTitle>Bulk Create</CardTitle>
+      </CardHeader>
+      <CardContent>
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div className="flex space-x-2">
+            <Button
+              type="button"
+              variant={isEdition ? 'outline' : 'default'}
+              onClick={() => switchMode('series')}
+              disabled={loading}
+            >
+              Series of works
+            </Button>
+            <Button
+              type="button"
+              variant={isEdition ? 'default' : 'outline'}
+              onClick={() => switchMode('edition')}
+              disabled={loading}
+            >
+              Numbered edition
+            </Button>
+          </div>
+          <p className="text-xs text-gray-500">
+            {isEdition
+              ? 'One work minted as numbered copies that share its image and metadata.'
+              : 'Distinct works minted together in one transaction, each with its own title and price.'}
+          </p>
+
+          <div>
+            <label className="block text-sm font-medium mb-1">{isEdition ? 'Title' : 'Series Name'}</label>
+            <Input
+              type="text"
+              name="name"
+              value={formData.name}
+              onChange={handleInputChange}
+              required
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium mb-1">Description</label>
+            <textarea
+              name="description"
+              value={formData.description}
+              onChange={handleInputChange}
+              required={isEdition}
+              placeholder={isEdition ? '' : 'Used for works without their own description'}
+              className="w-full p-2 border rounded-md"
+              rows="3"
+            />
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium mb-1">
+                {isEdition ? 'Price per Copy (ETH)' : 'Default Price (ETH)'}
+              </label>
+              <Input
+                type="number"
+                name="price"
+                value={formData.price}
+                onChange={handleInputChange}
+                required={isEdition}
+                step="0.001"
+                min="0"
+              />
+            </div>
+
+            {isEdition && (
+              <div>
+                <label className="block text-sm font-medium mb-1">Edition Size</label>
+                <Input
+                  type="number"
+                  name="editionSize"
+                  value={formData.editionSize}
+                  onChange={handleInputChange}
+                  required
+                  min="1"
+                  max={limits.maxBatchSize}
+                />
+              </div>
+            )}
+          </div>
+
+          {isEdition ? (
+            <div>
+              <label className="block text-sm font-medium mb-1">Artwork File</label>
+              <Input type="file" onChange={handleFilesChange} accept={ACCEPTED_TYPES.join(',')} required />
+            </div>
+          ) : (
+            <div className="space-y-2">
+              <div>
+                <label className="block text-sm font-medium mb-1">Artwork Folder</label>
+                <Input type="file" onChange={handleFilesChange} webkitdirectory="" directory="" multiple />
+              </div>
+              <div>
+                <label className="block text-sm font-medium mb-1">Or Individual Files</label>
+                <Input type="file" onChange={handleFilesChange} accept={ACCEPTED_TYPES.join(',')} multiple />
+              </div>
+              <div>
+                <label className="block text-sm font-medium mb-1">Manifest CSV (optional)</label>
+                <Input type="file" onChange={handleManifestChange} accept=".csv,text/csv" />
+                <p className="mt-1 text-xs text-gray-500">
+                  Columns: file, title, description, price. Rows set the minting order; only listed files are minted.
+                </p>
+              </div>
+            </div>
+          )}
+
+          {!isEdition && items.length > 0 && (
+            <div className="space-y-2">
+              <p className="text-sm font-medium">
+                {items.length} works{items.length > limits.maxBatchSize && ` (the limit is ${limits.maxBatchSize})`}
+              </p>
+              {items.map((item, index) => (
+                <div key={`${item.file.name}-${index}`} className="flex items-center space-x-2">
+                  <span className="w-40 truncate text-xs text-gray-500" title={item.file.name}>
+                    {item.file.name}
+                  </span>
+                  <Input
+                    type="text"
+                    value={item.title}
+                    onChange={(e) => updateItem(index, 'title', e.target.value)}
+                    placeholder="Title"
+                    required
+                  />
+                  <Input
+                    type="number"
+                    value={item.price}
+                    onChange={(e) => updateItem(index, 'price', e.target.value)}
+                    placeholder={formData.price || 'Price'}
+                    step="0.001"
+                    min="0"
+                    className="w-32"
+                  />
+                </div>
+              ))}
+            </div>
+          )}
+
+          <RoyaltyField
+            value={formData.royalty}
+            onChange={setField('royalty')}
+            maxBasisPoints={limits.maxBasisPoints}
+            platformFee={limits.platformFee}
+            listingPrice={formData.price}
+          />
+
+          <GallerySelect
+            galleries={galleries}
+            value={formData.galleryId}
+            onChange={setField('galleryId')}
+            newGallery={newGallery}
+            onNewGalleryChange={setNewGallery}
+          />
+
+          <MetadataFields
+            fields={metadataFields}
+            onChange={setMetadataFields}
+            showEdition={false}
+          />
+
+          {uploads.length > 0 && <UploadProgress uploads={uploads} />}
+          {transactions.length > 0 && <TransactionStatus transactions={transactions} />}
+
+          {error && (
+            <Alert variant="destructive">
+              <AlertDescription>{error}</AlertDescription>
+            </Alert>
+          )}
+
+          <Button type="submit" disabled={loading || items.length === 0} className="w-full">
+            {loading ? 'Creating...' : failed ? 'Retry' : isEdition ? 'Create Edition' : 'Create Series'}
+          </Button>
+        </form>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default BulkCreate;
@@ -0,0 +1,70 @@
+import React from 'react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+
+const CollaboratorsField = ({ collaborators, onChange }) => {
+  const totalShare = collaborators.reduce((sum, collaborator) => sum + Number(collaborator.share || 0), 0);
+
+  const updateCollaborator = (index, field, value) => {
+    onChange(collaborators.map((collaborator, i) => (
+      i === index ? { ...collaborator, [field]: value } : collaborator
+    )));
+  };
+
+  const addCollaborator = () => {
+    onChange([...collaborators, { address: '', share: '' }]);
+  };
+
+  const removeCollaborator = (index) => {
+    onChange(collaborators.filter((_, i) => i !== index));
+  };
+
+  return (
+    <div className="space-y-2">
+      <label className="block text-sm font-medium">Collaborators</label>
+      <p className="text-xs text-gray-500">
+        Leave empty for a solo work. Otherwise include yourself and split 100% between everyone;
+        sale proceeds and royalties are divided by these shares.
+      </p>
+
+      {collaborators.map((collaborator, index) => (
+        <div key={index} className="flex space-x-2">
+          <Input
+            type="text"
+            value={collaborator.address}
+            onChange={(e) => updateCollaborator(index, 'address', e.target.value)}
+            placeholder="0x..."
+            required
+          />
+          <Input
+            type="number"
+            value={collaborator.share}
+            onChange={(e) => updateCollaborator(index, 'share', e.target.value)}
+            placeholder="Share %"
+            required
+            step="0.01"
+            min="0.01"
+            max="100"
+            className="w-32"
+          />
+          <Button type="button" variant="outline" onClick={() => removeCollaborator(index)}>
+            Remove
+          </Button>
+        </div>
+      ))}
+
+      <div className="flex items-center justify-between">
+        <Button type="button" variant="outline" onClick={addCollaborator}>
+          Add Collaborator
+        </Button>
+        {collaborators.length > 0 && (
+          <span className={`text-sm ${totalShare === 100 ? 'text-green-600' : 'text-red-600'}`}>
+            Total: {totalShare}%
+          </span>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default CollaboratorsField;
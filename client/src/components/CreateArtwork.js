@@ -1,54 +1,91 @@
-import React, { useState, useEffect } from 'react';
-import { useNavigate } from 'react-router-dom';
+import React, { useState, useEffect, useRef } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
 import { useWeb3 } from '../contexts/Web3Context';
-import { uploadToIPFS } from '../utils/ipfs';
+import { useTransactions } from '../contexts/TransactionContext';
+import { ACCEPTED_TYPES, formatBytes, prepareFile, uploadWithRetry, validateFile } from '../utils/uploadPipeline';
+import { loadGalleries as fetchGalleries, saveVoucher } from '../utils/dataSource';
+import { createVoucher, signVoucher } from '../utils/vouchers';
+import { buildMetadata } from '../utils/metadataBuilder';
+import CollaboratorsField from './CollaboratorsField';
+import MetadataFields, { EMPTY_METADATA_FIELDS } from './MetadataFields';
+import AttributesField from './AttributesField';
+import RoyaltyField from './RoyaltyField';
+import GallerySelect, { EMPTY_NEW_GALLERY, NEW_GALLERY } from './GallerySelect';
+import UploadProgress from './UploadProgress';
+import TransactionStatus from './TransactionStatus';
+import WizardSteps from './WizardSteps';
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
 import { Button } from '@/components/ui/button';
 import { Input } from '@/components/ui/input';
-import { Select } from '@/components/ui/select';
 import { Alert, AlertDescription } from '@/components/ui/alert';
 
+const STEPS = ['Artwork', 'Listing', 'Mint'];
+
 const CreateArtwork = () => {
   const navigate = useNavigate();
   const { web3, contract, account } = useWeb3();
+  const { sendTransaction } = useTransactions();
+  const [step, setStep] = useState(0);
   const [galleries, setGalleries] = useState([]);
+  const [royaltyLimits, setRoyaltyLimits] = useState({ maxBasisPoints: 5000, platformFee: 25 });
   const [formData, setFormData] = useState({
     title: '',
     description: '',
     price: '',
+    royalty: '10',
     galleryId: '',
-    file: null
+    lazy: false,
+    expiresAt: ''
   });
+  const [newGallery, setNewGallery] = useState(EMPTY_NEW_GALLERY);
+  const [collaborators, setCollaborators] = useState([]);
+  const [metadataFields, setMetadataFields] = useState(EMPTY_METADATA_FIELDS);
+  const [attributes, setAttributes] = useState([]);
+  const [prepared, setPrepared] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [preparing, setPreparing] = useState(false);
+  const [uploads, setUploads] = useState([]);
+  const [transactions, setTransactions] = useState([]);
+  // CIDs of finished uploads, keyed by content, so a retry only re-sends what failed
+  const completedUploads = useRef({});
+  // ID of a gallery created by an earlier attempt, so a retried mint does not create it twice
+  const createdGallery = useRef(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
 
   useEffect(() => {
-    loadGalleries();
+    if (contract) {
+      loadGalleries();
+      loadRoyaltyLimits();
+    }
   }, [contract]);
 
+  useEffect(() => () => {
+    if (preview) {
+      URL.revokeObjectURL(preview);
+    }
+  }, [preview]);
+
   const loadGalleries = async () => {
     try {
-      const galleryEvents = await contract.getPastEvents('GalleryCreated', {
-        fromBlock: 0,
-        toBlock: 'latest'
-      });
-
-      const loadedGalleries = await Promise.all(
-        galleryEvents.map(async (event) => {
-          const gallery = await contract.methods.galleries(event.returnValues.galleryId).call();
-          return {
-            id: event.returnValues.galleryId,
-            name: gallery.name
-          };
-        })
-      );
-
-      setGalleries(loadedGalleries);
+      setGalleries(await fetchGalleries(contract));
     } catch (error) {
       console.error('Error loading galleries:', error);
     }
   };
 
+  const loadRoyaltyLimits = async () => {
+    try {
+      const [maxBasisPoints, platformFee] = await Promise.all([
+        contract.methods.maxRoyaltyBasisPoints().call(),
+        contract.methods.platformFee().call()
+      ]);
+      setRoyaltyLimits({ maxBasisPoints: Number(maxBasisPoints), platformFee: Number(platformFee) });
+    } catch (error) {
+      console.error('Error loading royalty limits:', error);
+    }
+  };
+
   const handleInputChange = (e) => {
     const { name, value } = e.target;
     setFormData(prev => ({
@@ -57,49 +94,242 @@ const CreateArtwork = () => {
     }));
   };
 
-  const handleFileChange = (e) => {
-    if (e.target.files[0]) {
-      setFormData(prev => ({
-        ...prev,
-        file: e.target.files[0]
-      }));
+  const setField = (name) => (value) => {
+    setFormData(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    setPrepared(null);
+    setPreview(null);
+    setUploads([]);
+    setError('');
+    if (!file) return;
+
+    setPreparing(true);
+    try {
+      validateFile(file);
+      setPreview(URL.createObjectURL(file));
+      setPrepared(await prepareFile(file));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setPreparing(false);
+    }
+  };
+
+  const updateUpload = (key, changes) => {
+    setUploads(prev => prev.map((upload) => (upload.key === key ? { ...upload, ...changes } : upload)));
+  };
+
+  const runUpload = async (key, fingerprint, data) => {
+    const cacheKey = `${key}:${fingerprint}`;
+    if (completedUploads.current[cacheKey]) {
+      updateUpload(key, { status: 'done', progress: 1 });
+      return completedUploads.current[cacheKey];
+    }
+
+    updateUpload(key, { status: 'uploading', progress: 0 });
+    try {
+      const cid = await uploadWithRetry(data, {
+        onProgress: (progress) => updateUpload(key, { progress }),
+        onRetry: (attempt) => updateUpload(key, { status: 'retrying', attempt, progress: 0 })
+      });
+      completedUploads.current[cacheKey] = cid;
+      updateUpload(key, { status: 'done', progress: 1 });
+      return cid;
+    } catch (err) {
+      updateUpload(key, { status: 'failed' });
+      throw err;
+    }
+  };
+
+  const updateTransaction = (key, changes) => {
+    setTransactions(prev => prev.map((transaction) => (
+      transaction.key === key ? { ...transaction, ...changes } : transaction
+    )));
+  };
+
+  const runTransaction = async (key, method, label) => {
+    updateTransaction(key, { status: 'signing', hash: null });
+    try {
+      const receipt = await sendTransaction(method, {
+        label,
+        onHash: (hash) => updateTransaction(key, { status: 'confirming', hash })
+      });
+      updateTransaction(key, { status: 'done' });
+      return receipt;
+    } catch (err) {
+      updateTransaction(key, { status: 'failed' });
+      throw err;
+    }
+  };
+
+  const validateCollaborators = () => {
+    const seen = new Set();
+    let totalShares = 0;
+
+    collaborators.forEach(({ address, share }) => {
+      if (!web3.utils.isAddress(address)) {
+        throw new Error(`Invalid collaborator address: ${address}`);
+      }
+      if (seen.has(address.toLowerCase())) {
+        throw new Error(`Duplicate collaborator: ${address}`);
+      }
+      if (!(Number(share) > 0)) {
+        throw new Error('Each collaborator needs a share greater than 0');
+      }
+      seen.add(address.toLowerCase());
+      totalShares += Math.round(Number(share) * 100);
+    });
+
+    if (totalShares !== 10000) {
+      throw new Error('Collaborator shares must add up to 100%');
+    }
+  };
+
+  const describeArtwork = (image, properties) => buildMetadata({
+    name: formData.title,
+    description: formData.description,
+    image,
+    attributes,
+    ...metadataFields,
+    properties
+  });
+
+  const creatingGallery = formData.galleryId === NEW_GALLERY;
+  const royaltyBasisPoints = Math.round(Number(formData.royalty) * 100);
+
+  const validateArtworkStep = () => {
+    if (!prepared) {
+      throw new Error('Please select an image file');
+    }
+    // Catch metadata mistakes before spending time on uploads; the image URI is filled in later
+    describeArtwork('ipfs://');
+  };
+
+  const validateListingStep = () => {
+    if (!(Number(formData.price) > 0)) {
+      throw new Error('Price must be greater than 0');
+    }
+    if (!(royaltyBasisPoints >= 0) || royaltyBasisPoints > royaltyLimits.maxBasisPoints) {
+      throw new Error(`Royalty must be between 0% and ${royaltyLimits.maxBasisPoints / 100}%`);
+    }
+    if (creatingGallery && newGallery.galleryId !== createdGallery.current
+      && galleries.some((gallery) => gallery.id === newGallery.galleryId)) {
+      throw new Error(`A gallery with the ID ${newGallery.galleryId} already exists`);
+    }
+    if (formData.lazy && collaborators.length > 0) {
+      throw new Error('Collaborative works cannot be lazy minted');
+    }
+    if (formData.lazy && formData.expiresAt && new Date(formData.expiresAt) <= new Date()) {
+      throw new Error('The listing must end in the future');
+    }
+    if (collaborators.length > 0) {
+      validateCollaborators();
     }
   };
 
-  const handleSubmit = async (e) => {
+  const handleNext = (e) => {
     e.preventDefault();
-    setLoading(true);
     setError('');
 
     try {
-      if (!formData.file) {
-        throw new Error('Please select an image file');
+      if (step === 0) {
+        validateArtworkStep();
+      } else {
+        validateListingStep();
       }
+      setStep(step + 1);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleBack = () => {
+    setError('');
+    setStep(step - 1);
+  };
 
-      const imageHash = await uploadToIPFS(formData.file);
-      
-      const metadata = {
-        name: formData.title,
-        description: formData.description,
-        image: `ipfs://${imageHash}`,
-      };
+  const handleMint = async () => {
+    setLoading(true);
+    setError('');
+
+    const galleryId = creatingGallery ? newGallery.galleryId : formData.galleryId;
+    const needsGallery = creatingGallery && createdGallery.current !== galleryId;
+
+    setUploads([
+      { key: 'image', label: `Artwork (${formatBytes(prepared.file.size)})`, status: 'pending', progress: 0 },
+      { key: 'thumbnail', label: 'Thumbnail', status: 'pending', progress: 0 },
+      { key: 'metadata', label: 'Metadata', status: 'pending', progress: 0 }
+    ]);
+    const galleryLabel = `Create gallery "${newGallery.name}"`;
+    setTransactions([
+      ...(creatingGallery
+        ? [{ key: 'gallery', label: galleryLabel, status: needsGallery ? 'pending' : 'done' }]
+        : []),
+      formData.lazy
+        ? { key: 'voucher', label: 'Sign and list voucher', status: 'pending' }
+        : { key: 'mint', label: 'Mint artwork', status: 'pending' }
+    ]);
+
+    try {
+      const imageHash = await runUpload('image', prepared.contentHash, prepared.file);
+      const thumbnailHash = await runUpload('thumbnail', prepared.contentHash, prepared.thumbnail);
+
+      const metadata = describeArtwork(`ipfs://${imageHash}`, {
+        thumbnail: `ipfs://${thumbnailHash}`,
+        mime_type: prepared.file.type,
+        size: prepared.file.size,
+        width: prepared.dimensions.width,
+        height: prepared.dimensions.height,
+        content_hash: `sha256:${prepared.contentHash}`
+      });
+      const metadataJson = JSON.stringify(metadata);
 
-      const metadataHash = await uploadToIPFS(
-        new Blob([JSON.stringify(metadata)], { type: 'application/json' })
+      const metadataHash = await runUpload(
+        'metadata',
+        metadataJson,
+        new Blob([metadataJson], { type: 'application/json' })
       );
 
+      if (needsGallery) {
+        await runTransaction(
+          'gallery',
+          contract.methods.createGallery(galleryId, newGallery.name, newGallery.description),
+          galleryLabel
+        );
+        createdGallery.current = galleryId;
+      }
+
       const priceInWei = web3.utils.toWei(formData.price, 'ether');
 
-      await contract.methods
-        .createArtwork(
-          formData.title,
-          `ipfs://${metadataHash}`,
-          priceInWei,
-          formData.galleryId
+      if (formData.lazy) {
+        await listVoucher(`ipfs://${metadataHash}`, priceInWei, galleryId);
+        navigate('/vouchers');
+        return;
+      }
+
+      const mintArgs = [
+        formData.title,
+        `ipfs://${metadataHash}`,
+        priceInWei,
+        galleryId,
+        royaltyBasisPoints
+      ];
+
+      const mint = collaborators.length > 0
+        ? contract.methods.createCollaborativeArtwork(
+          ...mintArgs,
+          collaborators.map(({ address }) => address),
+          // Shares are stored on-chain in basis points
+          collaborators.map(({ share }) => Math.round(Number(share) * 100))
         )
-        .send({ from: account });
+        : contract.methods.createArtwork(...mintArgs);
+
+      const receipt = await runTransaction('mint', mint, `Mint "${formData.title}"`);
 
-      navigate('/');
+      navigate(`/artwork/${receipt.events.ArtworkCreated.returnValues.tokenId}`);
     } catch (err) {
       setError(err.message);
     } finally {
@@ -107,93 +337,236 @@ const CreateArtwork = () => {
     }
   };
 
+  // Signs a voucher instead of minting, leaving the gas to whoever buys the work
+  const listVoucher = async (tokenURI, price, galleryId) => {
+    const voucher = createVoucher(web3, {
+      artist: account,
+      title: formData.title,
+      tokenURI,
+      price,
+      galleryId,
+      royaltyBasisPoints,
+      expiresAt: formData.expiresAt ? Math.floor(new Date(formData.expiresAt).getTime() / 1000) : 0
+    });
+
+    updateTransaction('voucher', { status: 'signing' });
+    try {
+      const signature = await signVoucher(web3, contract, voucher);
+      updateTransaction('voucher', { status: 'confirming' });
+      await saveVoucher(contract, voucher, signature);
+      updateTransaction('voucher', { status: 'done' });
+    } catch (err) {
+      updateTransaction('voucher', { status: 'failed' });
+      throw err;
+    }
+  };
+
+  const failed = uploads.some((upload) => upload.status === 'failed')
+    || transactions.some((transaction) => transaction.status === 'failed');
+
+  if (!account) {
+    return <div>Connect your wallet to mint artwork.</div>;
+  }
+
   return (
     <Card className="max-w-2xl mx-auto">
-      <CardHeader>
-        <CardTitle>Create New Artwork</CardTitle>
+      <CardHeader className="space-y-4">
+        <div className="flex items-center justify-between">
+          <CardTitle>Create New Artwork</CardTitle>
+          <Link to="/create-series" className="text-sm text-blue-600 hover:underline">
+            Minting a series or edition?
+          </Link>
+        </div>
+        <WizardSteps steps={STEPS} current={step} />
       </CardHeader>
       <CardContent>
-        <form onSubmit={handleSubmit} className="space-y-4">
-          <div>
-            <label className="block text-sm font-medium mb-1">Title</label>
-            <Input
-              type="text"
-              name="title"
-              value={formData.title}
-              onChange={handleInputChange}
-              required
+        {step === 0 && (
+          <form onSubmit={handleNext} className="space-y-4">
+            <div>
+              <label className="block text-sm font-medium mb-1">Title</label>
+              <Input
+                type="text"
+                name="title"
+                value={formData.title}
+                onChange={handleInputChange}
+                required
+              />
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium mb-1">Description</label>
+              <textarea
+                name="description"
+                value={formData.description}
+                onChange={handleInputChange}
+                required
+                className="w-full p-2 border rounded-md"
+                rows="4"
+              />
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium mb-1">Artwork File</label>
+              <Input
+                type="file"
+                onChange={handleFileChange}
+                accept={ACCEPTED_TYPES.join(',')}
+                required={!prepared}
+              />
+              {preview && (
+                <div className="mt-2 space-y-1">
+                  <img src={preview} alt="Preview" className="max-h-64 rounded-lg" />
+                  {prepared && (
+                    <p className="text-xs text-gray-500">
+                      {prepared.file.name}: {prepared.dimensions.width} &times; {prepared.dimensions.height} px,{' '}
+                      {formatBytes(prepared.file.size)}
+                    </p>
+                  )}
+                </div>
+              )}
+            </div>
+
+            <MetadataFields
+              fields={metadataFields}
+              onChange={setMetadataFields}
             />
-          </div>
 
-          <div>
-            <label className="block text-sm font-medium mb-1">Description</label>
-            <textarea
-              name="description"
-              value={formData.description}
-              onChange={handleInputChange}
-              required
-              className="w-full p-2 border rounded-md"
-              rows="4"
+            <AttributesField
+              attributes={attributes}
+              onChange={setAttributes}
             />
-          </div>
 
-          <div>
-            <label className="block text-sm font-medium mb-1">Price (ETH)</label>
-            <Input
-              type="number"
-              name="price"
-              value={formData.price}
-              onChange={handleInputChange}
-              required
-              step="0.001"
-              min="0"
+            {error && (
+              <Alert variant="destructive">
+                <AlertDescription>{error}</AlertDescription>
+              </Alert>
+            )}
+
+            <Button type="submit" disabled={preparing} className="w-full">
+              {preparing ? 'Preparing file...' : 'Next'}
+            </Button>
+          </form>
+        )}
+
+        {step === 1 && (
+          <form onSubmit={handleNext} className="space-y-4">
+            <div>
+              <label className="block text-sm font-medium mb-1">Price (ETH)</label>
+              <Input
+                type="number"
+                name="price"
+                value={formData.price}
+                onChange={handleInputChange}
+                required
+                step="0.001"
+                min="0"
+              />
+            </div>
+
+            <RoyaltyField
+              value={formData.royalty}
+              onChange={setField('royalty')}
+              maxBasisPoints={royaltyLimits.maxBasisPoints}
+              platformFee={royaltyLimits.platformFee}
+              listingPrice={formData.price}
             />
-          </div>
 
-          <div>
-            <label className="block text-sm font-medium mb-1">Gallery</label>
-            <Select
-              name="galleryId"
+            <GallerySelect
+              galleries={galleries}
               value={formData.galleryId}
-              onChange={handleInputChange}
-              required
-            >
-              <option value="">Select a gallery</option>
-              {galleries.map(gallery => (
-                <option key={gallery.id} value={gallery.id}>
-                  {gallery.name}
-                </option>
-              ))}
-            </Select>
-          </div>
+              onChange={setField('galleryId')}
+              newGallery={newGallery}
+              onNewGalleryChange={setNewGallery}
+            />
 
-          <div>
-            <label className="block text-sm font-medium mb-1">Artwork File</label>
-            <Input
-              type="file"
-              onChange={handleFileChange}
-              accept="image/*"
-              required
+            <CollaboratorsField
+              collaborators={collaborators}
+              onChange={setCollaborators}
             />
-          </div>
 
-          {error && (
-            <Alert variant="destructive">
-              <AlertDescription>{error}</AlertDescription>
-            </Alert>
-          )}
-
-          <Button
-            type="submit"
-            disabled={loading}
-            className="w-full"
-          >
-            {loading ? 'Creating...' : 'Create Artwork'}
-          </Button>
-        </form>
+            <div className="space-y-2">
+              <label className="flex items-center space-x-2 text-sm font-medium">
+                <input
+                  type="checkbox"
+                  checked={formData.lazy}
+                  onChange={(e) => setField('lazy')(e.target.checked)}
+                />
+                <span>Lazy mint</span>
+              </label>
+              <p className="text-xs text-gray-500">
+                Sign a voucher instead of minting now. The work is minted when someone buys it, and the
+                buyer pays the gas.
+              </p>
+              {formData.lazy && (
+                <div>
+                  <label className="block text-sm font-medium mb-1">Listing Ends (optional)</label>
+                  <Input
+                    type="datetime-local"
+                    name="expiresAt"
+                    value={formData.expiresAt}
+                    onChange={handleInputChange}
+                  />
+                </div>
+              )}
+            </div>
+
+            {error && (
+              <Alert variant="destructive">
+                <AlertDescription>{error}</AlertDescription>
+              </Alert>
+            )}
+
+            <div className="flex space-x-2">
+              <Button type="button" variant="outline" onClick={handleBack} className="w-full">
+                Back
+              </Button>
+              <Button type="submit" className="w-full">
+                Next
+              </Button>
+            </div>
+          </form>
+        )}
+
+        {step === 2 && (
+          <div className="space-y-4">
+            <div className="flex space-x-4">
+              {preview && <img src={preview} alt="Preview" className="h-32 w-32 object-cover rounded-lg" />}
+              <div className="space-y-1 text-sm text-gray-600">
+                <p className="text-base font-medium text-gray-900">{formData.title}</p>
+                <p>Price: {formData.price} ETH</p>
+                <p>Royalty: {formData.royalty}%</p>
+                <p>
+                  Gallery: {creatingGallery
+                    ? `${newGallery.name} (new)`
+                    : (galleries.find((gallery) => gallery.id === formData.galleryId) || {}).name}
+                </p>
+                {collaborators.length > 0 && <p>Collaborators: {collaborators.length}</p>}
+                {formData.lazy && <p>Lazy minted: the buyer mints and pays the gas</p>}
+              </div>
+            </div>
+
+            {uploads.length > 0 && <UploadProgress uploads={uploads} />}
+            {transactions.length > 0 && <TransactionStatus transactions={transactions} />}
+
+            {error && (
+              <Alert variant="destructive">
+                <AlertDescription>{error}</AlertDescription>
+              </Alert>
+            )}
+
+            <div className="flex space-x-2">
+              <Button type="button" variant="outline" onClick={handleBack} disabled={loading} className="w-full">
+                Back
+              </Button>
+              <Button type="button" onClick={handleMint} disabled={loading} className="w-full">
+                {loading ? 'Creating...' : failed ? 'Retry' : formData.lazy ? 'Sign Voucher' : 'Create Artwork'}
+              </Button>
+            </div>
+          </div>
+        )}
       </CardContent>
     </Card>
   );
 };
 
-export default CreateArtwork;
\ No newline at end of file
+export default CreateArtwork;
@@ -0,0 +1,380 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import { useWeb3 } from '../contexts/Web3Context';
+import { useTransactions } from '../contexts/TransactionContext';
+import SubmissionReview from './SubmissionReview';
+import ProfileLink from './ProfileLink';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+
+const CreateGallery = () => {
+  const { id } = useParams();
+
+  return id ? <GallerySettings galleryId={id} /> : <NewGalleryForm />;
+};
+
+const NewGalleryForm = () => {
+  const navigate = useNavigate();
+  const { contract, account } = useWeb3();
+  const { sendTransaction } = useTransactions();
+  const [formData, setFormData] = useState({
+    galleryId: '',
+    name: '',
+    description: ''
+  });
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: value
+    }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+
+    try {
+      await sendTransaction(
+        contract.methods.createGallery(formData.galleryId, formData.name, formData.description),
+        { label: `Create gallery "${formData.name}"` }
+      );
+
+      navigate(`/gallery/${encodeURIComponent(formData.galleryId)}/settings`);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (!account) {
+    return <div>Connect your wallet to create a gallery.</div>;
+  }
+
+  return (
+    <Card className="max-w-2xl mx-auto">
+      <CardHeader>
+        <CardTitle>Create New Gallery</CardTitle>
+      </CardHeader>
+      <CardContent>
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div>
+            <label className="block text-sm font-medium mb-1">Gallery ID</label>
+            <Input
+              type="text"
+              name="galleryId"
+              value={formData.galleryId}
+              onChange={handleInputChange}
+              placeholder="my-gallery"
+              required
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium mb-1">Name</label>
+            <Input
+              type="text"
+              name="name"
+              value={formData.name}
+              onChange={handleInputChange}
+              required
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium mb-1">Description</label>
+            <textarea
+              name="description"
+              value={formData.description}
+              onChange={handleInputChange}
+              className="w-full p-2 border rounded-md"
+              rows="4"
+            />
+          </div>
+
+          {error && (
+            <Alert variant="destructive">
+              <AlertDescription>{error}</AlertDescription>
+            </Alert>
+          )}
+
+          <Button type="submit" disabled={loading} className="w-full">
+            {loading ? 'Creating...' : 'Create Gallery'}
+          </Button>
+        </form>
+      </CardContent>
+    </Card>
+  );
+};
+
+const GALLERY_ACTION_LABELS = {
+  updateGallery: 'Update gallery',
+  addCoCurator: 'Add co-curator',
+  removeCoCurator: 'Remove co-curator',
+  transferCuratorship: 'Transfer curatorship',
+  setGalleryCurated: 'Change submission policy'
+};
+
+const GallerySettings = ({ galleryId }) => {
+  const { web3, contract, account } = useWeb3();
+  const { sendTransaction } = useTransactions();
+  const [gallery, setGallery] = useState(null);
+  const [canReview, setCanReview] = useState(false);
+  const [details, setDetails] = useState({ name: '', description: '' });
+  const [coCurators, setCoCurators] = useState([]);
+  const [newCoCurator, setNewCoCurator] = useState('');
+  const [newCurator, setNewCurator] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (contract) {
+      loadGallery();
+    }
+  }, [contract, galleryId, account]);
+
+  const loadGallery = async () => {
+    try {
+      const galleryData = await contract.methods.galleries(galleryId).call();
+
+      // The gallery ID is an indexed string, so logs only carry its hash and
+      // web3's `filter` option cannot match it; filter on the raw topics instead.
+      const addedEvents = await contract.getPastEvents('CoCuratorAdded', {
+        topics: [
+          web3.utils.sha3('CoCuratorAdded(string,address)'),
+          web3.utils.sha3(galleryId)
+        ],
+        fromBlock: 0,
+        toBlock: 'latest'
+      });
+
+      const candidates = [...new Set(addedEvents.map((event) => event.returnValues.account))];
+      const active = await Promise.all(
+        candidates.map((address) => contract.methods.coCurators(galleryId, address).call())
+      );
+
+      setGallery(galleryData);
+      setCanReview(account ? await contract.methods.isGalleryCurator(galleryId, account).call() : false);
+      setDetails({ name: galleryData.name, description: galleryData.description });
+      setCoCurators(candidates.filter((_, i) => active[i]));
+    } catch (err) {
+      console.error('Error loading gallery:', err);
+      setError(err.message);
+    }
+  };
+
+  const runGalleryAction = async (method, ...args) => {
+    setLoading(true);
+    setError('');
+
+    try {
+      await sendTransaction(contract.methods[method](galleryId, ...args), {
+        label: `${GALLERY_ACTION_LABELS[method]} (${galleryId})`
+      });
+      await loadGallery();
+      return true;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleDetailsChange = (e) => {
+    const { name, value } = e.target;
+    setDetails(prev => ({
+      ...prev,
+      [name]: value
+    }));
+  };
+
+  const handleUpdate = (e) => {
+    e.preventDefault();
+    runGalleryAction('updateGallery', details.name, details.description);
+  };
+
+  const handleAddCoCurator = async (e) => {
+    e.preventDefault();
+    if (await runGalleryAction('addCoCurator', newCoCurator)) {
+      setNewCoCurator('');
+    }
+  };
+
+  const handleTransfer = async (e) => {
+    e.preventDefault();
+    if (await runGalleryAction('transferCuratorship', newCurator)) {
+      setNewCurator('');
+    }
+  };
+
+  if (!gallery) {
+    return error ? (
+      <Alert variant="destructive">
+        <AlertDescription>{error}</AlertDescription>
+      </Alert>
+    ) : (
+      <div>Loading gallery...</div>
+    );
+  }
+
+  if (!canReview) {
+    return (
+      <Alert variant="destructive">
+        <AlertDescription>Only the curator can manage this gallery</AlertDescription>
+      </Alert>
+    );
+  }
+
+  // Co-curators may review submissions but not change the gallery itself
+  if (gallery.curator.toLowerCase() !== account.toLowerCase()) {
+    return (
+      <div className="max-w-2xl mx-auto space-y-6">
+        <SubmissionReview galleryId={galleryId} />
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-2xl mx-auto space-y-6">
+      <Card>
+        <CardHeader>
+          <CardTitle>Gallery Settings: {galleryId}</CardTitle>
+        </CardHeader>
+        <CardContent>
+          <form onSubmit={handleUpdate} className="space-y-4">
+            <div>
+              <label className="block text-sm font-medium mb-1">Name</label>
+              <Input
+                type="text"
+                name="name"
+                value={details.name}
+                onChange={handleDetailsChange}
+                required
+              />
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium mb-1">Description</label>
+              <textarea
+                name="description"
+                value={details.description}
+                onChange={handleDetailsChange}
+                className="w-full p-2 border rounded-md"
+                rows="4"
+              />
+            </div>
+
+            <Button type="submit" disabled={loading}>
+              Save Changes
+            </Button>
+          </form>
+        </CardContent>
+      </Card>
+
+      {gallery.curated && <SubmissionReview galleryId={galleryId} />}
+
+      <Card>
+        <CardHeader>
+          <CardTitle>Co-curators</CardTitle>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          {coCurators.length === 0 && (
+            <p className="text-sm text-gray-600">No co-curators yet</p>
+          )}
+          <ul className="space-y-2">
+            {coCurators.map((address) => (
+              <li key={address} className="flex items-center justify-between text-sm">
+                <ProfileLink address={address} className="truncate mr-2" />
+                <Button
+                  onClick={() => runGalleryAction('removeCoCurator', address)}
+                  variant="outline"
+                  disabled={loading}
+                >
+                  Remove
+                </Button>
+              </li>
+            ))}
+          </ul>
+          <form onSubmit={handleAddCoCurator} className="flex space-x-2">
+            <Input
+              type="text"
+              value={newCoCurator}
+              onChange={(e) => setNewCoCurator(e.target.value)}
+              placeholder="0x..."
+              required
+            />
+            <Button type="submit" disabled={loading}>
+              Add
+            </Button>
+          </form>
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardHeader>
+          <CardTitle>Status and Ownership</CardTitle>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          <div className="flex items-center justify-between">
+            <span className="text-sm text-gray-600">
+              {gallery.isActive
+                ? 'This gallery is active and accepting artworks.'
+                : 'This gallery is deactivated and closed to new artworks.'}
+            </span>
+            <Button
+              onClick={() => runGalleryAction(gallery.isActive ? 'deactivateGallery' : 'reactivateGallery')}
+              variant={gallery.isActive ? 'destructive' : 'default'}
+              disabled={loading}
+            >
+              {gallery.isActive ? 'Deactivate' : 'Reactivate'}
+            </Button>
+          </div>
+
+          <div className="flex items-center justify-between">
+            <span className="text-sm text-gray-600">
+              {gallery.curated
+                ? 'Curated: artworks from other artists need approval before they appear.'
+                : 'Open: any artist can add artworks to this gallery.'}
+            </span>
+            <Button
+              onClick={() => runGalleryAction('setGalleryCurated', !gallery.curated)}
+              variant="outline"
+              disabled={loading}
+            >
+              {gallery.curated ? 'Open Gallery' : 'Require Approval'}
+            </Button>
+          </div>
+
+          <form onSubmit={handleTransfer} className="flex space-x-2">
+            <Input
+              type="text"
+              value={newCurator}
+              onChange={(e) => setNewCurator(e.target.value)}
+              placeholder="New curator address"
+              required
+            />
+            <Button type="submit" variant="outline" disabled={loading}>
+              Transfer Curatorship
+            </Button>
+          </form>
+        </CardContent>
+      </Card>
+
+      {error && (
+        <Alert variant="destructive">
+          <AlertDescription>{error}</AlertDescription>
+        </Alert>
+      )}
+    </div>
+  );
+};
+
+export default CreateGallery;
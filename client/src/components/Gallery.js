@@ -1,13 +1,25 @@
 import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
 import { useWeb3 } from '../contexts/Web3Context';
+import useConfirmedArtworks from '../hooks/useConfirmedArtworks';
+import useContractEvents from '../hooks/useContractEvents';
 import ArtworkCard from './ArtworkCard';
+import { loadGalleries as fetchGalleries, loadGalleryArtworks, loadArtworksById } from '../utils/dataSource';
 import { Card } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+
+const PAGE_SIZE = 12;
 
 const Gallery = () => {
   const { contract, account } = useWeb3();
   const [galleries, setGalleries] = useState([]);
   const [selectedGallery, setSelectedGallery] = useState(null);
   const [artworks, setArtworks] = useState([]);
+  const [page, setPage] = useState(0);
+  const [artworkCount, setArtworkCount] = useState(0);
+  const [canCurate, setCanCurate] = useState(false);
+  // Works minted into the selected gallery since the current page was loaded
+  const [newArtworkIds, setNewArtworkIds] = useState([]);
   const [loading, setLoading] = useState(true);
 
   useEffect(() => {
@@ -16,21 +28,8 @@ const Gallery = () => {
 
   const loadGalleries = async () => {
     try {
-      const galleryEvents = await contract.getPastEvents('GalleryCreated', {
-        fromBlock: 0,
-        toBlock: 'latest'
-      });
-
-      const loadedGalleries = await Promise.all(
-        galleryEvents.map(async (event) => {
-          const gallery = await contract.methods.galleries(event.returnValues.galleryId).call();
-          return {
-            id: event.returnValues.galleryId,
-            name: gallery.name,
-            curator: gallery.curator
-          };
-        })
-      );
+      // Deactivated galleries cannot be browsed on chain, so they get no tab
+      const loadedGalleries = (await fetchGalleries(contract)).filter((gallery) => gallery.isActive);
 
       setGalleries(loadedGalleries);
       if (loadedGalleries.length > 0) {
@@ -43,37 +42,110 @@ const Gallery = () => {
     }
   };
 
+  useEffect(() => {
+    setPage(0);
+    setNewArtworkIds([]);
+  }, [selectedGallery]);
+
   useEffect(() => {
     if (selectedGallery) {
-      loadArtworks(selectedGallery);
+      loadArtworks(selectedGallery, page);
     }
-  }, [selectedGallery]);
+  }, [selectedGallery, page, account]);
 
-  const loadArtworks = async (galleryId) => {
+  const loadArtworks = async (galleryId, pageIndex) => {
     try {
-      const artworkIds = await contract.methods.getGalleryArtworks(galleryId).call();
-      
-      const loadedArtworks = await Promise.all(
-        artworkIds.map(async (id) => {
-          const artwork = await contract.methods.artworks(id).call();
-          const uri = await contract.methods.tokenURI(id).call();
-          const rating = await contract.methods.getAverageRating(id).call();
-          
-          return {
-            id,
-            title: artwork.title,
-            artist: artwork.artist,
-            price: artwork.price,
-            forSale: artwork.forSale,
-            rating,
-            uri
-          };
-        })
+      const { total, artworks: loadedArtworks } = await loadGalleryArtworks(
+        contract,
+        galleryId,
+        pageIndex * PAGE_SIZE,
+        PAGE_SIZE
       );
 
+      setArtworkCount(total);
       setArtworks(loadedArtworks);
+      setNewArtworkIds([]);
+      setCanCurate(account ? await contract.methods.isGalleryCurator(galleryId, account).call() : false);
     } catch (error) {
       console.error('Error loading artworks:', error);
+      setArtworks([]);
+      setArtworkCount(0);
+      setCanCurate(false);
+    }
+  };
+
+  const patchArtwork = (tokenId, changes) => {
+    setArtworks(prev => prev.map((artwork) => (
+      artwork.id === tokenId ? { ...artwork, ...changes } : artwork
+    )));
+  };
+
+  const refreshArtworks = async (tokenIds) => {
+    const shown = tokenIds.filter((tokenId) => artworks.some((artwork) => artwork.id === tokenId));
+    if (shown.length === 0) return;
+
+    try {
+      const refreshed = await loadArtworksById(contract, shown);
+      setArtworks(prev => prev
+        .map((artwork) => refreshed.find((updated) => updated.id === artwork.id) || artwork)
+        .filter((artwork) => artwork.galleryId === selectedGallery));
+    } catch (error) {
+      console.error('Error refreshing artworks:', error);
+    }
+  };
+
+  useConfirmedArtworks(refreshArtworks);
+
+  useContractEvents(['ArtworkSold', 'ArtworkListed', 'ArtworkDelisted', 'PriceUpdated'], ({ event, returnValues }) => {
+    if (event === 'ArtworkSold') {
+      patchArtwork(returnValues.tokenId, { owner: returnValues.to, forSale: false });
+    } else if (event === 'ArtworkListed') {
+      patchArtwork(returnValues.tokenId, { forSale: true, price: returnValues.price });
+    } else if (event === 'ArtworkDelisted') {
+      patchArtwork(returnValues.tokenId, { forSale: false });
+    } else {
+      patchArtwork(returnValues.tokenId, { price: returnValues.newPrice });
+    }
+  });
+
+  // The average rating is only known on chain
+  useContractEvents('ReviewAdded', ({ returnValues }) => {
+    refreshArtworks([returnValues.tokenId]);
+  });
+
+  // The event does not name the gallery, so look the new work up before announcing it
+  useContractEvents('ArtworkCreated', async ({ returnValues }) => {
+    try {
+      const [artwork] = await loadArtworksById(contract, [returnValues.tokenId]);
+      if (artwork.galleryId === selectedGallery) {
+        setNewArtworkIds(prev => (prev.includes(artwork.id) ? prev : [...prev, artwork.id]));
+      }
+    } catch (error) {
+      console.error('Error loading new artwork:', error);
+    }
+  });
+
+  useContractEvents('GalleryCreated', async ({ returnValues }) => {
+    try {
+      const gallery = await contract.methods.galleries(returnValues.galleryId).call();
+      // Polling can deliver the event after the gallery has already been deactivated
+      if (!gallery.isActive) return;
+      setGalleries(prev => (prev.some(({ id }) => id === returnValues.galleryId)
+        ? prev
+        : [...prev, { id: returnValues.galleryId, name: gallery.name, curator: gallery.curator, isActive: true }]));
+      setSelectedGallery(prev => prev || returnValues.galleryId);
+    } catch (error) {
+      console.error('Error loading new gallery:', error);
+    }
+  });
+
+  // New works are appended to the gallery, so they land on its last page
+  const showNewArtworks = () => {
+    const lastPage = Math.floor((artworkCount + newArtworkIds.length - 1) / PAGE_SIZE);
+    if (lastPage === page) {
+      loadArtworks(selectedGallery, page);
+    } else {
+      setPage(lastPage);
     }
   };
 
@@ -81,6 +153,8 @@ const Gallery = () => {
     return <div>Loading galleries...</div>;
   }
 
+  const currentGallery = galleries.find((gallery) => gallery.id === selectedGallery);
+
   return (
     <div className="space-y-6">
       <div className="flex space-x-4 overflow-x-auto p-4">
@@ -99,85 +173,59 @@ const Gallery = () => {
         ))}
       </div>
 
+      {currentGallery && account && currentGallery.curator.toLowerCase() === account.toLowerCase() && (
+        <div className="flex justify-end px-4">
+          <Link
+            to={`/gallery/${encodeURIComponent(currentGallery.id)}/settings`}
+            className="text-sm text-blue-500 hover:underline"
+          >
+            Manage gallery
+          </Link>
+        </div>
+      )}
+
+      {newArtworkIds.length > 0 && (
+        <div className="flex justify-center">
+          <Button onClick={showNewArtworks} variant="outline">
+            {newArtworkIds.length === 1 ? '1 new artwork' : `${newArtworkIds.length} new artworks`} - show
+          </Button>
+        </div>
+      )}
+
       <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
         {artworks.map((artwork) => (
-          <ArtworkCard key={artwork.id} artwork={artwork} />
+          <ArtworkCard
+            key={artwork.id}
+            artwork={artwork}
+            onUpdate={() => loadArtworks(selectedGallery, page)}
+            canCurate={canCurate}
+          />
         ))}
       </div>
-    </div>
-  );
-};
-
-import React from 'react';
-import { useNavigate } from 'react-router-dom';
-import { useWeb3 } from '../contexts/Web3Context';
-import { Card, CardContent, CardFooter, CardHeader, CardTitle } from '@/components/ui/card';
-import { Button } from '@/components/ui/button';
 
-const ArtworkCard = ({ artwork }) => {
-  const navigate = useNavigate();
-  const { web3, contract, account } = useWeb3();
-
-  const handlePurchase = async () => {
-    try {
-      await contract.methods.purchaseArtwork(artwork.id).send({
-        from: account,
-        value: artwork.price
-      });
-      window.location.reload();
-    } catch (error) {
-      console.error('Error purchasing artwork:', error);
-    }
-  };
-
-  return (
-    <Card className="overflow-hidden">
-      <CardHeader>
-        <CardTitle>{artwork.title}</CardTitle>
-      </CardHeader>
-      <CardContent>
-        <img
-          src={artwork.uri}
-          alt={artwork.title}
-          className="w-full h-48 object-cover rounded-lg"
-        />
-        <div className="mt-4 space-y-2">
-          <p className="text-sm text-gray-600">Artist: {artwork.artist}</p>
-          <p className="text-sm text-gray-600">
-            Price: {web3.utils.fromWei(artwork.price, 'ether')} ETH
-          </p>
-          <div className="flex items-center">
-            <span className="text-sm text-gray-600">Rating: </span>
-            <div className="ml-2 flex">
-              {[1, 2, 3, 4, 5].map((star) => (
-                <span
-                  key={star}
-                  className={`text-xl ${
-                    star <= artwork.rating ? 'text-yellow-500' : 'text-gray-300'
-                  }`}
-                >
-                  ★
-                </span>
-              ))}
-            </div>
-          </div>
-        </div>
-      </CardContent>
-      <CardFooter className="space-x-2">
-        <Button
-          onClick={() => navigate(`/artwork/${artwork.id}`)}
-          variant="outline"
-        >
-          View Details
-        </Button>
-        {artwork.forSale && artwork.artist !== account && (
-          <Button onClick={handlePurchase} variant="default">
-            Purchase
+      {artworkCount > PAGE_SIZE && (
+        <div className="flex items-center justify-center space-x-4">
+          <Button
+            onClick={() => setPage(page - 1)}
+            variant="outline"
+            disabled={page === 0}
+          >
+            Previous
+          </Button>
+          <span className="text-sm text-gray-600">
+            Page {page + 1} of {Math.ceil(artworkCount / PAGE_SIZE)}
+          </span>
+          <Button
+            onClick={() => setPage(page + 1)}
+            variant="outline"
+            disabled={(page + 1) * PAGE_SIZE >= artworkCount}
+          >
+            Next
           </Button>
-        )}
-      </CardFooter>
-    </Card>
+        </div>
+      )}
+    </div>
   );
 };
 
-export default ArtworkCard;
\ No newline at end of file
+export default Gallery;
@@ -0,0 +1,86 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useWeb3 } from '../contexts/Web3Context';
+import { useTransactions } from '../contexts/TransactionContext';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+
+const GalleryPlacement = ({ artwork, onUpdate }) => {
+  const { contract, account } = useWeb3();
+  const { sendTransaction } = useTransactions();
+  const [targetGallery, setTargetGallery] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  if (!account || !artwork.owner || artwork.owner.toLowerCase() !== account.toLowerCase()) {
+    return null;
+  }
+
+  const runPlacementAction = async (method, ...args) => {
+    setLoading(true);
+    setError('');
+
+    try {
+      await sendTransaction(contract.methods[method](artwork.id, ...args), {
+        label: method === 'moveToGallery'
+          ? `Move "${artwork.title}" to ${args[0]}`
+          : `Remove "${artwork.title}" from gallery`,
+        tokenIds: [artwork.id]
+      });
+      setTargetGallery('');
+      if (onUpdate) {
+        onUpdate();
+      }
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleMove = (e) => {
+    e.preventDefault();
+    runPlacementAction('moveToGallery', targetGallery);
+  };
+
+  return (
+    <div className="space-y-2">
+      <form onSubmit={handleMove} className="flex space-x-2">
+        <Input
+          type="text"
+          value={targetGallery}
+          onChange={(e) => setTargetGallery(e.target.value)}
+          placeholder="Move to gallery ID"
+          required
+        />
+        <Button type="submit" variant="outline" disabled={loading}>
+          Move
+        </Button>
+      </form>
+      <p className="text-xs text-gray-500">
+        Curated galleries list the artwork once a curator approves it.{' '}
+        <Link to="/submissions" className="hover:underline">View my submissions</Link>
+      </p>
+
+      {artwork.galleryId && (
+        <Button
+          onClick={() => runPlacementAction('removeFromGallery')}
+          variant="outline"
+          disabled={loading}
+          className="w-full"
+        >
+          Remove from {artwork.galleryId}
+        </Button>
+      )}
+
+      {error && (
+        <Alert variant="destructive">
+          <AlertDescription>{error}</AlertDescription>
+        </Alert>
+      )}
+    </div>
+  );
+};
+
+export default GalleryPlacement;
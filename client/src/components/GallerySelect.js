@@ -0,0 +1,68 @@
+import React from 'react';
+import { Input } from '@/components/ui/input';
+import { Select } from '@/components/ui/select';
+
+export const NEW_GALLERY = '__new__';
+
+export const EMPTY_NEW_GALLERY = { galleryId: '', name: '', description: '' };
+
+/**
+ * Gallery picker with a "create new gallery" option, so artists without a gallery can
+ * describe one here and have it created just before minting. Only active galleries are
+ * offered, since minting into a deactivated one reverts.
+ */
+const GallerySelect = ({ galleries, value, onChange, newGallery, onNewGalleryChange }) => {
+  const handleNewGalleryChange = (e) => {
+    const { name, value: fieldValue } = e.target;
+    onNewGalleryChange({ ...newGallery, [name]: fieldValue });
+  };
+
+  return (
+    <div className="space-y-2">
+      <label className="block text-sm font-medium">Gallery</label>
+      <Select value={value} onChange={(e) => onChange(e.target.value)} required>
+        <option value="">Select a gallery</option>
+        {galleries.filter((gallery) => gallery.isActive).map(gallery => (
+          <option key={gallery.id} value={gallery.id}>
+            {gallery.name}
+          </option>
+        ))}
+        <option value={NEW_GALLERY}>+ Create a new gallery</option>
+      </Select>
+
+      {value === NEW_GALLERY && (
+        <div className="p-3 border rounded-md space-y-2">
+          <Input
+            type="text"
+            name="galleryId"
+            value={newGallery.galleryId}
+            onChange={handleNewGalleryChange}
+            placeholder="Gallery ID, e.g. my-gallery"
+            required
+          />
+          <Input
+            type="text"
+            name="name"
+            value={newGallery.name}
+            onChange={handleNewGalleryChange}
+            placeholder="Gallery name"
+            required
+          />
+          <textarea
+            name="description"
+            value={newGallery.description}
+            onChange={handleNewGalleryChange}
+            placeholder="Description"
+            className="w-full p-2 border rounded-md"
+            rows="2"
+          />
+          <p className="text-xs text-gray-500">
+            The gallery is created in its own transaction before the artwork is minted.
+          </p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default GallerySelect;
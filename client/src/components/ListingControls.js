@@ -0,0 +1,93 @@
+import React, { useState } from 'react';
+import { useWeb3 } from '../contexts/Web3Context';
+import { useTransactions } from '../contexts/TransactionContext';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+
+const LISTING_LABELS = {
+  listArtwork: 'List',
+  updateArtworkPrice: 'Update price of',
+  delistArtwork: 'Delist'
+};
+
+const ListingControls = ({ artwork, onUpdate }) => {
+  const { web3, contract, account } = useWeb3();
+  const { sendTransaction } = useTransactions();
+  const [price, setPrice] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  if (!account || !artwork.owner || artwork.owner.toLowerCase() !== account.toLowerCase()) {
+    return null;
+  }
+
+  const runListingAction = async (method, ...args) => {
+    setLoading(true);
+    setError('');
+
+    try {
+      await sendTransaction(contract.methods[method](artwork.id, ...args), {
+        label: `${LISTING_LABELS[method]} "${artwork.title}"`,
+        tokenIds: [artwork.id]
+      });
+      setPrice('');
+      if (onUpdate) {
+        onUpdate();
+      }
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const priceInWei = web3.utils.toWei(price, 'ether');
+
+    if (artwork.forSale) {
+      runListingAction('updateArtworkPrice', priceInWei);
+    } else {
+      runListingAction('listArtwork', priceInWei);
+    }
+  };
+
+  return (
+    <div className="space-y-2">
+      <form onSubmit={handleSubmit} className="flex space-x-2">
+        <Input
+          type="number"
+          value={price}
+          onChange={(e) => setPrice(e.target.value)}
+          placeholder="Price (ETH)"
+          required
+          step="0.001"
+          min="0"
+        />
+        <Button type="submit" disabled={loading}>
+          {artwork.forSale ? 'Reprice' : 'List for Sale'}
+        </Button>
+      </form>
+
+      {artwork.forSale && (
+        <Button
+          onClick={() => runListingAction('delistArtwork')}
+          variant="outline"
+          disabled={loading}
+          className="w-full"
+        >
+          Delist
+        </Button>
+      )}
+
+      {error && (
+        <Alert variant="destructive">
+          <AlertDescription>{error}</AlertDescription>
+        </Alert>
+      )}
+    </div>
+  );
+};
+
+export default ListingControls;
@@ -0,0 +1,74 @@
+import React, { useState } from 'react';
+import { useWeb3 } from '../contexts/Web3Context';
+import { useTransactions } from '../contexts/TransactionContext';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+
+const MakeOfferForm = ({ artwork, onSubmitted }) => {
+  const { web3, contract } = useWeb3();
+  const { sendTransaction } = useTransactions();
+  const [amount, setAmount] = useState('');
+  const [expiryDays, setExpiryDays] = useState('7');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+
+    try {
+      const expiresAt = Math.floor(Date.now() / 1000) + Math.floor(Number(expiryDays) * 86400);
+
+      await sendTransaction(contract.methods.makeOffer(artwork.id, expiresAt), {
+        label: `Offer ${amount} ETH on "${artwork.title}"`,
+        value: web3.utils.toWei(amount, 'ether'),
+        tokenIds: [artwork.id]
+      });
+
+      setAmount('');
+      if (onSubmitted) {
+        onSubmitted();
+      }
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-2">
+      <Input
+        type="number"
+        value={amount}
+        onChange={(e) => setAmount(e.target.value)}
+        placeholder="Offer (ETH)"
+        required
+        step="0.001"
+        min="0"
+      />
+      <Input
+        type="number"
+        value={expiryDays}
+        onChange={(e) => setExpiryDays(e.target.value)}
+        placeholder="Expires in (days)"
+        required
+        step="1"
+        min="1"
+      />
+      <Button type="submit" disabled={loading} className="w-full">
+        {loading ? 'Submitting...' : 'Submit Offer'}
+      </Button>
+
+      {error && (
+        <Alert variant="destructive">
+          <AlertDescription>{error}</AlertDescription>
+        </Alert>
+      )}
+    </form>
+  );
+};
+
+export default MakeOfferForm;
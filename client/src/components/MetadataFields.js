@@ -0,0 +1,132 @@
+import React from 'react';
+import { LICENSES } from '../utils/metadataBuilder';
+import { Input } from '@/components/ui/input';
+import { Select } from '@/components/ui/select';
+
+export const EMPTY_METADATA_FIELDS = {
+  medium: '',
+  dimensions: '',
+  year: '',
+  editionNumber: '',
+  editionSize: '',
+  license: '',
+  externalUrl: '',
+  backgroundColor: ''
+};
+
+const MetadataFields = ({ fields, onChange, showEdition = true }) => {
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    onChange({ ...fields, [name]: value });
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div>
+          <label className="block text-sm font-medium mb-1">Medium</label>
+          <Input
+            type="text"
+            name="medium"
+            value={fields.medium}
+            onChange={handleChange}
+            placeholder="Oil on canvas, digital..."
+          />
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium mb-1">Dimensions</label>
+          <Input
+            type="text"
+            name="dimensions"
+            value={fields.dimensions}
+            onChange={handleChange}
+            placeholder="60 x 80 cm"
+          />
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium mb-1">Year</label>
+          <Input
+            type="number"
+            name="year"
+            value={fields.year}
+            onChange={handleChange}
+            min="1000"
+            max={new Date().getFullYear()}
+          />
+        </div>
+
+        {showEdition && (
+          <div>
+            <label className="block text-sm font-medium mb-1">Edition</label>
+            <div className="flex items-center space-x-2">
+              <Input
+                type="number"
+                name="editionNumber"
+                value={fields.editionNumber}
+                onChange={handleChange}
+                placeholder="No."
+                min="1"
+              />
+              <span className="text-sm text-gray-500">of</span>
+              <Input
+                type="number"
+                name="editionSize"
+                value={fields.editionSize}
+                onChange={handleChange}
+                placeholder="Size"
+                min={fields.editionNumber || 1}
+              />
+            </div>
+          </div>
+        )}
+      </div>
+
+      <div>
+        <label className="block text-sm font-medium mb-1">License</label>
+        <Select name="license" value={fields.license} onChange={handleChange}>
+          <option value="">No license stated</option>
+          {Object.entries(LICENSES).map(([id, license]) => (
+            <option key={id} value={id}>
+              {license.name}
+            </option>
+          ))}
+        </Select>
+      </div>
+
+      <div>
+        <label className="block text-sm font-medium mb-1">External Link</label>
+        <Input
+          type="url"
+          name="externalUrl"
+          value={fields.externalUrl}
+          onChange={handleChange}
+          placeholder="https://"
+        />
+      </div>
+
+      <div>
+        <label className="block text-sm font-medium mb-1">Background Color</label>
+        <div className="flex items-center space-x-2">
+          <input
+            type="color"
+            value={`#${fields.backgroundColor || 'ffffff'}`}
+            onChange={(e) => onChange({ ...fields, backgroundColor: e.target.value.slice(1) })}
+            className="h-10 w-14 border rounded-md"
+          />
+          <Input
+            type="text"
+            name="backgroundColor"
+            value={fields.backgroundColor}
+            onChange={handleChange}
+            placeholder="Hex without #, e.g. ffffff"
+            maxLength={7}
+          />
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default MetadataFields;
@@ -0,0 +1,101 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { useWeb3 } from '../contexts/Web3Context';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+
+export const SUBMISSION_STATUS = ['Pending', 'Approved', 'Rejected', 'Withdrawn'];
+
+const STATUS_STYLES = {
+  Pending: 'bg-yellow-100 text-yellow-800',
+  Approved: 'bg-green-100 text-green-800',
+  Rejected: 'bg-red-100 text-red-800',
+  Withdrawn: 'bg-gray-100 text-gray-800'
+};
+
+const MySubmissions = () => {
+  const { contract, account } = useWeb3();
+  const [submissions, setSubmissions] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    if (contract && account) {
+      loadSubmissions();
+    }
+  }, [contract, account]);
+
+  const loadSubmissions = async () => {
+    try {
+      const submissionIds = await contract.methods.getArtistSubmissions(account).call();
+
+      const loadedSubmissions = await Promise.all(
+        submissionIds.map(async (id) => {
+          const submission = await contract.methods.submissions(id).call();
+          const artwork = await contract.methods.artworks(submission.tokenId).call();
+
+          return {
+            id,
+            tokenId: submission.tokenId,
+            title: artwork.title,
+            galleryId: submission.galleryId,
+            status: SUBMISSION_STATUS[Number(submission.status)],
+            rejectionReason: submission.rejectionReason,
+            createdAt: Number(submission.createdAt)
+          };
+        })
+      );
+
+      setSubmissions(loadedSubmissions.reverse());
+      setLoading(false);
+    } catch (error) {
+      console.error('Error loading submissions:', error);
+      setLoading(false);
+    }
+  };
+
+  if (!account) {
+    return <div>Connect your wallet to see your submissions.</div>;
+  }
+
+  if (loading) {
+    return <div>Loading submissions...</div>;
+  }
+
+  return (
+    <Card className="max-w-3xl mx-auto">
+      <CardHeader>
+        <CardTitle>My Submissions</CardTitle>
+      </CardHeader>
+      <CardContent>
+        {submissions.length === 0 ? (
+          <p className="text-sm text-gray-600">
+            You have not submitted any artworks to curated galleries.
+          </p>
+        ) : (
+          <ul className="divide-y">
+            {submissions.map((submission) => (
+              <li key={submission.id} className="py-3 flex items-start justify-between">
+                <div>
+                  <Link to={`/artwork/${submission.tokenId}`} className="font-medium hover:underline">
+                    {submission.title}
+                  </Link>
+                  <p className="text-sm text-gray-600">
+                    Gallery: {submission.galleryId} &middot; Submitted{' '}
+                    {new Date(submission.createdAt * 1000).toLocaleDateString()}
+                  </p>
+                  {submission.status === 'Rejected' && submission.rejectionReason && (
+                    <p className="text-sm text-red-600">Reason: {submission.rejectionReason}</p>
+                  )}
+                </div>
+                <span className={`px-2 py-1 rounded text-xs ${STATUS_STYLES[submission.status]}`}>
+                  {submission.status}
+                </span>
+              </li>
+            ))}
+          </ul>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default MySubmissions;
@@ -0,0 +1,144 @@
+import React, { useState, useEffect } from 'react';
+import { useWeb3 } from '../contexts/Web3Context';
+import { useTransactions } from '../contexts/TransactionContext';
+import MakeOfferForm from './MakeOfferForm';
+import ProfileLink from './ProfileLink';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+
+const OFFER_LABELS = {
+  acceptOffer: 'Accept offer',
+  rejectOffer: 'Reject offer',
+  cancelOffer: 'Withdraw offer'
+};
+
+const OffersPanel = ({ artwork, onUpdate }) => {
+  const { web3, contract, account } = useWeb3();
+  const { sendTransaction } = useTransactions();
+  const [offers, setOffers] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (contract) {
+      loadOffers();
+    }
+  }, [contract, artwork.id]);
+
+  const loadOffers = async () => {
+    try {
+      const offerIds = await contract.methods.getTokenOffers(artwork.id).call();
+
+      const loadedOffers = await Promise.all(
+        offerIds.map(async (id) => {
+          const offer = await contract.methods.offers(id).call();
+          return {
+            id,
+            bidder: offer.bidder,
+            amount: offer.amount,
+            expiresAt: Number(offer.expiresAt),
+            active: offer.active
+          };
+        })
+      );
+
+      setOffers(loadedOffers.filter((offer) => offer.active).reverse());
+    } catch (err) {
+      console.error('Error loading offers:', err);
+    }
+  };
+
+  const runOfferAction = async (method, offerId) => {
+    setLoading(true);
+    setError('');
+
+    try {
+      await sendTransaction(contract.methods[method](offerId), {
+        label: `${OFFER_LABELS[method]} on "${artwork.title}"`,
+        tokenIds: [artwork.id]
+      });
+      await loadOffers();
+      if (onUpdate) {
+        onUpdate();
+      }
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const isOwner = account && artwork.owner && artwork.owner.toLowerCase() === account.toLowerCase();
+  const now = Math.floor(Date.now() / 1000);
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>Offers</CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {offers.length === 0 && (
+          <p className="text-sm text-gray-600">No open offers</p>
+        )}
+
+        <ul className="space-y-2">
+          {offers.map((offer) => {
+            const expired = offer.expiresAt <= now;
+            const isBidder = account && offer.bidder.toLowerCase() === account.toLowerCase();
+
+            return (
+              <li key={offer.id} className="flex items-center justify-between text-sm">
+                <div className="text-gray-600">
+                  <p>{web3.utils.fromWei(offer.amount, 'ether')} ETH from <ProfileLink address={offer.bidder} /></p>
+                  <p>
+                    {expired
+                      ? 'Expired'
+                      : `Expires ${new Date(offer.expiresAt * 1000).toLocaleString()}`}
+                  </p>
+                </div>
+                <div className="space-x-2">
+                  {isOwner && !expired && (
+                    <Button onClick={() => runOfferAction('acceptOffer', offer.id)} disabled={loading}>
+                      Accept
+                    </Button>
+                  )}
+                  {isOwner && (
+                    <Button
+                      onClick={() => runOfferAction('rejectOffer', offer.id)}
+                      variant="outline"
+                      disabled={loading}
+                    >
+                      Reject
+                    </Button>
+                  )}
+                  {isBidder && (
+                    <Button
+                      onClick={() => runOfferAction('cancelOffer', offer.id)}
+                      variant="outline"
+                      disabled={loading}
+                    >
+                      {expired ? 'Reclaim' : 'Cancel'}
+                    </Button>
+                  )}
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+
+        {account && !isOwner && (
+          <MakeOfferForm artwork={artwork} onSubmitted={loadOffers} />
+        )}
+
+        {error && (
+          <Alert variant="destructive">
+            <AlertDescription>{error}</AlertDescription>
+          </Alert>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default OffersPanel;
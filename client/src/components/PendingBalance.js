@@ -0,0 +1,74 @@
+import React, { useState, useEffect } from 'react';
+import { useWeb3 } from '../contexts/Web3Context';
+import { useTransactions } from '../contexts/TransactionContext';
+import useContractEvents from '../hooks/useContractEvents';
+import { Button } from '@/components/ui/button';
+import { Alert, AlertDescription, AlertTitle } from '@/components/ui/alert';
+
+const PendingBalance = () => {
+  const { web3, contract, account } = useWeb3();
+  const { sendTransaction, lastConfirmed } = useTransactions();
+  const [balance, setBalance] = useState('0');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  // Reloaded after each of the user's own transactions settles, since sales, bids and
+  // offers all move funds through the ledger
+  useEffect(() => {
+    if (contract && account) {
+      loadBalance();
+    }
+  }, [contract, account, lastConfirmed.at]);
+
+  // Others' transactions credit the account too, e.g. buying its listed work or outbidding it
+  useContractEvents('PaymentCredited', (event) => {
+    if (contract && account && event.returnValues.payee.toLowerCase() === account.toLowerCase()) {
+      loadBalance();
+    }
+  });
+
+  const loadBalance = async () => {
+    try {
+      setBalance(await contract.methods.pendingWithdrawals(account).call());
+    } catch (err) {
+      console.error('Error loading pending balance:', err);
+    }
+  };
+
+  const handleWithdraw = async () => {
+    setLoading(true);
+    setError('');
+
+    try {
+      await sendTransaction(contract.methods.withdraw(), { label: 'Withdraw proceeds' });
+      await loadBalance();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (!account || balance === '0') {
+    return null;
+  }
+
+  return (
+    <Alert className="m-4">
+      <AlertTitle>Funds available</AlertTitle>
+      <AlertDescription>
+        <div className="flex items-center justify-between">
+          <span>
+            You have {web3.utils.fromWei(balance, 'ether')} ETH from sales, royalties and refunds to withdraw.
+          </span>
+          <Button onClick={handleWithdraw} disabled={loading}>
+            {loading ? 'Withdrawing...' : 'Withdraw'}
+          </Button>
+        </div>
+        {error && <p className="mt-2 text-red-600">{error}</p>}
+      </AlertDescription>
+    </Alert>
+  );
+};
+
+export default PendingBalance;
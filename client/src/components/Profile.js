@@ -0,0 +1,298 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { useWeb3 } from '../contexts/Web3Context';
+import useProfile from '../hooks/useProfile';
+import useEnsName from '../hooks/useEnsName';
+import useConfirmedArtworks from '../hooks/useConfirmedArtworks';
+import ArtworkCard from './ArtworkCard';
+import ProfileEditor from './ProfileEditor';
+import {
+  loadAccountActivity,
+  loadCreatedArtworks,
+  loadCuratedGalleries,
+  loadOwnedArtworks
+} from '../utils/dataSource';
+import { avatarUrl, isSafeLink, shortenAddress } from '../utils/profiles';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+
+const PAGE_SIZE = 6;
+
+const formatWhen = (entry) => (entry.timestamp
+  ? new Date(entry.timestamp * 1000).toLocaleString()
+  : `Block ${entry.blockNumber}`);
+
+const sumWei = (amounts) => amounts.reduce((total, amount) => total + BigInt(amount), BigInt(0)).toString();
+
+// One paged grid of artworks; load(offset, limit) resolves to { total, artworks }
+// and is re-run only when the page or refreshKey changes
+const ArtworkShelf = ({ title, emptyText, load, refreshKey }) => {
+  const [artworks, setArtworks] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [page, setPage] = useState(0);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    loadPage();
+  }, [page, refreshKey]);
+
+  const loadPage = async () => {
+    setLoading(true);
+    try {
+      const result = await load(page * PAGE_SIZE, PAGE_SIZE);
+      setArtworks(result.artworks);
+      setTotal(result.total);
+    } catch (err) {
+      console.error(`Error loading ${title.toLowerCase()}:`, err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const pageCount = Math.ceil(total / PAGE_SIZE);
+
+  return (
+    <section className="space-y-4">
+      <h2 className="text-xl font-bold">{title} ({total})</h2>
+      {loading ? (
+        <div>Loading...</div>
+      ) : artworks.length === 0 ? (
+        <p className="text-sm text-gray-600">{emptyText}</p>
+      ) : (
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+          {artworks.map((artwork) => (
+            <ArtworkCard key={artwork.id} artwork={artwork} onUpdate={loadPage} />
+          ))}
+        </div>
+      )}
+      {pageCount > 1 && (
+        <div className="flex items-center justify-center space-x-4">
+          <Button onClick={() => setPage(page - 1)} variant="outline" disabled={page === 0}>
+            Previous
+          </Button>
+          <span className="text-sm text-gray-600">
+            Page {page + 1} of {pageCount}
+          </span>
+          <Button onClick={() => setPage(page + 1)} variant="outline" disabled={page + 1 >= pageCount}>
+            Next
+          </Button>
+        </div>
+      )}
+    </section>
+  );
+};
+
+const Profile = () => {
+  const { address } = useParams();
+  const { web3, contract, account } = useWeb3();
+  const [profileVersion, setProfileVersion] = useState(0);
+  const [artworksVersion, setArtworksVersion] = useState(0);
+  const { profile } = useProfile(address, profileVersion);
+  const ens = useEnsName(address);
+  const [editing, setEditing] = useState(false);
+  const [galleries, setGalleries] = useState([]);
+  const [activity, setActivity] = useState({ sales: [], royalties: [], reviews: [] });
+  const isSelf = account && account.toLowerCase() === address.toLowerCase();
+  const validAddress = Boolean(web3) && web3.utils.isAddress(address);
+
+  useEffect(() => {
+    setEditing(false);
+    if (contract && validAddress) {
+      loadDetails();
+    }
+  }, [contract, address]);
+
+  // A purchase or transfer on this page changes which works the account owns
+  useConfirmedArtworks(() => {
+    setArtworksVersion((version) => version + 1);
+    loadDetails();
+  });
+
+  const loadDetails = async () => {
+    try {
+      const [curated, accountActivity] = await Promise.all([
+        loadCuratedGalleries(contract, address),
+        loadAccountActivity(contract, address)
+      ]);
+      setGalleries(curated);
+      setActivity(accountActivity);
+    } catch (err) {
+      console.error('Error loading profile activity:', err);
+    }
+  };
+
+  if (!contract) {
+    return <div>Loading profile...</div>;
+  }
+
+  if (!validAddress) {
+    return <div>This is not a valid address.</div>;
+  }
+
+  const handleSaved = () => {
+    setEditing(false);
+    setProfileVersion((version) => version + 1);
+  };
+
+  const avatar = avatarUrl(profile) || (ens && ens.avatar);
+  const sold = activity.sales.filter((sale) => sale.seller.toLowerCase() === address.toLowerCase());
+  const bought = activity.sales.filter((sale) => sale.buyer.toLowerCase() === address.toLowerCase());
+
+  return (
+    <div className="max-w-6xl mx-auto space-y-8">
+      <Card>
+        <CardContent className="pt-6">
+          {editing ? (
+            <ProfileEditor
+              profile={profile}
+              onSaved={handleSaved}
+              onCancel={() => setEditing(false)}
+            />
+          ) : (
+            <div className="flex items-start space-x-4">
+              {avatar && (
+                <img src={avatar} alt="" className="w-20 h-20 rounded-full object-cover" />
+              )}
+              <div className="flex-1 space-y-2">
+                <h1 className="text-2xl font-bold">
+                  {profile.displayName || (ens && ens.name) || shortenAddress(address)}
+                </h1>
+                {profile.displayName && ens && <p className="text-sm text-gray-600">{ens.name}</p>}
+                <p className="text-sm text-gray-500 font-mono break-all">{web3.utils.toChecksumAddress(address)}</p>
+                {profile.bio && <p className="whitespace-pre-line">{profile.bio}</p>}
+                {profile.links.filter(isSafeLink).length > 0 && (
+                  <ul className="flex flex-wrap gap-x-4 text-sm">
+                    {profile.links.filter(isSafeLink).map((link) => (
+                      <li key={link}>
+                        <a href={link} target="_blank" rel="noopener noreferrer nofollow" className="text-blue-600 hover:underline">
+                          {new URL(link).hostname}
+                        </a>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+              {isSelf && (
+                <Button variant="outline" onClick={() => setEditing(true)}>
+                  Edit Profile
+                </Button>
+              )}
+            </div>
+          )}
+        </CardContent>
+      </Card>
+
+      <ArtworkShelf
+        key={`created-${address}`}
+        title="Created"
+        emptyText="No artworks minted yet."
+        load={(offset, limit) => loadCreatedArtworks(contract, address, offset, limit)}
+        refreshKey={artworksVersion}
+      />
+
+      <ArtworkShelf
+        key={`owned-${address}`}
+        title="Owned"
+        emptyText="No artworks owned right now."
+        load={(offset, limit) => loadOwnedArtworks(contract, address, offset, limit)}
+        refreshKey={artworksVersion}
+      />
+
+      <section className="space-y-4">
+        <h2 className="text-xl font-bold">Curated Galleries ({galleries.length})</h2>
+        {galleries.length === 0 ? (
+          <p className="text-sm text-gray-600">Not curating any galleries.</p>
+        ) : (
+          <ul className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            {galleries.map((gallery) => (
+              <li key={gallery.id} className="bg-white p-4 rounded-lg">
+                <Link to={`/browse?galleryId=${encodeURIComponent(gallery.id)}`} className="font-medium hover:underline">
+                  {gallery.name}
+                </Link>
+                {!gallery.isActive && <span className="ml-2 text-xs text-gray-500">Inactive</span>}
+                {gallery.description && <p className="text-sm text-gray-600">{gallery.description}</p>}
+              </li>
+            ))}
+          </ul>
+        )}
+      </section>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-8">
+        <Card>
+          <CardHeader>
+            <CardTitle>Sales</CardTitle>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            <p className="text-sm text-gray-600">
+              Sold {sold.length} for {web3.utils.fromWei(sumWei(sold.map((sale) => sale.price)), 'ether')} ETH,
+              bought {bought.length} for {web3.utils.fromWei(sumWei(bought.map((sale) => sale.price)), 'ether')} ETH
+            </p>
+            <ul className="space-y-2">
+              {activity.sales.map((sale) => (
+                <li key={`${sale.txHash}-${sale.tokenId}`} className="flex justify-between text-sm">
+                  <span>
+                    {sale.seller.toLowerCase() === address.toLowerCase() ? 'Sold' : 'Bought'}{' '}
+                    <Link to={`/artwork/${sale.tokenId}`} className="hover:underline">#{sale.tokenId}</Link>
+                  </span>
+                  <span>
+                    {web3.utils.fromWei(sale.price, 'ether')} ETH
+                    <span className="ml-2 text-xs text-gray-500">{formatWhen(sale)}</span>
+                  </span>
+                </li>
+              ))}
+            </ul>
+          </CardContent>
+        </Card>
+
+        <Card>
+          <CardHeader>
+            <CardTitle>Royalty Earnings</CardTitle>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            <p className="text-sm text-gray-600">
+              {web3.utils.fromWei(sumWei(activity.royalties.map((payout) => payout.amount)), 'ether')} ETH
+              from {activity.royalties.length} resales
+            </p>
+            <ul className="space-y-2">
+              {activity.royalties.map((payout) => (
+                <li key={`${payout.txHash}-${payout.tokenId}`} className="flex justify-between text-sm">
+                  <Link to={`/artwork/${payout.tokenId}`} className="hover:underline">#{payout.tokenId}</Link>
+                  <span>
+                    {web3.utils.fromWei(payout.amount, 'ether')} ETH
+                    <span className="ml-2 text-xs text-gray-500">{formatWhen(payout)}</span>
+                  </span>
+                </li>
+              ))}
+            </ul>
+          </CardContent>
+        </Card>
+      </div>
+
+      <Card>
+        <CardHeader>
+          <CardTitle>Reviews Written ({activity.reviews.length})</CardTitle>
+        </CardHeader>
+        <CardContent>
+          {activity.reviews.length === 0 ? (
+            <p className="text-sm text-gray-600">No reviews yet.</p>
+          ) : (
+            <ul className="space-y-4">
+              {activity.reviews.map((review) => (
+                <li key={`${review.txHash}-${review.tokenId}`} className="text-sm">
+                  <p className="font-medium">
+                    <Link to={`/artwork/${review.tokenId}`} className="hover:underline">#{review.tokenId}</Link>
+                    <span className="ml-2 text-yellow-500">{'★'.repeat(review.rating)}</span>
+                  </p>
+                  <p>{review.comment}</p>
+                  <p className="text-xs text-gray-500">{formatWhen(review)}</p>
+                </li>
+              ))}
+            </ul>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  );
+};
+
+export default Profile;
@@ -0,0 +1,142 @@
+import React, { useState } from 'react';
+import { useWeb3 } from '../contexts/Web3Context';
+import { useTransactions } from '../contexts/TransactionContext';
+import {
+  MAX_DISPLAY_NAME_LENGTH,
+  MAX_BIO_LENGTH,
+  MAX_PROFILE_LINKS,
+  MAX_AVATAR_URI_LENGTH,
+  MAX_PROFILE_LINK_LENGTH,
+  forgetProfile,
+  isSafeLink
+} from '../utils/profiles';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+
+// The contract limits strings by bytes, not characters
+const byteLength = (text) => new TextEncoder().encode(text).length;
+
+const ProfileEditor = ({ profile, onSaved, onCancel }) => {
+  const { contract, account } = useWeb3();
+  const { sendTransaction } = useTransactions();
+  const [formData, setFormData] = useState({
+    displayName: profile.displayName,
+    bio: profile.bio,
+    avatarURI: profile.avatarURI,
+    links: profile.links.join('\n')
+  });
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError('');
+
+    try {
+      const displayName = formData.displayName.trim();
+      const bio = formData.bio.trim();
+      const avatarURI = formData.avatarURI.trim();
+      const links = formData.links.split('\n').map((link) => link.trim()).filter(Boolean);
+
+      if (byteLength(displayName) > MAX_DISPLAY_NAME_LENGTH) {
+        throw new Error(`Display name must be at most ${MAX_DISPLAY_NAME_LENGTH} bytes`);
+      }
+      if (byteLength(bio) > MAX_BIO_LENGTH) {
+        throw new Error(`Bio must be at most ${MAX_BIO_LENGTH} bytes`);
+      }
+      if (byteLength(avatarURI) > MAX_AVATAR_URI_LENGTH) {
+        throw new Error(`Avatar URI must be at most ${MAX_AVATAR_URI_LENGTH} bytes`);
+      }
+      if (links.length > MAX_PROFILE_LINKS) {
+        throw new Error(`Add at most ${MAX_PROFILE_LINKS} links`);
+      }
+      if (links.some((link) => byteLength(link) > MAX_PROFILE_LINK_LENGTH)) {
+        throw new Error(`Each link must be at most ${MAX_PROFILE_LINK_LENGTH} bytes`);
+      }
+      if (!links.every(isSafeLink)) {
+        throw new Error('Links must start with http:// or https://');
+      }
+
+      await sendTransaction(contract.methods.setProfile(displayName, bio, avatarURI, links), {
+        label: 'Update profile'
+      });
+      forgetProfile(account);
+      onSaved();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <div>
+        <label className="block text-sm font-medium mb-1">Display Name</label>
+        <Input
+          type="text"
+          name="displayName"
+          value={formData.displayName}
+          onChange={handleInputChange}
+        />
+      </div>
+
+      <div>
+        <label className="block text-sm font-medium mb-1">Bio</label>
+        <textarea
+          name="bio"
+          value={formData.bio}
+          onChange={handleInputChange}
+          className="w-full p-2 border rounded-md"
+          rows="4"
+        />
+      </div>
+
+      <div>
+        <label className="block text-sm font-medium mb-1">Avatar URI</label>
+        <Input
+          type="text"
+          name="avatarURI"
+          value={formData.avatarURI}
+          onChange={handleInputChange}
+          placeholder="ipfs://... or https://..."
+        />
+      </div>
+
+      <div>
+        <label className="block text-sm font-medium mb-1">Links (one per line)</label>
+        <textarea
+          name="links"
+          value={formData.links}
+          onChange={handleInputChange}
+          className="w-full p-2 border rounded-md"
+          rows="3"
+        />
+      </div>
+
+      {error && (
+        <Alert variant="destructive">
+          <AlertDescription>{error}</AlertDescription>
+        </Alert>
+      )}
+
+      <div className="flex space-x-2">
+        <Button type="submit" disabled={saving}>
+          {saving ? 'Saving...' : 'Save Profile'}
+        </Button>
+        <Button type="button" variant="outline" onClick={onCancel}>
+          Cancel
+        </Button>
+      </div>
+    </form>
+  );
+};
+
+export default ProfileEditor;
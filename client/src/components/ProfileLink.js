@@ -0,0 +1,53 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import useProfile from '../hooks/useProfile';
+import useEnsName from '../hooks/useEnsName';
+import { avatarUrl, shortenAddress } from '../utils/profiles';
+
+const COPIED_DISPLAY_MS = 1500;
+
+/**
+ * An address shown by its gallery profile name, else its verified ENS name, else its
+ * shortened checksummed form, linking to the profile page. The full address can be copied.
+ */
+const ProfileLink = ({ address, className = '' }) => {
+  const { profile } = useProfile(address);
+  const ens = useEnsName(address);
+  const [copied, setCopied] = useState(false);
+
+  if (!address) {
+    return null;
+  }
+
+  const avatar = avatarUrl(profile) || (ens && ens.avatar);
+  const label = profile.displayName || (ens && ens.name) || shortenAddress(address);
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(address);
+      setCopied(true);
+      setTimeout(() => setCopied(false), COPIED_DISPLAY_MS);
+    } catch (err) {
+      console.error('Error copying address:', err);
+    }
+  };
+
+  return (
+    <span className={`inline-flex items-center space-x-1 ${className}`}>
+      <Link to={`/profile/${address}`} title={address} className="inline-flex items-center space-x-1 hover:underline">
+        {avatar && <img src={avatar} alt="" className="w-5 h-5 rounded-full object-cover" />}
+        <span>{label}</span>
+      </Link>
+      <button
+        type="button"
+        onClick={handleCopy}
+        title="Copy address"
+        className="text-xs text-gray-400 hover:text-gray-600"
+      >
+        {copied ? 'Copied' : '⧉'}
+      </button>
+    </span>
+  );
+};
+
+export default ProfileLink;
@@ -0,0 +1,65 @@
+import React, { useState } from 'react';
+import { Input } from '@/components/ui/input';
+
+const formatEth = (value) => (Number.isFinite(value) ? Number(value.toFixed(6)).toString() : '0');
+
+/**
+ * Royalty percentage input with a breakdown of a hypothetical resale, mirroring how
+ * the contract splits proceeds: royalty in basis points, platform fee in tenths of a percent.
+ */
+const RoyaltyField = ({ value, onChange, maxBasisPoints, platformFee, listingPrice }) => {
+  const [resalePrice, setResalePrice] = useState('');
+  const maxPercent = maxBasisPoints / 100;
+
+  const price = Number(resalePrice || listingPrice) || 0;
+  const royalty = (price * Math.round(Number(value || 0) * 100)) / 10000;
+  const fee = (price * platformFee) / 1000;
+
+  return (
+    <div className="space-y-2">
+      <label className="block text-sm font-medium">Royalty (%)</label>
+      <Input
+        type="number"
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        required
+        step="0.01"
+        min="0"
+        max={maxPercent}
+      />
+      <p className="text-xs text-gray-500">
+        Paid to you on every resale, up to the platform cap of {maxPercent}%.
+      </p>
+
+      <div className="p-3 border rounded-md space-y-2 text-sm">
+        <div className="flex items-center space-x-2">
+          <span className="text-gray-600 whitespace-nowrap">If it resells for</span>
+          <Input
+            type="number"
+            value={resalePrice}
+            onChange={(e) => setResalePrice(e.target.value)}
+            placeholder={listingPrice || '1'}
+            step="0.001"
+            min="0"
+            className="w-32"
+          />
+          <span className="text-gray-600">ETH</span>
+        </div>
+        <div className="flex justify-between">
+          <span>You receive</span>
+          <span className="font-medium">{formatEth(royalty)} ETH</span>
+        </div>
+        <div className="flex justify-between text-gray-500">
+          <span>Platform fee ({platformFee / 10}%)</span>
+          <span>{formatEth(fee)} ETH</span>
+        </div>
+        <div className="flex justify-between text-gray-500">
+          <span>Seller receives</span>
+          <span>{formatEth(price - royalty - fee)} ETH</span>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default RoyaltyField;
@@ -0,0 +1,93 @@
+import React, { useState, useEffect } from 'react';
+import { useWeb3 } from '../contexts/Web3Context';
+import { useTransactions } from '../contexts/TransactionContext';
+import ProfileLink from './ProfileLink';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+
+const RoyaltyReceiverForm = ({ artwork }) => {
+  const { web3, contract, account } = useWeb3();
+  const { sendTransaction } = useTransactions();
+  const [currentReceiver, setCurrentReceiver] = useState('');
+  const [receiver, setReceiver] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (contract) {
+      loadReceiver();
+    }
+  }, [contract, artwork.id]);
+
+  const loadReceiver = async () => {
+    try {
+      const royalty = await contract.methods.royaltyInfo(artwork.id, 10000).call();
+      setCurrentReceiver(royalty[0]);
+    } catch (err) {
+      console.error('Error loading royalty receiver:', err);
+    }
+  };
+
+  if (!account || artwork.artist.toLowerCase() !== account.toLowerCase()) {
+    return null;
+  }
+
+  // The contract keeps collaborative royalties with the artist so they can be split by share
+  if (artwork.collaborators && artwork.collaborators.length > 0) {
+    return (
+      <p className="text-sm text-gray-600">
+        Royalties are split between the collaborators by their shares.
+      </p>
+    );
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+
+    try {
+      if (!web3.utils.isAddress(receiver)) {
+        throw new Error('Please enter a valid address');
+      }
+
+      await sendTransaction(contract.methods.setRoyaltyReceiver(artwork.id, receiver), {
+        label: `Change royalty receiver of "${artwork.title}"`,
+        tokenIds: [artwork.id]
+      });
+      setReceiver('');
+      await loadReceiver();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="space-y-2">
+      <p className="text-sm text-gray-600">Royalties are paid to: {currentReceiver && <ProfileLink address={currentReceiver} />}</p>
+      <form onSubmit={handleSubmit} className="flex space-x-2">
+        <Input
+          type="text"
+          value={receiver}
+          onChange={(e) => setReceiver(e.target.value)}
+          placeholder="New royalty receiver or split contract address"
+          required
+        />
+        <Button type="submit" disabled={loading}>
+          Update
+        </Button>
+      </form>
+
+      {error && (
+        <Alert variant="destructive">
+          <AlertDescription>{error}</AlertDescription>
+        </Alert>
+      )}
+    </div>
+  );
+};
+
+export default RoyaltyReceiverForm;
@@ -0,0 +1,123 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { useWeb3 } from '../contexts/Web3Context';
+import { useTransactions } from '../contexts/TransactionContext';
+import ProfileLink from './ProfileLink';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+
+const SubmissionReview = ({ galleryId }) => {
+  const { contract } = useWeb3();
+  const { sendTransaction } = useTransactions();
+  const [submissions, setSubmissions] = useState([]);
+  const [reasons, setReasons] = useState({});
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (contract) {
+      loadSubmissions();
+    }
+  }, [contract, galleryId]);
+
+  const loadSubmissions = async () => {
+    try {
+      const submissionIds = await contract.methods.getGallerySubmissions(galleryId).call();
+
+      const loadedSubmissions = await Promise.all(
+        submissionIds.map(async (id) => {
+          const submission = await contract.methods.submissions(id).call();
+          const artwork = await contract.methods.artworks(submission.tokenId).call();
+
+          return {
+            id,
+            tokenId: submission.tokenId,
+            title: artwork.title,
+            artist: submission.artist,
+            pending: Number(submission.status) === 0
+          };
+        })
+      );
+
+      setSubmissions(loadedSubmissions.filter((submission) => submission.pending));
+    } catch (err) {
+      console.error('Error loading submissions:', err);
+    }
+  };
+
+  const reviewSubmission = async (submissionId, approve) => {
+    setLoading(true);
+    setError('');
+
+    try {
+      const method = approve
+        ? contract.methods.approveSubmission(submissionId)
+        : contract.methods.rejectSubmission(submissionId, reasons[submissionId] || '');
+
+      const submission = submissions.find((candidate) => candidate.id === submissionId);
+      await sendTransaction(method, {
+        label: `${approve ? 'Approve' : 'Reject'} "${submission.title}"`,
+        tokenIds: [submission.tokenId]
+      });
+      await loadSubmissions();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>Pending Submissions</CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {submissions.length === 0 && (
+          <p className="text-sm text-gray-600">No submissions waiting for review</p>
+        )}
+
+        <ul className="space-y-4">
+          {submissions.map((submission) => (
+            <li key={submission.id} className="space-y-2">
+              <div className="text-sm">
+                <Link to={`/artwork/${submission.tokenId}`} className="font-medium hover:underline">
+                  {submission.title}
+                </Link>
+                <p className="text-gray-600 truncate">by <ProfileLink address={submission.artist} /></p>
+              </div>
+              <div className="flex space-x-2">
+                <Input
+                  type="text"
+                  value={reasons[submission.id] || ''}
+                  onChange={(e) => setReasons(prev => ({ ...prev, [submission.id]: e.target.value }))}
+                  placeholder="Reason for rejection"
+                />
+                <Button onClick={() => reviewSubmission(submission.id, true)} disabled={loading}>
+                  Approve
+                </Button>
+                <Button
+                  onClick={() => reviewSubmission(submission.id, false)}
+                  variant="outline"
+                  disabled={loading}
+                >
+                  Reject
+                </Button>
+              </div>
+            </li>
+          ))}
+        </ul>
+
+        {error && (
+          <Alert variant="destructive">
+            <AlertDescription>{error}</AlertDescription>
+          </Alert>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default SubmissionReview;
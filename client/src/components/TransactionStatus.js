@@ -0,0 +1,34 @@
+import React from 'react';
+
+const STATUS_LABELS = {
+  pending: 'Waiting',
+  signing: 'Confirm in your wallet',
+  confirming: 'Waiting for confirmation',
+  done: 'Confirmed',
+  failed: 'Failed'
+};
+
+const STATUS_COLORS = {
+  done: 'text-green-600',
+  failed: 'text-red-600'
+};
+
+const TransactionStatus = ({ transactions }) => (
+  <ul className="space-y-2">
+    {transactions.map((transaction) => (
+      <li key={transaction.key} className="text-sm">
+        <div className="flex justify-between text-gray-600">
+          <span>{transaction.label}</span>
+          <span className={STATUS_COLORS[transaction.status] || ''}>
+            {STATUS_LABELS[transaction.status]}
+          </span>
+        </div>
+        {transaction.hash && (
+          <p className="text-xs text-gray-500 font-mono truncate">Tx: {transaction.hash}</p>
+        )}
+      </li>
+    ))}
+  </ul>
+);
+
+export default TransactionStatus;
@@ -0,0 +1,65 @@
+import React, { useEffect } from 'react';
+import { useTransactions } from '../contexts/TransactionContext';
+
+const CONFIRMED_TOAST_MS = 6000;
+
+const STATUS_LABELS = {
+  signing: 'Confirm in your wallet',
+  pending: 'Pending',
+  confirmed: 'Confirmed',
+  failed: 'Failed',
+  replaced: 'Replaced'
+};
+
+const STATUS_STYLES = {
+  confirmed: 'border-green-500',
+  failed: 'border-red-500',
+  replaced: 'border-yellow-500'
+};
+
+const Toast = ({ transaction, onDismiss }) => {
+  useEffect(() => {
+    if (transaction.status !== 'confirmed') return undefined;
+    const timer = setTimeout(onDismiss, CONFIRMED_TOAST_MS);
+    return () => clearTimeout(timer);
+  }, [transaction.status]);
+
+  return (
+    <div className={`bg-white rounded-lg shadow-lg p-4 border-l-4 ${STATUS_STYLES[transaction.status] || 'border-blue-500'}`}>
+      <div className="flex justify-between space-x-4">
+        <span className="font-medium">{transaction.label}</span>
+        <button type="button" onClick={onDismiss} className="text-gray-400 hover:text-gray-600" aria-label="Dismiss">
+          ×
+        </button>
+      </div>
+      <p className="text-sm text-gray-600">{STATUS_LABELS[transaction.status]}</p>
+      {transaction.message && <p className="text-sm text-gray-600">{transaction.message}</p>}
+      {transaction.hash && (
+        <p className="text-xs text-gray-500 font-mono truncate">Tx: {transaction.hash}</p>
+      )}
+    </div>
+  );
+};
+
+const TransactionToasts = () => {
+  const { transactions, dismissTransaction } = useTransactions();
+  const visible = transactions.filter((transaction) => !transaction.dismissed);
+
+  if (visible.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="fixed bottom-4 right-4 w-80 space-y-2 z-50">
+      {visible.map((transaction) => (
+        <Toast
+          key={transaction.id}
+          transaction={transaction}
+          onDismiss={() => dismissTransaction(transaction.id)}
+        />
+      ))}
+    </div>
+  );
+};
+
+export default TransactionToasts;
@@ -0,0 +1,39 @@
+import React from 'react';
+
+const STATUS_LABELS = {
+  pending: 'Waiting',
+  uploading: 'Uploading',
+  retrying: 'Retrying',
+  done: 'Uploaded',
+  failed: 'Failed'
+};
+
+const BAR_COLORS = {
+  done: 'bg-green-500',
+  failed: 'bg-red-500'
+};
+
+const UploadProgress = ({ uploads }) => (
+  <ul className="space-y-2">
+    {uploads.map((upload) => (
+      <li key={upload.key} className="text-sm">
+        <div className="flex justify-between text-gray-600">
+          <span>{upload.label}</span>
+          <span>
+            {STATUS_LABELS[upload.status]}
+            {upload.status === 'retrying' && ` (attempt ${upload.attempt + 1})`}
+            {upload.status === 'uploading' && ` ${Math.round(upload.progress * 100)}%`}
+          </span>
+        </div>
+        <div className="h-2 bg-gray-200 rounded">
+          <div
+            className={`h-2 rounded ${BAR_COLORS[upload.status] || 'bg-blue-500'}`}
+            style={{ width: `${Math.round(upload.progress * 100)}%` }}
+          />
+        </div>
+      </li>
+    ))}
+  </ul>
+);
+
+export default UploadProgress;
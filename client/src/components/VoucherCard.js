@@ -0,0 +1,96 @@
+import React, { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useWeb3 } from '../contexts/Web3Context';
+import { useTransactions } from '../contexts/TransactionContext';
+import { toVoucherTuple } from '../utils/vouchers';
+import ArtworkMedia from './ArtworkMedia';
+import ProfileLink from './ProfileLink';
+import { Card, CardContent, CardFooter, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+
+const VoucherCard = ({ voucher, onUpdate }) => {
+  const navigate = useNavigate();
+  const { web3, contract, account } = useWeb3();
+  const { sendTransaction } = useTransactions();
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const isArtist = account && voucher.artist.toLowerCase() === account.toLowerCase();
+
+  const handleRedeem = async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const receipt = await sendTransaction(
+        contract.methods.redeemVoucher(toVoucherTuple(voucher), voucher.signature),
+        { label: `Buy and mint "${voucher.title}"`, value: voucher.price }
+      );
+      navigate(`/artwork/${receipt.events.VoucherRedeemed.returnValues.tokenId}`);
+    } catch (err) {
+      setError(err.message);
+      setLoading(false);
+    }
+  };
+
+  const handleCancel = async () => {
+    setLoading(true);
+    setError('');
+    try {
+      await sendTransaction(contract.methods.cancelVoucher(voucher.nonce), {
+        label: `Cancel listing of "${voucher.title}"`
+      });
+      if (onUpdate) {
+        onUpdate();
+      }
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <Card className="overflow-hidden">
+      <CardHeader>
+        <CardTitle>{voucher.title}</CardTitle>
+      </CardHeader>
+      <CardContent>
+        <ArtworkMedia
+          tokenURI={voucher.tokenURI}
+          alt={voucher.title}
+          className="w-full h-48 object-cover rounded-lg"
+          preferThumbnail
+        />
+        <div className="mt-4 space-y-2">
+          <p className="text-sm text-gray-600">Artist: <ProfileLink address={voucher.artist} /></p>
+          <p className="text-sm text-gray-600">Price: {web3.utils.fromWei(voucher.price, 'ether')} ETH</p>
+          <p className="text-sm text-gray-600">Gallery: {voucher.galleryId}</p>
+          <p className="text-sm text-gray-600">Royalty: {Number(voucher.royaltyBasisPoints) / 100}%</p>
+          {Number(voucher.expiresAt) > 0 && (
+            <p className="text-sm text-gray-600">
+              Available until {new Date(Number(voucher.expiresAt) * 1000).toLocaleString()}
+            </p>
+          )}
+        </div>
+        {error && (
+          <Alert variant="destructive" className="mt-4">
+            <AlertDescription>{error}</AlertDescription>
+          </Alert>
+        )}
+      </CardContent>
+      <CardFooter className="space-x-2">
+        {isArtist ? (
+          <Button onClick={handleCancel} variant="outline" disabled={loading}>
+            {loading ? 'Cancelling...' : 'Cancel Listing'}
+          </Button>
+        ) : (
+          <Button onClick={handleRedeem} disabled={loading || !account}>
+            {loading ? 'Minting...' : 'Buy and Mint'}
+          </Button>
+        )}
+      </CardFooter>
+    </Card>
+  );
+};
+
+export default VoucherCard;
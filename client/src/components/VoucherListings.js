@@ -0,0 +1,75 @@
+import React, { useState, useEffect } from 'react';
+import { useWeb3 } from '../contexts/Web3Context';
+import { loadVouchers } from '../utils/dataSource';
+import VoucherCard from './VoucherCard';
+import { Button } from '@/components/ui/button';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+
+const VoucherListings = () => {
+  const { contract, account } = useWeb3();
+  const [vouchers, setVouchers] = useState([]);
+  const [mineOnly, setMineOnly] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (contract) {
+      loadListings();
+    }
+  }, [contract, account, mineOnly]);
+
+  const loadListings = async () => {
+    setLoading(true);
+    setError('');
+    try {
+      setVouchers(await loadVouchers(contract, { artist: mineOnly ? account : undefined }));
+    } catch (err) {
+      console.error('Error loading vouchers:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold">Unminted Works</h1>
+          <p className="text-sm text-gray-600">
+            Signed by their artists and minted only when bought; the buyer pays the minting gas.
+          </p>
+        </div>
+        {account && (
+          <Button variant="outline" onClick={() => setMineOnly(!mineOnly)}>
+            {mineOnly ? 'Show All' : 'Show Mine'}
+          </Button>
+        )}
+      </div>
+
+      {error && (
+        <Alert variant="destructive">
+          <AlertDescription>{error}</AlertDescription>
+        </Alert>
+      )}
+
+      {loading ? (
+        <div>Loading listings...</div>
+      ) : vouchers.length === 0 ? (
+        <p className="text-gray-600">No unminted works are listed.</p>
+      ) : (
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+          {vouchers.map((voucher) => (
+            <VoucherCard
+              key={`${voucher.artist}-${voucher.nonce}`}
+              voucher={voucher}
+              onUpdate={loadListings}
+            />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default VoucherListings;
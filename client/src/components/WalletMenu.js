@@ -0,0 +1,59 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useWeb3 } from '../contexts/Web3Context';
+import { shortenAddress } from '../utils/profiles';
+import { Button } from '@/components/ui/button';
+
+// Lists the wallets found through EIP-6963 and shows the connected account
+const WalletMenu = () => {
+  const { account, wallet, wallets, connect, disconnect, connecting } = useWeb3();
+  const [open, setOpen] = useState(false);
+
+  if (account) {
+    return (
+      <div className="flex items-center space-x-2">
+        {wallet && wallet.icon && <img src={wallet.icon} alt={wallet.name} className="w-5 h-5" />}
+        <Link to={`/profile/${account}`} className="text-sm font-mono hover:underline" title="My profile">
+          {shortenAddress(account)}
+        </Link>
+        <Button variant="outline" onClick={disconnect}>
+          Disconnect
+        </Button>
+      </div>
+    );
+  }
+
+  if (wallets.length === 0) {
+    return <span className="text-sm text-gray-600">No wallet found; install one to buy or mint</span>;
+  }
+
+  const handleSelect = async (detail) => {
+    setOpen(false);
+    await connect(detail);
+  };
+
+  return (
+    <div className="relative">
+      <Button onClick={() => setOpen(!open)} disabled={connecting}>
+        {connecting ? 'Connecting...' : 'Connect Wallet'}
+      </Button>
+      {open && (
+        <div className="absolute right-0 mt-2 w-56 bg-white rounded-lg shadow-lg z-10">
+          {wallets.map((detail) => (
+            <button
+              key={detail.info.uuid}
+              type="button"
+              onClick={() => handleSelect(detail)}
+              className="flex items-center w-full px-4 py-2 space-x-2 text-left hover:bg-gray-100"
+            >
+              {detail.info.icon && <img src={detail.info.icon} alt="" className="w-5 h-5" />}
+              <span>{detail.info.name}</span>
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default WalletMenu;
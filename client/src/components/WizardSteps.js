@@ -0,0 +1,21 @@
+import React from 'react';
+
+const WizardSteps = ({ steps, current }) => (
+  <ol className="flex items-center space-x-2 text-sm">
+    {steps.map((step, index) => (
+      <li key={step} className="flex items-center space-x-2">
+        <span
+          className={`flex h-6 w-6 items-center justify-center rounded-full ${
+            index <= current ? 'bg-blue-600 text-white' : 'bg-gray-200 text-gray-600'
+          }`}
+        >
+          {index + 1}
+        </span>
+        <span className={index === current ? 'font-medium' : 'text-gray-500'}>{step}</span>
+        {index < steps.length - 1 && <span className="text-gray-300">&rsaquo;</span>}
+      </li>
+    ))}
+  </ol>
+);
+
+export default WizardSteps;
@@ -0,0 +1,165 @@
+import React, { createContext, useCallback, useContext, useEffect, useRef, useState } from 'react';
+import { useWeb3 } from './Web3Context';
+import { describeTransactionError } from '../utils/transactionErrors';
+
+const STORAGE_KEY = 'art-gallery:transactions';
+const POLL_INTERVAL_MS = 4000;
+
+const TransactionContext = createContext();
+
+export const useTransactions = () => useContext(TransactionContext);
+
+const isUnsettled = (transaction) => transaction.status === 'signing' || transaction.status === 'pending';
+
+// Only transactions already submitted to the chain can be picked up again after a reload
+const readPending = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+    return Array.isArray(stored) ? stored : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+const writePending = (transactions) => {
+  const pending = transactions.filter((transaction) => transaction.status === 'pending' && transaction.hash);
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(pending));
+};
+
+/**
+ * Sends contract transactions on behalf of components and follows them to a final state:
+ * confirmed, failed, or replaced when the wallet mines another transaction with the same
+ * nonce. Submitted transactions survive a reload and are polled until they settle.
+ */
+export const TransactionProvider = ({ children }) => {
+  const { web3, account, chainId } = useWeb3();
+  const [transactions, setTransactions] = useState(readPending);
+  const [lastConfirmed, setLastConfirmed] = useState({ tokenIds: [], at: 0 });
+  const nextId = useRef(0);
+  const announced = useRef(new Set());
+
+  useEffect(() => {
+    writePending(transactions);
+  }, [transactions]);
+
+  const updateTransaction = useCallback((id, changes) => {
+    setTransactions(prev => prev.map((transaction) => (
+      transaction.id === id ? { ...transaction, ...changes } : transaction
+    )));
+  }, []);
+
+  // The live send and the poller can both see the outcome; whichever is first decides it
+  const settleTransaction = useCallback((id, status, message = null) => {
+    setTransactions(prev => prev.map((transaction) => (
+      transaction.id === id && isUnsettled(transaction) ? { ...transaction, status, message } : transaction
+    )));
+  }, []);
+
+  // Tell listeners which artworks changed so they can reload just those
+  useEffect(() => {
+    const settled = transactions.filter((transaction) => (
+      (transaction.status === 'confirmed' || transaction.status === 'replaced')
+      && !announced.current.has(transaction.id)
+    ));
+    if (settled.length === 0) return;
+
+    settled.forEach((transaction) => announced.current.add(transaction.id));
+    const tokenIds = [...new Set(settled.flatMap((transaction) => transaction.tokenIds))];
+    setLastConfirmed({ tokenIds, at: Date.now() });
+  }, [transactions]);
+
+  useEffect(() => {
+    const pending = transactions.filter((transaction) => (
+      transaction.status === 'pending' && transaction.hash && transaction.chainId === chainId
+    ));
+    if (!web3 || pending.length === 0) return undefined;
+
+    const checkTransaction = async (transaction) => {
+      try {
+        const receipt = await web3.eth.getTransactionReceipt(transaction.hash);
+        if (receipt) {
+          settleTransaction(
+            transaction.id,
+            receipt.status ? 'confirmed' : 'failed',
+            receipt.status ? null : 'The transaction was reverted.'
+          );
+          return;
+        }
+        if (transaction.nonce === null) return;
+
+        // The receipt is checked again in case the transaction was mined in between
+        const minedCount = await web3.eth.getTransactionCount(transaction.from, 'latest');
+        if (Number(minedCount) > transaction.nonce && !(await web3.eth.getTransactionReceipt(transaction.hash))) {
+          settleTransaction(transaction.id, 'replaced', 'Replaced by another transaction from your wallet.');
+        }
+      } catch (error) {
+        console.warn(`Could not check transaction ${transaction.hash}:`, error.message);
+      }
+    };
+
+    const timer = setInterval(() => pending.forEach(checkTransaction), POLL_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [web3, chainId, transactions, settleTransaction]);
+
+  /**
+   * Sends a contract method from the connected account. Resolves with the receipt, or
+   * rejects with an error whose message is ready to show the user.
+   */
+  const sendTransaction = useCallback(async (method, { label, value, tokenIds = [], onHash } = {}) => {
+    const id = `${Date.now()}-${nextId.current++}`;
+    setTransactions(prev => [...prev, {
+      id,
+      label,
+      from: account,
+      chainId,
+      hash: null,
+      nonce: null,
+      status: 'signing',
+      message: null,
+      tokenIds: tokenIds.map(String),
+      dismissed: false
+    }]);
+
+    try {
+      const receipt = await method
+        .send(value === undefined ? { from: account } : { from: account, value })
+        .on('transactionHash', (hash) => {
+          updateTransaction(id, { hash, status: 'pending' });
+          if (onHash) {
+            onHash(hash);
+          }
+          web3.eth.getTransaction(hash)
+            .then((transaction) => transaction && updateTransaction(id, { nonce: Number(transaction.nonce) }))
+            .catch(() => {});
+        });
+      settleTransaction(id, 'confirmed');
+      return receipt;
+    } catch (error) {
+      const message = describeTransactionError(error);
+      settleTransaction(id, 'failed', message);
+      const friendlyError = new Error(message);
+      friendlyError.cause = error;
+      throw friendlyError;
+    }
+  }, [web3, account, chainId, updateTransaction, settleTransaction]);
+
+  // Settled transactions are forgotten once dismissed; unsettled ones are only hidden
+  const dismissTransaction = useCallback((id) => {
+    setTransactions(prev => prev
+      .filter((transaction) => transaction.id !== id || isUnsettled(transaction))
+      .map((transaction) => (transaction.id === id ? { ...transaction, dismissed: true } : transaction)));
+  }, []);
+
+  const contextValue = {
+    transactions,
+    sendTransaction,
+    dismissTransaction,
+    lastConfirmed
+  };
+
+  return (
+    <TransactionContext.Provider value={contextValue}>
+      {children}
+    </TransactionContext.Provider>
+  );
+};
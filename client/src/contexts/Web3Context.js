@@ -1,67 +1,331 @@
-import React, { createContext, useContext, useState, useEffect } from 'react';
+import React, { createContext, useCallback, useContext, useEffect, useRef, useState } from 'react';
 import Web3 from 'web3';
 import ArtGallery from '../contracts/ArtGallery.json';
+import ArtGalleryExtension from '../contracts/ArtGalleryExtension.json';
+
+const RPC_URL = process.env.REACT_APP_RPC_URL;
+const WS_RPC_URL = process.env.REACT_APP_WS_RPC_URL;
+const EXPECTED_CHAIN_ID = Number(process.env.REACT_APP_CHAIN_ID) || null;
+const WALLET_STORAGE_KEY = 'art-gallery:wallet';
+
+// Wallets that predate EIP-6963 only inject window.ethereum; give them a moment to announce first
+const LEGACY_WALLET_DELAY_MS = 500;
+
+const EVENT_POLL_INTERVAL_MS = 5000;
+// Enough to drop duplicates when the websocket reconnects or hands over to polling
+const SEEN_EVENT_LIMIT = 500;
+
+// Contract events pushed to subscribers as they happen
+export const LIVE_EVENTS = [
+  'ArtworkCreated',
+  'ArtworkSold',
+  'ArtworkListed',
+  'ArtworkDelisted',
+  'ReviewAdded',
+  'PriceUpdated',
+  'GalleryCreated',
+  'PaymentCredited'
+];
+
+const signatureOf = ({ name, inputs = [] }) => `${name}(${inputs.map((input) => input.type).join(',')})`;
+
+// ArtGallery forwards the functions it does not implement to its extension, so the
+// deployed address answers to both ABIs
+const CORE_SIGNATURES = new Set(ArtGallery.abi.filter((entry) => entry.type === 'function').map(signatureOf));
+const ART_GALLERY_ABI = [
+  ...ArtGallery.abi,
+  ...ArtGalleryExtension.abi.filter((entry) => entry.type === 'function' && !CORE_SIGNATURES.has(signatureOf(entry)))
+];
 
 const Web3Context = createContext();
 
 export const useWeb3 = () => useContext(Web3Context);
 
+/**
+ * Collects the wallets announced through EIP-6963, falling back to window.ethereum when
+ * no wallet announces itself.
+ */
+const useWalletDiscovery = () => {
+  const [wallets, setWallets] = useState([]);
+
+  useEffect(() => {
+    const handleAnnounce = (event) => {
+      const { info, provider } = event.detail;
+      setWallets(prev => [
+        ...prev.filter((wallet) => wallet.info.uuid !== info.uuid && wallet.info.rdns !== 'injected'),
+        { info, provider }
+      ]);
+    };
+
+    window.addEventListener('eip6963:announceProvider', handleAnnounce);
+    window.dispatchEvent(new Event('eip6963:requestProvider'));
+
+    const timer = setTimeout(() => {
+      if (window.ethereum) {
+        setWallets(prev => (prev.length > 0 ? prev : [{
+          info: { uuid: 'injected', name: 'Browser Wallet', icon: null, rdns: 'injected' },
+          provider: window.ethereum
+        }]));
+      }
+    }, LEGACY_WALLET_DELAY_MS);
+
+    return () => {
+      window.removeEventListener('eip6963:announceProvider', handleAnnounce);
+      clearTimeout(timer);
+    };
+  }, []);
+
+  return wallets;
+};
+
+/**
+ * Provides web3, the ArtGallery contract and the connected account. Pages are readable
+ * without a wallet through REACT_APP_RPC_URL; connecting is always an explicit user action,
+ * except that a wallet connected in an earlier visit is reconnected if it still grants access.
+ */
 export const Web3Provider = ({ children }) => {
+  const wallets = useWalletDiscovery();
+  const [wallet, setWallet] = useState(null);
   const [web3, setWeb3] = useState(null);
   const [account, setAccount] = useState(null);
   const [contract, setContract] = useState(null);
+  const [chainId, setChainId] = useState(null);
   const [loading, setLoading] = useState(true);
+  const [connecting, setConnecting] = useState(false);
   const [error, setError] = useState(null);
+  // Only the latest provider switch may update state, so a slow chain lookup cannot win a race
+  const attachCount = useRef(0);
+  const readOnlyProvider = useRef(RPC_URL ? new Web3.providers.HttpProvider(RPC_URL) : null);
+  const eventListeners = useRef(new Set());
+  const seenEvents = useRef(new Set());
+  const lastPolledBlock = useRef({ chainId: null, block: null });
+  const silentReconnectAttempted = useRef(false);
+
+  const attachProvider = useCallback(async (provider) => {
+    const attachId = ++attachCount.current;
+
+    if (!provider) {
+      setWeb3(null);
+      setContract(null);
+      setChainId(null);
+      setError('Connect a wallet to browse the gallery');
+      return;
+    }
 
-  const initWeb3 = async () => {
     try {
-      if (window.ethereum) {
-        const web3Instance = new Web3(window.ethereum);
-        await window.ethereum.request({ method: 'eth_requestAccounts' });
-        
-        const accounts = await web3Instance.eth.getAccounts();
-        setAccount(accounts[0]);
+      const web3Instance = new Web3(provider);
+      const [networkId, currentChainId] = await Promise.all([
+        web3Instance.eth.net.getId(),
+        web3Instance.eth.getChainId()
+      ]);
+      if (attachId !== attachCount.current) return;
 
-        const networkId = await web3Instance.eth.net.getId();
-        const deployedNetwork = ArtGallery.networks[networkId];
+      const deployedNetwork = ArtGallery.networks[networkId];
+      setWeb3(web3Instance);
+      setChainId(Number(currentChainId));
+      setContract(deployedNetwork
+        ? new web3Instance.eth.Contract(ART_GALLERY_ABI, deployedNetwork.address)
+        : null);
+      setError(deployedNetwork ? null : `ArtGallery is not deployed on chain ${currentChainId}`);
+    } catch (err) {
+      if (attachId === attachCount.current) {
+        setError(err.message);
+      }
+    }
+  }, []);
 
-        if (!deployedNetwork) {
-          throw new Error('Please connect to the correct network');
-        }
+  useEffect(() => {
+    attachProvider(readOnlyProvider.current).finally(() => setLoading(false));
+  }, [attachProvider]);
 
-        const contractInstance = new web3Instance.eth.Contract(
-          ArtGallery.abi,
-          deployedNetwork.address
-        );
+  const connect = useCallback(async (detail, { silent = false } = {}) => {
+    setConnecting(true);
+    if (!silent) {
+      setError(null);
+    }
 
-        setWeb3(web3Instance);
-        setContract(contractInstance);
-        setLoading(false);
+    try {
+      // eth_accounts never prompts, so a silent reconnect only succeeds if access was already granted
+      const accounts = await detail.provider.request({
+        method: silent ? 'eth_accounts' : 'eth_requestAccounts'
+      });
+      if (accounts.length === 0) return;
 
-        window.ethereum.on('accountsChanged', (accounts) => {
-          setAccount(accounts[0]);
-        });
+      await attachProvider(detail.provider);
+      setAccount(accounts[0]);
+      setWallet(detail);
+      localStorage.setItem(WALLET_STORAGE_KEY, detail.info.rdns);
+    } catch (err) {
+      if (!silent) {
+        setError(err.message);
+      }
+    } finally {
+      setConnecting(false);
+    }
+  }, [attachProvider]);
+
+  const disconnect = useCallback(async () => {
+    setWallet(null);
+    setAccount(null);
+    localStorage.removeItem(WALLET_STORAGE_KEY);
+    await attachProvider(readOnlyProvider.current);
+  }, [attachProvider]);
+
+  // Reconnects the remembered wallet when it is announced, at most once per page load
+  useEffect(() => {
+    if (silentReconnectAttempted.current || wallet) return;
+    const rememberedWallet = localStorage.getItem(WALLET_STORAGE_KEY);
+    const detail = wallets.find((candidate) => candidate.info.rdns === rememberedWallet);
+    if (detail) {
+      silentReconnectAttempted.current = true;
+      connect(detail, { silent: true });
+    }
+  }, [wallets, wallet, connect]);
+
+  useEffect(() => {
+    if (!wallet) return undefined;
+    const { provider } = wallet;
 
-        window.ethereum.on('chainChanged', () => {
-          window.location.reload();
-        });
+    const handleAccountsChanged = (accounts) => {
+      if (accounts.length === 0) {
+        disconnect();
       } else {
-        throw new Error('Please install MetaMask');
+        setAccount(accounts[0]);
       }
+    };
+    const handleChainChanged = () => {
+      attachProvider(provider);
+    };
+    const handleDisconnect = () => {
+      disconnect();
+    };
+
+    provider.on('accountsChanged', handleAccountsChanged);
+    provider.on('chainChanged', handleChainChanged);
+    provider.on('disconnect', handleDisconnect);
+
+    return () => {
+      provider.removeListener('accountsChanged', handleAccountsChanged);
+      provider.removeListener('chainChanged', handleChainChanged);
+      provider.removeListener('disconnect', handleDisconnect);
+    };
+  }, [wallet, attachProvider, disconnect]);
+
+  const switchChain = useCallback(async (targetChainId = EXPECTED_CHAIN_ID) => {
+    if (!wallet || !targetChainId) return;
+    try {
+      await wallet.provider.request({
+        method: 'wallet_switchEthereumChain',
+        params: [{ chainId: `0x${Number(targetChainId).toString(16)}` }]
+      });
     } catch (err) {
       setError(err.message);
-      setLoading(false);
     }
-  };
+  }, [wallet]);
 
-  useEffect(() => {
-    initWeb3();
+  const subscribe = useCallback((eventNames, handler) => {
+    const listener = { eventNames: [].concat(eventNames), handler };
+    eventListeners.current.add(listener);
+    return () => eventListeners.current.delete(listener);
   }, []);
 
+  /**
+   * Feeds LIVE_EVENTS to subscribers, over REACT_APP_WS_RPC_URL when it is set and by
+   * polling for new blocks otherwise or once the websocket fails. Restarts whenever the
+   * contract, chain or account changes.
+   */
+  useEffect(() => {
+    if (!web3 || !contract) return undefined;
+    let stopped = false;
+    let pollTimer = null;
+    let socketWeb3 = null;
+    let subscriptions = [];
+
+    const deliver = (event) => {
+      const key = `${event.transactionHash}-${event.logIndex}`;
+      if (stopped || seenEvents.current.has(key)) return;
+
+      seenEvents.current.add(key);
+      if (seenEvents.current.size > SEEN_EVENT_LIMIT) {
+        seenEvents.current.delete(seenEvents.current.values().next().value);
+      }
+      eventListeners.current.forEach((listener) => {
+        if (listener.eventNames.includes(event.event)) {
+          listener.handler(event);
+        }
+      });
+    };
+
+    const poll = async () => {
+      try {
+        const latest = Number(await web3.eth.getBlockNumber());
+        const { chainId: polledChain, block } = lastPolledBlock.current;
+        // Start from the current block on a new chain; otherwise catch up on what was missed
+        if (polledChain !== chainId || block === null) {
+          lastPolledBlock.current = { chainId, block: latest };
+        } else if (latest > block) {
+          const events = await contract.getPastEvents('allEvents', { fromBlock: block + 1, toBlock: latest });
+          if (stopped) return;
+          lastPolledBlock.current = { chainId, block: latest };
+          events.filter((event) => LIVE_EVENTS.includes(event.event)).forEach(deliver);
+        }
+      } catch (err) {
+        console.warn('Could not poll for contract events:', err.message);
+      }
+      if (!stopped) {
+        pollTimer = setTimeout(poll, EVENT_POLL_INTERVAL_MS);
+      }
+    };
+
+    const closeSocket = () => {
+      subscriptions.forEach((subscription) => subscription.unsubscribe());
+      subscriptions = [];
+      if (socketWeb3) {
+        socketWeb3.currentProvider.disconnect();
+        socketWeb3 = null;
+      }
+    };
+
+    const fallBackToPolling = (err) => {
+      if (stopped || !socketWeb3) return;
+      console.warn('Contract event websocket failed, polling instead:', err && err.message);
+      closeSocket();
+      poll();
+    };
+
+    if (WS_RPC_URL) {
+      socketWeb3 = new Web3(new Web3.providers.WebsocketProvider(WS_RPC_URL));
+      socketWeb3.currentProvider.on('error', fallBackToPolling);
+      socketWeb3.currentProvider.on('end', fallBackToPolling);
+      const socketContract = new socketWeb3.eth.Contract(ART_GALLERY_ABI, contract.options.address);
+      subscriptions = LIVE_EVENTS.map((eventName) => socketContract.events[eventName]()
+        .on('data', deliver)
+        .on('error', fallBackToPolling));
+    } else {
+      poll();
+    }
+
+    return () => {
+      stopped = true;
+      clearTimeout(pollTimer);
+      closeSocket();
+    };
+  }, [web3, contract, chainId, account]);
+
   const contextValue = {
     web3,
     account,
     contract,
+    chainId,
+    expectedChainId: EXPECTED_CHAIN_ID,
+    readOnly: !account,
+    wallets,
+    wallet: wallet && wallet.info,
+    connect,
+    disconnect,
+    switchChain,
+    subscribe,
+    connecting,
     loading,
     error
   };
@@ -71,4 +335,4 @@ export const Web3Provider = ({ children }) => {
       {children}
     </Web3Context.Provider>
   );
-};
\ No newline at end of file
+};
@@ -0,0 +1,15 @@
+import { useEffect } from 'react';
+import { useTransactions } from '../contexts/TransactionContext';
+
+// Calls onConfirmed with the token IDs touched by each transaction that settles on chain
+const useConfirmedArtworks = (onConfirmed) => {
+  const { lastConfirmed } = useTransactions();
+
+  useEffect(() => {
+    if (lastConfirmed.tokenIds.length > 0) {
+      onConfirmed(lastConfirmed.tokenIds);
+    }
+  }, [lastConfirmed]);
+};
+
+export default useConfirmedArtworks;
@@ -0,0 +1,16 @@
+import { useEffect, useRef } from 'react';
+import { useWeb3 } from '../contexts/Web3Context';
+
+// Calls onEvent for each live contract event named in eventNames; see LIVE_EVENTS
+const useContractEvents = (eventNames, onEvent) => {
+  const { subscribe } = useWeb3();
+  const handler = useRef(onEvent);
+  handler.current = onEvent;
+
+  useEffect(
+    () => subscribe(eventNames, (event) => handler.current(event)),
+    [subscribe, [].concat(eventNames).join()]
+  );
+};
+
+export default useContractEvents;
@@ -0,0 +1,31 @@
+import { useState, useEffect } from 'react';
+import { useWeb3 } from '../contexts/Web3Context';
+import { lookupEnsName } from '../utils/ens';
+
+// The verified ENS name and avatar of address, or null while loading or when it has none
+const useEnsName = (address) => {
+  const { web3, chainId } = useWeb3();
+  const [ens, setEns] = useState(null);
+
+  useEffect(() => {
+    setEns(null);
+    if (!web3 || !address) {
+      return undefined;
+    }
+
+    let cancelled = false;
+    lookupEnsName(web3, chainId, address)
+      .then((result) => {
+        if (!cancelled) setEns(result);
+      })
+      .catch((err) => console.error('Error resolving ENS name:', err));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [web3, chainId, address]);
+
+  return ens;
+};
+
+export default useEnsName;
@@ -0,0 +1,41 @@
+import { useState, useEffect } from 'react';
+import { useWeb3 } from '../contexts/Web3Context';
+import { EMPTY_PROFILE, loadProfile } from '../utils/profiles';
+
+// The on-chain profile of address; refreshKey forces a reload after the profile is edited
+const useProfile = (address, refreshKey) => {
+  const { contract } = useWeb3();
+  const [profile, setProfile] = useState(EMPTY_PROFILE);
+  const [loading, setLoading] = useState(Boolean(address));
+
+  useEffect(() => {
+    if (!contract || !address) {
+      setProfile(EMPTY_PROFILE);
+      setLoading(false);
+      return undefined;
+    }
+
+    let cancelled = false;
+    setLoading(true);
+
+    loadProfile(contract, address)
+      .then((loaded) => {
+        if (!cancelled) setProfile(loaded);
+      })
+      .catch((err) => {
+        console.error('Error loading profile:', err);
+        if (!cancelled) setProfile(EMPTY_PROFILE);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [contract, address, refreshKey]);
+
+  return { profile, loading };
+};
+
+export default useProfile;
@@ -0,0 +1,40 @@
+import { useState, useEffect } from 'react';
+import { resolveMetadata } from '../utils/metadata';
+
+const useTokenMetadata = (tokenURI) => {
+  const [metadata, setMetadata] = useState(null);
+  const [loading, setLoading] = useState(Boolean(tokenURI));
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!tokenURI) {
+      setMetadata(null);
+      setLoading(false);
+      return undefined;
+    }
+
+    let cancelled = false;
+    setMetadata(null);
+    setError(null);
+    setLoading(true);
+
+    resolveMetadata(tokenURI)
+      .then((resolved) => {
+        if (!cancelled) setMetadata(resolved);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [tokenURI]);
+
+  return { metadata, loading, error };
+};
+
+export default useTokenMetadata;
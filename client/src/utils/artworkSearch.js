@@ -0,0 +1,88 @@
+// Sort keys shared with the indexer's /api/artworks route
+export const SORT_OPTIONS = [
+  { value: 'newest', label: 'Newest' },
+  { value: 'price_asc', label: 'Price: low to high' },
+  { value: 'price_desc', label: 'Price: high to low' },
+  { value: 'rating', label: 'Top rated' },
+  { value: 'reviews', label: 'Most reviewed' }
+];
+
+const DEFAULT_SORT = 'newest';
+
+// Form state kept in the URL; prices are in ETH and royalty in percent, as the user types them
+export const EMPTY_SEARCH = {
+  q: '',
+  forSale: '',
+  minPrice: '',
+  maxPrice: '',
+  minRating: '',
+  galleryId: '',
+  minRoyalty: '',
+  maxRoyalty: '',
+  sort: DEFAULT_SORT
+};
+
+export const searchFromParams = (searchParams) => Object.keys(EMPTY_SEARCH).reduce(
+  (search, key) => ({ ...search, [key]: searchParams.get(key) || EMPTY_SEARCH[key] }),
+  {}
+);
+
+// Leaves out defaults so shared links stay short
+export const searchToParams = (search) => Object.keys(EMPTY_SEARCH).reduce(
+  (params, key) => (search[key] && search[key] !== EMPTY_SEARCH[key] ? { ...params, [key]: search[key] } : params),
+  {}
+);
+
+/**
+ * Converts form state into the filters dataSource.searchArtworks takes: wei prices,
+ * basis-point royalty and numbers, with unset filters left undefined.
+ */
+export const toArtworkFilters = (web3, search) => ({
+  q: search.q.trim() || undefined,
+  forSale: search.forSale === '' ? undefined : search.forSale === 'true',
+  minPrice: search.minPrice ? web3.utils.toWei(search.minPrice, 'ether') : undefined,
+  maxPrice: search.maxPrice ? web3.utils.toWei(search.maxPrice, 'ether') : undefined,
+  minRating: search.minRating ? Number(search.minRating) : undefined,
+  galleryId: search.galleryId || undefined,
+  minRoyalty: search.minRoyalty ? Math.round(Number(search.minRoyalty) * 100) : undefined,
+  maxRoyalty: search.maxRoyalty ? Math.round(Number(search.maxRoyalty) * 100) : undefined,
+  sort: search.sort
+});
+
+// Mirrors the indexer's filters for when artworks are read straight from the chain
+export const matchesFilters = (artwork, filters) => {
+  if (filters.q) {
+    const needle = filters.q.toLowerCase();
+    const haystack = [artwork.title, artwork.description || '', artwork.artist];
+    if (!haystack.some((text) => text.toLowerCase().includes(needle))) return false;
+  }
+  if (filters.forSale !== undefined && artwork.forSale !== filters.forSale) return false;
+  if ((filters.minPrice !== undefined || filters.maxPrice !== undefined) && !artwork.forSale) return false;
+  if (filters.minPrice !== undefined && BigInt(artwork.price) < BigInt(filters.minPrice)) return false;
+  if (filters.maxPrice !== undefined && BigInt(artwork.price) > BigInt(filters.maxPrice)) return false;
+  if (filters.minRating !== undefined && artwork.rating < filters.minRating) return false;
+  if (filters.galleryId !== undefined && artwork.galleryId !== filters.galleryId) return false;
+  if (filters.minRoyalty !== undefined && artwork.royaltyBasisPoints < filters.minRoyalty) return false;
+  if (filters.maxRoyalty !== undefined && artwork.royaltyBasisPoints > filters.maxRoyalty) return false;
+  return true;
+};
+
+const compareBigInt = (a, b) => (BigInt(a) < BigInt(b) ? -1 : BigInt(a) > BigInt(b) ? 1 : 0);
+const newestFirst = (a, b) => Number(b.id) - Number(a.id);
+
+// Listed works come before unlisted ones when sorting by price
+const byPrice = (direction) => (a, b) => (Number(b.forSale) - Number(a.forSale))
+  || direction * compareBigInt(a.price, b.price)
+  || newestFirst(a, b);
+
+const COMPARATORS = {
+  newest: newestFirst,
+  price_asc: byPrice(1),
+  price_desc: byPrice(-1),
+  rating: (a, b) => (b.rating - a.rating) || (b.totalRatings - a.totalRatings) || newestFirst(a, b),
+  reviews: (a, b) => (b.totalRatings - a.totalRatings) || newestFirst(a, b)
+};
+
+export const sortArtworks = (artworks, sort) => (
+  COMPARATORS[sort] ? [...artworks].sort(COMPARATORS[sort]) : artworks
+);
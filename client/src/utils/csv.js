@@ -0,0 +1,60 @@
+/**
+ * Parses RFC 4180 CSV into rows of cells. Quoted cells may contain commas, newlines and
+ * doubled quotes; blank lines are skipped.
+ */
+export const parseCsvRows = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error('CSV has an unterminated quoted field');
+  }
+  row.push(cell);
+  rows.push(row);
+
+  return rows.filter((cells) => cells.some((value) => value.trim() !== ''));
+};
+
+/**
+ * Parses CSV with a header row into objects keyed by lower-cased column name.
+ */
+export const parseCsv = (text) => {
+  const [header, ...rows] = parseCsvRows(text.replace(/^\uFEFF/, ''));
+  if (!header) return [];
+
+  const columns = header.map((name) => name.trim().toLowerCase());
+  return rows.map((cells) => columns.reduce((record, column, i) => ({
+    ...record,
+    [column]: (cells[i] || '').trim()
+  }), {}));
+};
@@ -0,0 +1,358 @@
+import { isExpired } from './vouchers';
+import { resolveMetadata } from './metadata';
+import { matchesFilters, sortArtworks } from './artworkSearch';
+
+const INDEXER_URL = process.env.REACT_APP_INDEXER_URL;
+const INDEXER_PAGE_SIZE = 100;
+const LOCAL_VOUCHERS_KEY = 'art-gallery:vouchers';
+// Tokens per getArtworks call when scanning every artwork on chain
+const CHAIN_BATCH_SIZE = 50;
+// Metadata documents fetched at once when searching descriptions on chain
+const METADATA_CONCURRENCY = 6;
+
+const fetchIndexer = async (path, options) => {
+  const response = await fetch(`${INDEXER_URL.replace(/\/$/, '')}${path}`, options);
+  if (!response.ok) {
+    const body = await response.json().catch(() => ({}));
+    throw new Error(body.error || `Indexer request failed with status ${response.status}`);
+  }
+  return response.json();
+};
+
+// Reads every page of a paged indexer route
+const fetchAllPages = async (path) => {
+  const items = [];
+  let total = Infinity;
+  const separator = path.includes('?') ? '&' : '?';
+
+  while (items.length < total) {
+    const page = await fetchIndexer(`${path}${separator}offset=${items.length}&limit=${INDEXER_PAGE_SIZE}`);
+    total = page.total;
+    items.push(...page.items);
+    if (page.items.length === 0) break;
+  }
+  return items;
+};
+
+/**
+ * Runs the indexer query when an indexer is configured, falling back to reading the chain
+ * directly if it is not configured or cannot be reached.
+ */
+const withFallback = async (fromIndexer, fromChain) => {
+  if (INDEXER_URL) {
+    try {
+      return await fromIndexer();
+    } catch (error) {
+      console.warn('Indexer unavailable, reading from the chain instead:', error.message);
+    }
+  }
+  return fromChain();
+};
+
+// The indexer and the contract's getArtworks view share field names
+const toArtwork = (artwork) => ({
+  id: String(artwork.tokenId),
+  title: artwork.title,
+  artist: artwork.artist,
+  owner: artwork.owner,
+  price: artwork.price,
+  forSale: artwork.forSale,
+  rating: Number(artwork.avgRating),
+  totalRatings: Number(artwork.totalRatings),
+  royaltyBasisPoints: Number(artwork.royaltyBasisPoints),
+  galleryId: artwork.galleryId,
+  uri: artwork.tokenURI
+});
+
+export const loadGalleries = (contract) => withFallback(
+  async () => {
+    const galleries = await fetchAllPages('/api/galleries');
+    return galleries.map(({ id, name, curator, isActive }) => ({ id, name, curator, isActive }));
+  },
+  async () => {
+    const galleryEvents = await contract.getPastEvents('GalleryCreated', {
+      fromBlock: 0,
+      toBlock: 'latest'
+    });
+
+    return Promise.all(
+      galleryEvents.map(async (event) => {
+        const gallery = await contract.methods.galleries(event.returnValues.galleryId).call();
+        return {
+          id: event.returnValues.galleryId,
+          name: gallery.name,
+          curator: gallery.curator,
+          isActive: gallery.isActive
+        };
+      })
+    );
+  }
+);
+
+// Read straight from the chain so a just-confirmed change shows before the indexer catches up
+export const loadArtworksById = async (contract, tokenIds) => {
+  const details = await contract.methods.getArtworks(tokenIds).call();
+  return details.map(toArtwork);
+};
+
+/**
+ * Searches every artwork; see utils/artworkSearch for the filters. Without an indexer all
+ * artworks are read from the chain and filtered here, and a text search also has to load
+ * each token's metadata for its description, so expect it to be slow on large collections.
+ */
+export const searchArtworks = (contract, filters, offset, limit) => withFallback(
+  async () => {
+    const params = new URLSearchParams({ offset, limit });
+    Object.entries(filters).forEach(([key, value]) => {
+      if (value !== undefined) {
+        params.set(key, value);
+      }
+    });
+    const page = await fetchIndexer(`/api/artworks?${params}`);
+    return {
+      total: page.total,
+      artworks: page.items.map((item) => ({ ...toArtwork(item), description: item.description }))
+    };
+  },
+  async () => {
+    const createdEvents = await contract.getPastEvents('ArtworkCreated', { fromBlock: 0, toBlock: 'latest' });
+    const tokenIds = createdEvents.map((event) => event.returnValues.tokenId);
+
+    const artworks = [];
+    for (let i = 0; i < tokenIds.length; i += CHAIN_BATCH_SIZE) {
+      const details = await contract.methods.getArtworks(tokenIds.slice(i, i + CHAIN_BATCH_SIZE)).call();
+      artworks.push(...details.map(toArtwork));
+    }
+
+    if (filters.q) {
+      let next = 0;
+      const worker = async () => {
+        while (next < artworks.length) {
+          const artwork = artworks[next++];
+          try {
+            artwork.description = (await resolveMetadata(artwork.uri)).description;
+          } catch (error) {
+            artwork.description = '';
+          }
+        }
+      };
+      await Promise.all(Array.from({ length: METADATA_CONCURRENCY }, worker));
+    }
+
+    const matches = sortArtworks(artworks.filter((artwork) => matchesFilters(artwork, filters)), filters.sort);
+    return { total: matches.length, artworks: matches.slice(offset, offset + limit) };
+  }
+);
+
+export const loadGalleryArtworks = (contract, galleryId, offset, limit) => withFallback(
+  async () => {
+    const page = await fetchIndexer(
+      `/api/galleries/${encodeURIComponent(galleryId)}/artworks?offset=${offset}&limit=${limit}`
+    );
+    return { total: page.total, artworks: page.items.map(toArtwork) };
+  },
+  async () => {
+    const total = await contract.methods.getGalleryArtworkCount(galleryId).call();
+    const artworkIds = await contract.methods.getGalleryArtworksPage(galleryId, offset, limit).call();
+    const details = artworkIds.length > 0
+      ? await contract.methods.getArtworks(artworkIds).call()
+      : [];
+
+    return { total: Number(total), artworks: details.map(toArtwork) };
+  }
+);
+
+const eventOrigin = (event) => ({
+  blockNumber: event.blockNumber,
+  timestamp: null,
+  txHash: event.transactionHash
+});
+
+export const loadArtworkHistory = (contract, tokenId) => withFallback(
+  async () => {
+    const artwork = await fetchIndexer(`/api/artworks/${tokenId}`);
+    return { transfers: artwork.transfers, sales: artwork.sales, royalties: artwork.royalties };
+  },
+  async () => {
+    const options = { filter: { tokenId }, fromBlock: 0, toBlock: 'latest' };
+    const [transfers, sales, royalties] = await Promise.all([
+      contract.getPastEvents('Transfer', options),
+      contract.getPastEvents('ArtworkSold', options),
+      contract.getPastEvents('RoyaltyPaid', options)
+    ]);
+
+    return {
+      transfers: transfers.map((event) => ({
+        from: event.returnValues.from,
+        to: event.returnValues.to,
+        ...eventOrigin(event)
+      })),
+      sales: sales.map((event) => ({
+        seller: event.returnValues.from,
+        buyer: event.returnValues.to,
+        price: event.returnValues.price,
+        ...eventOrigin(event)
+      })),
+      royalties: royalties.map((event) => ({
+        recipient: event.returnValues.artist,
+        amount: event.returnValues.amount,
+        ...eventOrigin(event)
+      }))
+    };
+  }
+);
+
+// Works minted by address, oldest first
+export const loadCreatedArtworks = (contract, address, offset, limit) => withFallback(
+  async () => {
+    const page = await fetchIndexer(
+      `/api/artworks?artist=${encodeURIComponent(address)}&offset=${offset}&limit=${limit}`
+    );
+    return { total: page.total, artworks: page.items.map(toArtwork) };
+  },
+  async () => {
+    const total = await contract.methods.getUserArtworkCount(address).call();
+    const artworkIds = await contract.methods.getUserArtworksPage(address, offset, limit).call();
+    const details = artworkIds.length > 0
+      ? await contract.methods.getArtworks(artworkIds).call()
+      : [];
+
+    return { total: Number(total), artworks: details.map(toArtwork) };
+  }
+);
+
+/**
+ * Works address holds right now. The contract only records what an account minted, so
+ * without an indexer every token ever transferred to the address is read and those it has
+ * since passed on are dropped.
+ */
+export const loadOwnedArtworks = (contract, address, offset, limit) => withFallback(
+  async () => {
+    const page = await fetchIndexer(
+      `/api/artworks?owner=${encodeURIComponent(address)}&offset=${offset}&limit=${limit}`
+    );
+    return { total: page.total, artworks: page.items.map(toArtwork) };
+  },
+  async () => {
+    const received = await contract.getPastEvents('Transfer', {
+      filter: { to: address },
+      fromBlock: 0,
+      toBlock: 'latest'
+    });
+    const tokenIds = [...new Set(received.map((event) => String(event.returnValues.tokenId)))]
+      .sort((a, b) => Number(a) - Number(b));
+
+    const owned = [];
+    for (let i = 0; i < tokenIds.length; i += CHAIN_BATCH_SIZE) {
+      const details = await contract.methods.getArtworks(tokenIds.slice(i, i + CHAIN_BATCH_SIZE)).call();
+      owned.push(...details.map(toArtwork)
+        .filter((artwork) => artwork.owner.toLowerCase() === address.toLowerCase()));
+    }
+    return { total: owned.length, artworks: owned.slice(offset, offset + limit) };
+  }
+);
+
+// Galleries address curates; read from the chain since curation can be handed over
+export const loadCuratedGalleries = async (contract, address) => {
+  const galleryIds = await contract.methods.getUserGalleries(address).call();
+  return Promise.all(galleryIds.map(async (id) => {
+    const gallery = await contract.methods.galleries(id).call();
+    return { id, name: gallery.name, description: gallery.description, isActive: gallery.isActive };
+  }));
+};
+
+/**
+ * Sales address took part in, royalties it was paid and reviews it wrote, each newest
+ * first. Without an indexer entries have no timestamp, only a block number.
+ */
+export const loadAccountActivity = (contract, address) => withFallback(
+  async () => {
+    const account = `/api/accounts/${encodeURIComponent(address)}`;
+    const [sales, royalties, reviews] = await Promise.all([
+      fetchIndexer(`${account}/sales`),
+      fetchIndexer(`${account}/royalties`),
+      fetchIndexer(`${account}/reviews?limit=${INDEXER_PAGE_SIZE}`)
+    ]);
+    return { sales, royalties, reviews };
+  },
+  async () => {
+    const options = (filter) => ({ filter, fromBlock: 0, toBlock: 'latest' });
+    const [sold, bought, royalties, reviews] = await Promise.all([
+      contract.getPastEvents('ArtworkSold', options({ from: address })),
+      contract.getPastEvents('ArtworkSold', options({ to: address })),
+      contract.getPastEvents('RoyaltyPaid', options({ artist: address })),
+      contract.getPastEvents('ReviewAdded', options({ reviewer: address }))
+    ]);
+    const newestFirst = (a, b) => (b.blockNumber - a.blockNumber) || (b.logIndex - a.logIndex);
+
+    return {
+      sales: [...sold, ...bought].sort(newestFirst).map((event) => ({
+        tokenId: Number(event.returnValues.tokenId),
+        seller: event.returnValues.from,
+        buyer: event.returnValues.to,
+        price: event.returnValues.price,
+        ...eventOrigin(event)
+      })),
+      royalties: royalties.sort(newestFirst).map((event) => ({
+        tokenId: Number(event.returnValues.tokenId),
+        recipient: event.returnValues.artist,
+        amount: event.returnValues.amount,
+        ...eventOrigin(event)
+      })),
+      reviews: reviews.sort(newestFirst).map((event) => ({
+        tokenId: Number(event.returnValues.tokenId),
+        reviewer: event.returnValues.reviewer,
+        comment: event.returnValues.comment,
+        rating: Number(event.returnValues.rating),
+        ...eventOrigin(event)
+      }))
+    };
+  }
+);
+
+const readLocalVouchers = () => {
+  try {
+    return JSON.parse(localStorage.getItem(LOCAL_VOUCHERS_KEY)) || [];
+  } catch (error) {
+    return [];
+  }
+};
+
+/**
+ * Lists a signed voucher. With an indexer it is published to every collector; without one
+ * it can only be kept in this browser. Indexer errors are not retried locally, since a
+ * voucher nobody else can see would not sell.
+ */
+export const saveVoucher = async (contract, voucher, signature) => {
+  if (INDEXER_URL) {
+    await fetchIndexer('/api/vouchers', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ voucher, signature })
+    });
+    return;
+  }
+
+  localStorage.setItem(LOCAL_VOUCHERS_KEY, JSON.stringify([
+    ...readLocalVouchers(),
+    { ...voucher, signature, contract: contract.options.address, createdAt: Math.floor(Date.now() / 1000) }
+  ]));
+};
+
+/**
+ * Open vouchers, optionally for one artist: not expired, redeemed or cancelled.
+ */
+export const loadVouchers = (contract, { artist } = {}) => withFallback(
+  () => fetchAllPages(`/api/vouchers${artist ? `?artist=${artist}` : ''}`),
+  async () => {
+    const candidates = readLocalVouchers().filter((voucher) => (
+      voucher.contract === contract.options.address
+      && !isExpired(voucher)
+      && (!artist || voucher.artist.toLowerCase() === artist.toLowerCase())
+    ));
+    const used = await Promise.all(
+      candidates.map((voucher) => contract.methods.voucherNonceUsed(voucher.artist, voucher.nonce).call())
+    );
+    return candidates.filter((_, i) => !used[i]);
+  }
+);
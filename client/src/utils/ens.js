@@ -0,0 +1,84 @@
+import Web3 from 'web3';
+import { MAINNET_REGISTRY, createEnsResolver } from './ensResolver';
+import { getGatewayUrls, resolveMetadata } from './metadata';
+
+const ENS_RPC_URL = process.env.REACT_APP_ENS_RPC_URL;
+const ENS_REGISTRY = process.env.REACT_APP_ENS_REGISTRY;
+
+const CACHE_KEY = 'art-gallery:ens';
+// Names rarely change; addresses without one are rechecked just as often
+const CACHE_TTL_MS = 60 * 60 * 1000;
+
+let resolver = null;
+let resolverWeb3 = null;
+const lookups = new Map();
+
+const readCache = () => {
+  try {
+    return JSON.parse(localStorage.getItem(CACHE_KEY)) || {};
+  } catch (error) {
+    return {};
+  }
+};
+
+const writeCache = (key, entry) => {
+  const now = Date.now();
+  const cache = Object.fromEntries(
+    Object.entries(readCache()).filter(([, cached]) => now - cached.at < CACHE_TTL_MS)
+  );
+  localStorage.setItem(CACHE_KEY, JSON.stringify({ ...cache, [key]: { ...entry, at: now } }));
+};
+
+/**
+ * The resolver to use with the gallery's connection. ENS is read from REACT_APP_ENS_RPC_URL
+ * when set, so a gallery on another chain can still show mainnet names; otherwise from the
+ * gallery's own chain, which needs REACT_APP_ENS_REGISTRY unless that chain is mainnet.
+ */
+const getResolver = (web3, chainId) => {
+  const registry = ENS_REGISTRY || (ENS_RPC_URL || chainId === 1 ? MAINNET_REGISTRY : null);
+  if (!registry) return null;
+
+  const ensWeb3 = ENS_RPC_URL ? null : web3;
+  if (!resolver || resolverWeb3 !== ensWeb3) {
+    resolver = createEnsResolver(ensWeb3 || new Web3(ENS_RPC_URL), registry);
+    resolverWeb3 = ensWeb3;
+  }
+  return resolver;
+};
+
+const toAvatarUrl = async ({ avatar, avatarMetadata }) => {
+  if (avatarMetadata) {
+    const metadata = await resolveMetadata(avatarMetadata).catch(() => null);
+    return metadata && metadata.image ? getGatewayUrls(metadata.image)[0] : null;
+  }
+  return avatar ? getGatewayUrls(avatar)[0] : null;
+};
+
+/**
+ * The verified ENS name and avatar URL of address, or null. Results, including addresses
+ * without a name, are kept in local storage for an hour.
+ */
+export const lookupEnsName = (web3, chainId, address) => {
+  const ens = getResolver(web3, chainId);
+  if (!ens) return Promise.resolve(null);
+
+  const key = address.toLowerCase();
+  const cached = readCache()[key];
+  if (cached && Date.now() - cached.at < CACHE_TTL_MS) {
+    return Promise.resolve(cached.name ? { name: cached.name, avatar: cached.avatar } : null);
+  }
+
+  if (!lookups.has(key)) {
+    const lookup = ens.lookupAddress(address)
+      .then(async (result) => {
+        const entry = result ? { name: result.name, avatar: await toAvatarUrl(result) } : null;
+        writeCache(key, entry || { name: null, avatar: null });
+        return entry;
+      })
+      .finally(() => {
+        lookups.delete(key);
+      });
+    lookups.set(key, lookup);
+  }
+  return lookups.get(key);
+};
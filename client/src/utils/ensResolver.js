@@ -0,0 +1,112 @@
+// Plain CommonJS so the contract tests can run it against a locally deployed registry
+const MAINNET_REGISTRY = '0x00000000000C2E074eC69A0dFb2997BA6C7d2e1e';
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+const ZERO_NODE = `0x${'0'.repeat(64)}`;
+
+const bytes32Function = (name, outputType, extraInputs = []) => ({
+  name,
+  type: 'function',
+  stateMutability: 'view',
+  inputs: [{ name: 'node', type: 'bytes32' }, ...extraInputs],
+  outputs: [{ name: '', type: outputType }]
+});
+
+const REGISTRY_ABI = [bytes32Function('resolver', 'address')];
+const RESOLVER_ABI = [
+  bytes32Function('addr', 'address'),
+  bytes32Function('name', 'string'),
+  bytes32Function('text', 'string', [{ name: 'key', type: 'string' }])
+];
+const ERC721_ABI = [
+  { name: 'tokenURI', type: 'function', stateMutability: 'view', inputs: [{ name: 'tokenId', type: 'uint256' }], outputs: [{ name: '', type: 'string' }] },
+  { name: 'ownerOf', type: 'function', stateMutability: 'view', inputs: [{ name: 'tokenId', type: 'uint256' }], outputs: [{ name: '', type: 'address' }] }
+];
+const ERC1155_ABI = [
+  { name: 'uri', type: 'function', stateMutability: 'view', inputs: [{ name: 'id', type: 'uint256' }], outputs: [{ name: '', type: 'string' }] },
+  {
+    name: 'balanceOf',
+    type: 'function',
+    stateMutability: 'view',
+    inputs: [{ name: 'account', type: 'address' }, { name: 'id', type: 'uint256' }],
+    outputs: [{ name: '', type: 'uint256' }]
+  }
+];
+
+// ENSIP-12 NFT avatars, e.g. eip155:1/erc721:0xb47e...5f1d/2430
+const NFT_AVATAR_PATTERN = /^eip155:(\d+)\/(erc721|erc1155):(0x[0-9a-fA-F]{40})\/(\d+)$/;
+
+/**
+ * ENSIP-1 namehash. Names are hashed as given rather than UTS-46 normalised, so a reverse
+ * record holding an unnormalised name simply fails forward verification.
+ */
+const namehash = (web3, name) => (name ? name.split('.') : []).reduceRight(
+  (node, label) => web3.utils.soliditySha3(
+    { t: 'bytes32', v: node },
+    { t: 'bytes32', v: web3.utils.sha3(label) }
+  ),
+  ZERO_NODE
+);
+
+const reverseNode = (web3, address) => namehash(web3, `${address.slice(2).toLowerCase()}.addr.reverse`);
+
+const sameAddress = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+const createEnsResolver = (web3, registryAddress) => {
+  const registry = new web3.eth.Contract(REGISTRY_ABI, registryAddress);
+
+  const resolverFor = async (node) => {
+    const address = await registry.methods.resolver(node).call();
+    return address === ZERO_ADDRESS ? null : new web3.eth.Contract(RESOLVER_ABI, address);
+  };
+
+  /**
+   * Resolves an NFT avatar record to its token's metadata URI, checking the address still
+   * holds the token. Only tokens on the chain the registry lives on can be read.
+   */
+  const resolveNftAvatar = async (address, record) => {
+    const [, chainId, standard, tokenContract, tokenId] = record.match(NFT_AVATAR_PATTERN);
+    if (Number(chainId) !== Number(await web3.eth.getChainId())) return null;
+
+    if (standard === 'erc721') {
+      const token = new web3.eth.Contract(ERC721_ABI, tokenContract);
+      if (!sameAddress(await token.methods.ownerOf(tokenId).call(), address)) return null;
+      return token.methods.tokenURI(tokenId).call();
+    }
+
+    const token = new web3.eth.Contract(ERC1155_ABI, tokenContract);
+    if (Number(await token.methods.balanceOf(address, tokenId).call()) === 0) return null;
+    const uri = await token.methods.uri(tokenId).call();
+    return uri.replace('{id}', web3.utils.padLeft(web3.utils.toHex(tokenId), 64).slice(2));
+  };
+
+  /**
+   * Looks up the primary name of address: its reverse record, accepted only if the name's
+   * addr record points back at the address. Resolves to null when there is no verified
+   * name. `avatar` is an image URI, or for NFT avatars `avatarMetadata` is the token's
+   * metadata URI whose image should be shown.
+   */
+  const lookupAddress = async (address) => {
+    const reverse = reverseNode(web3, address);
+    const reverseResolver = await resolverFor(reverse);
+    const name = reverseResolver && await reverseResolver.methods.name(reverse).call();
+    if (!name) return null;
+
+    const node = namehash(web3, name);
+    const forwardResolver = await resolverFor(node);
+    if (!forwardResolver || !sameAddress(await forwardResolver.methods.addr(node).call(), address)) {
+      return null;
+    }
+
+    const record = await forwardResolver.methods.text(node, 'avatar').call().catch(() => '');
+    if (!NFT_AVATAR_PATTERN.test(record)) {
+      return { name, avatar: record || null, avatarMetadata: null };
+    }
+    const avatarMetadata = await resolveNftAvatar(address, record).catch(() => null);
+    return { name, avatar: null, avatarMetadata };
+  };
+
+  return { lookupAddress };
+};
+
+module.exports = { MAINNET_REGISTRY, namehash, reverseNode, createEnsResolver };
@@ -1,37 +1,26 @@
-import { create } from 'ipfs-http-client';
+import { getStorageProvider } from './storage';
 
-const projectId = process.env.REACT_APP_INFURA_IPFS_PROJECT_ID;
-const projectSecret = process.env.REACT_APP_INFURA_IPFS_PROJECT_SECRET;
-const auth = 'Basic ' + Buffer.from(projectId + ':' + projectSecret).toString('base64');
+const toCid = (hash) => (hash.startsWith('ipfs://') ? hash.replace('ipfs://', '') : hash);
 
-const client = create({
-  host: 'ipfs.infura.io',
-  port: 5001,
-  protocol: 'https',
-  headers: {
-    authorization: auth,
-  },
-});
-
-export const uploadToIPFS = async (file) => {
+export const uploadToIPFS = async (file, { onProgress } = {}) => {
   try {
-    const added = await client.add(
-      file,
-      {
-        progress: (prog) => console.log(`Upload progress: ${prog}`)
-      }
-    );
-    return added.path;
+    return await getStorageProvider().upload(file, { onProgress });
   } catch (error) {
     console.error('Error uploading to IPFS:', error);
     throw new Error('Failed to upload to IPFS');
   }
 };
 
-export const getIPFSUrl = (hash) => {
+// Every URL the active provider can serve the content from, in order of preference
+export const getIPFSUrls = (hash) => {
+  if (!hash) return [];
+  return getStorageProvider().gatewayUrls(toCid(hash));
+};
+
+export const getIPFSUrl = (hash, gateway) => {
   if (!hash) return '';
-  if (hash.startsWith('ipfs://')) {
-    hash = hash.replace('ipfs://', '');
+  if (gateway) {
+    return `${gateway}${toCid(hash)}`;
   }
-  return `https://ipfs.io/ipfs/${hash}`;
-};
\ No newline at end of file
+  return getIPFSUrls(hash)[0] || '';
+};
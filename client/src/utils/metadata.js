@@ -0,0 +1,175 @@
+import { getIPFSUrls } from './ipfs';
+
+const TIMEOUT_MS = Number(process.env.REACT_APP_METADATA_TIMEOUT_MS) || 8000;
+
+// ipfs:// content is immutable; anything served over http(s) may change and is refetched daily
+const HTTP_CACHE_TTL_MS = 24 * 60 * 60 * 1000;
+
+const DB_NAME = 'art-gallery';
+const STORE_NAME = 'metadata';
+
+const memoryCache = new Map();
+const inFlight = new Map();
+
+const isIPFS = (uri) => uri.startsWith('ipfs://')
+  || /^(Qm[1-9A-HJ-NP-Za-km-z]{44}|b[a-z2-7]{58,}|mock[0-9a-f]{64})/.test(uri);
+
+/**
+ * Every URL a URI can be fetched from, in the order they should be tried. IPFS URIs get one
+ * URL per gateway of the storage provider; data: and http(s) URIs are returned as they are.
+ */
+export const getGatewayUrls = (uri) => {
+  if (!uri) return [];
+  if (!isIPFS(uri)) return [uri];
+  return getIPFSUrls(uri);
+};
+
+const fetchWithTimeout = async (url) => {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), TIMEOUT_MS);
+
+  try {
+    return await fetch(url, { signal: controller.signal });
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+const openDatabase = () => new Promise((resolve, reject) => {
+  if (typeof indexedDB === 'undefined') {
+    reject(new Error('IndexedDB is not available'));
+    return;
+  }
+
+  const request = indexedDB.open(DB_NAME, 1);
+  request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME);
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+let databasePromise = null;
+const getDatabase = () => {
+  if (!databasePromise) {
+    databasePromise = openDatabase().catch((error) => {
+      console.warn('Metadata cache disabled:', error.message);
+      return null;
+    });
+  }
+  return databasePromise;
+};
+
+const runTransaction = async (mode, operation) => {
+  const db = await getDatabase();
+  if (!db) return undefined;
+
+  return new Promise((resolve, reject) => {
+    const request = operation(db.transaction(STORE_NAME, mode).objectStore(STORE_NAME));
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+};
+
+const isFresh = (uri, entry) => entry && (isIPFS(uri) || Date.now() - entry.cachedAt < HTTP_CACHE_TTL_MS);
+
+const readCache = async (uri) => {
+  const cached = memoryCache.get(uri);
+  if (isFresh(uri, cached)) return cached.metadata;
+
+  try {
+    const stored = await runTransaction('readonly', (store) => store.get(uri));
+    if (isFresh(uri, stored)) {
+      memoryCache.set(uri, stored);
+      return stored.metadata;
+    }
+  } catch (error) {
+    console.warn('Error reading metadata cache:', error);
+  }
+  return null;
+};
+
+const writeCache = async (uri, metadata) => {
+  const entry = { metadata, cachedAt: Date.now() };
+  memoryCache.set(uri, entry);
+
+  try {
+    await runTransaction('readwrite', (store) => store.put(entry, uri));
+  } catch (error) {
+    console.warn('Error writing metadata cache:', error);
+  }
+};
+
+/**
+ * Checks that a document looks like ERC-721 metadata and keeps only the fields the client uses.
+ * Throws if required fields are missing or have the wrong type.
+ */
+export const validateMetadata = (json) => {
+  if (!json || typeof json !== 'object' || Array.isArray(json)) {
+    throw new Error('Metadata is not a JSON object');
+  }
+  if (json.name !== undefined && typeof json.name !== 'string') {
+    throw new Error('Metadata name must be a string');
+  }
+  if (json.description !== undefined && typeof json.description !== 'string') {
+    throw new Error('Metadata description must be a string');
+  }
+  if (typeof json.image !== 'string' && typeof json.animation_url !== 'string') {
+    throw new Error('Metadata has no image or animation_url');
+  }
+  if (json.attributes !== undefined && !Array.isArray(json.attributes)) {
+    throw new Error('Metadata attributes must be an array');
+  }
+
+  return {
+    ...json,
+    name: json.name || '',
+    description: json.description || '',
+    image: typeof json.image === 'string' ? json.image : null,
+    animation_url: typeof json.animation_url === 'string' ? json.animation_url : null,
+    attributes: (json.attributes || []).filter(
+      (attribute) => attribute && typeof attribute === 'object' && attribute.value !== undefined
+    )
+  };
+};
+
+const fetchMetadata = async (uri) => {
+  let lastError = null;
+
+  for (const url of getGatewayUrls(uri)) {
+    try {
+      const response = await fetchWithTimeout(url);
+      if (!response.ok) {
+        throw new Error(`Request failed with status ${response.status}`);
+      }
+
+      const contentType = response.headers.get('content-type') || '';
+      // Early tokens point straight at their image instead of a metadata document
+      if (contentType.startsWith('image/') || contentType.startsWith('video/')) {
+        return validateMetadata({ image: uri });
+      }
+      return validateMetadata(await response.json());
+    } catch (error) {
+      lastError = error.name === 'AbortError' ? new Error(`Timed out fetching ${url}`) : error;
+    }
+  }
+
+  throw lastError || new Error('No URL to fetch metadata from');
+};
+
+/**
+ * Resolves a tokenURI to validated ERC-721 metadata, trying each configured gateway in turn.
+ * Results are cached in memory and in IndexedDB; concurrent calls for one URI share a request.
+ */
+export const resolveMetadata = async (uri) => {
+  const cached = await readCache(uri);
+  if (cached) return cached;
+
+  if (!inFlight.has(uri)) {
+    inFlight.set(uri, fetchMetadata(uri)
+      .then(async (metadata) => {
+        await writeCache(uri, metadata);
+        return metadata;
+      })
+      .finally(() => inFlight.delete(uri)));
+  }
+  return inFlight.get(uri);
+};
@@ -0,0 +1,184 @@
+// Plain CommonJS so the deploy migrations can require this file as well as the client
+const LICENSES = {
+  'CC0-1.0': { name: 'CC0 1.0 Universal', url: 'https://creativecommons.org/publicdomain/zero/1.0/' },
+  'CC-BY-4.0': { name: 'CC BY 4.0', url: 'https://creativecommons.org/licenses/by/4.0/' },
+  'CC-BY-SA-4.0': { name: 'CC BY-SA 4.0', url: 'https://creativecommons.org/licenses/by-sa/4.0/' },
+  'CC-BY-ND-4.0': { name: 'CC BY-ND 4.0', url: 'https://creativecommons.org/licenses/by-nd/4.0/' },
+  'CC-BY-NC-4.0': { name: 'CC BY-NC 4.0', url: 'https://creativecommons.org/licenses/by-nc/4.0/' },
+  'CC-BY-NC-SA-4.0': { name: 'CC BY-NC-SA 4.0', url: 'https://creativecommons.org/licenses/by-nc-sa/4.0/' },
+  'CC-BY-NC-ND-4.0': { name: 'CC BY-NC-ND 4.0', url: 'https://creativecommons.org/licenses/by-nc-nd/4.0/' },
+  'ALL-RIGHTS-RESERVED': { name: 'All rights reserved', url: null }
+};
+
+// Display types understood by the major marketplaces; a missing display_type means plain text
+const DISPLAY_TYPES = ['number', 'boost_number', 'boost_percentage', 'date'];
+
+// Traits the builder derives from dedicated fields, so free-form attributes may not reuse them
+const RESERVED_TRAITS = ['Medium', 'Dimensions', 'Year', 'Edition', 'License'];
+
+const URI_PATTERN = /^(ipfs:\/\/|https?:\/\/|data:)/;
+const HTTP_URL_PATTERN = /^https?:\/\/[^\s/$.?#].[^\s]*$/i;
+const COLOR_PATTERN = /^[0-9a-fA-F]{6}$/;
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+const optionalText = (value) => (isBlank(value) ? undefined : String(value).trim());
+
+const optionalNumber = (value) => (isBlank(value) ? undefined : Number(value));
+
+const toAttribute = ({ trait_type: traitType, value, display_type: displayType, max_value: maxValue }) => {
+  const numeric = DISPLAY_TYPES.includes(displayType);
+  const attribute = {
+    trait_type: optionalText(traitType),
+    value: numeric ? optionalNumber(value) : optionalText(value)
+  };
+  if (displayType) attribute.display_type = displayType;
+  if (maxValue !== undefined) attribute.max_value = maxValue;
+  return attribute;
+};
+
+/**
+ * Lists every problem with a metadata document, in the order the fields appear in the form.
+ * An empty list means the document is ready to upload.
+ */
+const getMetadataErrors = (metadata) => {
+  const errors = [];
+
+  if (isBlank(metadata.name)) {
+    errors.push('Name is required');
+  }
+  if (metadata.description !== undefined && typeof metadata.description !== 'string') {
+    errors.push('Description must be text');
+  }
+  if (typeof metadata.image !== 'string' || !URI_PATTERN.test(metadata.image)) {
+    errors.push('Image must be an ipfs://, http(s):// or data: URI');
+  }
+  if (metadata.external_url !== undefined && !HTTP_URL_PATTERN.test(metadata.external_url)) {
+    errors.push('External link must be an http(s) URL');
+  }
+  if (metadata.background_color !== undefined && !COLOR_PATTERN.test(metadata.background_color)) {
+    errors.push('Background color must be six hex digits without a leading #');
+  }
+
+  const traits = new Set();
+  (metadata.attributes || []).forEach((attribute, index) => {
+    const label = isBlank(attribute.trait_type) ? `Attribute ${index + 1}` : attribute.trait_type;
+
+    if (isBlank(attribute.trait_type)) {
+      errors.push(`${label} needs a trait type`);
+    } else if (traits.has(attribute.trait_type.toLowerCase())) {
+      errors.push(`${label} is listed more than once`);
+    }
+    traits.add(String(attribute.trait_type).toLowerCase());
+
+    if (attribute.display_type !== undefined && !DISPLAY_TYPES.includes(attribute.display_type)) {
+      errors.push(`${label} has an unknown display type ${attribute.display_type}`);
+    }
+    if (DISPLAY_TYPES.includes(attribute.display_type)) {
+      if (!Number.isFinite(attribute.value)) {
+        errors.push(`${label} must be a number`);
+      } else if (attribute.max_value !== undefined && attribute.value > attribute.max_value) {
+        errors.push(`${label} cannot be more than ${attribute.max_value}`);
+      }
+    } else if (isBlank(attribute.value)) {
+      errors.push(`${label} needs a value`);
+    }
+  });
+
+  const year = (metadata.attributes || []).find((attribute) => attribute.trait_type === 'Year');
+  if (year && (!Number.isInteger(year.value) || year.value < 1000 || year.value > new Date().getFullYear())) {
+    errors.push('Year must be a four-digit year no later than this one');
+  }
+
+  const edition = (metadata.attributes || []).find((attribute) => attribute.trait_type === 'Edition');
+  if (edition && (!Number.isInteger(edition.value) || edition.value < 1
+    || (edition.max_value !== undefined && !Number.isInteger(edition.max_value)))) {
+    errors.push('Edition number and size must be whole numbers starting at 1');
+  }
+
+  if (metadata.license !== undefined && !LICENSES[metadata.license.id]) {
+    errors.push(`Unknown license ${metadata.license.id}`);
+  }
+
+  return errors;
+};
+
+/**
+ * Assembles an ERC-721 metadata document from form fields. Medium, dimensions, year, edition
+ * and license become attributes so marketplaces display them; the license is also kept as a
+ * structured field. Throws with every validation error if the document is invalid.
+ */
+const buildMetadata = ({
+  name,
+  description,
+  image,
+  animationUrl,
+  externalUrl,
+  backgroundColor,
+  attributes = [],
+  medium,
+  dimensions,
+  year,
+  editionNumber,
+  editionSize,
+  license,
+  properties
+}) => {
+  const derived = [
+    { trait_type: 'Medium', value: optionalText(medium) },
+    { trait_type: 'Dimensions', value: optionalText(dimensions) },
+    { trait_type: 'Year', value: optionalNumber(year), display_type: 'number' },
+    {
+      trait_type: 'Edition',
+      value: optionalNumber(editionNumber),
+      display_type: 'number',
+      max_value: optionalNumber(editionSize)
+    },
+    { trait_type: 'License', value: license && LICENSES[license] ? LICENSES[license].name : license }
+  ].filter((attribute) => !isBlank(attribute.value));
+
+  const custom = attributes.filter((attribute) => !isBlank(attribute.trait_type) || !isBlank(attribute.value));
+  const reserved = custom.find((attribute) => RESERVED_TRAITS.includes(String(attribute.trait_type).trim()));
+  if (reserved) {
+    throw new Error(`${reserved.trait_type} has its own field; remove it from the attributes`);
+  }
+
+  const metadata = {
+    name: optionalText(name),
+    description: optionalText(description) || '',
+    image,
+    animation_url: optionalText(animationUrl),
+    external_url: optionalText(externalUrl),
+    background_color: optionalText(backgroundColor) && optionalText(backgroundColor).replace(/^#/, ''),
+    attributes: [...derived, ...custom].map(toAttribute),
+    license: optionalText(license) && { id: license, ...LICENSES[license] },
+    properties
+  };
+  Object.keys(metadata).forEach((key) => metadata[key] === undefined && delete metadata[key]);
+
+  const errors = getMetadataErrors(metadata);
+  if (errors.length > 0) {
+    throw new Error(errors.join('; '));
+  }
+  return metadata;
+};
+
+/**
+ * Encodes metadata as a data: URI, for tokens whose metadata is not worth pinning.
+ */
+const toDataUri = (metadata) => {
+  const json = JSON.stringify(metadata);
+  const base64 = typeof Buffer !== 'undefined'
+    ? Buffer.from(json, 'utf8').toString('base64')
+    : btoa(String.fromCharCode(...new TextEncoder().encode(json)));
+  return `data:application/json;base64,${base64}`;
+};
+
+module.exports = {
+  LICENSES,
+  DISPLAY_TYPES,
+  RESERVED_TRAITS,
+  getMetadataErrors,
+  buildMetadata,
+  toDataUri
+};
@@ -0,0 +1,56 @@
+import Web3 from 'web3';
+import { getGatewayUrls } from './metadata';
+
+export const EMPTY_PROFILE = { displayName: '', bio: '', avatarURI: '', links: [], updatedAt: 0 };
+
+// Matches the limits enforced by ArtGallery.setProfile
+export const MAX_DISPLAY_NAME_LENGTH = 64;
+export const MAX_BIO_LENGTH = 1000;
+export const MAX_PROFILE_LINKS = 5;
+export const MAX_AVATAR_URI_LENGTH = 256;
+export const MAX_PROFILE_LINK_LENGTH = 256;
+
+// One lookup per address per page load; cards for the same artist share it
+const profiles = new Map();
+
+// Checksummed so the shortened form matches what wallets and explorers show
+export const shortenAddress = (address) => {
+  const checksummed = Web3.utils.toChecksumAddress(address);
+  return `${checksummed.slice(0, 6)}...${checksummed.slice(-4)}`;
+};
+
+export const loadProfile = (contract, address) => {
+  const key = address.toLowerCase();
+  if (!profiles.has(key)) {
+    const request = contract.methods.getProfile(address).call()
+      .then((profile) => ({
+        displayName: profile.displayName,
+        bio: profile.bio,
+        avatarURI: profile.avatarURI,
+        links: [...profile.links],
+        updatedAt: Number(profile.updatedAt)
+      }))
+      .catch((error) => {
+        profiles.delete(key);
+        throw error;
+      });
+    profiles.set(key, request);
+  }
+  return profiles.get(key);
+};
+
+// Drops a cached profile so the next lookup reads the record just written
+export const forgetProfile = (address) => {
+  profiles.delete(address.toLowerCase());
+};
+
+export const avatarUrl = (profile) => getGatewayUrls(profile.avatarURI)[0] || null;
+
+// Links are user-supplied, so only http(s) ones are ever rendered as anchors
+export const isSafeLink = (link) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(link).protocol);
+  } catch (error) {
+    return false;
+  }
+};
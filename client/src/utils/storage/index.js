@@ -0,0 +1,72 @@
+import { createIpfsHttpProvider } from './ipfsHttpClient';
+import { createPinningServiceProvider } from './pinningService';
+import { createMockProvider } from './mock';
+
+const PUBLIC_GATEWAYS = [
+  'https://ipfs.io/ipfs/',
+  'https://cloudflare-ipfs.com/ipfs/',
+  'https://gateway.pinata.cloud/ipfs/'
+];
+
+const env = process.env;
+
+const configuredGateways = (fallback) => (env.REACT_APP_IPFS_GATEWAYS
+  ? env.REACT_APP_IPFS_GATEWAYS.split(',').map((gateway) => gateway.trim()).filter(Boolean)
+  : fallback);
+
+const PROVIDERS = {
+  infura: () => {
+    const projectId = env.REACT_APP_INFURA_IPFS_PROJECT_ID;
+    const projectSecret = env.REACT_APP_INFURA_IPFS_PROJECT_SECRET;
+    // Only authenticate when both credentials are configured
+    const headers = projectId && projectSecret
+      ? { authorization: `Basic ${btoa(`${projectId}:${projectSecret}`)}` }
+      : {};
+
+    return createIpfsHttpProvider({
+      name: 'infura',
+      url: env.REACT_APP_INFURA_IPFS_URL || 'https://ipfs.infura.io:5001/api/v0',
+      headers,
+      gateways: configuredGateways(PUBLIC_GATEWAYS)
+    });
+  },
+  kubo: () => createIpfsHttpProvider({
+    name: 'kubo',
+    url: env.REACT_APP_KUBO_API_URL || 'http://127.0.0.1:5001/api/v0',
+    gateways: configuredGateways([env.REACT_APP_KUBO_GATEWAY_URL || 'http://127.0.0.1:8080/ipfs/'])
+  }),
+  pinning: () => {
+    if (!env.REACT_APP_PINNING_SERVICE_URL) {
+      throw new Error('REACT_APP_PINNING_SERVICE_URL is required for the pinning storage provider');
+    }
+    return createPinningServiceProvider({
+      endpoint: env.REACT_APP_PINNING_SERVICE_URL,
+      token: env.REACT_APP_PINNING_SERVICE_TOKEN,
+      fieldName: env.REACT_APP_PINNING_SERVICE_FIELD,
+      gateways: configuredGateways(PUBLIC_GATEWAYS)
+    });
+  },
+  mock: () => createMockProvider()
+};
+
+let activeProvider = null;
+
+/**
+ * The provider named by REACT_APP_STORAGE_PROVIDER (`infura`, `kubo`, `pinning` or `mock`),
+ * created on first use. Defaults to Infura.
+ */
+export const getStorageProvider = () => {
+  if (!activeProvider) {
+    const name = env.REACT_APP_STORAGE_PROVIDER || 'infura';
+    if (!PROVIDERS[name]) {
+      throw new Error(`Unknown storage provider: ${name}`);
+    }
+    activeProvider = PROVIDERS[name]();
+  }
+  return activeProvider;
+};
+
+// Replaces the configured provider, e.g. with a mock that simulates upload latency
+export const setStorageProvider = (provider) => {
+  activeProvider = provider;
+};
@@ -0,0 +1,21 @@
+import { create } from 'ipfs-http-client';
+
+/**
+ * Provider for any node speaking the Kubo RPC API (`/api/v0/add`), such as Infura or a
+ * local IPFS daemon.
+ */
+export const createIpfsHttpProvider = ({ name, url, headers = {}, gateways }) => {
+  const client = create({ url, headers });
+
+  return {
+    name,
+    gatewayUrls: (cid) => gateways.map((gateway) => `${gateway}${cid}`),
+    upload: async (data, { onProgress } = {}) => {
+      const total = data.size || data.length || 0;
+      const added = await client.add(data, {
+        progress: onProgress ? (loaded) => onProgress(loaded, total) : undefined
+      });
+      return added.path;
+    }
+  };
+};
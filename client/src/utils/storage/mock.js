@@ -0,0 +1,50 @@
+const toBytes = async (data) => {
+  if (data instanceof Uint8Array) return data;
+  if (typeof data === 'string') return new TextEncoder().encode(data);
+  return new Uint8Array(await data.arrayBuffer());
+};
+
+const toHex = (buffer) => Array.from(new Uint8Array(buffer))
+  .map((byte) => byte.toString(16).padStart(2, '0'))
+  .join('');
+
+export const createMemoryBackend = () => {
+  const files = new Map();
+  return {
+    write: async (id, bytes, type) => {
+      files.set(id, { bytes, type });
+    },
+    read: async (id) => files.get(id) || null
+  };
+};
+
+/**
+ * Offline stand-in for IPFS. IDs are `mock` plus the SHA-256 of the content, so identical
+ * uploads share an ID, and they resolve to blob: URLs created when the content was uploaded.
+ */
+export const createMockProvider = ({ backend = createMemoryBackend(), delay = 0 } = {}) => {
+  const objectUrls = new Map();
+
+  return {
+    name: 'mock',
+    upload: async (data, { onProgress } = {}) => {
+      const bytes = await toBytes(data);
+      const type = data.type || 'application/octet-stream';
+      const id = `mock${toHex(await crypto.subtle.digest('SHA-256', bytes))}`;
+
+      if (delay > 0) {
+        await new Promise((resolve) => setTimeout(resolve, delay));
+      }
+      if (!objectUrls.has(id)) {
+        await backend.write(id, bytes, type);
+        objectUrls.set(id, URL.createObjectURL(new Blob([bytes], { type })));
+      }
+      if (onProgress) {
+        onProgress(bytes.length, bytes.length);
+      }
+      return id;
+    },
+    gatewayUrls: (id) => (objectUrls.has(id) ? [objectUrls.get(id)] : []),
+    read: (id) => backend.read(id)
+  };
+};
@@ -0,0 +1,46 @@
+// Response field holding the CID differs between services
+const CID_FIELDS = ['IpfsHash', 'cid', 'Hash'];
+
+/**
+ * Provider for HTTP pinning services that accept a multipart file upload and answer with the
+ * pinned CID, such as Pinata's `pinFileToIPFS`. Uses XMLHttpRequest to report upload progress.
+ */
+export const createPinningServiceProvider = ({ endpoint, token, fieldName = 'file', gateways }) => ({
+  name: 'pinning',
+  gatewayUrls: (cid) => gateways.map((gateway) => `${gateway}${cid}`),
+  upload: (data, { onProgress } = {}) => new Promise((resolve, reject) => {
+    const body = new FormData();
+    body.append(fieldName, data instanceof Blob ? data : new Blob([data]));
+
+    const request = new XMLHttpRequest();
+    request.open('POST', endpoint);
+    if (token) {
+      request.setRequestHeader('Authorization', `Bearer ${token}`);
+    }
+
+    if (onProgress) {
+      request.upload.onprogress = (event) => onProgress(event.loaded, event.total);
+    }
+
+    request.onload = () => {
+      if (request.status < 200 || request.status >= 300) {
+        reject(new Error(`Pinning service responded with status ${request.status}`));
+        return;
+      }
+
+      try {
+        const response = JSON.parse(request.responseText);
+        const cid = CID_FIELDS.map((field) => response[field]).find(Boolean);
+        if (!cid) {
+          throw new Error('Pinning service response has no CID');
+        }
+        resolve(cid);
+      } catch (err) {
+        reject(err);
+      }
+    };
+    request.onerror = () => reject(new Error('Network error while uploading to pinning service'));
+
+    request.send(body);
+  })
+});
@@ -0,0 +1,75 @@
+// Reworded revert reasons; reasons not listed here are shown as the contract wrote them
+const FRIENDLY_REASONS = {
+  'Insufficient payment': 'The amount sent is below the asking price.',
+  'Artwork is not for sale': 'This artwork is no longer for sale.',
+  'Artwork is in an active auction': 'This artwork is being auctioned; bid on it instead.',
+  'Artwork does not exist': 'This artwork does not exist.',
+  'Caller is not the artwork owner': 'Only the owner of this artwork can do that.',
+  'Auction has ended': 'This auction has already ended.',
+  'Auction has not ended': 'This auction is still running.',
+  'Bid below reserve price': 'Your bid is below the reserve price.',
+  'Bid increment too low': 'Your bid must beat the current highest bid by the minimum increment.',
+  'Seller cannot bid': 'You cannot bid on your own auction.',
+  'Offer has expired': 'This offer has expired.',
+  'Offer is not active': 'This offer has already been accepted, rejected or withdrawn.',
+  'No funds to withdraw': 'You have no funds to withdraw.',
+  'User has already rated this artwork': 'You have already reviewed this artwork.',
+  'Voucher has expired': 'This listing has expired.',
+  'Voucher already redeemed or cancelled': 'This work has already been minted or its listing was cancelled.',
+  'Gallery ID already exists': 'A gallery with this ID already exists.',
+  'Royalties are split among collaborators': 'Royalties on a collaborative work always go to its collaborators.'
+};
+
+const USER_REJECTED = 4001;
+
+const REASON_PATTERNS = [
+  /reverted with reason string '([^']*)'/,
+  /execution reverted: ([^"\n]*)/,
+  /revert ([^"\n]*)/
+];
+
+// Wallets and nodes nest the revert reason differently; search every message we can reach
+const collectMessages = (error) => {
+  const messages = [];
+  let current = error;
+  while (current && messages.length < 5) {
+    if (current.reason) messages.push(current.reason);
+    if (current.message) messages.push(current.message);
+    if (current.data && typeof current.data.message === 'string') messages.push(current.data.message);
+    current = current.data && typeof current.data === 'object' ? current.data.originalError : current.cause;
+  }
+  return messages;
+};
+
+export const getRevertReason = (error) => {
+  for (const message of collectMessages(error)) {
+    for (const pattern of REASON_PATTERNS) {
+      const match = message.match(pattern);
+      if (match) {
+        return match[1].trim();
+      }
+    }
+  }
+  return null;
+};
+
+/**
+ * Turns a failed send into a message fit for the user: wallet rejections and known revert
+ * reasons are reworded, anything else keeps its original message.
+ */
+export const describeTransactionError = (error) => {
+  if (!error) return 'Transaction failed.';
+  if (error.code === USER_REJECTED || /user (denied|rejected)/i.test(error.message || '')) {
+    return 'You rejected the transaction in your wallet.';
+  }
+
+  const reason = getRevertReason(error);
+  if (reason) {
+    return FRIENDLY_REASONS[reason] || `${reason}.`;
+  }
+  // web3 appends the whole receipt to this message
+  if (/reverted by the EVM/.test(error.message || '')) {
+    return 'The transaction was reverted.';
+  }
+  return error.message || 'Transaction failed.';
+};
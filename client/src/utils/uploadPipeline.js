@@ -0,0 +1,106 @@
+import { uploadToIPFS } from './ipfs';
+
+export const ACCEPTED_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+export const MAX_FILE_SIZE = Number(process.env.REACT_APP_MAX_UPLOAD_BYTES) || 50 * 1024 * 1024;
+
+const THUMBNAIL_SIZE = 400;
+const MAX_ATTEMPTS = 3;
+const RETRY_DELAY_MS = 1000;
+
+export const formatBytes = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+export const validateFile = (file) => {
+  if (!ACCEPTED_TYPES.includes(file.type)) {
+    throw new Error(`Unsupported file type ${file.type || 'unknown'}; use PNG, JPEG, GIF or WebP`);
+  }
+  if (file.size > MAX_FILE_SIZE) {
+    throw new Error(`File is ${formatBytes(file.size)}; the limit is ${formatBytes(MAX_FILE_SIZE)}`);
+  }
+};
+
+export const hashFile = async (file) => {
+  const digest = await crypto.subtle.digest('SHA-256', await file.arrayBuffer());
+  return Array.from(new Uint8Array(digest))
+    .map((byte) => byte.toString(16).padStart(2, '0'))
+    .join('');
+};
+
+export const readDimensions = async (file) => {
+  const bitmap = await createImageBitmap(file);
+  const dimensions = { width: bitmap.width, height: bitmap.height };
+  bitmap.close();
+  return dimensions;
+};
+
+/**
+ * Downscales an image so its longer side is at most THUMBNAIL_SIZE pixels. Images already
+ * that small are returned unchanged.
+ */
+export const createThumbnail = async (file) => {
+  const bitmap = await createImageBitmap(file);
+  const scale = Math.min(THUMBNAIL_SIZE / bitmap.width, THUMBNAIL_SIZE / bitmap.height, 1);
+
+  if (scale === 1) {
+    bitmap.close();
+    return file;
+  }
+
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(bitmap.width * scale);
+  canvas.height = Math.round(bitmap.height * scale);
+  canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+  bitmap.close();
+
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(
+      (blob) => (blob ? resolve(blob) : reject(new Error('Could not create thumbnail'))),
+      'image/webp',
+      0.85
+    );
+  });
+};
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Uploads with exponential backoff, reporting progress as a fraction between 0 and 1.
+ */
+export const uploadWithRetry = async (data, { onProgress, onRetry } = {}) => {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await uploadToIPFS(data, {
+        onProgress: onProgress
+          ? (loaded, total) => onProgress(total > 0 ? Math.min(loaded / total, 1) : 0)
+          : undefined
+      });
+    } catch (err) {
+      if (attempt >= MAX_ATTEMPTS) {
+        throw err;
+      }
+      if (onRetry) {
+        onRetry(attempt);
+      }
+      await wait(RETRY_DELAY_MS * 2 ** (attempt - 1));
+    }
+  }
+};
+
+/**
+ * Describes a selected file before upload: the thumbnail to store alongside it, its SHA-256
+ * and its pixel dimensions.
+ */
+export const prepareFile = async (file) => {
+  validateFile(file);
+
+  const [contentHash, dimensions, thumbnail] = await Promise.all([
+    hashFile(file),
+    readDimensions(file),
+    createThumbnail(file)
+  ]);
+
+  return { file, thumbnail, contentHash, dimensions };
+};
@@ -0,0 +1,59 @@
+// Field order of the contract's ArtworkVoucher struct
+export const VOUCHER_FIELDS = [
+  { name: 'artist', type: 'address' },
+  { name: 'title', type: 'string' },
+  { name: 'tokenURI', type: 'string' },
+  { name: 'price', type: 'uint256' },
+  { name: 'galleryId', type: 'string' },
+  { name: 'royaltyBasisPoints', type: 'uint96' },
+  { name: 'nonce', type: 'uint256' },
+  { name: 'expiresAt', type: 'uint256' }
+];
+
+const DOMAIN_FIELDS = [
+  { name: 'name', type: 'string' },
+  { name: 'version', type: 'string' },
+  { name: 'chainId', type: 'uint256' },
+  { name: 'verifyingContract', type: 'address' }
+];
+
+/**
+ * Fills in a voucher with a random nonce; random rather than sequential so artists can
+ * sign vouchers from several devices without coordinating.
+ */
+export const createVoucher = (web3, fields) => ({
+  ...fields,
+  price: String(fields.price),
+  royaltyBasisPoints: String(fields.royaltyBasisPoints),
+  expiresAt: String(fields.expiresAt || 0),
+  nonce: web3.utils.hexToNumberString(web3.utils.randomHex(16))
+});
+
+/**
+ * Asks the artist's wallet for an EIP-712 signature over the voucher, bound to this
+ * contract and chain so it cannot be replayed against another deployment.
+ */
+export const signVoucher = async (web3, contract, voucher) => {
+  const typedData = {
+    types: { EIP712Domain: DOMAIN_FIELDS, ArtworkVoucher: VOUCHER_FIELDS },
+    domain: {
+      name: 'ArtGallery',
+      version: '1',
+      chainId: Number(await web3.eth.getChainId()),
+      verifyingContract: contract.options.address
+    },
+    primaryType: 'ArtworkVoucher',
+    message: voucher
+  };
+
+  return web3.currentProvider.request({
+    method: 'eth_signTypedData_v4',
+    params: [voucher.artist, JSON.stringify(typedData)]
+  });
+};
+
+// The contract takes the voucher as a tuple
+export const toVoucherTuple = (voucher) => VOUCHER_FIELDS.map(({ name }) => String(voucher[name]));
+
+export const isExpired = (voucher) => Number(voucher.expiresAt) !== 0
+  && Number(voucher.expiresAt) <= Date.now() / 1000;
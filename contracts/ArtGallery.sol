@@ -1,66 +1,23 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.20;
 
-import "@openzeppelin/contracts/token/ERC721/ERC721.sol";
-import "@openzeppelin/contracts/token/ERC721/extensions/ERC721URIStorage.sol";
-import "@openzeppelin/contracts/access/Ownable.sol";
-import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
-import "@openzeppelin/contracts/utils/Counters.sol";
+import "@openzeppelin/contracts/proxy/Proxy.sol";
+import "./ArtGalleryBase.sol";
 
 /**
  * @title ArtGallery
- * @dev NFT Art Gallery platform with gallery management, trading, and social features
+ * @dev NFT Art Gallery platform with gallery management, trading, and social features. Auctions,
+ * offers, lazy minting, gallery administration and profiles live in ArtGalleryExtension to
+ * keep this contract under the EIP-170 size limit; calls to them fall through to the
+ * extension, which runs against this contract's storage.
  */
-contract ArtGallery is ERC721URIStorage, ReentrancyGuard, Ownable {
-    using Counters for Counters.Counter;
-    
-    Counters.Counter private _tokenIds;
-    Counters.Counter private _galleryIds;
-    uint256 public platformFee = 25; // 2.5% fee in basis points
-    
-    struct Artwork {
-        string title;
-        address artist;
-        uint256 price;
-        bool forSale;
-        uint256 totalRatings;
-        uint256 ratingSum;
-        string galleryId;
-        uint256 royaltyPercentage;
-        uint256 createdAt;
-    }
-    
-    struct Gallery {
-        string name;
-        address curator;
-        uint256[] artworkIds;
-        bool isActive;
-        string description;
-        uint256 createdAt;
-    }
-    
-    struct Review {
-        address reviewer;
-        string comment;
-        uint256 rating;
-        uint256 timestamp;
-    }
-    
-    mapping(uint256 => Artwork) public artworks;
-    mapping(string => Gallery) public galleries;
-    mapping(uint256 => Review[]) public reviews;
-    mapping(uint256 => mapping(address => bool)) public hasRated;
-    mapping(address => uint256[]) public userArtworks;
-    mapping(address => string[]) public userGalleries;
-    
-    event ArtworkCreated(uint256 indexed tokenId, string title, address indexed artist, uint256 price);
-    event ArtworkSold(uint256 indexed tokenId, address indexed from, address indexed to, uint256 price);
-    event ReviewAdded(uint256 indexed tokenId, address indexed reviewer, string comment, uint256 rating);
-    event GalleryCreated(string indexed galleryId, string name, address indexed curator);
-    event PriceUpdated(uint256 indexed tokenId, uint256 newPrice);
-    event RoyaltyPaid(uint256 indexed tokenId, address indexed artist, uint256 amount);
-    
-    constructor() ERC721("NFT Art Gallery", "NAG") Ownable() {}
+contract ArtGallery is ArtGalleryBase, Proxy {
+    address public immutable extension;
+    
+    constructor(address extension_) {
+        require(extension_ != address(0), "Invalid extension");
+        extension = extension_;
+    }
     
     /**
      * @dev Creates a new artwork NFT
@@ -70,36 +27,68 @@ contract ArtGallery is ERC721URIStorage, ReentrancyGuard, Ownable {
         string memory tokenURI,
         uint256 price,
         string memory galleryId,
-        uint256 royaltyPercentage
+        uint96 royaltyBasisPoints
     ) public nonReentrant returns (uint256) {
-        require(bytes(title).length > 0, "Title cannot be empty");
-        require(price > 0, "Price must be greater than 0");
-        require(galleries[galleryId].isActive, "Gallery does not exist");
-        require(royaltyPercentage <= 100, "Royalty percentage cannot exceed 100");
-        
-        _tokenIds.increment();
-        uint256 newTokenId = _tokenIds.current();
-        
-        _mint(msg.sender, newTokenId);
-        _setTokenURI(newTokenId, tokenURI);
-        
-        artworks[newTokenId] = Artwork({
-            title: title,
-            artist: msg.sender,
-            price: price,
-            forSale: true,
-            totalRatings: 0,
-            ratingSum: 0,
-            galleryId: galleryId,
-            royaltyPercentage: royaltyPercentage,
-            createdAt: block.timestamp
-        });
+        return _createArtwork(msg.sender, title, tokenURI, price, galleryId, royaltyBasisPoints);
+    }
+    
+    /**
+     * @dev Creates a new artwork NFT whose primary sale proceeds and royalties are divided
+     * between collaborators. Shares are in basis points and must add up to 10000.
+     */
+    function createCollaborativeArtwork(
+        string memory title,
+        string memory tokenURI,
+        uint256 price,
+        string memory galleryId,
+        uint96 royaltyBasisPoints,
+        address[] memory collaborators,
+        uint256[] memory shares
+    ) public nonReentrant returns (uint256) {
+        uint256 tokenId = _createArtwork(msg.sender, title, tokenURI, price, galleryId, royaltyBasisPoints);
+        _setCollaborators(tokenId, collaborators, shares);
+        return tokenId;
+    }
+    
+    /**
+     * @dev Mints a series of distinct works in one transaction. Gallery and royalty are shared;
+     * title, token URI and price are given per work.
+     */
+    function createSeries(
+        string memory name,
+        string[] memory titles,
+        string[] memory tokenURIs,
+        uint256[] memory prices,
+        string memory galleryId,
+        uint96 royaltyBasisPoints
+    ) public nonReentrant returns (uint256 seriesId) {
+        require(titles.length == tokenURIs.length && titles.length == prices.length, "Series arrays length mismatch");
+        seriesId = _createSeriesRecord(name, titles.length, false);
         
-        galleries[galleryId].artworkIds.push(newTokenId);
-        userArtworks[msg.sender].push(newTokenId);
+        for (uint256 i = 0; i < titles.length; i++) {
+            uint256 tokenId = _createArtwork(msg.sender, titles[i], tokenURIs[i], prices[i], galleryId, royaltyBasisPoints);
+            _addToSeries(seriesId, tokenId);
+        }
+    }
+    
+    /**
+     * @dev Mints an edition: numbered copies of one work sharing its title, token URI and price
+     */
+    function createEdition(
+        string memory title,
+        string memory tokenURI,
+        uint256 price,
+        string memory galleryId,
+        uint96 royaltyBasisPoints,
+        uint256 editionSize
+    ) public nonReentrant returns (uint256 seriesId) {
+        seriesId = _createSeriesRecord(title, editionSize, true);
         
-        emit ArtworkCreated(newTokenId, title, msg.sender, price);
-        return newTokenId;
+        for (uint256 i = 0; i < editionSize; i++) {
+            uint256 tokenId = _createArtwork(msg.sender, title, tokenURI, price, galleryId, royaltyBasisPoints);
+            _addToSeries(seriesId, tokenId);
+            editionNumbers[tokenId] = i + 1;
+        }
     }
     
     /**
@@ -112,24 +101,96 @@ contract ArtGallery is ERC721URIStorage, ReentrancyGuard, Ownable {
         require(msg.value >= artwork.price, "Insufficient payment");
         
         address seller = ownerOf(tokenId);
+        artwork.forSale = false;
         
-        uint256 platformFeeAmount = (msg.value * platformFee) / 1000;
+        _transfer(seller, msg.sender, tokenId);
+        _distributeSale(tokenId, seller, msg.value);
         
-        uint256 royaltyAmount = 0;
-        if (seller != artwork.artist) {
-            royaltyAmount = (msg.value * artwork.royaltyPercentage) / 100;
-            payable(artwork.artist).transfer(royaltyAmount);
-            emit RoyaltyPaid(tokenId, artwork.artist, royaltyAmount);
-        }
+        emit ArtworkSold(tokenId, seller, msg.sender, msg.value);
+    }
+    
+    /**
+     * @dev EIP-712 digest an artist signs to issue a voucher
+     */
+    function hashVoucher(ArtworkVoucher calldata voucher) public view returns (bytes32) {
+        return _hashVoucher(voucher);
+    }
+    
+    /**
+     * @dev Withdraws everything credited to the caller: sale proceeds, royalties, platform
+     * fees, outbid auction bids and rejected or cancelled offers
+     */
+    function withdraw() public nonReentrant {
+        uint256 amount = pendingWithdrawals[msg.sender];
+        require(amount > 0, "No funds to withdraw");
         
-        _transfer(seller, msg.sender, tokenId);
+        pendingWithdrawals[msg.sender] = 0;
+        (bool success, ) = payable(msg.sender).call{value: amount}("");
+        require(success, "Withdrawal failed");
+        
+        emit Withdrawal(msg.sender, amount);
+    }
+    
+    /**
+     * @dev Redirects an artwork's royalties, e.g. to a payment splitter. Only the original
+     * artist can change the receiver; the royalty rate is fixed at mint. Collaborative works
+     * keep the artist as receiver so royalties stay split by the recorded shares.
+     */
+    function setRoyaltyReceiver(uint256 tokenId, address receiver) public {
+        require(_exists(tokenId), "Artwork does not exist");
+        require(artworks[tokenId].artist == msg.sender, "Caller is not the artist");
+        require(_collaborators[tokenId].length == 0, "Royalties are split among collaborators");
+        require(receiver != address(0), "Invalid royalty receiver");
+        
+        (, uint256 royaltyBasisPoints) = royaltyInfo(tokenId, _feeDenominator());
+        _setTokenRoyalty(tokenId, receiver, uint96(royaltyBasisPoints));
+        
+        emit RoyaltyReceiverUpdated(tokenId, receiver);
+    }
+    
+    /**
+     * @dev Puts an owned artwork up for sale at the given price
+     */
+    function listArtwork(uint256 tokenId, uint256 price) public onlyArtworkOwner(tokenId) {
+        require(price > 0, "Price must be greater than 0");
+        require(!auctions[tokenId].active, "Artwork is in an active auction");
+        Artwork storage artwork = artworks[tokenId];
+        require(!artwork.forSale, "Artwork is already for sale");
         
-        payable(owner()).transfer(platformFeeAmount);
-        payable(seller).transfer(msg.value - platformFeeAmount - royaltyAmount);
+        artwork.price = price;
+        artwork.forSale = true;
+        
+        emit PriceUpdated(tokenId, price);
+        emit ArtworkListed(tokenId, msg.sender, price);
+    }
+    
+    /**
+     * @dev Takes an owned artwork off the market without changing its price
+     */
+    function delistArtwork(uint256 tokenId) public onlyArtworkOwner(tokenId) {
+        Artwork storage artwork = artworks[tokenId];
+        require(artwork.forSale, "Artwork is not for sale");
         
         artwork.forSale = false;
         
-        emit ArtworkSold(tokenId, seller, msg.sender, msg.value);
+        emit ArtworkDelisted(tokenId, msg.sender);
+    }
+    
+    /**
+     * @dev Changes the asking price of an owned artwork, listing it if it is not already for sale
+     */
+    function updateArtworkPrice(uint256 tokenId, uint256 newPrice) public onlyArtworkOwner(tokenId) {
+        require(newPrice > 0, "Price must be greater than 0");
+        require(!auctions[tokenId].active, "Artwork is in an active auction");
+        Artwork storage artwork = artworks[tokenId];
+        
+        artwork.price = newPrice;
+        emit PriceUpdated(tokenId, newPrice);
+        
+        if (!artwork.forSale) {
+            artwork.forSale = true;
+            emit ArtworkListed(tokenId, msg.sender, newPrice);
+        }
     }
     
     /**
@@ -142,7 +203,7 @@ contract ArtGallery is ERC721URIStorage, ReentrancyGuard, Ownable {
     ) public {
         require(bytes(galleryId).length > 0, "Gallery ID cannot be empty");
         require(bytes(name).length > 0, "Gallery name cannot be empty");
-        require(!galleries[galleryId].isActive, "Gallery ID already exists");
+        require(galleries[galleryId].curator == address(0), "Gallery ID already exists");
         
         galleries[galleryId] = Gallery({
             name: name,
@@ -150,10 +211,11 @@ contract ArtGallery is ERC721URIStorage, ReentrancyGuard, Ownable {
             artworkIds: new uint256[](0),
             isActive: true,
             description: description,
-            createdAt: block.timestamp
+            createdAt: block.timestamp,
+            curated: false
         });
         
-        userGalleries[msg.sender].push(galleryId);
+        _addUserGallery(msg.sender, galleryId);
         
         emit GalleryCreated(galleryId, name, msg.sender);
     }
@@ -188,10 +250,11 @@ contract ArtGallery is ERC721URIStorage, ReentrancyGuard, Ownable {
         bool forSale,
         uint256 avgRating,
         string memory galleryId,
-        uint256 royaltyPercentage
+        uint256 royaltyBasisPoints
     ) {
         require(_exists(tokenId), "Artwork does not exist");
         Artwork storage artwork = artworks[tokenId];
+        (, uint256 royaltyAmount) = royaltyInfo(tokenId, _feeDenominator());
         
         return (
             artwork.title,
@@ -200,25 +263,127 @@ contract ArtGallery is ERC721URIStorage, ReentrancyGuard, Ownable {
             artwork.forSale,
             artwork.totalRatings > 0 ? artwork.ratingSum / artwork.totalRatings : 0,
             artwork.galleryId,
-            artwork.royaltyPercentage
+            royaltyAmount
         );
     }
     
+    /**
+     * @dev Returns full details for a batch of artworks in one call. Reverts if any ID does not exist.
+     */
+    function getArtworks(uint256[] memory tokenIds) public view returns (ArtworkDetails[] memory details) {
+        details = new ArtworkDetails[](tokenIds.length);
+        
+        for (uint256 i = 0; i < tokenIds.length; i++) {
+            uint256 tokenId = tokenIds[i];
+            require(_exists(tokenId), "Artwork does not exist");
+            Artwork storage artwork = artworks[tokenId];
+            (, uint256 royaltyAmount) = royaltyInfo(tokenId, _feeDenominator());
+            
+            details[i].tokenId = tokenId;
+            details[i].title = artwork.title;
+            details[i].artist = artwork.artist;
+            details[i].owner = ownerOf(tokenId);
+            details[i].price = artwork.price;
+            details[i].forSale = artwork.forSale;
+            details[i].avgRating = artwork.totalRatings > 0 ? artwork.ratingSum / artwork.totalRatings : 0;
+            details[i].totalRatings = artwork.totalRatings;
+            details[i].galleryId = artwork.galleryId;
+            details[i].createdAt = artwork.createdAt;
+            details[i].royaltyBasisPoints = royaltyAmount;
+            details[i].tokenURI = tokenURI(tokenId);
+        }
+    }
+    
     function getGalleryArtworks(string memory galleryId) public view returns (uint256[] memory) {
         require(galleries[galleryId].isActive, "Gallery does not exist");
         return galleries[galleryId].artworkIds;
     }
     
+    function getGalleryArtworkCount(string memory galleryId) public view returns (uint256) {
+        return galleries[galleryId].artworkIds.length;
+    }
+    
+    /**
+     * @dev Offset/limit slice of a gallery's artwork IDs. Offsets past the end return an empty array.
+     */
+    function getGalleryArtworksPage(
+        string memory galleryId,
+        uint256 offset,
+        uint256 limit
+    ) public view returns (uint256[] memory) {
+        require(galleries[galleryId].isActive, "Gallery does not exist");
+        return _pageOf(galleries[galleryId].artworkIds, offset, limit);
+    }
+    
     function getUserArtworks(address user) public view returns (uint256[] memory) {
         return userArtworks[user];
     }
     
-    function getUserGalleries(address user) public view returns (string[] memory) {
-        return userGalleries[user];
+    function getUserArtworkCount(address user) public view returns (uint256) {
+        return userArtworks[user].length;
+    }
+    
+    function getUserArtworksPage(address user, uint256 offset, uint256 limit) public view returns (uint256[] memory) {
+        return _pageOf(userArtworks[user], offset, limit);
+    }
+    
+    function getReviewCount(uint256 tokenId) public view returns (uint256) {
+        return reviews[tokenId].length;
+    }
+    
+    function getReviews(uint256 tokenId, uint256 offset, uint256 limit) public view returns (Review[] memory page) {
+        Review[] storage list = reviews[tokenId];
+        uint256 size = _pageSize(list.length, offset, limit);
+        page = new Review[](size);
+        
+        for (uint256 i = 0; i < size; i++) {
+            page[i] = list[offset + i];
+        }
+    }
+    
+    function getSeriesTokens(uint256 seriesId) public view returns (uint256[] memory) {
+        require(series[seriesId].artist != address(0), "Series does not exist");
+        return _seriesTokens[seriesId];
+    }
+    
+    /**
+     * @dev Series, edition number and edition size of a token; all zero if it is not part of an edition
+     */
+    function getEditionInfo(uint256 tokenId) public view returns (uint256 seriesId, uint256 number, uint256 size) {
+        require(_exists(tokenId), "Artwork does not exist");
+        number = editionNumbers[tokenId];
+        if (number > 0) {
+            seriesId = tokenSeries[tokenId];
+            size = series[seriesId].size;
+        }
+    }
+    
+    function getCollaborators(uint256 tokenId) public view returns (address[] memory accounts, uint256[] memory shares) {
+        Collaborator[] storage collaborators = _collaborators[tokenId];
+        accounts = new address[](collaborators.length);
+        shares = new uint256[](collaborators.length);
+        
+        for (uint256 i = 0; i < collaborators.length; i++) {
+            accounts[i] = collaborators[i].account;
+            shares[i] = collaborators[i].shareBasisPoints;
+        }
     }
     
     function updatePlatformFee(uint256 newFee) public onlyOwner {
         require(newFee <= 100, "Fee cannot exceed 10%");
         platformFee = newFee;
     }
-}
\ No newline at end of file
+    
+    /**
+     * @dev Caps the royalty new artworks can be minted with. Existing royalties are unaffected.
+     * Kept at or below 90% so royalty plus the maximum platform fee never exceed the sale price.
+     */
+    function updateMaxRoyalty(uint96 newMaxBasisPoints) public onlyOwner {
+        require(newMaxBasisPoints <= 9000, "Royalty cap cannot exceed 90%");
+        maxRoyaltyBasisPoints = newMaxBasisPoints;
+    }
+    
+    function _implementation() internal view override returns (address) {
+        return extension;
+    }
+}
@@ -0,0 +1,545 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC721/ERC721.sol";
+import "@openzeppelin/contracts/token/ERC721/extensions/ERC721URIStorage.sol";
+import "@openzeppelin/contracts/token/common/ERC2981.sol";
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/Counters.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+
+/**
+ * @title ArtGalleryBase
+ * @dev Storage, events and shared internals of the gallery. ArtGallery and ArtGalleryExtension
+ * both inherit it, so the extension's code finds the same layout when ArtGallery delegates to it.
+ */
+abstract contract ArtGalleryBase is ERC721URIStorage, ERC2981, EIP712, ReentrancyGuard, Ownable {
+    using Counters for Counters.Counter;
+    
+    Counters.Counter internal _tokenIds;
+    Counters.Counter internal _galleryIds;
+    Counters.Counter internal _offerIds;
+    Counters.Counter internal _submissionIds;
+    Counters.Counter internal _seriesIds;
+    uint256 public platformFee = 25; // 2.5% fee in basis points
+    uint96 public maxRoyaltyBasisPoints = 5000; // 50% cap on royalties, out of 10000
+    uint256 public constant MAX_COLLABORATORS = 10;
+    uint256 public constant AUCTION_EXTENSION = 10 minutes;
+    uint256 public constant MAX_BATCH_SIZE = 50;
+    uint256 public constant MAX_PROFILE_LINKS = 5;
+    uint256 public constant MAX_DISPLAY_NAME_LENGTH = 64;
+    uint256 public constant MAX_BIO_LENGTH = 1000;
+    uint256 public constant MAX_AVATAR_URI_LENGTH = 256;
+    uint256 public constant MAX_PROFILE_LINK_LENGTH = 256;
+    bytes32 public constant VOUCHER_TYPEHASH = keccak256(
+        "ArtworkVoucher(address artist,string title,string tokenURI,uint256 price,string galleryId,uint96 royaltyBasisPoints,uint256 nonce,uint256 expiresAt)"
+    );
+    
+    struct Artwork {
+        string title;
+        address artist;
+        uint256 price;
+        bool forSale;
+        uint256 totalRatings;
+        uint256 ratingSum;
+        string galleryId;
+        uint256 createdAt;
+    }
+    
+    struct ArtworkDetails {
+        uint256 tokenId;
+        string title;
+        address artist;
+        address owner;
+        uint256 price;
+        bool forSale;
+        uint256 avgRating;
+        uint256 totalRatings;
+        string galleryId;
+        uint256 createdAt;
+        uint256 royaltyBasisPoints;
+        string tokenURI;
+    }
+    
+    struct Collaborator {
+        address account;
+        uint256 shareBasisPoints;
+    }
+    
+    struct Gallery {
+        string name;
+        address curator;
+        uint256[] artworkIds;
+        bool isActive;
+        string description;
+        uint256 createdAt;
+        bool curated;
+    }
+    
+    enum SubmissionStatus { Pending, Approved, Rejected, Withdrawn }
+    
+    struct Submission {
+        uint256 tokenId;
+        string galleryId;
+        address artist;
+        SubmissionStatus status;
+        string rejectionReason;
+        uint256 createdAt;
+    }
+    
+    struct Review {
+        address reviewer;
+        string comment;
+        uint256 rating;
+        uint256 timestamp;
+    }
+    
+    struct Auction {
+        address seller;
+        uint256 reservePrice;
+        uint256 minBidIncrement;
+        uint256 endTime;
+        address highestBidder;
+        uint256 highestBid;
+        bool active;
+    }
+    
+    /**
+     * @dev An artist's signed promise to mint an artwork for whoever pays its price first.
+     * An expiresAt of zero means the voucher never expires.
+     */
+    struct ArtworkVoucher {
+        address artist;
+        string title;
+        string tokenURI;
+        uint256 price;
+        string galleryId;
+        uint96 royaltyBasisPoints;
+        uint256 nonce;
+        uint256 expiresAt;
+    }
+    
+    struct Series {
+        string name;
+        address artist;
+        uint256 size;
+        bool isEdition;
+        uint256 createdAt;
+    }
+    
+    /**
+     * @dev Public details an account chooses to show beside its address
+     */
+    struct Profile {
+        string displayName;
+        string bio;
+        string avatarURI;
+        string[] links;
+        uint256 updatedAt;
+    }
+    
+    struct Offer {
+        uint256 tokenId;
+        address bidder;
+        uint256 amount;
+        uint256 expiresAt;
+        bool active;
+    }
+    
+    mapping(uint256 => Artwork) public artworks;
+    mapping(uint256 => Collaborator[]) internal _collaborators;
+    mapping(string => Gallery) public galleries;
+    mapping(uint256 => uint256) internal _galleryArtworkIndex;
+    mapping(uint256 => Review[]) public reviews;
+    mapping(uint256 => mapping(address => bool)) public hasRated;
+    mapping(address => uint256[]) public userArtworks;
+    mapping(address => string[]) public userGalleries;
+    mapping(string => uint256) internal _userGalleryIndex;
+    mapping(string => mapping(address => bool)) public coCurators;
+    mapping(uint256 => Submission) public submissions;
+    mapping(address => uint256[]) public artistSubmissions;
+    mapping(string => uint256[]) public gallerySubmissions;
+    mapping(uint256 => uint256) internal _pendingSubmissions;
+    mapping(uint256 => Auction) public auctions;
+    mapping(address => uint256) public pendingWithdrawals;
+    mapping(uint256 => Offer) public offers;
+    mapping(uint256 => uint256[]) public tokenOffers;
+    mapping(uint256 => Series) public series;
+    mapping(uint256 => uint256[]) internal _seriesTokens;
+    mapping(uint256 => uint256) public tokenSeries;
+    mapping(uint256 => uint256) public editionNumbers;
+    mapping(address => mapping(uint256 => bool)) public voucherNonceUsed;
+    mapping(address => Profile) internal _profiles;
+    
+    event ArtworkCreated(uint256 indexed tokenId, string title, address indexed artist, uint256 price);
+    event ArtworkSold(uint256 indexed tokenId, address indexed from, address indexed to, uint256 price);
+    event ReviewAdded(uint256 indexed tokenId, address indexed reviewer, string comment, uint256 rating);
+    event GalleryCreated(string galleryId, string name, address indexed curator);
+    event GalleryUpdated(string indexed galleryId, string name, string description);
+    event GalleryDeactivated(string indexed galleryId);
+    event GalleryReactivated(string indexed galleryId);
+    event CuratorshipTransferred(string indexed galleryId, address indexed previousCurator, address indexed newCurator);
+    event CoCuratorAdded(string indexed galleryId, address indexed account);
+    event CoCuratorRemoved(string indexed galleryId, address indexed account);
+    event GalleryCurationChanged(string indexed galleryId, bool curated);
+    event SubmissionCreated(uint256 indexed submissionId, uint256 indexed tokenId, address indexed artist, string galleryId);
+    event SubmissionApproved(uint256 indexed submissionId, uint256 indexed tokenId);
+    event SubmissionRejected(uint256 indexed submissionId, uint256 indexed tokenId, string reason);
+    event SubmissionWithdrawn(uint256 indexed submissionId, uint256 indexed tokenId);
+    event ArtworkAddedToGallery(string indexed galleryId, uint256 indexed tokenId);
+    event ArtworkRemovedFromGallery(string indexed galleryId, uint256 indexed tokenId);
+    event SeriesCreated(uint256 indexed seriesId, address indexed artist, string name, uint256 size, bool isEdition);
+    event VoucherRedeemed(address indexed artist, uint256 indexed nonce, uint256 indexed tokenId, address buyer);
+    event VoucherCancelled(address indexed artist, uint256 indexed nonce);
+    event PriceUpdated(uint256 indexed tokenId, uint256 newPrice);
+    event ProfileUpdated(address indexed account, string displayName);
+    event RoyaltyPaid(uint256 indexed tokenId, address indexed artist, uint256 amount);
+    event CollaboratorsSet(uint256 indexed tokenId, address[] collaborators, uint256[] shares);
+    event RoyaltyReceiverUpdated(uint256 indexed tokenId, address indexed receiver);
+    event ArtworkListed(uint256 indexed tokenId, address indexed seller, uint256 price);
+    event ArtworkDelisted(uint256 indexed tokenId, address indexed seller);
+    event AuctionCreated(uint256 indexed tokenId, address indexed seller, uint256 reservePrice, uint256 minBidIncrement, uint256 endTime);
+    event BidPlaced(uint256 indexed tokenId, address indexed bidder, uint256 amount, uint256 endTime);
+    event AuctionExtended(uint256 indexed tokenId, uint256 newEndTime);
+    event AuctionSettled(uint256 indexed tokenId, address indexed winner, uint256 amount);
+    event AuctionCancelled(uint256 indexed tokenId);
+    event PaymentCredited(address indexed payee, uint256 amount);
+    event Withdrawal(address indexed payee, uint256 amount);
+    event OfferMade(uint256 indexed offerId, uint256 indexed tokenId, address indexed bidder, uint256 amount, uint256 expiresAt);
+    event OfferAccepted(uint256 indexed offerId, uint256 indexed tokenId, address indexed seller);
+    event OfferRejected(uint256 indexed offerId, uint256 indexed tokenId);
+    event OfferCancelled(uint256 indexed offerId, uint256 indexed tokenId);
+    
+    constructor() ERC721("NFT Art Gallery", "NAG") EIP712("ArtGallery", "1") Ownable() {}
+    
+    modifier onlyArtworkOwner(uint256 tokenId) {
+        _checkArtworkOwner(tokenId);
+        _;
+    }
+    
+    modifier onlyCurator(string memory galleryId) {
+        _checkCurator(galleryId);
+        _;
+    }
+    
+    function _createArtwork(
+        address artist,
+        string memory title,
+        string memory tokenURI,
+        uint256 price,
+        string memory galleryId,
+        uint96 royaltyBasisPoints
+    ) internal returns (uint256) {
+        require(bytes(title).length > 0, "Title cannot be empty");
+        require(price > 0, "Price must be greater than 0");
+        require(galleries[galleryId].isActive, "Gallery does not exist");
+        require(royaltyBasisPoints <= maxRoyaltyBasisPoints, "Royalty exceeds platform cap");
+        
+        _tokenIds.increment();
+        uint256 newTokenId = _tokenIds.current();
+        
+        _mint(artist, newTokenId);
+        _setTokenURI(newTokenId, tokenURI);
+        _setTokenRoyalty(newTokenId, artist, royaltyBasisPoints);
+        
+        artworks[newTokenId] = Artwork({
+            title: title,
+            artist: artist,
+            price: price,
+            forSale: true,
+            totalRatings: 0,
+            ratingSum: 0,
+            galleryId: "",
+            createdAt: block.timestamp
+        });
+        
+        userArtworks[artist].push(newTokenId);
+        
+        emit ArtworkCreated(newTokenId, title, artist, price);
+        
+        _admitToGallery(newTokenId, galleryId, artist);
+        return newTokenId;
+    }
+    
+    function _setCollaborators(
+        uint256 tokenId,
+        address[] memory collaborators,
+        uint256[] memory shares
+    ) internal {
+        require(collaborators.length == shares.length, "Collaborators and shares length mismatch");
+        require(collaborators.length > 0, "No collaborators provided");
+        require(collaborators.length <= MAX_COLLABORATORS, "Too many collaborators");
+        
+        uint256 totalShares = 0;
+        for (uint256 i = 0; i < collaborators.length; i++) {
+            require(collaborators[i] != address(0), "Invalid collaborator");
+            require(shares[i] > 0, "Share must be greater than 0");
+            
+            totalShares += shares[i];
+            _collaborators[tokenId].push(Collaborator({
+                account: collaborators[i],
+                shareBasisPoints: shares[i]
+            }));
+        }
+        require(totalShares == 10000, "Shares must add up to 10000");
+        
+        emit CollaboratorsSet(tokenId, collaborators, shares);
+    }
+    
+    function _hashVoucher(ArtworkVoucher calldata voucher) internal view returns (bytes32) {
+        return _hashTypedDataV4(keccak256(abi.encode(
+            VOUCHER_TYPEHASH,
+            voucher.artist,
+            keccak256(bytes(voucher.title)),
+            keccak256(bytes(voucher.tokenURI)),
+            voucher.price,
+            keccak256(bytes(voucher.galleryId)),
+            voucher.royaltyBasisPoints,
+            voucher.nonce,
+            voucher.expiresAt
+        )));
+    }
+    
+    function isGalleryCurator(string memory galleryId, address account) public view returns (bool) {
+        return galleries[galleryId].curator == account || coCurators[galleryId][account];
+    }
+    
+    function supportsInterface(bytes4 interfaceId)
+        public
+        view
+        virtual
+        override(ERC721URIStorage, ERC2981)
+        returns (bool)
+    {
+        return super.supportsInterface(interfaceId);
+    }
+    
+    function _checkArtworkOwner(uint256 tokenId) internal view {
+        require(_exists(tokenId), "Artwork does not exist");
+        require(ownerOf(tokenId) == msg.sender, "Caller is not the artwork owner");
+    }
+    
+    function _checkCurator(string memory galleryId) internal view {
+        require(galleries[galleryId].curator != address(0), "Gallery does not exist");
+        require(galleries[galleryId].curator == msg.sender, "Caller is not the curator");
+    }
+    
+    /**
+     * @dev Places an artwork in a gallery, or files it as a pending submission when the
+     * gallery is curated and the caller is not one of its curators
+     */
+    function _admitToGallery(uint256 tokenId, string memory galleryId, address artist) internal {
+        if (galleries[galleryId].curated && !isGalleryCurator(galleryId, artist)) {
+            _submissionIds.increment();
+            uint256 submissionId = _submissionIds.current();
+            
+            submissions[submissionId] = Submission({
+                tokenId: tokenId,
+                galleryId: galleryId,
+                artist: artist,
+                status: SubmissionStatus.Pending,
+                rejectionReason: "",
+                createdAt: block.timestamp
+            });
+            artistSubmissions[artist].push(submissionId);
+            gallerySubmissions[galleryId].push(submissionId);
+            _pendingSubmissions[tokenId] = submissionId;
+            
+            emit SubmissionCreated(submissionId, tokenId, artist, galleryId);
+        } else {
+            _addToGallery(tokenId, galleryId);
+        }
+    }
+    
+    function _addToGallery(uint256 tokenId, string memory galleryId) internal {
+        artworks[tokenId].galleryId = galleryId;
+        _galleryArtworkIndex[tokenId] = galleries[galleryId].artworkIds.length;
+        galleries[galleryId].artworkIds.push(tokenId);
+        
+        emit ArtworkAddedToGallery(galleryId, tokenId);
+    }
+    
+    /**
+     * @dev Swap-and-pop removal from the artwork's gallery, using the stored index
+     */
+    function _removeFromGallery(uint256 tokenId) internal {
+        string memory galleryId = artworks[tokenId].galleryId;
+        uint256[] storage artworkIds = galleries[galleryId].artworkIds;
+        uint256 index = _galleryArtworkIndex[tokenId];
+        uint256 lastIndex = artworkIds.length - 1;
+        
+        if (index != lastIndex) {
+            uint256 lastTokenId = artworkIds[lastIndex];
+            artworkIds[index] = lastTokenId;
+            _galleryArtworkIndex[lastTokenId] = index;
+        }
+        
+        artworkIds.pop();
+        delete _galleryArtworkIndex[tokenId];
+        artworks[tokenId].galleryId = "";
+        
+        emit ArtworkRemovedFromGallery(galleryId, tokenId);
+    }
+    
+    function _pendingSubmissionForCurator(uint256 submissionId) internal view returns (Submission storage submission) {
+        submission = submissions[submissionId];
+        require(submission.tokenId != 0, "Submission does not exist");
+        require(submission.status == SubmissionStatus.Pending, "Submission is not pending");
+        require(isGalleryCurator(submission.galleryId, msg.sender), "Caller is not a gallery curator");
+    }
+    
+    function _createSeriesRecord(string memory name, uint256 size, bool isEdition) internal returns (uint256 seriesId) {
+        require(bytes(name).length > 0, "Series name cannot be empty");
+        require(size > 0 && size <= MAX_BATCH_SIZE, "Invalid batch size");
+        
+        _seriesIds.increment();
+        seriesId = _seriesIds.current();
+        series[seriesId] = Series({
+            name: name,
+            artist: msg.sender,
+            size: size,
+            isEdition: isEdition,
+            createdAt: block.timestamp
+        });
+        
+        emit SeriesCreated(seriesId, msg.sender, name, size, isEdition);
+    }
+    
+    function _addToSeries(uint256 seriesId, uint256 tokenId) internal {
+        _seriesTokens[seriesId].push(tokenId);
+        tokenSeries[tokenId] = seriesId;
+    }
+    
+    function _pageOf(uint256[] storage list, uint256 offset, uint256 limit) internal view returns (uint256[] memory page) {
+        uint256 size = _pageSize(list.length, offset, limit);
+        page = new uint256[](size);
+        
+        for (uint256 i = 0; i < size; i++) {
+            page[i] = list[offset + i];
+        }
+    }
+    
+    function _pageSize(uint256 length, uint256 offset, uint256 limit) internal pure returns (uint256) {
+        if (offset >= length) {
+            return 0;
+        }
+        uint256 remaining = length - offset;
+        return limit < remaining ? limit : remaining;
+    }
+    
+    function _addUserGallery(address user, string memory galleryId) internal {
+        _userGalleryIndex[galleryId] = userGalleries[user].length;
+        userGalleries[user].push(galleryId);
+    }
+    
+    /**
+     * @dev Swap-and-pop removal using the stored index, so a curator's gallery list never
+     * has to be scanned
+     */
+    function _removeUserGallery(address user, string memory galleryId) internal {
+        string[] storage list = userGalleries[user];
+        uint256 index = _userGalleryIndex[galleryId];
+        uint256 lastIndex = list.length - 1;
+        
+        if (index != lastIndex) {
+            string memory lastGalleryId = list[lastIndex];
+            list[index] = lastGalleryId;
+            _userGalleryIndex[lastGalleryId] = index;
+        }
+        
+        list.pop();
+        delete _userGalleryIndex[galleryId];
+    }
+    
+    /**
+     * @dev Splits sale proceeds between the platform fee, the artist royalty and the seller.
+     * Shares are credited rather than sent, so a recipient that rejects ETH cannot block the sale.
+     * Whatever goes to the artist, as primary proceeds or royalty, is divided among collaborators.
+     */
+    function _distributeSale(uint256 tokenId, address seller, uint256 amount) internal {
+        Artwork storage artwork = artworks[tokenId];
+        uint256 platformFeeAmount = (amount * platformFee) / 1000;
+        
+        uint256 royaltyAmount = 0;
+        if (seller != artwork.artist) {
+            address royaltyReceiver;
+            (royaltyReceiver, royaltyAmount) = royaltyInfo(tokenId, amount);
+            if (royaltyReceiver == artwork.artist) {
+                _creditArtist(tokenId, royaltyReceiver, royaltyAmount);
+            } else {
+                _credit(royaltyReceiver, royaltyAmount);
+            }
+            emit RoyaltyPaid(tokenId, royaltyReceiver, royaltyAmount);
+        }
+        
+        _credit(owner(), platformFeeAmount);
+        
+        uint256 sellerAmount = amount - platformFeeAmount - royaltyAmount;
+        if (seller == artwork.artist) {
+            _creditArtist(tokenId, seller, sellerAmount);
+        } else {
+            _credit(seller, sellerAmount);
+        }
+    }
+    
+    /**
+     * @dev Credits the artist's side of a sale, divided by collaborator shares when the
+     * artwork has any. The last collaborator receives the rounding remainder.
+     */
+    function _creditArtist(uint256 tokenId, address artist, uint256 amount) internal {
+        Collaborator[] storage collaborators = _collaborators[tokenId];
+        if (collaborators.length == 0) {
+            _credit(artist, amount);
+            return;
+        }
+        
+        uint256 remaining = amount;
+        for (uint256 i = 0; i < collaborators.length - 1; i++) {
+            uint256 share = (amount * collaborators[i].shareBasisPoints) / 10000;
+            remaining -= share;
+            _credit(collaborators[i].account, share);
+        }
+        _credit(collaborators[collaborators.length - 1].account, remaining);
+    }
+    
+    function _credit(address payee, uint256 amount) internal {
+        if (amount == 0) {
+            return;
+        }
+        
+        pendingWithdrawals[payee] += amount;
+        emit PaymentCredited(payee, amount);
+    }
+    
+    /**
+     * @dev Keeps artworks under auction from changing hands until the auction is closed
+     */
+    function _beforeTokenTransfer(
+        address from,
+        address to,
+        uint256 firstTokenId,
+        uint256 batchSize
+    ) internal virtual override {
+        super._beforeTokenTransfer(from, to, firstTokenId, batchSize);
+        require(!auctions[firstTokenId].active, "Artwork is in an active auction");
+    }
+    
+    /**
+     * @dev Drops the listing when an artwork changes hands outside of a sale, so the
+     * new owner's token cannot be bought at the previous owner's price
+     */
+    function _afterTokenTransfer(
+        address from,
+        address to,
+        uint256 firstTokenId,
+        uint256 batchSize
+    ) internal virtual override {
+        super._afterTokenTransfer(from, to, firstTokenId, batchSize);
+        
+        if (from != address(0) && artworks[firstTokenId].forSale) {
+            artworks[firstTokenId].forSale = false;
+            emit ArtworkDelisted(firstTokenId, from);
+        }
+    }
+}
@@ -0,0 +1,429 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/utils/cryptography/SignatureChecker.sol";
+import "./ArtGalleryBase.sol";
+
+/**
+ * @title ArtGalleryExtension
+ * @dev Auctions, offers, lazy minting, gallery administration and profiles for ArtGallery.
+ * Only meant to be reached through ArtGallery's fallback, which delegates here so these
+ * functions read and write ArtGallery's storage and emit its events. Called directly it only
+ * sees its own empty storage.
+ */
+contract ArtGalleryExtension is ArtGalleryBase {
+    using Counters for Counters.Counter;
+    
+    /**
+     * @dev Lazy mint: mints a voucher's artwork to its artist and sells it to the caller in
+     * one step, so the artist pays no gas until the work sells. Each nonce can be used once.
+     */
+    function redeemVoucher(ArtworkVoucher calldata voucher, bytes calldata signature) public payable nonReentrant returns (uint256 tokenId) {
+        require(msg.value >= voucher.price, "Insufficient payment");
+        require(voucher.expiresAt == 0 || block.timestamp <= voucher.expiresAt, "Voucher has expired");
+        require(!voucherNonceUsed[voucher.artist][voucher.nonce], "Voucher already redeemed or cancelled");
+        require(
+            SignatureChecker.isValidSignatureNow(voucher.artist, _hashVoucher(voucher), signature),
+            "Invalid voucher signature"
+        );
+        
+        voucherNonceUsed[voucher.artist][voucher.nonce] = true;
+        
+        tokenId = _createArtwork(
+            voucher.artist,
+            voucher.title,
+            voucher.tokenURI,
+            voucher.price,
+            voucher.galleryId,
+            voucher.royaltyBasisPoints
+        );
+        artworks[tokenId].forSale = false;
+        
+        _transfer(voucher.artist, msg.sender, tokenId);
+        _distributeSale(tokenId, voucher.artist, msg.value);
+        
+        emit VoucherRedeemed(voucher.artist, voucher.nonce, tokenId, msg.sender);
+        emit ArtworkSold(tokenId, voucher.artist, msg.sender, msg.value);
+    }
+    
+    /**
+     * @dev Invalidates one of the caller's unredeemed vouchers
+     */
+    function cancelVoucher(uint256 nonce) public {
+        require(!voucherNonceUsed[msg.sender][nonce], "Voucher already redeemed or cancelled");
+        voucherNonceUsed[msg.sender][nonce] = true;
+        emit VoucherCancelled(msg.sender, nonce);
+    }
+    
+    /**
+     * @dev Starts a timed English auction for an owned artwork. Any fixed-price listing is
+     * withdrawn and the token cannot be transferred until the auction is settled or cancelled.
+     */
+    function createAuction(
+        uint256 tokenId,
+        uint256 reservePrice,
+        uint256 minBidIncrement,
+        uint256 duration
+    ) public onlyArtworkOwner(tokenId) {
+        require(!auctions[tokenId].active, "Artwork is in an active auction");
+        require(reservePrice > 0, "Reserve price must be greater than 0");
+        require(minBidIncrement > 0, "Bid increment must be greater than 0");
+        require(duration >= AUCTION_EXTENSION, "Auction duration too short");
+        
+        Artwork storage artwork = artworks[tokenId];
+        if (artwork.forSale) {
+            artwork.forSale = false;
+            emit ArtworkDelisted(tokenId, msg.sender);
+        }
+        
+        uint256 endTime = block.timestamp + duration;
+        auctions[tokenId] = Auction({
+            seller: msg.sender,
+            reservePrice: reservePrice,
+            minBidIncrement: minBidIncrement,
+            endTime: endTime,
+            highestBidder: address(0),
+            highestBid: 0,
+            active: true
+        });
+        
+        emit AuctionCreated(tokenId, msg.sender, reservePrice, minBidIncrement, endTime);
+    }
+    
+    /**
+     * @dev Places an escrowed bid. The outbid amount is credited to the previous bidder's
+     * pending withdrawals, and a bid in the final minutes pushes the end time back.
+     */
+    function placeBid(uint256 tokenId) public payable nonReentrant {
+        Auction storage auction = auctions[tokenId];
+        require(auction.active, "No active auction");
+        require(block.timestamp < auction.endTime, "Auction has ended");
+        require(msg.sender != auction.seller, "Seller cannot bid");
+        
+        if (auction.highestBidder == address(0)) {
+            require(msg.value >= auction.reservePrice, "Bid below reserve price");
+        } else {
+            require(msg.value >= auction.highestBid + auction.minBidIncrement, "Bid increment too low");
+            _credit(auction.highestBidder, auction.highestBid);
+        }
+        
+        auction.highestBidder = msg.sender;
+        auction.highestBid = msg.value;
+        
+        if (auction.endTime - block.timestamp < AUCTION_EXTENSION) {
+            auction.endTime = block.timestamp + AUCTION_EXTENSION;
+            emit AuctionExtended(tokenId, auction.endTime);
+        }
+        
+        emit BidPlaced(tokenId, msg.sender, msg.value, auction.endTime);
+    }
+    
+    /**
+     * @dev Closes an ended auction, handing the artwork to the winner and paying out the
+     * winning bid. Anyone can settle so a seller cannot hold a finished auction hostage.
+     */
+    function settleAuction(uint256 tokenId) public nonReentrant {
+        Auction storage auction = auctions[tokenId];
+        require(auction.active, "No active auction");
+        require(block.timestamp >= auction.endTime, "Auction has not ended");
+        
+        auction.active = false;
+        
+        if (auction.highestBidder != address(0)) {
+            _transfer(auction.seller, auction.highestBidder, tokenId);
+            _distributeSale(tokenId, auction.seller, auction.highestBid);
+            
+            emit ArtworkSold(tokenId, auction.seller, auction.highestBidder, auction.highestBid);
+        }
+        
+        emit AuctionSettled(tokenId, auction.highestBidder, auction.highestBid);
+    }
+    
+    /**
+     * @dev Cancels an auction that has not received any bids
+     */
+    function cancelAuction(uint256 tokenId) public {
+        Auction storage auction = auctions[tokenId];
+        require(auction.active, "No active auction");
+        require(auction.seller == msg.sender, "Caller is not the seller");
+        require(auction.highestBidder == address(0), "Auction already has bids");
+        
+        auction.active = false;
+        
+        emit AuctionCancelled(tokenId);
+    }
+    
+    /**
+     * @dev Places an escrowed offer on any artwork, whether or not it is for sale
+     */
+    function makeOffer(uint256 tokenId, uint256 expiresAt) public payable returns (uint256) {
+        require(_exists(tokenId), "Artwork does not exist");
+        require(msg.value > 0, "Offer must be greater than 0");
+        require(expiresAt > block.timestamp, "Expiry must be in the future");
+        require(ownerOf(tokenId) != msg.sender, "Cannot make offer on own artwork");
+        
+        _offerIds.increment();
+        uint256 offerId = _offerIds.current();
+        
+        offers[offerId] = Offer({
+            tokenId: tokenId,
+            bidder: msg.sender,
+            amount: msg.value,
+            expiresAt: expiresAt,
+            active: true
+        });
+        tokenOffers[tokenId].push(offerId);
+        
+        emit OfferMade(offerId, tokenId, msg.sender, msg.value, expiresAt);
+        return offerId;
+    }
+    
+    /**
+     * @dev Accepts an unexpired offer, transferring the artwork to the bidder and paying
+     * out the escrowed amount through the regular sale split
+     */
+    function acceptOffer(uint256 offerId) public nonReentrant {
+        Offer storage offer = offers[offerId];
+        require(offer.active, "Offer is not active");
+        require(block.timestamp < offer.expiresAt, "Offer has expired");
+        require(ownerOf(offer.tokenId) == msg.sender, "Caller is not the artwork owner");
+        
+        offer.active = false;
+        artworks[offer.tokenId].forSale = false;
+        
+        _transfer(msg.sender, offer.bidder, offer.tokenId);
+        _distributeSale(offer.tokenId, msg.sender, offer.amount);
+        
+        emit OfferAccepted(offerId, offer.tokenId, msg.sender);
+        emit ArtworkSold(offer.tokenId, msg.sender, offer.bidder, offer.amount);
+    }
+    
+    /**
+     * @dev Declines an offer, crediting the escrowed amount to the bidder's pending withdrawals
+     */
+    function rejectOffer(uint256 offerId) public {
+        Offer storage offer = offers[offerId];
+        require(offer.active, "Offer is not active");
+        require(ownerOf(offer.tokenId) == msg.sender, "Caller is not the artwork owner");
+        
+        offer.active = false;
+        _credit(offer.bidder, offer.amount);
+        
+        emit OfferRejected(offerId, offer.tokenId);
+    }
+    
+    /**
+     * @dev Withdraws an offer, crediting the escrowed amount to the bidder's pending
+     * withdrawals. Also used to reclaim funds from an offer that expired without being accepted.
+     */
+    function cancelOffer(uint256 offerId) public {
+        Offer storage offer = offers[offerId];
+        require(offer.active, "Offer is not active");
+        require(offer.bidder == msg.sender, "Caller is not the bidder");
+        
+        offer.active = false;
+        _credit(offer.bidder, offer.amount);
+        
+        emit OfferCancelled(offerId, offer.tokenId);
+    }
+    
+    function getTokenOffers(uint256 tokenId) public view returns (uint256[] memory) {
+        return tokenOffers[tokenId];
+    }
+    
+    /**
+     * @dev Renames a gallery and replaces its description
+     */
+    function updateGallery(
+        string memory galleryId,
+        string memory name,
+        string memory description
+    ) public onlyCurator(galleryId) {
+        require(bytes(name).length > 0, "Gallery name cannot be empty");
+        
+        Gallery storage gallery = galleries[galleryId];
+        gallery.name = name;
+        gallery.description = description;
+        
+        emit GalleryUpdated(galleryId, name, description);
+    }
+    
+    /**
+     * @dev Closes a gallery to new artworks. Its ID stays reserved and existing artworks keep it.
+     */
+    function deactivateGallery(string memory galleryId) public onlyCurator(galleryId) {
+        require(galleries[galleryId].isActive, "Gallery is not active");
+        galleries[galleryId].isActive = false;
+        
+        emit GalleryDeactivated(galleryId);
+    }
+    
+    function reactivateGallery(string memory galleryId) public onlyCurator(galleryId) {
+        require(!galleries[galleryId].isActive, "Gallery is already active");
+        galleries[galleryId].isActive = true;
+        
+        emit GalleryReactivated(galleryId);
+    }
+    
+    /**
+     * @dev Hands a gallery over to a new curator, moving it between their gallery lists
+     */
+    function transferCuratorship(string memory galleryId, address newCurator) public onlyCurator(galleryId) {
+        require(newCurator != address(0), "Invalid curator");
+        require(newCurator != msg.sender, "Already the curator");
+        
+        galleries[galleryId].curator = newCurator;
+        _removeUserGallery(msg.sender, galleryId);
+        _addUserGallery(newCurator, galleryId);
+        
+        emit CuratorshipTransferred(galleryId, msg.sender, newCurator);
+    }
+    
+    /**
+     * @dev Switches curated mode. In a curated gallery, artworks from anyone other than the
+     * curator or a co-curator wait as submissions until one of them approves them.
+     */
+    function setGalleryCurated(string memory galleryId, bool curated) public onlyCurator(galleryId) {
+        galleries[galleryId].curated = curated;
+        
+        emit GalleryCurationChanged(galleryId, curated);
+    }
+    
+    /**
+     * @dev Admits a pending submission into its gallery
+     */
+    function approveSubmission(uint256 submissionId) public {
+        Submission storage submission = _pendingSubmissionForCurator(submissionId);
+        require(galleries[submission.galleryId].isActive, "Gallery does not exist");
+        
+        submission.status = SubmissionStatus.Approved;
+        delete _pendingSubmissions[submission.tokenId];
+        _addToGallery(submission.tokenId, submission.galleryId);
+        
+        emit SubmissionApproved(submissionId, submission.tokenId);
+    }
+    
+    function rejectSubmission(uint256 submissionId, string memory reason) public {
+        Submission storage submission = _pendingSubmissionForCurator(submissionId);
+        
+        submission.status = SubmissionStatus.Rejected;
+        submission.rejectionReason = reason;
+        delete _pendingSubmissions[submission.tokenId];
+        
+        emit SubmissionRejected(submissionId, submission.tokenId, reason);
+    }
+    
+    /**
+     * @dev Takes an artwork out of its gallery. Either the token owner or one of the
+     * gallery's curators may do this.
+     */
+    function removeFromGallery(uint256 tokenId) public {
+        require(_exists(tokenId), "Artwork does not exist");
+        string memory galleryId = artworks[tokenId].galleryId;
+        require(bytes(galleryId).length > 0, "Artwork is not in a gallery");
+        require(
+            ownerOf(tokenId) == msg.sender || isGalleryCurator(galleryId, msg.sender),
+            "Caller cannot remove this artwork"
+        );
+        
+        _removeFromGallery(tokenId);
+    }
+    
+    /**
+     * @dev Moves an owned artwork into another gallery under that gallery's admission rules.
+     * The artwork leaves its current gallery straight away; in a curated gallery it only
+     * reappears once its submission is approved. Any earlier pending submission is withdrawn.
+     */
+    function moveToGallery(uint256 tokenId, string memory galleryId) public onlyArtworkOwner(tokenId) {
+        require(galleries[galleryId].isActive, "Gallery does not exist");
+        require(
+            keccak256(bytes(artworks[tokenId].galleryId)) != keccak256(bytes(galleryId)),
+            "Artwork is already in this gallery"
+        );
+        
+        if (bytes(artworks[tokenId].galleryId).length > 0) {
+            _removeFromGallery(tokenId);
+        }
+        
+        uint256 pendingId = _pendingSubmissions[tokenId];
+        if (pendingId != 0) {
+            submissions[pendingId].status = SubmissionStatus.Withdrawn;
+            delete _pendingSubmissions[tokenId];
+            emit SubmissionWithdrawn(pendingId, tokenId);
+        }
+        
+        _admitToGallery(tokenId, galleryId, msg.sender);
+    }
+    
+    function addCoCurator(string memory galleryId, address account) public onlyCurator(galleryId) {
+        require(account != address(0), "Invalid co-curator");
+        require(!coCurators[galleryId][account], "Already a co-curator");
+        coCurators[galleryId][account] = true;
+        
+        emit CoCuratorAdded(galleryId, account);
+    }
+    
+    function removeCoCurator(string memory galleryId, address account) public onlyCurator(galleryId) {
+        require(coCurators[galleryId][account], "Not a co-curator");
+        coCurators[galleryId][account] = false;
+        
+        emit CoCuratorRemoved(galleryId, account);
+    }
+    
+    function getUserGalleries(address user) public view returns (string[] memory) {
+        return userGalleries[user];
+    }
+    
+    function getUserGalleryCount(address user) public view returns (uint256) {
+        return userGalleries[user].length;
+    }
+    
+    function getUserGalleriesPage(address user, uint256 offset, uint256 limit) public view returns (string[] memory page) {
+        string[] storage list = userGalleries[user];
+        uint256 size = _pageSize(list.length, offset, limit);
+        page = new string[](size);
+        
+        for (uint256 i = 0; i < size; i++) {
+            page[i] = list[offset + i];
+        }
+    }
+    
+    function getArtistSubmissions(address artist) public view returns (uint256[] memory) {
+        return artistSubmissions[artist];
+    }
+    
+    function getGallerySubmissions(string memory galleryId) public view returns (uint256[] memory) {
+        return gallerySubmissions[galleryId];
+    }
+    
+    /**
+     * @dev Replaces the caller's profile; pass empty values to clear it
+     */
+    function setProfile(
+        string memory displayName,
+        string memory bio,
+        string memory avatarURI,
+        string[] memory links
+    ) public {
+        require(bytes(displayName).length <= MAX_DISPLAY_NAME_LENGTH, "Display name too long");
+        require(bytes(bio).length <= MAX_BIO_LENGTH, "Bio too long");
+        require(bytes(avatarURI).length <= MAX_AVATAR_URI_LENGTH, "Avatar URI too long");
+        require(links.length <= MAX_PROFILE_LINKS, "Too many profile links");
+        for (uint256 i = 0; i < links.length; i++) {
+            require(bytes(links[i]).length <= MAX_PROFILE_LINK_LENGTH, "Profile link too long");
+        }
+        
+        Profile storage profile = _profiles[msg.sender];
+        profile.displayName = displayName;
+        profile.bio = bio;
+        profile.avatarURI = avatarURI;
+        profile.links = links;
+        profile.updatedAt = block.timestamp;
+        
+        emit ProfileUpdated(msg.sender, displayName);
+    }
+    
+    function getProfile(address account) public view returns (Profile memory) {
+        return _profiles[account];
+    }
+}
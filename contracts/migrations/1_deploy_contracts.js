@@ -1,12 +1,26 @@
 const ArtGallery = artifacts.require("ArtGallery");
+const ArtGalleryExtension = artifacts.require("ArtGalleryExtension");
 const fs = require('fs');
 const path = require('path');
+const { buildMetadata, toDataUri } = require('../../client/src/utils/metadataBuilder');
+
+// Inline so the seed artwork renders without anything pinned to IPFS
+const SEED_IMAGE = 'data:image/svg+xml;base64,' + Buffer.from(
+  '<svg xmlns="http://www.w3.org/2000/svg" width="400" height="400">' +
+  '<rect width="400" height="400" fill="#1e293b"/>' +
+  '<circle cx="200" cy="200" r="120" fill="#f59e0b"/>' +
+  '</svg>'
+).toString('base64');
 
 module.exports = async function(deployer, network, accounts) {
   try {
-    await deployer.deploy(ArtGallery);
+    // ArtGallery forwards the calls it does not implement to the extension
+    await deployer.deploy(ArtGalleryExtension);
+    const extension = await ArtGalleryExtension.deployed();
+    await deployer.deploy(ArtGallery, extension.address);
     const artGallery = await ArtGallery.deployed();
     
+    console.log('ArtGalleryExtension deployed at:', extension.address);
     console.log('ArtGallery deployed at:', artGallery.address);
 
     if (network !== 'development' && network !== 'test') {
@@ -15,10 +29,14 @@ module.exports = async function(deployer, network, accounts) {
       
       try {
         await hre.run('verify:verify', {
-          address: artGallery.address,
+          address: extension.address,
           constructorArguments: []
         });
-        console.log('Contract verified on Etherscan');
+        await hre.run('verify:verify', {
+          address: artGallery.address,
+          constructorArguments: [extension.address]
+        });
+        console.log('Contracts verified on Etherscan');
       } catch (error) {
         console.log('Error verifying contract:', error);
       }
@@ -46,13 +64,25 @@ module.exports = async function(deployer, network, accounts) {
       );
       console.log('Created initial gallery');
 
-      const tokenURI = "ipfs://QmTest";
+      const tokenURI = toDataUri(buildMetadata({
+        name: "Test Artwork",
+        description: "Seed artwork created by the development migration",
+        image: SEED_IMAGE,
+        medium: "Digital",
+        dimensions: "400 x 400 px",
+        year: new Date().getFullYear(),
+        editionNumber: 1,
+        editionSize: 1,
+        license: "CC0-1.0",
+        backgroundColor: "1e293b",
+        attributes: [{ trait_type: "Palette", value: "Amber" }]
+      }));
       await artGallery.createArtwork(
         "Test Artwork",
         tokenURI,
         web3.utils.toWei("0.1", "ether"),
         "main-gallery",
-        10, 
+        1000, // 10% royalty in basis points
         { from: accounts[0] }
       );
       console.log('Created test artwork');
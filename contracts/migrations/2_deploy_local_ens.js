@@ -0,0 +1,42 @@
+const TestENSRegistry = artifacts.require("TestENSRegistry");
+const TestENSResolver = artifacts.require("TestENSResolver");
+const { namehash, reverseNode } = require('../../client/src/utils/ensResolver');
+
+// Names given to the first development accounts so the client has something to resolve
+const LOCAL_NAMES = ['gallery.test', 'artist.test'];
+
+/**
+ * Deploys a throwaway ENS registry on the development chain. Each name gets an addr record
+ * and a reverse record pointing back at its account; point REACT_APP_ENS_REGISTRY at the
+ * printed address to resolve them in the client.
+ */
+module.exports = async function(deployer, network, accounts) {
+  if (network !== 'development') {
+    return;
+  }
+
+  await deployer.deploy(TestENSRegistry);
+  const registry = await TestENSRegistry.deployed();
+  await deployer.deploy(TestENSResolver, registry.address);
+  const resolver = await TestENSResolver.deployed();
+
+  const label = (text) => web3.utils.sha3(text);
+  await registry.setSubnodeOwner(namehash(web3, ''), label('test'), accounts[0]);
+  await registry.setSubnodeOwner(namehash(web3, ''), label('reverse'), accounts[0]);
+  await registry.setSubnodeOwner(namehash(web3, 'reverse'), label('addr'), accounts[0]);
+
+  for (let i = 0; i < LOCAL_NAMES.length; i++) {
+    const account = accounts[i];
+    const [name, parent] = LOCAL_NAMES[i].split('.');
+
+    await registry.setSubnodeOwner(namehash(web3, parent), label(name), account);
+    await registry.setResolver(namehash(web3, LOCAL_NAMES[i]), resolver.address, { from: account });
+    await resolver.setAddr(namehash(web3, LOCAL_NAMES[i]), account, { from: account });
+
+    await registry.setSubnodeOwner(namehash(web3, 'addr.reverse'), label(account.slice(2).toLowerCase()), account);
+    await registry.setResolver(reverseNode(web3, account), resolver.address, { from: account });
+    await resolver.setName(reverseNode(web3, account), LOCAL_NAMES[i], { from: account });
+  }
+
+  console.log(`Local ENS registry deployed at ${registry.address}; set REACT_APP_ENS_REGISTRY to use it`);
+};
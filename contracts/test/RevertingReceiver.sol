@@ -0,0 +1,32 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "../ArtGallery.sol";
+
+/**
+ * @title RevertingReceiver
+ * @dev Test helper that trades on ArtGallery but rejects any plain ETH transfer
+ */
+contract RevertingReceiver {
+    ArtGallery public immutable gallery;
+    
+    constructor(ArtGallery _gallery) {
+        gallery = _gallery;
+    }
+    
+    function purchase(uint256 tokenId) external payable {
+        gallery.purchaseArtwork{value: msg.value}(tokenId);
+    }
+    
+    function list(uint256 tokenId, uint256 price) external {
+        gallery.listArtwork(tokenId, price);
+    }
+    
+    function withdraw() external {
+        gallery.withdraw();
+    }
+    
+    receive() external payable {
+        revert("RevertingReceiver: ETH rejected");
+    }
+}
@@ -0,0 +1,48 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title TestENSRegistry
+ * @dev Minimal ENS registry for local development and tests; only what the client reads
+ * and what is needed to set names up
+ */
+contract TestENSRegistry {
+    struct Record {
+        address owner;
+        address resolver;
+    }
+    
+    mapping(bytes32 => Record) private _records;
+    
+    event NewOwner(bytes32 indexed node, bytes32 indexed label, address owner);
+    event NewResolver(bytes32 indexed node, address resolver);
+    
+    modifier onlyNodeOwner(bytes32 node) {
+        require(_records[node].owner == msg.sender, "TestENSRegistry: not node owner");
+        _;
+    }
+    
+    constructor() {
+        _records[bytes32(0)].owner = msg.sender;
+    }
+    
+    function setSubnodeOwner(bytes32 node, bytes32 label, address newOwner) external onlyNodeOwner(node) returns (bytes32) {
+        bytes32 subnode = keccak256(abi.encodePacked(node, label));
+        _records[subnode].owner = newOwner;
+        emit NewOwner(node, label, newOwner);
+        return subnode;
+    }
+    
+    function setResolver(bytes32 node, address newResolver) external onlyNodeOwner(node) {
+        _records[node].resolver = newResolver;
+        emit NewResolver(node, newResolver);
+    }
+    
+    function owner(bytes32 node) external view returns (address) {
+        return _records[node].owner;
+    }
+    
+    function resolver(bytes32 node) external view returns (address) {
+        return _records[node].resolver;
+    }
+}
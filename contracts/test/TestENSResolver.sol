@@ -0,0 +1,57 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./TestENSRegistry.sol";
+
+/**
+ * @title TestENSResolver
+ * @dev Resolver holding addr, name and text records, each settable by the node's owner
+ * in the registry
+ */
+contract TestENSResolver {
+    TestENSRegistry public immutable ens;
+    
+    mapping(bytes32 => address) private _addresses;
+    mapping(bytes32 => string) private _names;
+    mapping(bytes32 => mapping(string => string)) private _texts;
+    
+    event AddrChanged(bytes32 indexed node, address a);
+    event NameChanged(bytes32 indexed node, string name);
+    event TextChanged(bytes32 indexed node, string indexed indexedKey, string key);
+    
+    modifier onlyNodeOwner(bytes32 node) {
+        require(ens.owner(node) == msg.sender, "TestENSResolver: not node owner");
+        _;
+    }
+    
+    constructor(TestENSRegistry _ens) {
+        ens = _ens;
+    }
+    
+    function setAddr(bytes32 node, address a) external onlyNodeOwner(node) {
+        _addresses[node] = a;
+        emit AddrChanged(node, a);
+    }
+    
+    function setName(bytes32 node, string calldata newName) external onlyNodeOwner(node) {
+        _names[node] = newName;
+        emit NameChanged(node, newName);
+    }
+    
+    function setText(bytes32 node, string calldata key, string calldata value) external onlyNodeOwner(node) {
+        _texts[node][key] = value;
+        emit TextChanged(node, key, key);
+    }
+    
+    function addr(bytes32 node) external view returns (address) {
+        return _addresses[node];
+    }
+    
+    function name(bytes32 node) external view returns (string memory) {
+        return _names[node];
+    }
+    
+    function text(bytes32 node, string calldata key) external view returns (string memory) {
+        return _texts[node][key];
+    }
+}
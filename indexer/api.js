@@ -0,0 +1,341 @@
+const express = require('express');
+const { buildSchema, graphql } = require('graphql');
+const { ARTWORK_SORTS } = require('./store');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+const schema = buildSchema(`
+  type Status {
+    lastBlock: Int
+    chainId: Int
+    contractAddress: String
+  }
+
+  type Review {
+    tokenId: Int!
+    reviewer: String!
+    comment: String!
+    rating: Int!
+    timestamp: Int!
+    txHash: String!
+  }
+
+  type Sale {
+    tokenId: Int!
+    seller: String!
+    buyer: String!
+    price: String!
+    blockNumber: Int!
+    timestamp: Int!
+    txHash: String!
+  }
+
+  type RoyaltyPayment {
+    tokenId: Int!
+    recipient: String!
+    amount: String!
+    blockNumber: Int!
+    timestamp: Int!
+    txHash: String!
+  }
+
+  type Transfer {
+    from: String!
+    to: String!
+    blockNumber: Int!
+    timestamp: Int!
+    txHash: String!
+  }
+
+  type Artwork {
+    tokenId: Int!
+    title: String!
+    artist: String!
+    owner: String!
+    price: String!
+    forSale: Boolean!
+    galleryId: String
+    tokenURI: String!
+    description: String!
+    royaltyBasisPoints: Int!
+    avgRating: Int!
+    totalRatings: Int!
+    createdBlock: Int!
+    createdAt: Int!
+    reviews(offset: Int, limit: Int): [Review!]!
+    sales: [Sale!]!
+    royalties: [RoyaltyPayment!]!
+    transfers: [Transfer!]!
+  }
+
+  type ArtworkPage {
+    total: Int!
+    items: [Artwork!]!
+  }
+
+  type Gallery {
+    id: String!
+    name: String!
+    description: String!
+    curator: String!
+    isActive: Boolean!
+    createdBlock: Int!
+    createdAt: Int!
+    artworkCount: Int!
+    artworks(offset: Int, limit: Int): ArtworkPage!
+  }
+
+  type GalleryPage {
+    total: Int!
+    items: [Gallery!]!
+  }
+
+  type Voucher {
+    artist: String!
+    nonce: String!
+    title: String!
+    tokenURI: String!
+    price: String!
+    galleryId: String!
+    royaltyBasisPoints: Int!
+    expiresAt: Int!
+    signature: String!
+    createdAt: Int!
+    status: String!
+    tokenId: Int
+  }
+
+  type Account {
+    address: String!
+    created(offset: Int, limit: Int): ArtworkPage!
+    owned(offset: Int, limit: Int): ArtworkPage!
+    sales: [Sale!]!
+    royalties: [RoyaltyPayment!]!
+    reviews(offset: Int, limit: Int): [Review!]!
+  }
+
+  type VoucherPage {
+    total: Int!
+    items: [Voucher!]!
+  }
+
+  type Query {
+    status: Status!
+    galleries(offset: Int, limit: Int): GalleryPage!
+    gallery(id: String!): Gallery
+    artworks(
+      galleryId: String
+      artist: String
+      owner: String
+      q: String
+      forSale: Boolean
+      minPrice: String
+      maxPrice: String
+      minRating: Int
+      minRoyalty: Int
+      maxRoyalty: Int
+      sort: String
+      offset: Int
+      limit: Int
+    ): ArtworkPage!
+    artwork(tokenId: Int!): Artwork
+    account(address: String!): Account!
+    vouchers(artist: String, status: String, offset: Int, limit: Int): VoucherPage!
+  }
+`);
+
+const pageArgs = ({ offset, limit } = {}) => [
+  Math.max(Number(offset) || 0, 0),
+  Math.min(Math.max(Number(limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE)
+];
+
+const ARTWORK_FILTERS = ['galleryId', 'artist', 'owner', 'q', 'forSale', 'minPrice', 'maxPrice', 'minRating', 'minRoyalty', 'maxRoyalty', 'sort'];
+
+/**
+ * Picks the artwork filters out of query or GraphQL arguments, dropping empty ones, and
+ * throws on values the store cannot use.
+ */
+const artworkFilters = (args) => {
+  const filters = {};
+  ARTWORK_FILTERS.forEach((name) => {
+    if (args[name] !== undefined && args[name] !== null && args[name] !== '') {
+      filters[name] = args[name];
+    }
+  });
+
+  if (filters.sort && !ARTWORK_SORTS[filters.sort]) {
+    throw new Error(`Unknown sort ${filters.sort}; expected one of ${Object.keys(ARTWORK_SORTS).join(', ')}`);
+  }
+  ['minPrice', 'maxPrice'].forEach((name) => {
+    if (filters[name] !== undefined && !/^\d+$/.test(String(filters[name]))) {
+      throw new Error(`${name} must be an amount in wei`);
+    }
+  });
+  ['minRating', 'minRoyalty', 'maxRoyalty'].forEach((name) => {
+    if (filters[name] !== undefined && !Number.isInteger(Number(filters[name]))) {
+      throw new Error(`${name} must be an integer`);
+    }
+  });
+  if (typeof filters.forSale === 'string') {
+    filters.forSale = filters.forSale === 'true';
+  }
+  return filters;
+};
+
+/**
+ * Builds the HTTP API over the store: REST-style JSON routes under `/api` and a GraphQL
+ * endpoint at `/graphql`. Both read from the same store queries. Lazy-mint vouchers are the
+ * one thing clients write; `verifyVoucher` vets them before they are listed.
+ */
+const createApi = ({ store, status, verifyVoucher }) => {
+  const artworkNode = (artwork) => artwork && {
+    ...artwork,
+    reviews: (args) => store.getReviews(artwork.tokenId, ...pageArgs(args)),
+    sales: () => store.getSales(artwork.tokenId),
+    royalties: () => store.getRoyalties(artwork.tokenId),
+    transfers: () => store.getTransfers(artwork.tokenId)
+  };
+
+  const artworkPage = (filters, args) => {
+    const result = store.getArtworks(filters, ...pageArgs(args));
+    return { total: result.total, items: result.items.map(artworkNode) };
+  };
+
+  const galleryNode = (gallery) => gallery && {
+    ...gallery,
+    artworks: (args) => artworkPage({ galleryId: gallery.id }, args)
+  };
+
+  const rootValue = {
+    status,
+    galleries: (args) => ({
+      total: store.countGalleries(),
+      items: store.getGalleries(...pageArgs(args)).map(galleryNode)
+    }),
+    gallery: ({ id }) => galleryNode(store.getGallery(id)),
+    artworks: (args) => artworkPage(artworkFilters(args), args),
+    artwork: ({ tokenId }) => artworkNode(store.getArtwork(tokenId)),
+    account: ({ address }) => ({
+      address,
+      created: (args) => artworkPage({ artist: address }, args),
+      owned: (args) => artworkPage({ owner: address }, args),
+      sales: () => store.getAccountSales(address),
+      royalties: () => store.getAccountRoyalties(address),
+      reviews: (args) => store.getAccountReviews(address, ...pageArgs(args))
+    }),
+    vouchers: ({ artist, status: voucherStatus, ...args }) => store.getVouchers(
+      { artist, status: voucherStatus },
+      ...pageArgs(args)
+    )
+  };
+
+  const app = express();
+  app.use(express.json());
+
+  // The client is served from a different origin during development
+  app.use((req, res, next) => {
+    res.set('Access-Control-Allow-Origin', '*');
+    res.set('Access-Control-Allow-Headers', 'Content-Type');
+    if (req.method === 'OPTIONS') {
+      return res.sendStatus(204);
+    }
+    return next();
+  });
+
+  app.get('/api/status', (req, res) => res.json(status()));
+
+  app.get('/api/galleries', (req, res) => {
+    res.json({
+      total: store.countGalleries(),
+      items: store.getGalleries(...pageArgs(req.query))
+    });
+  });
+
+  app.get('/api/galleries/:id', (req, res) => {
+    const gallery = store.getGallery(req.params.id);
+    if (!gallery) {
+      return res.status(404).json({ error: 'Gallery not found' });
+    }
+    return res.json(gallery);
+  });
+
+  app.get('/api/galleries/:id/artworks', (req, res) => {
+    res.json(store.getArtworks({ galleryId: req.params.id }, ...pageArgs(req.query)));
+  });
+
+  app.get('/api/artworks', (req, res) => {
+    let filters;
+    try {
+      filters = artworkFilters(req.query);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    return res.json(store.getArtworks(filters, ...pageArgs(req.query)));
+  });
+
+  app.get('/api/artworks/:tokenId', (req, res) => {
+    const artwork = store.getArtwork(req.params.tokenId);
+    if (!artwork) {
+      return res.status(404).json({ error: 'Artwork not found' });
+    }
+    return res.json({
+      ...artwork,
+      sales: store.getSales(artwork.tokenId),
+      royalties: store.getRoyalties(artwork.tokenId),
+      transfers: store.getTransfers(artwork.tokenId)
+    });
+  });
+
+  app.get('/api/artworks/:tokenId/reviews', (req, res) => {
+    res.json(store.getReviews(req.params.tokenId, ...pageArgs(req.query)));
+  });
+
+  app.get('/api/accounts/:address/sales', (req, res) => {
+    res.json(store.getAccountSales(req.params.address));
+  });
+
+  app.get('/api/accounts/:address/royalties', (req, res) => {
+    res.json(store.getAccountRoyalties(req.params.address));
+  });
+
+  app.get('/api/accounts/:address/reviews', (req, res) => {
+    res.json(store.getAccountReviews(req.params.address, ...pageArgs(req.query)));
+  });
+
+  app.get('/api/vouchers', (req, res) => {
+    const { artist, status: voucherStatus } = req.query;
+    res.json(store.getVouchers({ artist, status: voucherStatus }, ...pageArgs(req.query)));
+  });
+
+  app.post('/api/vouchers', async (req, res) => {
+    const { voucher, signature } = req.body || {};
+    try {
+      const verified = await verifyVoucher(voucher, signature);
+      store.saveVoucher(verified);
+      return res.status(201).json(verified);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+  });
+
+  app.post('/graphql', async (req, res) => {
+    const { query, variables, operationName } = req.body || {};
+    if (!query) {
+      return res.status(400).json({ errors: [{ message: 'Missing query' }] });
+    }
+
+    const result = await graphql({
+      schema,
+      source: query,
+      rootValue,
+      variableValues: variables,
+      operationName
+    });
+    return res.json(result);
+  });
+
+  return app;
+};
+
+module.exports = { createApi, schema };
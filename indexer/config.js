@@ -0,0 +1,27 @@
+const path = require('path');
+
+const numberFromEnv = (name, fallback) => {
+  const value = process.env[name];
+  return value === undefined || value === '' ? fallback : Number(value);
+};
+
+module.exports = {
+  rpcUrl: process.env.INDEXER_RPC_URL || 'http://127.0.0.1:8545',
+  artifactPath: process.env.INDEXER_ARTIFACT_PATH || path.join(__dirname, '../build/contracts/ArtGallery.json'),
+  // Falls back to the address recorded in the artifact for the connected network
+  contractAddress: process.env.INDEXER_CONTRACT_ADDRESS || null,
+  dbPath: process.env.INDEXER_DB_PATH || path.join(__dirname, 'indexer.db'),
+  port: numberFromEnv('INDEXER_PORT', 4000),
+  startBlock: numberFromEnv('INDEXER_START_BLOCK', 0),
+  batchSize: numberFromEnv('INDEXER_BATCH_SIZE', 2000),
+  pollInterval: numberFromEnv('INDEXER_POLL_INTERVAL_MS', 4000),
+  // Blocks behind the head to stay; 0 indexes the head and relies on reorg detection alone
+  confirmations: numberFromEnv('INDEXER_CONFIRMATIONS', 0),
+  // How many recent block hashes are kept to find the common ancestor after a reorg
+  reorgDepth: numberFromEnv('INDEXER_REORG_DEPTH', 128),
+  // Where ipfs:// token metadata is read from to index artwork descriptions
+  ipfsGateway: process.env.INDEXER_IPFS_GATEWAY || 'https://ipfs.io/ipfs/',
+  metadataTimeout: numberFromEnv('INDEXER_METADATA_TIMEOUT_MS', 5000),
+  // Metadata documents fetched at once, outside of block ingestion
+  metadataConcurrency: numberFromEnv('INDEXER_METADATA_CONCURRENCY', 4)
+};
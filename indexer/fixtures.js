@@ -0,0 +1,129 @@
+// Events and a fake chain for the indexer's tests in indexer/test
+const Web3 = require('web3');
+
+const { keccak256 } = Web3.utils;
+
+const ARTIST = '0x1111111111111111111111111111111111111111';
+const COLLECTOR = '0x2222222222222222222222222222222222222222';
+const CURATOR = '0x3333333333333333333333333333333333333333';
+
+// Decoded events the way the indexer hands them to store.ingest
+const storedEvent = (blockNumber, event, args, logIndex = 0) => ({
+  event,
+  blockNumber,
+  blockHash: `0xblock${blockNumber}`,
+  logIndex,
+  transactionHash: `0xtx${blockNumber}-${logIndex}`,
+  timestamp: 1700000000 + blockNumber,
+  args
+});
+
+const ingestEvents = (store, events) => {
+  const toBlock = Math.max(...events.map((event) => event.blockNumber));
+  const numbers = [...new Set(events.map((event) => event.blockNumber))];
+  store.ingest({
+    blocks: numbers.map((number) => ({ number, hash: `0xblock${number}`, timestamp: 1700000000 + number })),
+    events,
+    toBlock,
+    keepBlocks: 128
+  });
+};
+
+const galleryCreated = (blockNumber, galleryId, logIndex = 0) => storedEvent(blockNumber, 'GalleryCreated', {
+  galleryId,
+  idHash: keccak256(galleryId),
+  name: `${galleryId} gallery`,
+  curator: CURATOR,
+  description: ''
+}, logIndex);
+
+const artworkCreated = (blockNumber, tokenId, price, logIndex = 0) => storedEvent(blockNumber, 'ArtworkCreated', {
+  tokenId: String(tokenId),
+  title: `Work ${tokenId}`,
+  artist: ARTIST,
+  price,
+  tokenURI: `ipfs://work-${tokenId}`,
+  royaltyBasisPoints: 500
+}, logIndex);
+
+/**
+ * A chain the indexer can follow in place of web3 and the contract. Logs are given as
+ * decoded events; `reorg` replaces every block from a number onwards with new hashes.
+ */
+const createFakeChain = ({ tokenURI = (tokenId) => `ipfs://work-${tokenId}` } = {}) => {
+  const blocks = new Map();
+  let logs = [];
+  let fork = 0;
+
+  const hashOf = (number) => `0xblock${number}-fork${fork}`;
+
+  const mine = (events = []) => {
+    const number = blocks.size + 1;
+    blocks.set(number, { number, hash: hashOf(number), timestamp: 1700000000 + number });
+    events.forEach(({ event, returnValues }, logIndex) => {
+      logs.push({
+        event,
+        blockNumber: number,
+        blockHash: hashOf(number),
+        logIndex,
+        transactionHash: `0xtx${number}-${logIndex}-fork${fork}`,
+        // web3 repeats each argument by position
+        returnValues: { ...Object.values(returnValues), ...returnValues }
+      });
+    });
+    return number;
+  };
+
+  const reorg = (fromBlock) => {
+    fork += 1;
+    [...blocks.keys()].filter((number) => number >= fromBlock).forEach((number) => blocks.delete(number));
+    logs = logs.filter((log) => log.blockNumber < fromBlock);
+  };
+
+  const web3 = {
+    utils: Web3.utils,
+    eth: {
+      getBlock: async (number) => blocks.get(Number(number)) || null,
+      getBlockNumber: async () => blocks.size
+    }
+  };
+
+  const call = (value) => ({ call: async () => value });
+  const contract = {
+    getPastEvents: async (name, { fromBlock, toBlock }) => logs.filter(
+      (log) => log.blockNumber >= fromBlock && log.blockNumber <= toBlock
+    ),
+    methods: {
+      galleries: () => call({ description: 'A test gallery' }),
+      tokenURI: (tokenId) => call(tokenURI(tokenId)),
+      royaltyInfo: () => call({ 0: ARTIST, 1: '500' })
+    }
+  };
+
+  return { web3, contract, mine, reorg };
+};
+
+const testConfig = {
+  startBlock: 1,
+  batchSize: 100,
+  confirmations: 0,
+  reorgDepth: 16,
+  pollInterval: 1000,
+  ipfsGateway: 'http://127.0.0.1:9/',
+  metadataTimeout: 500,
+  metadataConcurrency: 2
+};
+
+const silentLogger = { log: () => {}, warn: () => {}, error: () => {} };
+
+module.exports = {
+  ARTIST,
+  COLLECTOR,
+  storedEvent,
+  ingestEvents,
+  galleryCreated,
+  artworkCreated,
+  createFakeChain,
+  testConfig,
+  silentLogger
+};
@@ -0,0 +1,56 @@
+const fs = require('fs');
+const Web3 = require('web3');
+const config = require('./config');
+const { createStore } = require('./store');
+const { createIndexer } = require('./indexer');
+const { createApi } = require('./api');
+const { createVoucherVerifier } = require('./vouchers');
+
+const main = async () => {
+  const web3 = new Web3(config.rpcUrl);
+  const artifact = JSON.parse(fs.readFileSync(config.artifactPath, 'utf8'));
+  const networkId = await web3.eth.net.getId();
+  const chainId = await web3.eth.getChainId();
+  const address = config.contractAddress
+    || (artifact.networks[networkId] && artifact.networks[networkId].address);
+
+  if (!address) {
+    throw new Error(`ArtGallery is not deployed on network ${networkId}; set INDEXER_CONTRACT_ADDRESS`);
+  }
+
+  const store = createStore(config.dbPath);
+
+  // A database built for another deployment cannot be reused
+  const indexedAddress = store.getMeta('contractAddress');
+  if (indexedAddress && indexedAddress.toLowerCase() !== address.toLowerCase()) {
+    throw new Error(`${config.dbPath} indexes ${indexedAddress}; remove it to index ${address}`);
+  }
+  store.setMeta('contractAddress', address);
+
+  const contract = new web3.eth.Contract(artifact.abi, address);
+  const indexer = createIndexer({ web3, contract, store, config });
+  const status = () => ({ lastBlock: store.getLastBlock(), chainId: Number(chainId), contractAddress: address });
+
+  const verifyVoucher = createVoucherVerifier({ web3, contract });
+
+  const server = createApi({ store, status, verifyVoucher }).listen(config.port, () => {
+    console.log(`Indexing ${address} on chain ${chainId}, API listening on port ${config.port}`);
+  });
+
+  indexer.start();
+
+  const shutdown = () => {
+    indexer.stop();
+    server.close(() => {
+      store.close();
+      process.exit(0);
+    });
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+};
+
+main().catch((error) => {
+  console.error('Indexer failed to start:', error.message);
+  process.exit(1);
+});
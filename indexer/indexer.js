@@ -0,0 +1,188 @@
+const { fetchMetadata } = require('./metadata');
+
+const TRACKED_EVENTS = new Set([
+  'GalleryCreated',
+  'GalleryUpdated',
+  'GalleryDeactivated',
+  'GalleryReactivated',
+  'CuratorshipTransferred',
+  'ArtworkCreated',
+  'ArtworkAddedToGallery',
+  'ArtworkRemovedFromGallery',
+  'ArtworkSold',
+  'ArtworkListed',
+  'ArtworkDelisted',
+  'PriceUpdated',
+  'ReviewAdded',
+  'RoyaltyPaid',
+  'Transfer',
+  'VoucherRedeemed',
+  'VoucherCancelled'
+]);
+
+// Token URIs taken per metadata pass; the rest wait for the next poll
+const METADATA_BATCH_SIZE = 100;
+
+// web3 returns every argument twice, by position and by name; only the names are stored
+const namedArgs = (returnValues) => Object.keys(returnValues)
+  .filter((key) => Number.isNaN(Number(key)))
+  .reduce((args, key) => ({ ...args, [key]: returnValues[key] }), {});
+
+/**
+ * Follows the ArtGallery contract into the store. Each poll first checks that the last
+ * indexed blocks are still canonical and rewinds to the common ancestor if they are not,
+ * then ingests the next range of blocks.
+ */
+const createIndexer = ({ web3, contract, store, config, logger = console }) => {
+  let timer = null;
+  let running = false;
+  let metadataSync = null;
+
+  const fetchBlock = async (number) => {
+    const block = await web3.eth.getBlock(number);
+    return block && { number: Number(block.number), hash: block.hash, timestamp: Number(block.timestamp) };
+  };
+
+  /**
+   * Returns the block to resume from after a reorg, or null when the stored chain is intact.
+   */
+  const findReorg = async () => {
+    const stored = store.recentBlocks(config.reorgDepth);
+
+    for (let i = 0; i < stored.length; i++) {
+      const block = await fetchBlock(stored[i].number);
+      if (block && block.hash === stored[i].hash) {
+        return i === 0 ? null : stored[i].number + 1;
+      }
+    }
+
+    return stored.length > 0 ? config.startBlock : null;
+  };
+
+  // Adds what projections need but the logs do not carry, so replays never hit the RPC
+  const enrich = async (event) => {
+    const args = namedArgs(event.returnValues);
+
+    if (event.event === 'GalleryCreated') {
+      const gallery = await contract.methods.galleries(args.galleryId).call();
+      args.idHash = web3.utils.keccak256(args.galleryId);
+      args.description = gallery.description;
+    } else if (event.event === 'ArtworkCreated') {
+      args.tokenURI = await contract.methods.tokenURI(args.tokenId).call();
+      // Asking for the royalty on a 10000 sale price gives it in basis points
+      const royalty = await contract.methods.royaltyInfo(args.tokenId, 10000).call();
+      args.royaltyBasisPoints = Number(royalty[1]);
+    }
+
+    return args;
+  };
+
+  const syncRange = async (fromBlock, toBlock) => {
+    const logs = await contract.getPastEvents('allEvents', { fromBlock, toBlock });
+    const tracked = logs.filter((event) => TRACKED_EVENTS.has(event.event));
+
+    const blocks = new Map();
+    for (const number of [...new Set(tracked.map((event) => event.blockNumber)), toBlock]) {
+      blocks.set(number, await fetchBlock(number));
+    }
+
+    const events = [];
+    for (const event of tracked) {
+      events.push({
+        event: event.event,
+        blockNumber: event.blockNumber,
+        blockHash: event.blockHash,
+        logIndex: event.logIndex,
+        transactionHash: event.transactionHash,
+        timestamp: blocks.get(event.blockNumber).timestamp,
+        args: await enrich(event)
+      });
+    }
+
+    store.ingest({ blocks: [...blocks.values()], events, toBlock, keepBlocks: config.reorgDepth });
+    return events.length;
+  };
+
+  const syncOnce = async () => {
+    const forkBlock = await findReorg();
+    if (forkBlock !== null) {
+      logger.warn(`Reorg detected, rewinding to block ${forkBlock}`);
+      store.rewind(forkBlock);
+    }
+
+    const head = Number(await web3.eth.getBlockNumber()) - config.confirmations;
+    const lastBlock = store.getLastBlock();
+    let fromBlock = lastBlock === null ? config.startBlock : lastBlock + 1;
+
+    while (fromBlock <= head) {
+      const toBlock = Math.min(fromBlock + config.batchSize - 1, head);
+      const count = await syncRange(fromBlock, toBlock);
+      if (count > 0) {
+        logger.log(`Indexed ${count} events from blocks ${fromBlock}-${toBlock}`);
+      }
+      fromBlock = toBlock + 1;
+    }
+  };
+
+  /**
+   * Fetches the metadata of artworks indexed without it, a few documents at a time, and
+   * stores their descriptions. Documents that cannot be loaded get an empty description
+   * rather than being retried.
+   */
+  const syncMetadata = async () => {
+    const tokenURIs = store.pendingMetadata(METADATA_BATCH_SIZE);
+    let next = 0;
+
+    const worker = async () => {
+      while (next < tokenURIs.length) {
+        const tokenURI = tokenURIs[next++];
+        const metadata = await fetchMetadata(tokenURI, {
+          gateway: config.ipfsGateway,
+          timeoutMs: config.metadataTimeout
+        });
+        store.saveMetadata(tokenURI, metadata && typeof metadata.description === 'string' ? metadata.description : '');
+      }
+    };
+
+    await Promise.all(Array.from({ length: Math.max(config.metadataConcurrency, 1) }, worker));
+    return tokenURIs.length;
+  };
+
+  // Runs beside polling so a slow gateway delays descriptions rather than indexing
+  const fetchMetadataInBackground = () => {
+    if (metadataSync) return;
+    metadataSync = syncMetadata()
+      .catch((error) => logger.error('Error fetching metadata:', error.message))
+      .finally(() => {
+        metadataSync = null;
+      });
+  };
+
+  const poll = async () => {
+    try {
+      await syncOnce();
+    } catch (error) {
+      logger.error('Error syncing events:', error.message);
+    }
+    fetchMetadataInBackground();
+
+    if (running) {
+      timer = setTimeout(poll, config.pollInterval);
+    }
+  };
+
+  return {
+    syncOnce,
+    syncMetadata,
+    start: () => {
+      running = true;
+      return poll();
+    },
+    stop: () => {
+      running = false;
+      clearTimeout(timer);
+    }
+  };
+};
+
+module.exports = { createIndexer, TRACKED_EVENTS };
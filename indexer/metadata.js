@@ -0,0 +1,31 @@
+// Maps a tokenURI to something fetch() can load: ipfs:// goes through the gateway
+const toFetchUrl = (tokenURI, gateway) => {
+  if (tokenURI.startsWith('ipfs://')) {
+    return `${gateway.replace(/\/?$/, '/')}${tokenURI.slice('ipfs://'.length).replace(/^ipfs\//, '')}`;
+  }
+  return /^(https?|data):/i.test(tokenURI) ? tokenURI : null;
+};
+
+/**
+ * Fetches the metadata JSON behind a tokenURI. Returns null rather than throwing when it
+ * cannot be loaded, since a missing document must not stall indexing.
+ */
+const fetchMetadata = async (tokenURI, { gateway, timeoutMs }) => {
+  const url = tokenURI && toFetchUrl(tokenURI, gateway);
+  if (!url) return null;
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    const response = await fetch(url, { signal: controller.signal });
+    if (!response.ok) return null;
+    const metadata = await response.json();
+    return metadata && typeof metadata === 'object' ? metadata : null;
+  } catch (error) {
+    return null;
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+module.exports = { fetchMetadata };
@@ -0,0 +1,627 @@
+const Database = require('better-sqlite3');
+
+// Bump when a projection table changes shape; projections are then rebuilt from the event log
+const SCHEMA_VERSION = 2;
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS meta (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS blocks (
+    number INTEGER PRIMARY KEY,
+    hash TEXT NOT NULL,
+    timestamp INTEGER NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS events (
+    block_number INTEGER NOT NULL,
+    log_index INTEGER NOT NULL,
+    block_hash TEXT NOT NULL,
+    tx_hash TEXT NOT NULL,
+    timestamp INTEGER NOT NULL,
+    name TEXT NOT NULL,
+    args TEXT NOT NULL,
+    PRIMARY KEY (block_number, log_index)
+  );
+
+  CREATE TABLE IF NOT EXISTS galleries (
+    gallery_id TEXT PRIMARY KEY,
+    id_hash TEXT NOT NULL UNIQUE,
+    name TEXT NOT NULL,
+    description TEXT NOT NULL DEFAULT '',
+    curator TEXT NOT NULL,
+    is_active INTEGER NOT NULL DEFAULT 1,
+    created_block INTEGER NOT NULL,
+    created_at INTEGER NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS artworks (
+    token_id INTEGER PRIMARY KEY,
+    title TEXT NOT NULL,
+    artist TEXT NOT NULL,
+    owner TEXT NOT NULL,
+    price TEXT NOT NULL,
+    price_sort TEXT NOT NULL,
+    for_sale INTEGER NOT NULL,
+    gallery_id TEXT,
+    token_uri TEXT NOT NULL DEFAULT '',
+    description TEXT NOT NULL DEFAULT '',
+    royalty_basis_points INTEGER NOT NULL DEFAULT 0,
+    rating_sum INTEGER NOT NULL DEFAULT 0,
+    total_ratings INTEGER NOT NULL DEFAULT 0,
+    created_block INTEGER NOT NULL,
+    created_at INTEGER NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS artworks_gallery ON artworks (gallery_id);
+  CREATE INDEX IF NOT EXISTS artworks_artist ON artworks (artist);
+  CREATE INDEX IF NOT EXISTS artworks_owner ON artworks (owner);
+
+  CREATE TABLE IF NOT EXISTS reviews (
+    token_id INTEGER NOT NULL,
+    reviewer TEXT NOT NULL,
+    comment TEXT NOT NULL,
+    rating INTEGER NOT NULL,
+    block_number INTEGER NOT NULL,
+    log_index INTEGER NOT NULL,
+    tx_hash TEXT NOT NULL,
+    timestamp INTEGER NOT NULL,
+    PRIMARY KEY (block_number, log_index)
+  );
+  CREATE INDEX IF NOT EXISTS reviews_token ON reviews (token_id);
+
+  CREATE TABLE IF NOT EXISTS sales (
+    token_id INTEGER NOT NULL,
+    seller TEXT NOT NULL,
+    buyer TEXT NOT NULL,
+    price TEXT NOT NULL,
+    block_number INTEGER NOT NULL,
+    log_index INTEGER NOT NULL,
+    tx_hash TEXT NOT NULL,
+    timestamp INTEGER NOT NULL,
+    PRIMARY KEY (block_number, log_index)
+  );
+  CREATE INDEX IF NOT EXISTS sales_token ON sales (token_id);
+
+  CREATE TABLE IF NOT EXISTS royalties (
+    token_id INTEGER NOT NULL,
+    recipient TEXT NOT NULL,
+    amount TEXT NOT NULL,
+    block_number INTEGER NOT NULL,
+    log_index INTEGER NOT NULL,
+    tx_hash TEXT NOT NULL,
+    timestamp INTEGER NOT NULL,
+    PRIMARY KEY (block_number, log_index)
+  );
+  CREATE INDEX IF NOT EXISTS royalties_token ON royalties (token_id);
+
+  CREATE TABLE IF NOT EXISTS transfers (
+    token_id INTEGER NOT NULL,
+    sender TEXT NOT NULL,
+    recipient TEXT NOT NULL,
+    block_number INTEGER NOT NULL,
+    log_index INTEGER NOT NULL,
+    tx_hash TEXT NOT NULL,
+    timestamp INTEGER NOT NULL,
+    PRIMARY KEY (block_number, log_index)
+  );
+  CREATE INDEX IF NOT EXISTS transfers_token ON transfers (token_id);
+
+  CREATE TABLE IF NOT EXISTS vouchers (
+    artist TEXT NOT NULL,
+    nonce TEXT NOT NULL,
+    title TEXT NOT NULL,
+    token_uri TEXT NOT NULL,
+    price TEXT NOT NULL,
+    gallery_id TEXT NOT NULL,
+    royalty_basis_points INTEGER NOT NULL,
+    expires_at INTEGER NOT NULL,
+    signature TEXT NOT NULL,
+    created_at INTEGER NOT NULL,
+    PRIMARY KEY (artist, nonce)
+  );
+
+  CREATE TABLE IF NOT EXISTS metadata (
+    token_uri TEXT PRIMARY KEY,
+    description TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS closed_vouchers (
+    artist TEXT NOT NULL,
+    nonce TEXT NOT NULL,
+    status TEXT NOT NULL,
+    token_id INTEGER,
+    block_number INTEGER NOT NULL,
+    PRIMARY KEY (artist, nonce)
+  );
+`;
+
+// Tables derived from the raw event log. They are dropped and replayed after a reorg.
+// Vouchers are posted by artists rather than read from the chain, so only their
+// redemptions and cancellations are projections. Metadata is fetched from gateways and
+// keyed by tokenURI, so it survives both.
+const PROJECTIONS = ['galleries', 'artworks', 'reviews', 'sales', 'royalties', 'transfers', 'closed_vouchers'];
+
+const ARTWORK_COLUMNS = `
+  token_id AS tokenId, title, artist, owner, price, for_sale AS forSale, gallery_id AS galleryId,
+  token_uri AS tokenURI, description, royalty_basis_points AS royaltyBasisPoints, total_ratings AS totalRatings,
+  CASE WHEN total_ratings > 0 THEN rating_sum / total_ratings ELSE 0 END AS avgRating,
+  created_block AS createdBlock, created_at AS createdAt
+`;
+
+const GALLERY_COLUMNS = `
+  g.gallery_id AS id, g.name, g.description, g.curator, g.is_active AS isActive, g.created_block AS createdBlock,
+  g.created_at AS createdAt,
+  (SELECT COUNT(*) FROM artworks a WHERE a.gallery_id = g.gallery_id) AS artworkCount
+`;
+
+const VOUCHER_COLUMNS = `
+  v.artist, v.nonce, v.title, v.token_uri AS tokenURI, v.price, v.gallery_id AS galleryId,
+  v.royalty_basis_points AS royaltyBasisPoints, v.expires_at AS expiresAt, v.signature,
+  v.created_at AS createdAt, COALESCE(c.status, 'open') AS status, c.token_id AS tokenId
+`;
+
+const AVG_RATING = 'CASE WHEN total_ratings > 0 THEN rating_sum / total_ratings ELSE 0 END';
+
+// Prices are wei amounts beyond what an integer column holds. Each is also stored zero-padded
+// to the 78 digits of a uint256, so comparing those strings compares the exact amounts.
+const PRICE_DIGITS = 78;
+const sortablePrice = (price) => String(price).padStart(PRICE_DIGITS, '0');
+
+// Unsold works sort after listed ones when ordering by price
+const ARTWORK_SORTS = {
+  newest: 'token_id DESC',
+  price_asc: 'for_sale DESC, price_sort ASC, token_id DESC',
+  price_desc: 'for_sale DESC, price_sort DESC, token_id DESC',
+  rating: `${AVG_RATING} DESC, total_ratings DESC, token_id DESC`,
+  reviews: 'total_ratings DESC, token_id DESC'
+};
+
+const escapeLike = (text) => text.replace(/[\\%_]/g, (match) => `\\${match}`);
+
+const toArtwork = (row) => row && { ...row, forSale: row.forSale === 1 };
+
+const toGallery = (row) => row && { ...row, isActive: row.isActive === 1 };
+
+/**
+ * Opens the SQLite store. Contract events are kept verbatim in `events`; every other table
+ * is a projection of that log, so a reorg only has to delete events and replay the rest.
+ */
+const createStore = (dbPath) => {
+  const db = new Database(dbPath);
+  db.pragma('journal_mode = WAL');
+  db.exec(SCHEMA);
+
+  const storedVersion = db.prepare("SELECT value FROM meta WHERE key = 'schemaVersion'").get();
+  const rebuildProjections = !storedVersion || storedVersion.value !== String(SCHEMA_VERSION);
+  if (rebuildProjections) {
+    PROJECTIONS.forEach((table) => db.exec(`DROP TABLE IF EXISTS ${table}`));
+    db.exec(SCHEMA);
+  }
+
+  const statements = {
+    getMeta: db.prepare('SELECT value FROM meta WHERE key = ?'),
+    setMeta: db.prepare('INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value'),
+    insertBlock: db.prepare('INSERT OR REPLACE INTO blocks (number, hash, timestamp) VALUES (?, ?, ?)'),
+    recentBlocks: db.prepare('SELECT number, hash FROM blocks ORDER BY number DESC LIMIT ?'),
+    pruneBlocks: db.prepare('DELETE FROM blocks WHERE number < ?'),
+    insertEvent: db.prepare(`
+      INSERT OR REPLACE INTO events (block_number, log_index, block_hash, tx_hash, timestamp, name, args)
+      VALUES (@blockNumber, @logIndex, @blockHash, @txHash, @timestamp, @name, @args)
+    `),
+    allEvents: db.prepare('SELECT * FROM events ORDER BY block_number, log_index'),
+    deleteEventsFrom: db.prepare('DELETE FROM events WHERE block_number >= ?'),
+    deleteBlocksFrom: db.prepare('DELETE FROM blocks WHERE number >= ?'),
+
+    insertGallery: db.prepare(`
+      INSERT OR REPLACE INTO galleries (gallery_id, id_hash, name, description, curator, created_block, created_at)
+      VALUES (@galleryId, @idHash, @name, @description, @curator, @blockNumber, @timestamp)
+    `),
+    updateGallery: db.prepare('UPDATE galleries SET name = ?, description = ? WHERE id_hash = ?'),
+    updateCurator: db.prepare('UPDATE galleries SET curator = ? WHERE id_hash = ?'),
+    setGalleryActive: db.prepare('UPDATE galleries SET is_active = ? WHERE id_hash = ?'),
+    galleryIdByHash: db.prepare('SELECT gallery_id FROM galleries WHERE id_hash = ?'),
+
+    insertArtwork: db.prepare(`
+      INSERT OR REPLACE INTO artworks (
+        token_id, title, artist, owner, price, price_sort, for_sale, token_uri, description, royalty_basis_points,
+        created_block, created_at
+      )
+      VALUES (
+        @tokenId, @title, @artist, @artist, @price, @priceSort, 1, @tokenURI,
+        COALESCE((SELECT description FROM metadata WHERE token_uri = @tokenURI), @description), @royaltyBasisPoints,
+        @blockNumber, @timestamp
+      )
+    `),
+    pendingMetadata: db.prepare(`
+      SELECT DISTINCT token_uri AS tokenURI FROM artworks
+      WHERE token_uri != '' AND token_uri NOT IN (SELECT token_uri FROM metadata)
+      ORDER BY token_id LIMIT ?
+    `),
+    insertMetadata: db.prepare('INSERT OR REPLACE INTO metadata (token_uri, description) VALUES (?, ?)'),
+    setDescription: db.prepare('UPDATE artworks SET description = ? WHERE token_uri = ?'),
+    setOwner: db.prepare('UPDATE artworks SET owner = ? WHERE token_id = ?'),
+    setPrice: db.prepare('UPDATE artworks SET price = ?, price_sort = ? WHERE token_id = ?'),
+    setListing: db.prepare(`
+      UPDATE artworks SET for_sale = ?, price = COALESCE(?, price), price_sort = COALESCE(?, price_sort)
+      WHERE token_id = ?
+    `),
+    setGallery: db.prepare('UPDATE artworks SET gallery_id = ? WHERE token_id = ?'),
+    addRating: db.prepare('UPDATE artworks SET rating_sum = rating_sum + ?, total_ratings = total_ratings + 1 WHERE token_id = ?'),
+
+    insertReview: db.prepare(`
+      INSERT OR REPLACE INTO reviews (token_id, reviewer, comment, rating, block_number, log_index, tx_hash, timestamp)
+      VALUES (@tokenId, @reviewer, @comment, @rating, @blockNumber, @logIndex, @txHash, @timestamp)
+    `),
+    insertSale: db.prepare(`
+      INSERT OR REPLACE INTO sales (token_id, seller, buyer, price, block_number, log_index, tx_hash, timestamp)
+      VALUES (@tokenId, @from, @to, @price, @blockNumber, @logIndex, @txHash, @timestamp)
+    `),
+    insertRoyalty: db.prepare(`
+      INSERT OR REPLACE INTO royalties (token_id, recipient, amount, block_number, log_index, tx_hash, timestamp)
+      VALUES (@tokenId, @artist, @amount, @blockNumber, @logIndex, @txHash, @timestamp)
+    `),
+    insertTransfer: db.prepare(`
+      INSERT OR REPLACE INTO transfers (token_id, sender, recipient, block_number, log_index, tx_hash, timestamp)
+      VALUES (@tokenId, @from, @to, @blockNumber, @logIndex, @txHash, @timestamp)
+    `),
+
+    insertVoucher: db.prepare(`
+      INSERT OR REPLACE INTO vouchers
+        (artist, nonce, title, token_uri, price, gallery_id, royalty_basis_points, expires_at, signature, created_at)
+      VALUES (@artist, @nonce, @title, @tokenURI, @price, @galleryId, @royaltyBasisPoints, @expiresAt, @signature, @createdAt)
+    `),
+    closeVoucher: db.prepare(`
+      INSERT OR REPLACE INTO closed_vouchers (artist, nonce, status, token_id, block_number)
+      VALUES (@artist, @nonce, @status, @tokenId, @blockNumber)
+    `)
+  };
+
+  /**
+   * Folds one stored event into the projection tables. Unknown event names are kept in the
+   * log but otherwise ignored.
+   */
+  const applyEvent = (row) => {
+    const args = JSON.parse(row.args);
+    const context = {
+      blockNumber: row.block_number,
+      logIndex: row.log_index,
+      txHash: row.tx_hash,
+      timestamp: row.timestamp
+    };
+
+    switch (row.name) {
+      case 'GalleryCreated':
+        statements.insertGallery.run({
+          ...context,
+          galleryId: args.galleryId,
+          idHash: args.idHash,
+          name: args.name,
+          description: args.description || '',
+          curator: args.curator
+        });
+        break;
+      case 'GalleryUpdated':
+        statements.updateGallery.run(args.name, args.description, args.galleryId);
+        break;
+      case 'CuratorshipTransferred':
+        statements.updateCurator.run(args.newCurator, args.galleryId);
+        break;
+      case 'GalleryDeactivated':
+      case 'GalleryReactivated':
+        statements.setGalleryActive.run(row.name === 'GalleryReactivated' ? 1 : 0, args.galleryId);
+        break;
+      case 'ArtworkCreated':
+        statements.insertArtwork.run({
+          ...context,
+          tokenId: Number(args.tokenId),
+          title: args.title,
+          artist: args.artist,
+          price: args.price,
+          priceSort: sortablePrice(args.price),
+          tokenURI: args.tokenURI || '',
+          // Events indexed before these were enriched do not carry them. A description is only
+          // carried by events from versions that fetched metadata while ingesting.
+          description: args.description || '',
+          royaltyBasisPoints: Number(args.royaltyBasisPoints) || 0
+        });
+        break;
+      case 'Transfer':
+        statements.insertTransfer.run({ ...context, tokenId: Number(args.tokenId), from: args.from, to: args.to });
+        statements.setOwner.run(args.to, Number(args.tokenId));
+        break;
+      case 'ArtworkSold':
+        statements.insertSale.run({ ...context, tokenId: Number(args.tokenId), from: args.from, to: args.to, price: args.price });
+        statements.setListing.run(0, null, null, Number(args.tokenId));
+        break;
+      case 'PriceUpdated':
+        statements.setPrice.run(args.newPrice, sortablePrice(args.newPrice), Number(args.tokenId));
+        break;
+      case 'ArtworkListed':
+        statements.setListing.run(1, args.price, sortablePrice(args.price), Number(args.tokenId));
+        break;
+      case 'ArtworkDelisted':
+        statements.setListing.run(0, null, null, Number(args.tokenId));
+        break;
+      case 'ArtworkAddedToGallery': {
+        // The gallery ID is indexed, so the log only carries its hash
+        const gallery = statements.galleryIdByHash.get(args.galleryId);
+        statements.setGallery.run(gallery ? gallery.gallery_id : null, Number(args.tokenId));
+        break;
+      }
+      case 'ArtworkRemovedFromGallery':
+        statements.setGallery.run(null, Number(args.tokenId));
+        break;
+      case 'ReviewAdded':
+        statements.insertReview.run({
+          ...context,
+          tokenId: Number(args.tokenId),
+          reviewer: args.reviewer,
+          comment: args.comment,
+          rating: Number(args.rating)
+        });
+        statements.addRating.run(Number(args.rating), Number(args.tokenId));
+        break;
+      case 'RoyaltyPaid':
+        statements.insertRoyalty.run({ ...context, tokenId: Number(args.tokenId), artist: args.artist, amount: args.amount });
+        break;
+      case 'VoucherRedeemed':
+      case 'VoucherCancelled':
+        statements.closeVoucher.run({
+          artist: args.artist.toLowerCase(),
+          nonce: String(args.nonce),
+          status: row.name === 'VoucherRedeemed' ? 'redeemed' : 'cancelled',
+          tokenId: args.tokenId === undefined ? null : Number(args.tokenId),
+          blockNumber: row.block_number
+        });
+        break;
+      default:
+        break;
+    }
+  };
+
+  /**
+   * Stores a batch of decoded events and the blocks they came from in one transaction,
+   * then advances the sync cursor.
+   */
+  const ingest = db.transaction(({ blocks, events, toBlock, keepBlocks }) => {
+    blocks.forEach((block) => statements.insertBlock.run(block.number, block.hash, block.timestamp));
+
+    events.forEach((event) => {
+      const row = {
+        blockNumber: event.blockNumber,
+        logIndex: event.logIndex,
+        blockHash: event.blockHash,
+        txHash: event.transactionHash,
+        timestamp: event.timestamp,
+        name: event.event,
+        args: JSON.stringify(event.args)
+      };
+      statements.insertEvent.run(row);
+      applyEvent({
+        block_number: row.blockNumber,
+        log_index: row.logIndex,
+        tx_hash: row.txHash,
+        timestamp: row.timestamp,
+        name: row.name,
+        args: row.args
+      });
+    });
+
+    statements.setMeta.run('lastBlock', String(toBlock));
+    statements.pruneBlocks.run(toBlock - keepBlocks);
+  });
+
+  /**
+   * Drops everything from `fromBlock` onwards and rebuilds the projections from the events
+   * that remain.
+   */
+  const rewind = db.transaction((fromBlock) => {
+    statements.deleteEventsFrom.run(fromBlock);
+    statements.deleteBlocksFrom.run(fromBlock);
+    PROJECTIONS.forEach((table) => db.prepare(`DELETE FROM ${table}`).run());
+    statements.allEvents.all().forEach(applyEvent);
+    statements.setMeta.run('lastBlock', String(fromBlock - 1));
+  });
+
+  /**
+   * Records the description read from a tokenURI's metadata and fills it in on every
+   * artwork minted with that URI.
+   */
+  const saveMetadata = db.transaction((tokenURI, description) => {
+    statements.insertMetadata.run(tokenURI, description);
+    statements.setDescription.run(description, tokenURI);
+  });
+
+  if (rebuildProjections) {
+    db.transaction(() => {
+      statements.allEvents.all().forEach(applyEvent);
+      statements.setMeta.run('schemaVersion', String(SCHEMA_VERSION));
+    })();
+  }
+
+  const getLastBlock = () => {
+    const row = statements.getMeta.get('lastBlock');
+    return row ? Number(row.value) : null;
+  };
+
+  const page = (offset, limit) => [Math.max(Number(limit) || 0, 0), Math.max(Number(offset) || 0, 0)];
+
+  return {
+    ingest,
+    rewind,
+    getLastBlock,
+    getMeta: (key) => {
+      const row = statements.getMeta.get(key);
+      return row ? row.value : null;
+    },
+    setMeta: (key, value) => statements.setMeta.run(key, String(value)),
+    recentBlocks: (count) => statements.recentBlocks.all(count),
+    // Token URIs whose metadata has not been fetched yet, oldest artwork first
+    pendingMetadata: (limit) => statements.pendingMetadata.all(limit).map((row) => row.tokenURI),
+    saveMetadata,
+
+    getGalleries: (offset, limit) => db
+      .prepare(`SELECT ${GALLERY_COLUMNS} FROM galleries g ORDER BY g.created_block, g.gallery_id LIMIT ? OFFSET ?`)
+      .all(...page(offset, limit))
+      .map(toGallery),
+    countGalleries: () => db.prepare('SELECT COUNT(*) AS count FROM galleries').get().count,
+    getGallery: (galleryId) => toGallery(db
+      .prepare(`SELECT ${GALLERY_COLUMNS} FROM galleries g WHERE g.gallery_id = ?`)
+      .get(galleryId)),
+
+    /**
+     * Lists artworks matching every given filter. `q` matches title, description or artist;
+     * price bounds are in wei and only match listed works; `sort` is a key of ARTWORK_SORTS,
+     * defaulting to mint order.
+     */
+    getArtworks: ({
+      galleryId, artist, owner, q, forSale, minPrice, maxPrice, minRating, minRoyalty, maxRoyalty, sort
+    } = {}, offset, limit) => {
+      const filters = [];
+      const params = [];
+      if (q) {
+        filters.push("(title LIKE ? ESCAPE '\\' OR description LIKE ? ESCAPE '\\' OR artist LIKE ? ESCAPE '\\')");
+        const pattern = `%${escapeLike(q)}%`;
+        params.push(pattern, pattern, pattern);
+      }
+      if (forSale !== undefined) {
+        filters.push('for_sale = ?');
+        params.push(forSale ? 1 : 0);
+      }
+      if (minPrice !== undefined || maxPrice !== undefined) {
+        filters.push('for_sale = 1');
+      }
+      if (minPrice !== undefined) {
+        filters.push('price_sort >= ?');
+        params.push(sortablePrice(minPrice));
+      }
+      if (maxPrice !== undefined) {
+        filters.push('price_sort <= ?');
+        params.push(sortablePrice(maxPrice));
+      }
+      if (minRating !== undefined) {
+        filters.push(`${AVG_RATING} >= ?`);
+        params.push(Number(minRating));
+      }
+      if (minRoyalty !== undefined) {
+        filters.push('royalty_basis_points >= ?');
+        params.push(Number(minRoyalty));
+      }
+      if (maxRoyalty !== undefined) {
+        filters.push('royalty_basis_points <= ?');
+        params.push(Number(maxRoyalty));
+      }
+      if (galleryId) {
+        filters.push('gallery_id = ?');
+        params.push(galleryId);
+      }
+      if (artist) {
+        filters.push('artist = ? COLLATE NOCASE');
+        params.push(artist);
+      }
+      if (owner) {
+        filters.push('owner = ? COLLATE NOCASE');
+        params.push(owner);
+      }
+      const where = filters.length > 0 ? `WHERE ${filters.join(' AND ')}` : '';
+
+      return {
+        total: db.prepare(`SELECT COUNT(*) AS count FROM artworks ${where}`).get(...params).count,
+        items: db
+          .prepare(`SELECT ${ARTWORK_COLUMNS} FROM artworks ${where} ORDER BY ${ARTWORK_SORTS[sort] || 'token_id'} LIMIT ? OFFSET ?`)
+          .all(...params, ...page(offset, limit))
+          .map(toArtwork)
+      };
+    },
+    getArtwork: (tokenId) => toArtwork(
+      db.prepare(`SELECT ${ARTWORK_COLUMNS} FROM artworks WHERE token_id = ?`).get(Number(tokenId))
+    ),
+
+    getReviews: (tokenId, offset, limit) => db
+      .prepare(`
+        SELECT token_id AS tokenId, reviewer, comment, rating, timestamp, tx_hash AS txHash FROM reviews
+        WHERE token_id = ? ORDER BY block_number, log_index LIMIT ? OFFSET ?
+      `)
+      .all(Number(tokenId), ...page(offset, limit)),
+    getSales: (tokenId) => db
+      .prepare(`
+        SELECT token_id AS tokenId, seller, buyer, price, block_number AS blockNumber, timestamp, tx_hash AS txHash
+        FROM sales
+        WHERE token_id = ? ORDER BY block_number, log_index
+      `)
+      .all(Number(tokenId)),
+    getRoyalties: (tokenId) => db
+      .prepare(`
+        SELECT token_id AS tokenId, recipient, amount, block_number AS blockNumber, timestamp, tx_hash AS txHash
+        FROM royalties
+        WHERE token_id = ? ORDER BY block_number, log_index
+      `)
+      .all(Number(tokenId)),
+    getTransfers: (tokenId) => db
+      .prepare(`
+        SELECT sender AS "from", recipient AS "to", block_number AS blockNumber, timestamp, tx_hash AS txHash
+        FROM transfers WHERE token_id = ? ORDER BY block_number, log_index
+      `)
+      .all(Number(tokenId)),
+
+    // One account's activity across every artwork, newest first
+    getAccountSales: (address) => db
+      .prepare(`
+        SELECT token_id AS tokenId, seller, buyer, price, block_number AS blockNumber, timestamp, tx_hash AS txHash
+        FROM sales WHERE seller = ? COLLATE NOCASE OR buyer = ? COLLATE NOCASE
+        ORDER BY block_number DESC, log_index DESC
+      `)
+      .all(address, address),
+    getAccountRoyalties: (address) => db
+      .prepare(`
+        SELECT token_id AS tokenId, recipient, amount, block_number AS blockNumber, timestamp, tx_hash AS txHash
+        FROM royalties WHERE recipient = ? COLLATE NOCASE ORDER BY block_number DESC, log_index DESC
+      `)
+      .all(address),
+    getAccountReviews: (address, offset, limit) => db
+      .prepare(`
+        SELECT token_id AS tokenId, reviewer, comment, rating, timestamp, tx_hash AS txHash FROM reviews
+        WHERE reviewer = ? COLLATE NOCASE ORDER BY block_number DESC, log_index DESC LIMIT ? OFFSET ?
+      `)
+      .all(address, ...page(offset, limit)),
+
+    saveVoucher: (voucher) => statements.insertVoucher.run({
+      ...voucher,
+      artist: voucher.artist.toLowerCase(),
+      nonce: String(voucher.nonce),
+      royaltyBasisPoints: Number(voucher.royaltyBasisPoints),
+      expiresAt: Number(voucher.expiresAt),
+      createdAt: Math.floor(Date.now() / 1000)
+    }),
+    /**
+     * Open vouchers are those not redeemed, cancelled or expired; `status: 'all'` lists every voucher.
+     */
+    getVouchers: ({ artist, status = 'open' } = {}, offset, limit) => {
+      const filters = [];
+      const params = [];
+      if (artist) {
+        filters.push('v.artist = ?');
+        params.push(artist.toLowerCase());
+      }
+      if (status === 'open') {
+        filters.push('c.status IS NULL AND (v.expires_at = 0 OR v.expires_at > ?)');
+        params.push(Math.floor(Date.now() / 1000));
+      }
+      const from = `FROM vouchers v LEFT JOIN closed_vouchers c ON c.artist = v.artist AND c.nonce = v.nonce
+        ${filters.length > 0 ? `WHERE ${filters.join(' AND ')}` : ''}`;
+
+      return {
+        total: db.prepare(`SELECT COUNT(*) AS count ${from}`).get(...params).count,
+        items: db
+          .prepare(`SELECT ${VOUCHER_COLUMNS} ${from} ORDER BY v.created_at DESC LIMIT ? OFFSET ?`)
+          .all(...params, ...page(offset, limit))
+      };
+    },
+
+    close: () => db.close()
+  };
+};
+
+module.exports = { createStore, ARTWORK_SORTS };
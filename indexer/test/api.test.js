@@ -0,0 +1,165 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const Web3 = require('web3');
+const { createStore } = require('../store');
+const { createApi } = require('../api');
+const {
+  ARTIST,
+  COLLECTOR,
+  storedEvent,
+  ingestEvents,
+  galleryCreated,
+  artworkCreated
+} = require('../fixtures');
+
+const { keccak256 } = Web3.utils;
+
+describe('API', () => {
+  let store;
+  let server;
+  let baseUrl;
+
+  const get = async (route) => {
+    const response = await fetch(`${baseUrl}${route}`);
+    return { status: response.status, body: await response.json() };
+  };
+
+  const post = async (route, body) => {
+    const response = await fetch(`${baseUrl}${route}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  const graphql = async (query, variables) => {
+    const response = await fetch(`${baseUrl}/graphql`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ query, variables })
+    });
+    return response.json();
+  };
+
+  before(async () => {
+    store = createStore(':memory:');
+    ingestEvents(store, [
+      galleryCreated(1, 'modern'),
+      galleryCreated(1, 'retired', 1),
+      storedEvent(2, 'GalleryDeactivated', { galleryId: keccak256('retired') }),
+      artworkCreated(3, 1, '2000'),
+      storedEvent(3, 'ArtworkAddedToGallery', { galleryId: keccak256('modern'), tokenId: '1' }, 1),
+      artworkCreated(4, 2, '1000'),
+      storedEvent(5, 'ArtworkSold', { tokenId: '2', from: ARTIST, to: COLLECTOR, price: '1000' }),
+      storedEvent(5, 'Transfer', { from: ARTIST, to: COLLECTOR, tokenId: '2' }, 1),
+      storedEvent(6, 'ReviewAdded', { tokenId: '1', reviewer: COLLECTOR, comment: 'Bold', rating: '5' })
+    ]);
+
+    const status = () => ({ lastBlock: store.getLastBlock(), chainId: 1337, contractAddress: ARTIST });
+    // Signature checks are covered by the contract tests; here any signature but 'bad' passes
+    const verifyVoucher = async (voucher, signature) => {
+      if (signature === 'bad') throw new Error('Signature does not match the voucher artist');
+      return { ...voucher, signature };
+    };
+    server = createApi({ store, status, verifyVoucher }).listen(0);
+    await new Promise((resolve) => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    server.close();
+    store.close();
+  });
+
+  it('should report the sync status', async () => {
+    const { body } = await get('/api/status');
+    assert.deepEqual(body, { lastBlock: 6, chainId: 1337, contractAddress: ARTIST });
+  });
+
+  it('should list galleries with their active state', async () => {
+    const { body } = await get('/api/galleries');
+    assert.equal(body.total, 2);
+    assert.deepEqual(
+      body.items.map(({ id, isActive, artworkCount }) => ({ id, isActive, artworkCount })),
+      [{ id: 'modern', isActive: true, artworkCount: 1 }, { id: 'retired', isActive: false, artworkCount: 0 }]
+    );
+
+    assert.equal((await get('/api/galleries/missing')).status, 404);
+    assert.deepEqual((await get('/api/galleries/modern/artworks')).body.items.map((artwork) => artwork.tokenId), [1]);
+  });
+
+  it('should search artworks and reject invalid filters', async () => {
+    const { body } = await get('/api/artworks?sort=price_asc');
+    assert.deepEqual(body.items.map((artwork) => artwork.tokenId), [1, 2]);
+
+    const owned = await get(`/api/artworks?owner=${COLLECTOR}`);
+    assert.deepEqual(owned.body.items.map((artwork) => artwork.tokenId), [2]);
+
+    assert.equal((await get('/api/artworks?minPrice=1.5')).status, 400);
+    assert.equal((await get('/api/artworks?sort=cheapest')).status, 400);
+  });
+
+  it('should return an artwork with its history', async () => {
+    const { body } = await get('/api/artworks/2');
+    assert.equal(body.owner, COLLECTOR);
+    assert.equal(body.forSale, false);
+    assert.equal(body.sales.length, 1);
+    assert.equal(body.transfers[0].to, COLLECTOR);
+
+    assert.equal((await get('/api/artworks/99')).status, 404);
+    assert.deepEqual((await get('/api/artworks/1/reviews')).body.map((review) => review.comment), ['Bold']);
+  });
+
+  it('should list one account\'s activity', async () => {
+    assert.equal((await get(`/api/accounts/${COLLECTOR}/sales`)).body.length, 1);
+    assert.deepEqual((await get(`/api/accounts/${COLLECTOR}/reviews`)).body.map((review) => review.comment), ['Bold']);
+  });
+
+  it('should serve the same data over GraphQL', async () => {
+    const result = await graphql(`
+      query ($id: String!, $owner: String!) {
+        gallery(id: $id) { name isActive artworks { total items { title avgRating reviews { comment } } } }
+        artworks(owner: $owner) { items { tokenId sales { price } } }
+        account(address: $owner) { owned { items { tokenId } } sales { price } }
+      }
+    `, { id: 'modern', owner: COLLECTOR });
+
+    assert.equal(result.errors, undefined);
+    assert.deepEqual(result.data.gallery, {
+      name: 'modern gallery',
+      isActive: true,
+      artworks: { total: 1, items: [{ title: 'Work 1', avgRating: 5, reviews: [{ comment: 'Bold' }] }] }
+    });
+    assert.deepEqual(result.data.artworks, { items: [{ tokenId: 2, sales: [{ price: '1000' }] }] });
+    assert.deepEqual(result.data.account, { owned: { items: [{ tokenId: 2 }] }, sales: [{ price: '1000' }] });
+  });
+
+  it('should report GraphQL errors for bad artwork filters', async () => {
+    const result = await graphql('{ artworks(sort: "cheapest") { total } }');
+    assert.match(result.errors[0].message, /Unknown sort cheapest/);
+  });
+
+  it('should list posted vouchers until they are redeemed', async () => {
+    const voucher = {
+      artist: ARTIST,
+      title: 'Unminted',
+      tokenURI: 'ipfs://unminted',
+      price: '500',
+      galleryId: 'modern',
+      royaltyBasisPoints: '250',
+      nonce: '7',
+      expiresAt: '0'
+    };
+
+    assert.equal((await post('/api/vouchers', { voucher, signature: 'bad' })).status, 400);
+    assert.equal((await post('/api/vouchers', { voucher, signature: '0xsigned' })).status, 201);
+    assert.deepEqual((await get(`/api/vouchers?artist=${ARTIST}`)).body.items.map((item) => item.title), ['Unminted']);
+
+    ingestEvents(store, [storedEvent(7, 'VoucherRedeemed', { artist: ARTIST, nonce: '7', tokenId: '3' })]);
+
+    assert.equal((await get('/api/vouchers')).body.total, 0);
+    const { body } = await get('/api/vouchers?status=all');
+    assert.deepEqual(body.items.map(({ status, tokenId }) => ({ status, tokenId })), [{ status: 'redeemed', tokenId: 3 }]);
+  });
+});
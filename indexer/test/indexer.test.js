@@ -0,0 +1,112 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Web3 = require('web3');
+const { createStore } = require('../store');
+const { createIndexer } = require('../indexer');
+const { ARTIST, COLLECTOR, createFakeChain, testConfig, silentLogger } = require('../fixtures');
+
+const { keccak256 } = Web3.utils;
+
+const METADATA_URI = 'data:application/json,{"description":"Oil on canvas"}';
+
+describe('Indexer', () => {
+  let chain;
+  let store;
+  let indexer;
+
+  beforeEach(() => {
+    chain = createFakeChain();
+    store = createStore(':memory:');
+    indexer = createIndexer({ web3: chain.web3, contract: chain.contract, store, config: testConfig, logger: silentLogger });
+
+    chain.mine([{ event: 'GalleryCreated', returnValues: { galleryId: 'modern', name: 'Modern', curator: ARTIST } }]);
+    chain.mine([
+      { event: 'ArtworkCreated', returnValues: { tokenId: '1', title: 'Dawn', artist: ARTIST, price: '1000' } },
+      { event: 'ArtworkAddedToGallery', returnValues: { galleryId: keccak256('modern'), tokenId: '1' } }
+    ]);
+  });
+
+  it('should project contract events into galleries and artworks', async () => {
+    await indexer.syncOnce();
+
+    const gallery = store.getGallery('modern');
+    assert.equal(gallery.name, 'Modern');
+    assert.equal(gallery.description, 'A test gallery');
+    assert.equal(gallery.isActive, true);
+    assert.equal(gallery.artworkCount, 1);
+
+    const artwork = store.getArtwork(1);
+    assert.equal(artwork.title, 'Dawn');
+    assert.equal(artwork.galleryId, 'modern');
+    assert.equal(artwork.tokenURI, 'ipfs://work-1');
+    assert.equal(artwork.royaltyBasisPoints, 500);
+    assert.equal(store.getLastBlock(), 2);
+  });
+
+  it('should follow gallery deactivation and reactivation', async () => {
+    chain.mine([{ event: 'GalleryDeactivated', returnValues: { galleryId: keccak256('modern') } }]);
+    await indexer.syncOnce();
+    assert.equal(store.getGallery('modern').isActive, false);
+
+    chain.mine([{ event: 'GalleryReactivated', returnValues: { galleryId: keccak256('modern') } }]);
+    await indexer.syncOnce();
+    assert.equal(store.getGallery('modern').isActive, true);
+  });
+
+  it('should rewind to the common ancestor and replay after a reorg', async () => {
+    chain.mine([{ event: 'ArtworkSold', returnValues: { tokenId: '1', from: ARTIST, to: COLLECTOR, price: '1000' } }]);
+    await indexer.syncOnce();
+    assert.equal(store.getSales(1).length, 1);
+
+    // Block 3 is replaced by one that reprices the work instead of selling it
+    chain.reorg(3);
+    chain.mine([{ event: 'PriceUpdated', returnValues: { tokenId: '1', newPrice: '2500' } }]);
+    chain.mine();
+    await indexer.syncOnce();
+
+    assert.equal(store.getSales(1).length, 0);
+    const artwork = store.getArtwork(1);
+    assert.equal(artwork.price, '2500');
+    assert.equal(artwork.forSale, true);
+    assert.equal(artwork.galleryId, 'modern');
+    assert.equal(store.getLastBlock(), 4);
+  });
+
+  it('should start over when every stored block was reorganised', async () => {
+    await indexer.syncOnce();
+
+    chain.reorg(1);
+    chain.mine([{ event: 'GalleryCreated', returnValues: { galleryId: 'classic', name: 'Classic', curator: ARTIST } }]);
+    await indexer.syncOnce();
+
+    assert.equal(store.getGallery('modern'), undefined);
+    assert.equal(store.getGallery('classic').name, 'Classic');
+    assert.equal(store.getArtwork(1), undefined);
+  });
+
+  it('should fetch metadata outside of ingestion and keep it across replays', async () => {
+    chain = createFakeChain({ tokenURI: () => METADATA_URI });
+    indexer = createIndexer({ web3: chain.web3, contract: chain.contract, store, config: testConfig, logger: silentLogger });
+    chain.mine([{ event: 'ArtworkCreated', returnValues: { tokenId: '1', title: 'Dawn', artist: ARTIST, price: '1000' } }]);
+    chain.mine();
+
+    await indexer.syncOnce();
+    assert.equal(store.getArtwork(1).description, '');
+    assert.deepEqual(store.pendingMetadata(10), [METADATA_URI]);
+
+    assert.equal(await indexer.syncMetadata(), 1);
+    assert.equal(store.getArtwork(1).description, 'Oil on canvas');
+    assert.deepEqual(store.pendingMetadata(10), []);
+
+    store.rewind(2);
+    assert.equal(store.getArtwork(1).description, 'Oil on canvas');
+  });
+
+  it('should record an empty description for metadata that cannot be loaded', async () => {
+    await indexer.syncOnce();
+
+    assert.equal(await indexer.syncMetadata(), 1);
+    assert.equal(store.getArtwork(1).description, '');
+    assert.deepEqual(store.pendingMetadata(10), []);
+  });
+});
@@ -0,0 +1,126 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Database = require('better-sqlite3');
+const Web3 = require('web3');
+const { createStore } = require('../store');
+const {
+  ARTIST,
+  COLLECTOR,
+  storedEvent,
+  ingestEvents,
+  galleryCreated,
+  artworkCreated
+} = require('../fixtures');
+
+const { keccak256 } = Web3.utils;
+
+describe('Store', () => {
+  let store;
+
+  beforeEach(() => {
+    store = createStore(':memory:');
+    ingestEvents(store, [
+      galleryCreated(1, 'modern'),
+      artworkCreated(2, 1, '1000000000000000001'),
+      storedEvent(2, 'ArtworkAddedToGallery', { galleryId: keccak256('modern'), tokenId: '1' }, 1),
+      artworkCreated(3, 2, '1000000000000000000'),
+      artworkCreated(3, 3, '999999999999999999999', 1)
+    ]);
+  });
+
+  afterEach(() => {
+    store.close();
+  });
+
+  it('should list artworks by gallery and owner', () => {
+    const { total, items } = store.getArtworks({ galleryId: 'modern' }, 0, 10);
+    assert.equal(total, 1);
+    assert.equal(items[0].tokenId, 1);
+    assert.equal(items[0].price, '1000000000000000001');
+
+    assert.equal(store.getArtworks({ owner: ARTIST }, 0, 10).total, 3);
+    assert.equal(store.getArtworks({ owner: COLLECTOR }, 0, 10).total, 0);
+  });
+
+  it('should sort and filter prices to the wei', () => {
+    const ascending = store.getArtworks({ sort: 'price_asc' }, 0, 10).items.map((artwork) => artwork.tokenId);
+    assert.deepEqual(ascending, [2, 1, 3]);
+
+    const descending = store.getArtworks({ sort: 'price_desc' }, 0, 10).items.map((artwork) => artwork.tokenId);
+    assert.deepEqual(descending, [3, 1, 2]);
+
+    const { total, items } = store.getArtworks({ minPrice: '1000000000000000001', maxPrice: '1000000000000000001' }, 0, 10);
+    assert.equal(total, 1);
+    assert.equal(items[0].tokenId, 1);
+  });
+
+  it('should follow repricing and listings', () => {
+    ingestEvents(store, [
+      storedEvent(4, 'PriceUpdated', { tokenId: '3', newPrice: '5' }),
+      storedEvent(4, 'ArtworkDelisted', { tokenId: '2', seller: ARTIST }, 1)
+    ]);
+
+    assert.equal(store.getArtwork(3).price, '5');
+    assert.equal(store.getArtwork(2).forSale, false);
+    assert.equal(store.getArtwork(1).forSale, true);
+
+    // The sortable price moves with the price, and unlisted works sort last
+    const listed = store.getArtworks({ sort: 'price_asc' }, 0, 10).items;
+    assert.deepEqual(listed.map((artwork) => artwork.tokenId), [3, 1, 2]);
+    assert.deepEqual(store.getArtworks({ maxPrice: '10' }, 0, 10).items.map((artwork) => artwork.tokenId), [3]);
+  });
+
+  it('should replay the remaining events when rewinding', () => {
+    ingestEvents(store, [
+      storedEvent(4, 'Transfer', { from: ARTIST, to: COLLECTOR, tokenId: '1' }),
+      storedEvent(4, 'ArtworkSold', { tokenId: '1', from: ARTIST, to: COLLECTOR, price: '1000000000000000001' }, 1),
+      storedEvent(5, 'ReviewAdded', { tokenId: '1', reviewer: COLLECTOR, comment: 'Lovely', rating: '4' })
+    ]);
+    assert.equal(store.getArtwork(1).avgRating, 4);
+
+    store.rewind(5);
+
+    const artwork = store.getArtwork(1);
+    assert.equal(artwork.owner, COLLECTOR);
+    assert.equal(artwork.forSale, false);
+    assert.equal(artwork.totalRatings, 0);
+    assert.equal(artwork.galleryId, 'modern');
+    assert.equal(store.getSales(1).length, 1);
+    assert.equal(store.getLastBlock(), 4);
+  });
+});
+
+describe('Store schema upgrades', () => {
+  let dbPath;
+
+  beforeEach(() => {
+    dbPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'indexer-test-')), 'indexer.db');
+  });
+
+  afterEach(() => {
+    fs.rmSync(path.dirname(dbPath), { recursive: true, force: true });
+  });
+
+  it('should rebuild the projections from the event log when the schema version changes', () => {
+    const store = createStore(dbPath);
+    ingestEvents(store, [galleryCreated(1, 'modern'), artworkCreated(2, 1, '1000')]);
+    store.close();
+
+    // Simulate a database written by an older version with a projection that has drifted
+    const db = new Database(dbPath);
+    db.prepare("UPDATE meta SET value = '1' WHERE key = 'schemaVersion'").run();
+    db.prepare("UPDATE artworks SET title = 'stale', price_sort = '' WHERE token_id = 1").run();
+    db.close();
+
+    const upgraded = createStore(dbPath);
+    assert.notEqual(upgraded.getMeta('schemaVersion'), '1');
+    assert.equal(upgraded.getArtwork(1).title, 'Work 1');
+    assert.equal(upgraded.getArtworks({ minPrice: '1000' }, 0, 10).total, 1);
+    assert.equal(upgraded.getGallery('modern').isActive, true);
+    assert.equal(upgraded.getLastBlock(), 2);
+    upgraded.close();
+  });
+});
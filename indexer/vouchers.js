@@ -0,0 +1,39 @@
+// Field order of the contract's ArtworkVoucher struct
+const VOUCHER_FIELDS = ['artist', 'title', 'tokenURI', 'price', 'galleryId', 'royaltyBasisPoints', 'nonce', 'expiresAt'];
+
+/**
+ * Checks a posted voucher before it is listed: it must be complete, signed by its artist
+ * for this contract and still redeemable. Only EOA signatures are checked here; the
+ * contract also accepts ERC-1271 wallets, whose vouchers are rejected by this listing API.
+ */
+const createVoucherVerifier = ({ web3, contract }) => async (voucher, signature) => {
+  const missing = VOUCHER_FIELDS.filter((field) => !voucher || voucher[field] === undefined || voucher[field] === null);
+  if (missing.length > 0) {
+    throw new Error(`Voucher is missing ${missing.join(', ')}`);
+  }
+  if (!web3.utils.isAddress(voucher.artist)) {
+    throw new Error('Voucher artist is not an address');
+  }
+  if (typeof signature !== 'string' || !/^0x[0-9a-fA-F]{130}$/.test(signature)) {
+    throw new Error('Signature is malformed');
+  }
+
+  const normalized = VOUCHER_FIELDS.reduce((fields, field) => ({ ...fields, [field]: String(voucher[field]) }), {});
+  if (Number(normalized.expiresAt) !== 0 && Number(normalized.expiresAt) <= Date.now() / 1000) {
+    throw new Error('Voucher has expired');
+  }
+
+  const digest = await contract.methods.hashVoucher(VOUCHER_FIELDS.map((field) => normalized[field])).call();
+  const signer = web3.eth.accounts.recover(digest, signature, true);
+  if (signer.toLowerCase() !== normalized.artist.toLowerCase()) {
+    throw new Error('Signature does not match the voucher artist');
+  }
+
+  if (await contract.methods.voucherNonceUsed(normalized.artist, normalized.nonce).call()) {
+    throw new Error('Voucher has already been redeemed or cancelled');
+  }
+
+  return { ...normalized, signature };
+};
+
+module.exports = { createVoucherVerifier, VOUCHER_FIELDS };
@@ -1,6 +1,11 @@
 const ArtGallery = artifacts.require("ArtGallery");
-const { BN, expectEvent, expectRevert } = require('@openzeppelin/test-helpers');
+const ArtGalleryExtension = artifacts.require("ArtGalleryExtension");
+const RevertingReceiver = artifacts.require("RevertingReceiver");
+const TestENSRegistry = artifacts.require("TestENSRegistry");
+const TestENSResolver = artifacts.require("TestENSResolver");
+const { BN, constants, expectEvent, expectRevert, time } = require('@openzeppelin/test-helpers');
 const { expect } = require('chai');
+const { namehash, reverseNode, createEnsResolver } = require('../client/src/utils/ensResolver');
 
 contract("ArtGallery", function (accounts) {
   const [owner, artist1, artist2, buyer1, buyer2] = accounts;
@@ -9,9 +14,13 @@ contract("ArtGallery", function (accounts) {
   const ARTWORK_PRICE = web3.utils.toWei("1", "ether");
   
   let artGallery;
+  // The same deployment seen through the extension's ABI
+  let extension;
 
   beforeEach(async function () {
-    artGallery = await ArtGallery.new({ from: owner });
+    const implementation = await ArtGalleryExtension.new({ from: owner });
+    artGallery = await ArtGallery.new(implementation.address, { from: owner });
+    extension = await ArtGalleryExtension.at(artGallery.address);
     
     await artGallery.createGallery(
       GALLERY_ID,
@@ -21,6 +30,23 @@ contract("ArtGallery", function (accounts) {
     );
   });
 
+  describe("Deployment", function () {
+    it("should require an extension", async function () {
+      await expectRevert(
+        ArtGallery.new(constants.ZERO_ADDRESS, { from: owner }),
+        "Invalid extension"
+      );
+    });
+
+    it("should forward extension calls to the gallery's own storage", async function () {
+      const implementation = await ArtGalleryExtension.at(await artGallery.extension());
+      await extension.deactivateGallery(GALLERY_ID, { from: owner });
+
+      expect((await artGallery.galleries(GALLERY_ID)).isActive).to.be.false;
+      expect((await implementation.galleries(GALLERY_ID)).curator).to.equal(constants.ZERO_ADDRESS);
+    });
+  });
+
   describe("Gallery Management", function () {
     it("should create a new gallery", async function () {
       const newGalleryId = "new-gallery";
@@ -49,6 +75,286 @@ contract("ArtGallery", function (accounts) {
     });
   });
 
+  describe("Gallery Lifecycle", function () {
+    it("should update gallery details", async function () {
+      const result = await extension.updateGallery(GALLERY_ID, "Renamed", "New description", { from: owner });
+
+      expectEvent(result, 'GalleryUpdated', { name: "Renamed", description: "New description" });
+
+      const gallery = await artGallery.galleries(GALLERY_ID);
+      expect(gallery.name).to.equal("Renamed");
+      expect(gallery.description).to.equal("New description");
+    });
+
+    it("should only let the curator manage a gallery", async function () {
+      await expectRevert(
+        extension.updateGallery(GALLERY_ID, "Renamed", "", { from: artist1 }),
+        "Caller is not the curator"
+      );
+      await expectRevert(
+        extension.deactivateGallery(GALLERY_ID, { from: artist1 }),
+        "Caller is not the curator"
+      );
+      await expectRevert(
+        extension.addCoCurator(GALLERY_ID, artist2, { from: artist1 }),
+        "Caller is not the curator"
+      );
+      await expectRevert(
+        extension.deactivateGallery("missing-gallery", { from: owner }),
+        "Gallery does not exist"
+      );
+    });
+
+    it("should deactivate and reactivate a gallery", async function () {
+      const deactivated = await extension.deactivateGallery(GALLERY_ID, { from: owner });
+      expectEvent(deactivated, 'GalleryDeactivated');
+      expect((await artGallery.galleries(GALLERY_ID)).isActive).to.be.false;
+
+      await expectRevert(
+        artGallery.createArtwork("Test", TOKEN_URI, ARTWORK_PRICE, GALLERY_ID, 1000, { from: artist1 }),
+        "Gallery does not exist"
+      );
+      await expectRevert(
+        artGallery.createGallery(GALLERY_ID, "Taken", "", { from: artist1 }),
+        "Gallery ID already exists"
+      );
+
+      const reactivated = await extension.reactivateGallery(GALLERY_ID, { from: owner });
+      expectEvent(reactivated, 'GalleryReactivated');
+      expect((await artGallery.galleries(GALLERY_ID)).isActive).to.be.true;
+    });
+
+    it("should transfer curatorship", async function () {
+      await artGallery.createGallery("second-gallery", "Second", "", { from: owner });
+      const result = await extension.transferCuratorship(GALLERY_ID, artist1, { from: owner });
+
+      expectEvent(result, 'CuratorshipTransferred', { previousCurator: owner, newCurator: artist1 });
+      expect((await artGallery.galleries(GALLERY_ID)).curator).to.equal(artist1);
+      expect(await extension.getUserGalleries(owner)).to.deep.equal(["second-gallery"]);
+      expect(await extension.getUserGalleries(artist1)).to.deep.equal([GALLERY_ID]);
+
+      await expectRevert(
+        extension.updateGallery(GALLERY_ID, "Renamed", "", { from: owner }),
+        "Caller is not the curator"
+      );
+      await extension.updateGallery(GALLERY_ID, "Renamed", "", { from: artist1 });
+    });
+
+    it("should add and remove co-curators", async function () {
+      const added = await extension.addCoCurator(GALLERY_ID, artist2, { from: owner });
+      expectEvent(added, 'CoCuratorAdded', { account: artist2 });
+      expect(await artGallery.coCurators(GALLERY_ID, artist2)).to.be.true;
+
+      await expectRevert(
+        extension.addCoCurator(GALLERY_ID, artist2, { from: owner }),
+        "Already a co-curator"
+      );
+
+      const removed = await extension.removeCoCurator(GALLERY_ID, artist2, { from: owner });
+      expectEvent(removed, 'CoCuratorRemoved', { account: artist2 });
+      expect(await artGallery.coCurators(GALLERY_ID, artist2)).to.be.false;
+    });
+  });
+
+  describe("Curated Submissions", function () {
+    beforeEach(async function () {
+      await extension.setGalleryCurated(GALLERY_ID, true, { from: owner });
+      await extension.addCoCurator(GALLERY_ID, artist2, { from: owner });
+    });
+
+    async function submitArtwork() {
+      const result = await artGallery.createArtwork(
+        "Submitted Art",
+        TOKEN_URI,
+        ARTWORK_PRICE,
+        GALLERY_ID,
+        1000,
+        { from: artist1 }
+      );
+      const { submissionId, tokenId } = result.logs.find(log => log.event === 'SubmissionCreated').args;
+      return { result, submissionId, tokenId };
+    }
+
+    it("should file artworks as pending submissions in curated galleries", async function () {
+      const { result, submissionId, tokenId } = await submitArtwork();
+
+      expectEvent(result, 'SubmissionCreated', { artist: artist1, galleryId: GALLERY_ID });
+      expect((await artGallery.getGalleryArtworks(GALLERY_ID)).length).to.equal(0);
+      expect((await artGallery.artworks(tokenId)).galleryId).to.equal("");
+
+      const submission = await artGallery.submissions(submissionId);
+      expect(submission.status.toString()).to.equal('0');
+      expect((await extension.getArtistSubmissions(artist1)).map(id => id.toString()))
+        .to.deep.equal([submissionId.toString()]);
+    });
+
+    it("should let curators mint directly into curated galleries", async function () {
+      const result = await artGallery.createArtwork("Curator Art", TOKEN_URI, ARTWORK_PRICE, GALLERY_ID, 1000, {
+        from: artist2
+      });
+
+      expectEvent.notEmitted(result, 'SubmissionCreated');
+      expect((await artGallery.getGalleryArtworks(GALLERY_ID)).length).to.equal(1);
+    });
+
+    it("should approve a submission into the gallery", async function () {
+      const { submissionId, tokenId } = await submitArtwork();
+
+      const result = await extension.approveSubmission(submissionId, { from: artist2 });
+      expectEvent(result, 'SubmissionApproved', { submissionId: submissionId, tokenId: tokenId });
+
+      const artworkIds = await artGallery.getGalleryArtworks(GALLERY_ID);
+      expect(artworkIds.map(id => id.toString())).to.deep.equal([tokenId.toString()]);
+      expect((await artGallery.artworks(tokenId)).galleryId).to.equal(GALLERY_ID);
+      expect((await artGallery.submissions(submissionId)).status.toString()).to.equal('1');
+    });
+
+    it("should reject a submission with a reason", async function () {
+      const { submissionId, tokenId } = await submitArtwork();
+
+      const result = await extension.rejectSubmission(submissionId, "Not a fit", { from: owner });
+      expectEvent(result, 'SubmissionRejected', { submissionId: submissionId, tokenId: tokenId, reason: "Not a fit" });
+
+      const submission = await artGallery.submissions(submissionId);
+      expect(submission.status.toString()).to.equal('2');
+      expect(submission.rejectionReason).to.equal("Not a fit");
+      expect((await artGallery.getGalleryArtworks(GALLERY_ID)).length).to.equal(0);
+
+      await expectRevert(
+        extension.approveSubmission(submissionId, { from: owner }),
+        "Submission is not pending"
+      );
+    });
+
+    it("should only let curators review submissions", async function () {
+      const { submissionId } = await submitArtwork();
+
+      await expectRevert(
+        extension.approveSubmission(submissionId, { from: buyer1 }),
+        "Caller is not a gallery curator"
+      );
+      await expectRevert(
+        extension.rejectSubmission(submissionId, "", { from: artist1 }),
+        "Caller is not a gallery curator"
+      );
+    });
+  });
+
+  describe("Gallery Membership", function () {
+    const OTHER_GALLERY_ID = "other-gallery";
+
+    beforeEach(async function () {
+      await artGallery.createGallery(OTHER_GALLERY_ID, "Other Gallery", "", { from: buyer2 });
+      for (const title of ["First", "Second", "Third"]) {
+        await artGallery.createArtwork(title, TOKEN_URI, ARTWORK_PRICE, GALLERY_ID, 1000, { from: artist1 });
+      }
+    });
+
+    async function galleryArtworks(galleryId) {
+      return (await artGallery.getGalleryArtworks(galleryId)).map(id => id.toString());
+    }
+
+    it("should let the owner remove an artwork from its gallery", async function () {
+      const result = await extension.removeFromGallery(1, { from: artist1 });
+      expectEvent(result, 'ArtworkRemovedFromGallery', { tokenId: new BN(1) });
+
+      expect(await galleryArtworks(GALLERY_ID)).to.deep.equal(['3', '2']);
+      expect((await artGallery.artworks(1)).galleryId).to.equal("");
+
+      await expectRevert(
+        extension.removeFromGallery(1, { from: artist1 }),
+        "Artwork is not in a gallery"
+      );
+    });
+
+    it("should let the curator remove an artwork but not other users", async function () {
+      await expectRevert(
+        extension.removeFromGallery(2, { from: buyer1 }),
+        "Caller cannot remove this artwork"
+      );
+
+      await extension.removeFromGallery(2, { from: owner });
+      await extension.removeFromGallery(3, { from: artist1 });
+      expect(await galleryArtworks(GALLERY_ID)).to.deep.equal(['1']);
+    });
+
+    it("should keep sold artworks removable by their new owner", async function () {
+      await artGallery.purchaseArtwork(2, { from: buyer1, value: ARTWORK_PRICE });
+
+      await expectRevert(
+        extension.removeFromGallery(2, { from: artist1 }),
+        "Caller cannot remove this artwork"
+      );
+      await extension.removeFromGallery(2, { from: buyer1 });
+      expect(await galleryArtworks(GALLERY_ID)).to.deep.equal(['1', '3']);
+    });
+
+    it("should move an artwork into an open gallery", async function () {
+      const result = await extension.moveToGallery(1, OTHER_GALLERY_ID, { from: artist1 });
+      expectEvent(result, 'ArtworkRemovedFromGallery', { tokenId: new BN(1) });
+      expectEvent(result, 'ArtworkAddedToGallery', { tokenId: new BN(1) });
+
+      expect(await galleryArtworks(GALLERY_ID)).to.deep.equal(['3', '2']);
+      expect(await galleryArtworks(OTHER_GALLERY_ID)).to.deep.equal(['1']);
+      expect((await artGallery.artworks(1)).galleryId).to.equal(OTHER_GALLERY_ID);
+
+      await extension.moveToGallery(1, GALLERY_ID, { from: artist1 });
+      await extension.removeFromGallery(2, { from: artist1 });
+      expect(await galleryArtworks(GALLERY_ID)).to.deep.equal(['3', '1']);
+      expect(await galleryArtworks(OTHER_GALLERY_ID)).to.deep.equal([]);
+    });
+
+    it("should submit moved artworks to curated galleries", async function () {
+      await extension.setGalleryCurated(OTHER_GALLERY_ID, true, { from: buyer2 });
+
+      const result = await extension.moveToGallery(1, OTHER_GALLERY_ID, { from: artist1 });
+      const { submissionId } = result.logs.find(log => log.event === 'SubmissionCreated').args;
+
+      expect(await galleryArtworks(GALLERY_ID)).to.deep.equal(['3', '2']);
+      expect(await galleryArtworks(OTHER_GALLERY_ID)).to.deep.equal([]);
+
+      await extension.approveSubmission(submissionId, { from: buyer2 });
+      expect(await galleryArtworks(OTHER_GALLERY_ID)).to.deep.equal(['1']);
+    });
+
+    it("should withdraw a pending submission when the artwork moves again", async function () {
+      await extension.setGalleryCurated(OTHER_GALLERY_ID, true, { from: buyer2 });
+      const moveResult = await extension.moveToGallery(1, OTHER_GALLERY_ID, { from: artist1 });
+      const { submissionId } = moveResult.logs.find(log => log.event === 'SubmissionCreated').args;
+
+      const result = await extension.moveToGallery(1, GALLERY_ID, { from: artist1 });
+      expectEvent(result, 'SubmissionWithdrawn', { submissionId: submissionId, tokenId: new BN(1) });
+
+      expect((await artGallery.submissions(submissionId)).status.toString()).to.equal('3');
+      expect(await galleryArtworks(GALLERY_ID)).to.deep.equal(['3', '2', '1']);
+      await expectRevert(
+        extension.approveSubmission(submissionId, { from: buyer2 }),
+        "Submission is not pending"
+      );
+    });
+
+    it("should validate moves", async function () {
+      await expectRevert(
+        extension.moveToGallery(1, OTHER_GALLERY_ID, { from: buyer1 }),
+        "Caller is not the artwork owner"
+      );
+      await expectRevert(
+        extension.moveToGallery(1, GALLERY_ID, { from: artist1 }),
+        "Artwork is already in this gallery"
+      );
+      await expectRevert(
+        extension.moveToGallery(1, "missing-gallery", { from: artist1 }),
+        "Gallery does not exist"
+      );
+
+      await extension.deactivateGallery(OTHER_GALLERY_ID, { from: buyer2 });
+      await expectRevert(
+        extension.moveToGallery(1, OTHER_GALLERY_ID, { from: artist1 }),
+        "Gallery does not exist"
+      );
+    });
+  });
+
   describe("Artwork Creation", function () {
     it("should create new artwork", async function () {
       const result = await artGallery.createArtwork(
@@ -56,7 +362,7 @@ contract("ArtGallery", function (accounts) {
         TOKEN_URI,
         ARTWORK_PRICE,
         GALLERY_ID,
-        10,
+        1000,
         { from: artist1 }
       );
 
@@ -75,9 +381,89 @@ contract("ArtGallery", function (accounts) {
 
     it("should not create artwork with invalid price", async function () {
       await expectRevert(
-        artGallery.createArtwork("Test", TOKEN_URI, 0, GALLERY_ID, 10, { from: artist1 }),
+        artGallery.createArtwork("Test", TOKEN_URI, 0, GALLERY_ID, 1000, { from: artist1 }),
+        "Price must be greater than 0"
+      );
+    });
+  });
+
+  describe("Series and Editions", function () {
+    it("should mint a series of distinct works in one transaction", async function () {
+      const result = await artGallery.createSeries(
+        "Seasons",
+        ["Spring", "Summer", "Autumn"],
+        ["ipfs://QmSpring", "ipfs://QmSummer", "ipfs://QmAutumn"],
+        [ARTWORK_PRICE, web3.utils.toWei("2", "ether"), web3.utils.toWei("3", "ether")],
+        GALLERY_ID,
+        500,
+        { from: artist1 }
+      );
+
+      expectEvent(result, 'SeriesCreated', { seriesId: new BN(1), artist: artist1, name: "Seasons", isEdition: false });
+
+      const tokenIds = await artGallery.getSeriesTokens(1);
+      expect(tokenIds.map(String)).to.deep.equal(["1", "2", "3"]);
+
+      const [summer] = await artGallery.getArtworks([tokenIds[1]]);
+      expect(summer.title).to.equal("Summer");
+      expect(summer.tokenURI).to.equal("ipfs://QmSummer");
+      expect(summer.price).to.equal(web3.utils.toWei("2", "ether"));
+      expect(summer.galleryId).to.equal(GALLERY_ID);
+      expect(summer.royaltyBasisPoints).to.equal("500");
+      expect((await artGallery.tokenSeries(tokenIds[1])).toString()).to.equal("1");
+    });
+
+    it("should reject series with mismatched arrays", async function () {
+      await expectRevert(
+        artGallery.createSeries("Seasons", ["Spring", "Summer"], [TOKEN_URI], [ARTWORK_PRICE, ARTWORK_PRICE], GALLERY_ID, 500, { from: artist1 }),
+        "Series arrays length mismatch"
+      );
+    });
+
+    it("should reject empty and oversized batches", async function () {
+      await expectRevert(
+        artGallery.createSeries("Empty", [], [], [], GALLERY_ID, 500, { from: artist1 }),
+        "Invalid batch size"
+      );
+      await expectRevert(
+        artGallery.createEdition("Too Many", TOKEN_URI, ARTWORK_PRICE, GALLERY_ID, 500, 51, { from: artist1 }),
+        "Invalid batch size"
+      );
+    });
+
+    it("should mint numbered copies of an edition", async function () {
+      const result = await artGallery.createEdition("Print", TOKEN_URI, ARTWORK_PRICE, GALLERY_ID, 1000, 5, { from: artist1 });
+
+      expectEvent(result, 'SeriesCreated', { seriesId: new BN(1), size: new BN(5), isEdition: true });
+
+      const tokenIds = await artGallery.getSeriesTokens(1);
+      expect(tokenIds.length).to.equal(5);
+      expect(await artGallery.ownerOf(tokenIds[4])).to.equal(artist1);
+      expect(await artGallery.tokenURI(tokenIds[4])).to.equal(TOKEN_URI);
+
+      const edition = await artGallery.getEditionInfo(tokenIds[2]);
+      expect(edition.seriesId.toString()).to.equal("1");
+      expect(edition.number.toString()).to.equal("3");
+      expect(edition.size.toString()).to.equal("5");
+    });
+
+    it("should report no edition for standalone and series works", async function () {
+      await artGallery.createArtwork("Solo", TOKEN_URI, ARTWORK_PRICE, GALLERY_ID, 1000, { from: artist1 });
+      await artGallery.createSeries("Pair", ["A", "B"], [TOKEN_URI, TOKEN_URI], [ARTWORK_PRICE, ARTWORK_PRICE], GALLERY_ID, 1000, { from: artist1 });
+
+      for (const tokenId of [1, 2]) {
+        const edition = await artGallery.getEditionInfo(tokenId);
+        expect(edition.number.toString()).to.equal("0");
+        expect(edition.size.toString()).to.equal("0");
+      }
+    });
+
+    it("should revert the whole batch if any work is invalid", async function () {
+      await expectRevert(
+        artGallery.createSeries("Broken", ["A", "B"], [TOKEN_URI, TOKEN_URI], [ARTWORK_PRICE, 0], GALLERY_ID, 1000, { from: artist1 }),
         "Price must be greater than 0"
       );
+      expect((await artGallery.getUserArtworkCount(artist1)).toString()).to.equal("0");
     });
   });
 
@@ -90,7 +476,7 @@ contract("ArtGallery", function (accounts) {
         TOKEN_URI,
         ARTWORK_PRICE,
         GALLERY_ID,
-        10,
+        1000,
         { from: artist1 }
       );
       tokenId = result.logs[0].args.tokenId;
@@ -136,8 +522,8 @@ contract("ArtGallery", function (accounts) {
         from: buyer1
       });
 
-      // Track balances for royalty calculation
-      const artistBalanceBefore = new BN(await web3.eth.getBalance(artist1));
+      // Track credited balances for royalty calculation
+      const artistBalanceBefore = await artGallery.pendingWithdrawals(artist1);
       
       // Secondary sale
       const result = await artGallery.purchaseArtwork(tokenId, {
@@ -151,14 +537,14 @@ contract("ArtGallery", function (accounts) {
         artist: artist1
       });
 
-      // Verify artist received royalty
-      const artistBalanceAfter = new BN(await web3.eth.getBalance(artist1));
+      // Verify artist was credited the royalty
+      const artistBalanceAfter = await artGallery.pendingWithdrawals(artist1);
       const royaltyAmount = new BN(ARTWORK_PRICE).mul(new BN(10)).div(new BN(100));
       expect(artistBalanceAfter.sub(artistBalanceBefore)).to.be.bignumber.equal(royaltyAmount);
     });
   });
 
-  describe("Reviews and Ratings", function () {
+  describe("Listing Management", function () {
     let tokenId;
 
     beforeEach(async function () {
@@ -167,72 +553,93 @@ contract("ArtGallery", function (accounts) {
         TOKEN_URI,
         ARTWORK_PRICE,
         GALLERY_ID,
-        10,
+        1000,
         { from: artist1 }
       );
       tokenId = result.logs[0].args.tokenId;
     });
 
-    it("should add review and rating", async function () {
-      const result = await artGallery.addReview(tokenId, "Great artwork!", 5, {
-        from: buyer1
-      });
+    it("should delist and relist artwork", async function () {
+      const delisted = await artGallery.delistArtwork(tokenId, { from: artist1 });
+      expectEvent(delisted, 'ArtworkDelisted', { tokenId: tokenId, seller: artist1 });
+      expect((await artGallery.artworks(tokenId)).forSale).to.be.false;
 
-      expectEvent(result, 'ReviewAdded', {
-        tokenId: tokenId,
-        reviewer: buyer1,
-        comment: "Great artwork!",
-        rating: new BN(5)
-      });
+      await expectRevert(
+        artGallery.purchaseArtwork(tokenId, { from: buyer1, value: ARTWORK_PRICE }),
+        "Artwork is not for sale"
+      );
+
+      const newPrice = web3.utils.toWei("2", "ether");
+      const listed = await artGallery.listArtwork(tokenId, newPrice, { from: artist1 });
+      expectEvent(listed, 'PriceUpdated', { tokenId: tokenId, newPrice: newPrice });
+      expectEvent(listed, 'ArtworkListed', { tokenId: tokenId, seller: artist1, price: newPrice });
 
       const artwork = await artGallery.artworks(tokenId);
-      expect(artwork.totalRatings.toString()).to.equal('1');
-      expect(artwork.ratingSum.toString()).to.equal('5');
+      expect(artwork.forSale).to.be.true;
+      expect(artwork.price.toString()).to.equal(newPrice);
     });
 
-    it("should not allow duplicate ratings", async function () {
-      await artGallery.addReview(tokenId, "First review", 4, { from: buyer1 });
-      
-      await expectRevert(
-        artGallery.addReview(tokenId, "Second review", 5, { from: buyer1 }),
-        "User has already rated this artwork"
-      );
+    it("should reprice listed artwork", async function () {
+      const newPrice = web3.utils.toWei("0.5", "ether");
+      const result = await artGallery.updateArtworkPrice(tokenId, newPrice, { from: artist1 });
+
+      expectEvent(result, 'PriceUpdated', { tokenId: tokenId, newPrice: newPrice });
+      expectEvent.notEmitted(result, 'ArtworkListed');
+
+      await artGallery.purchaseArtwork(tokenId, { from: buyer1, value: newPrice });
+      expect(await artGallery.ownerOf(tokenId)).to.equal(buyer1);
     });
 
-    it("should calculate average rating correctly", async function () {
-      await artGallery.addReview(tokenId, "Review 1", 4, { from: buyer1 });
-      await artGallery.addReview(tokenId, "Review 2", 2, { from: buyer2 });
+    it("should let a collector resell a purchased artwork", async function () {
+      await artGallery.purchaseArtwork(tokenId, { from: buyer1, value: ARTWORK_PRICE });
 
-      const [,,,,avgRating,] = await artGallery.getArtwork(tokenId);
-      expect(avgRating.toString()).to.equal('3');
+      await expectRevert(
+        artGallery.listArtwork(tokenId, ARTWORK_PRICE, { from: artist1 }),
+        "Caller is not the artwork owner"
+      );
+
+      await artGallery.listArtwork(tokenId, ARTWORK_PRICE, { from: buyer1 });
+      await artGallery.purchaseArtwork(tokenId, { from: buyer2, value: ARTWORK_PRICE });
+      expect(await artGallery.ownerOf(tokenId)).to.equal(buyer2);
     });
-  });
 
-  describe("Platform Fees", function () {
-    it("should update platform fee", async function () {
-      const newFee = 30; // 3%
-      await artGallery.updatePlatformFee(newFee, { from: owner });
-      
-      const fee = await artGallery.platformFee();
-      expect(fee.toString()).to.equal(newFee.toString());
+    it("should not allow non-owner to change listing", async function () {
+      await expectRevert(
+        artGallery.delistArtwork(tokenId, { from: buyer1 }),
+        "Caller is not the artwork owner"
+      );
+      await expectRevert(
+        artGallery.updateArtworkPrice(tokenId, ARTWORK_PRICE, { from: buyer1 }),
+        "Caller is not the artwork owner"
+      );
     });
 
-    it("should not allow non-owner to update fee", async function () {
+    it("should not list artwork twice or at zero price", async function () {
       await expectRevert(
-        artGallery.updatePlatformFee(30, { from: artist1 }),
-        "Ownable: caller is not the owner"
+        artGallery.listArtwork(tokenId, ARTWORK_PRICE, { from: artist1 }),
+        "Artwork is already for sale"
+      );
+      await expectRevert(
+        artGallery.updateArtworkPrice(tokenId, 0, { from: artist1 }),
+        "Price must be greater than 0"
       );
     });
 
-    it("should not allow fee greater than 10%", async function () {
+    it("should drop the listing when artwork is transferred", async function () {
+      const result = await artGallery.transferFrom(artist1, buyer1, tokenId, { from: artist1 });
+      expectEvent(result, 'ArtworkDelisted', { tokenId: tokenId, seller: artist1 });
+
       await expectRevert(
-        artGallery.updatePlatformFee(101, { from: owner }),
-        "Fee cannot exceed 10%"
+        artGallery.purchaseArtwork(tokenId, { from: buyer2, value: ARTWORK_PRICE }),
+        "Artwork is not for sale"
       );
     });
   });
 
-  describe("Getter Functions", function () {
+  describe("Auctions", function () {
+    const RESERVE_PRICE = web3.utils.toWei("1", "ether");
+    const BID_INCREMENT = web3.utils.toWei("0.1", "ether");
+    const DURATION = time.duration.days(1);
     let tokenId;
 
     beforeEach(async function () {
@@ -241,41 +648,943 @@ contract("ArtGallery", function (accounts) {
         TOKEN_URI,
         ARTWORK_PRICE,
         GALLERY_ID,
-        10,
+        1000,
         { from: artist1 }
       );
       tokenId = result.logs[0].args.tokenId;
     });
 
-    it("should get artwork details", async function () {
-      const [title, artist, price, forSale, avgRating, galleryId, royaltyPercentage] = 
-        await artGallery.getArtwork(tokenId);
+    it("should create auction and withdraw fixed-price listing", async function () {
+      const result = await extension.createAuction(tokenId, RESERVE_PRICE, BID_INCREMENT, DURATION, {
+        from: artist1
+      });
 
-      expect(title).to.equal("Test Art");
-      expect(artist).to.equal(artist1);
-      expect(price.toString()).to.equal(ARTWORK_PRICE);
-      expect(forSale).to.be.true;
-      expect(avgRating.toString()).to.equal('0');
-      expect(galleryId).to.equal(GALLERY_ID);
-      expect(royaltyPercentage.toString()).to.equal('10');
+      expectEvent(result, 'ArtworkDelisted', { tokenId: tokenId, seller: artist1 });
+      expectEvent(result, 'AuctionCreated', {
+        tokenId: tokenId,
+        seller: artist1,
+        reservePrice: RESERVE_PRICE,
+        minBidIncrement: BID_INCREMENT
+      });
+
+      const auction = await artGallery.auctions(tokenId);
+      expect(auction.active).to.be.true;
+      expect((await artGallery.artworks(tokenId)).forSale).to.be.false;
     });
 
-    it("should get gallery artworks", async function () {
-      const artworks = await artGallery.getGalleryArtworks(GALLERY_ID);
-      expect(artworks.length).to.equal(1);
-      expect(artworks[0].toString()).to.equal(tokenId.toString());
+    it("should only let the owner create an auction", async function () {
+      await expectRevert(
+        extension.createAuction(tokenId, RESERVE_PRICE, BID_INCREMENT, DURATION, { from: buyer1 }),
+        "Caller is not the artwork owner"
+      );
     });
 
-    it("should get user artworks", async function () {
-      const artworks = await artGallery.getUserArtworks(artist1);
-      expect(artworks.length).to.equal(1);
-      expect(artworks[0].toString()).to.equal(tokenId.toString());
+    it("should enforce reserve price and bid increments", async function () {
+      await extension.createAuction(tokenId, RESERVE_PRICE, BID_INCREMENT, DURATION, { from: artist1 });
+
+      await expectRevert(
+        extension.placeBid(tokenId, { from: buyer1, value: web3.utils.toWei("0.5", "ether") }),
+        "Bid below reserve price"
+      );
+
+      await extension.placeBid(tokenId, { from: buyer1, value: RESERVE_PRICE });
+
+      await expectRevert(
+        extension.placeBid(tokenId, { from: buyer2, value: web3.utils.toWei("1.05", "ether") }),
+        "Bid increment too low"
+      );
+      await expectRevert(
+        extension.placeBid(tokenId, { from: artist1, value: web3.utils.toWei("2", "ether") }),
+        "Seller cannot bid"
+      );
     });
 
-    it("should get user galleries", async function () {
-      const galleries = await artGallery.getUserGalleries(owner);
-      expect(galleries.length).to.equal(1);
-      expect(galleries[0]).to.equal(GALLERY_ID);
+    it("should credit outbid bidders with a refund", async function () {
+      await extension.createAuction(tokenId, RESERVE_PRICE, BID_INCREMENT, DURATION, { from: artist1 });
+      await extension.placeBid(tokenId, { from: buyer1, value: RESERVE_PRICE });
+
+      const secondBid = web3.utils.toWei("1.1", "ether");
+      const result = await extension.placeBid(tokenId, { from: buyer2, value: secondBid });
+
+      expectEvent(result, 'PaymentCredited', { payee: buyer1, amount: RESERVE_PRICE });
+      expect((await artGallery.pendingWithdrawals(buyer1)).toString()).to.equal(RESERVE_PRICE);
+    });
+
+    it("should extend the auction when bidding near the end", async function () {
+      await extension.createAuction(tokenId, RESERVE_PRICE, BID_INCREMENT, DURATION, { from: artist1 });
+      const { endTime } = await artGallery.auctions(tokenId);
+
+      await time.increaseTo(endTime.sub(time.duration.minutes(2)));
+      const result = await extension.placeBid(tokenId, { from: buyer1, value: RESERVE_PRICE });
+
+      expectEvent(result, 'AuctionExtended', { tokenId: tokenId });
+      const extended = await artGallery.auctions(tokenId);
+      expect(extended.endTime).to.be.bignumber.greaterThan(endTime);
+    });
+
+    it("should lock the artwork while the auction is active", async function () {
+      await extension.createAuction(tokenId, RESERVE_PRICE, BID_INCREMENT, DURATION, { from: artist1 });
+
+      await expectRevert(
+        artGallery.transferFrom(artist1, buyer1, tokenId, { from: artist1 }),
+        "Artwork is in an active auction"
+      );
+      await expectRevert(
+        artGallery.listArtwork(tokenId, ARTWORK_PRICE, { from: artist1 }),
+        "Artwork is in an active auction"
+      );
+    });
+
+    it("should settle auction with royalty split", async function () {
+      await artGallery.purchaseArtwork(tokenId, { from: buyer1, value: ARTWORK_PRICE });
+      await extension.createAuction(tokenId, RESERVE_PRICE, BID_INCREMENT, DURATION, { from: buyer1 });
+      await extension.placeBid(tokenId, { from: buyer2, value: RESERVE_PRICE });
+
+      await expectRevert(extension.settleAuction(tokenId), "Auction has not ended");
+
+      await time.increase(DURATION);
+      const artistBalanceBefore = await artGallery.pendingWithdrawals(artist1);
+      const result = await extension.settleAuction(tokenId, { from: owner });
+
+      expectEvent(result, 'RoyaltyPaid', { tokenId: tokenId, artist: artist1 });
+      expectEvent(result, 'ArtworkSold', { tokenId: tokenId, from: buyer1, to: buyer2 });
+      expectEvent(result, 'AuctionSettled', { tokenId: tokenId, winner: buyer2, amount: RESERVE_PRICE });
+      expect(await artGallery.ownerOf(tokenId)).to.equal(buyer2);
+
+      const artistBalanceAfter = await artGallery.pendingWithdrawals(artist1);
+      const royaltyAmount = new BN(RESERVE_PRICE).mul(new BN(10)).div(new BN(100));
+      expect(artistBalanceAfter.sub(artistBalanceBefore)).to.be.bignumber.equal(royaltyAmount);
+    });
+
+    it("should return artwork to seller when auction ends without bids", async function () {
+      await extension.createAuction(tokenId, RESERVE_PRICE, BID_INCREMENT, DURATION, { from: artist1 });
+      await time.increase(DURATION);
+
+      const result = await extension.settleAuction(tokenId);
+      expectEvent.notEmitted(result, 'ArtworkSold');
+      expect(await artGallery.ownerOf(tokenId)).to.equal(artist1);
+      expect((await artGallery.auctions(tokenId)).active).to.be.false;
+    });
+
+    it("should cancel auction only before bids", async function () {
+      await extension.createAuction(tokenId, RESERVE_PRICE, BID_INCREMENT, DURATION, { from: artist1 });
+      await extension.placeBid(tokenId, { from: buyer1, value: RESERVE_PRICE });
+
+      await expectRevert(
+        extension.cancelAuction(tokenId, { from: artist1 }),
+        "Auction already has bids"
+      );
+
+      await time.increase(DURATION);
+      await extension.settleAuction(tokenId);
+
+      await extension.createAuction(tokenId, RESERVE_PRICE, BID_INCREMENT, DURATION, { from: buyer1 });
+      const result = await extension.cancelAuction(tokenId, { from: buyer1 });
+      expectEvent(result, 'AuctionCancelled', { tokenId: tokenId });
+    });
+  });
+
+  describe("Offers", function () {
+    const OFFER_AMOUNT = web3.utils.toWei("0.8", "ether");
+    let tokenId;
+    let expiresAt;
+
+    beforeEach(async function () {
+      const result = await artGallery.createArtwork(
+        "Test Art",
+        TOKEN_URI,
+        ARTWORK_PRICE,
+        GALLERY_ID,
+        1000,
+        { from: artist1 }
+      );
+      tokenId = result.logs[0].args.tokenId;
+      await artGallery.purchaseArtwork(tokenId, { from: buyer1, value: ARTWORK_PRICE });
+      expiresAt = (await time.latest()).add(time.duration.days(3));
+    });
+
+    it("should make an offer on an unlisted artwork", async function () {
+      const result = await extension.makeOffer(tokenId, expiresAt, { from: buyer2, value: OFFER_AMOUNT });
+
+      expectEvent(result, 'OfferMade', {
+        tokenId: tokenId,
+        bidder: buyer2,
+        amount: OFFER_AMOUNT,
+        expiresAt: expiresAt
+      });
+
+      const offerIds = await extension.getTokenOffers(tokenId);
+      expect(offerIds.length).to.equal(1);
+
+      const offer = await artGallery.offers(offerIds[0]);
+      expect(offer.active).to.be.true;
+      expect(offer.amount.toString()).to.equal(OFFER_AMOUNT);
+    });
+
+    it("should not accept invalid offers", async function () {
+      await expectRevert(
+        extension.makeOffer(tokenId, expiresAt, { from: buyer2, value: 0 }),
+        "Offer must be greater than 0"
+      );
+      await expectRevert(
+        extension.makeOffer(tokenId, await time.latest(), { from: buyer2, value: OFFER_AMOUNT }),
+        "Expiry must be in the future"
+      );
+      await expectRevert(
+        extension.makeOffer(tokenId, expiresAt, { from: buyer1, value: OFFER_AMOUNT }),
+        "Cannot make offer on own artwork"
+      );
+    });
+
+    it("should accept offer with royalty split", async function () {
+      const result = await extension.makeOffer(tokenId, expiresAt, { from: buyer2, value: OFFER_AMOUNT });
+      const offerId = result.logs[0].args.offerId;
+
+      await expectRevert(
+        extension.acceptOffer(offerId, { from: artist1 }),
+        "Caller is not the artwork owner"
+      );
+
+      const artistBalanceBefore = await artGallery.pendingWithdrawals(artist1);
+      const accepted = await extension.acceptOffer(offerId, { from: buyer1 });
+
+      expectEvent(accepted, 'OfferAccepted', { offerId: offerId, tokenId: tokenId, seller: buyer1 });
+      expectEvent(accepted, 'RoyaltyPaid', { tokenId: tokenId, artist: artist1 });
+      expectEvent(accepted, 'ArtworkSold', { tokenId: tokenId, from: buyer1, to: buyer2, price: OFFER_AMOUNT });
+      expect(await artGallery.ownerOf(tokenId)).to.equal(buyer2);
+
+      const artistBalanceAfter = await artGallery.pendingWithdrawals(artist1);
+      const royaltyAmount = new BN(OFFER_AMOUNT).mul(new BN(10)).div(new BN(100));
+      expect(artistBalanceAfter.sub(artistBalanceBefore)).to.be.bignumber.equal(royaltyAmount);
+
+      await expectRevert(
+        extension.acceptOffer(offerId, { from: buyer2 }),
+        "Offer is not active"
+      );
+    });
+
+    it("should not accept an expired offer", async function () {
+      const result = await extension.makeOffer(tokenId, expiresAt, { from: buyer2, value: OFFER_AMOUNT });
+      const offerId = result.logs[0].args.offerId;
+
+      await time.increaseTo(expiresAt);
+
+      await expectRevert(
+        extension.acceptOffer(offerId, { from: buyer1 }),
+        "Offer has expired"
+      );
+
+      const cancelled = await extension.cancelOffer(offerId, { from: buyer2 });
+      expectEvent(cancelled, 'OfferCancelled', { offerId: offerId, tokenId: tokenId });
+      expectEvent(cancelled, 'PaymentCredited', { payee: buyer2, amount: OFFER_AMOUNT });
+      expect((await artGallery.pendingWithdrawals(buyer2)).toString()).to.equal(OFFER_AMOUNT);
+    });
+
+    it("should refund rejected offers through pending withdrawals", async function () {
+      const result = await extension.makeOffer(tokenId, expiresAt, { from: buyer2, value: OFFER_AMOUNT });
+      const offerId = result.logs[0].args.offerId;
+
+      const rejected = await extension.rejectOffer(offerId, { from: buyer1 });
+      expectEvent(rejected, 'OfferRejected', { offerId: offerId, tokenId: tokenId });
+      expect((await artGallery.pendingWithdrawals(buyer2)).toString()).to.equal(OFFER_AMOUNT);
+
+      await expectRevert(
+        extension.cancelOffer(offerId, { from: buyer2 }),
+        "Offer is not active"
+      );
+    });
+
+    it("should only let the bidder cancel an offer", async function () {
+      const result = await extension.makeOffer(tokenId, expiresAt, { from: buyer2, value: OFFER_AMOUNT });
+      const offerId = result.logs[0].args.offerId;
+
+      await expectRevert(
+        extension.cancelOffer(offerId, { from: buyer1 }),
+        "Caller is not the bidder"
+      );
+    });
+  });
+
+  describe("Lazy Minting", function () {
+    let voucher;
+
+    const signVoucher = async (message, signer) => {
+      const typedData = {
+        types: {
+          EIP712Domain: [
+            { name: "name", type: "string" },
+            { name: "version", type: "string" },
+            { name: "chainId", type: "uint256" },
+            { name: "verifyingContract", type: "address" }
+          ],
+          ArtworkVoucher: [
+            { name: "artist", type: "address" },
+            { name: "title", type: "string" },
+            { name: "tokenURI", type: "string" },
+            { name: "price", type: "uint256" },
+            { name: "galleryId", type: "string" },
+            { name: "royaltyBasisPoints", type: "uint96" },
+            { name: "nonce", type: "uint256" },
+            { name: "expiresAt", type: "uint256" }
+          ]
+        },
+        domain: {
+          name: "ArtGallery",
+          version: "1",
+          chainId: await web3.eth.getChainId(),
+          verifyingContract: artGallery.address
+        },
+        primaryType: "ArtworkVoucher",
+        message
+      };
+
+      return new Promise((resolve, reject) => {
+        web3.currentProvider.send({
+          jsonrpc: "2.0",
+          id: Date.now(),
+          method: "eth_signTypedData_v4",
+          params: [signer, typedData]
+        }, (error, response) => (error || response.error ? reject(error || response.error) : resolve(response.result)));
+      });
+    };
+
+    beforeEach(async function () {
+      voucher = {
+        artist: artist1,
+        title: "Unminted",
+        tokenURI: TOKEN_URI,
+        price: ARTWORK_PRICE,
+        galleryId: GALLERY_ID,
+        royaltyBasisPoints: "1000",
+        nonce: "42",
+        expiresAt: "0"
+      };
+    });
+
+    it("should mint to the buyer and pay the artist when a voucher is redeemed", async function () {
+      const signature = await signVoucher(voucher, artist1);
+      const result = await extension.redeemVoucher(voucher, signature, { from: buyer1, value: ARTWORK_PRICE });
+
+      expectEvent(result, 'VoucherRedeemed', { artist: artist1, nonce: new BN(42), tokenId: new BN(1), buyer: buyer1 });
+      expectEvent(result, 'ArtworkSold', { tokenId: new BN(1), from: artist1, to: buyer1 });
+
+      expect(await artGallery.ownerOf(1)).to.equal(buyer1);
+      expect(await artGallery.tokenURI(1)).to.equal(TOKEN_URI);
+      expect(await artGallery.voucherNonceUsed(artist1, 42)).to.be.true;
+
+      const [artwork] = await artGallery.getArtworks([1]);
+      expect(artwork.artist).to.equal(artist1);
+      expect(artwork.forSale).to.be.false;
+      expect(artwork.galleryId).to.equal(GALLERY_ID);
+      expect(artwork.royaltyBasisPoints).to.equal("1000");
+
+      const fee = new BN(ARTWORK_PRICE).muln(25).divn(1000);
+      expect((await artGallery.pendingWithdrawals(artist1)).toString())
+        .to.equal(new BN(ARTWORK_PRICE).sub(fee).toString());
+    });
+
+    it("should not redeem a voucher twice", async function () {
+      const signature = await signVoucher(voucher, artist1);
+      await extension.redeemVoucher(voucher, signature, { from: buyer1, value: ARTWORK_PRICE });
+
+      await expectRevert(
+        extension.redeemVoucher(voucher, signature, { from: buyer2, value: ARTWORK_PRICE }),
+        "Voucher already redeemed or cancelled"
+      );
+    });
+
+    it("should reject underpayment", async function () {
+      const signature = await signVoucher(voucher, artist1);
+      await expectRevert(
+        extension.redeemVoucher(voucher, signature, { from: buyer1, value: web3.utils.toWei("0.5", "ether") }),
+        "Insufficient payment"
+      );
+    });
+
+    it("should reject altered vouchers and vouchers signed by someone else", async function () {
+      const signature = await signVoucher(voucher, artist1);
+      const cheaper = { ...voucher, price: web3.utils.toWei("0.1", "ether") };
+      await expectRevert(
+        extension.redeemVoucher(cheaper, signature, { from: buyer1, value: cheaper.price }),
+        "Invalid voucher signature"
+      );
+
+      const forged = await signVoucher(voucher, artist2);
+      await expectRevert(
+        extension.redeemVoucher(voucher, forged, { from: buyer1, value: ARTWORK_PRICE }),
+        "Invalid voucher signature"
+      );
+    });
+
+    it("should let the artist cancel a voucher", async function () {
+      const signature = await signVoucher(voucher, artist1);
+      const result = await extension.cancelVoucher(42, { from: artist1 });
+      expectEvent(result, 'VoucherCancelled', { artist: artist1, nonce: new BN(42) });
+
+      await expectRevert(
+        extension.redeemVoucher(voucher, signature, { from: buyer1, value: ARTWORK_PRICE }),
+        "Voucher already redeemed or cancelled"
+      );
+      await expectRevert(
+        extension.cancelVoucher(42, { from: artist1 }),
+        "Voucher already redeemed or cancelled"
+      );
+    });
+
+    it("should not let others cancel an artist's voucher", async function () {
+      const signature = await signVoucher(voucher, artist1);
+      await extension.cancelVoucher(42, { from: artist2 });
+
+      await extension.redeemVoucher(voucher, signature, { from: buyer1, value: ARTWORK_PRICE });
+      expect(await artGallery.ownerOf(1)).to.equal(buyer1);
+    });
+
+    it("should reject expired vouchers", async function () {
+      voucher.expiresAt = (await time.latest()).addn(60).toString();
+      const signature = await signVoucher(voucher, artist1);
+      await time.increase(120);
+
+      await expectRevert(
+        extension.redeemVoucher(voucher, signature, { from: buyer1, value: ARTWORK_PRICE }),
+        "Voucher has expired"
+      );
+    });
+  });
+
+  describe("Royalties", function () {
+    let tokenId;
+
+    beforeEach(async function () {
+      const result = await artGallery.createArtwork(
+        "Test Art",
+        TOKEN_URI,
+        ARTWORK_PRICE,
+        GALLERY_ID,
+        250,
+        { from: artist1 }
+      );
+      tokenId = result.logs[0].args.tokenId;
+    });
+
+    it("should report ERC-2981 royalty info in basis points", async function () {
+      const { 0: receiver, 1: royaltyAmount } = await artGallery.royaltyInfo(tokenId, ARTWORK_PRICE);
+
+      expect(receiver).to.equal(artist1);
+      expect(royaltyAmount).to.be.bignumber.equal(
+        new BN(ARTWORK_PRICE).mul(new BN(250)).div(new BN(10000))
+      );
+    });
+
+    it("should support the ERC-2981 and ERC-721 interfaces", async function () {
+      expect(await artGallery.supportsInterface("0x2a55205a")).to.be.true;
+      expect(await artGallery.supportsInterface("0x80ac58cd")).to.be.true;
+      expect(await artGallery.supportsInterface("0xffffffff")).to.be.false;
+    });
+
+    it("should not mint above the platform royalty cap", async function () {
+      await expectRevert(
+        artGallery.createArtwork("Test", TOKEN_URI, ARTWORK_PRICE, GALLERY_ID, 5001, { from: artist1 }),
+        "Royalty exceeds platform cap"
+      );
+
+      await artGallery.updateMaxRoyalty(1000, { from: owner });
+      await expectRevert(
+        artGallery.createArtwork("Test", TOKEN_URI, ARTWORK_PRICE, GALLERY_ID, 1001, { from: artist1 }),
+        "Royalty exceeds platform cap"
+      );
+    });
+
+    it("should only let the owner change the royalty cap", async function () {
+      await expectRevert(
+        artGallery.updateMaxRoyalty(1000, { from: artist1 }),
+        "Ownable: caller is not the owner"
+      );
+      await expectRevert(
+        artGallery.updateMaxRoyalty(9001, { from: owner }),
+        "Royalty cap cannot exceed 90%"
+      );
+    });
+
+    it("should pay royalties to a redirected receiver", async function () {
+      const result = await artGallery.setRoyaltyReceiver(tokenId, artist2, { from: artist1 });
+      expectEvent(result, 'RoyaltyReceiverUpdated', { tokenId: tokenId, receiver: artist2 });
+
+      const { 0: receiver } = await artGallery.royaltyInfo(tokenId, ARTWORK_PRICE);
+      expect(receiver).to.equal(artist2);
+
+      await artGallery.purchaseArtwork(tokenId, { from: buyer1, value: ARTWORK_PRICE });
+      await artGallery.listArtwork(tokenId, ARTWORK_PRICE, { from: buyer1 });
+      const sale = await artGallery.purchaseArtwork(tokenId, { from: buyer2, value: ARTWORK_PRICE });
+
+      const royaltyAmount = new BN(ARTWORK_PRICE).mul(new BN(250)).div(new BN(10000));
+      expectEvent(sale, 'RoyaltyPaid', { tokenId: tokenId, artist: artist2, amount: royaltyAmount });
+      expect(await artGallery.pendingWithdrawals(artist2)).to.be.bignumber.equal(royaltyAmount);
+    });
+
+    it("should only let the artist redirect royalties", async function () {
+      await artGallery.purchaseArtwork(tokenId, { from: buyer1, value: ARTWORK_PRICE });
+
+      await expectRevert(
+        artGallery.setRoyaltyReceiver(tokenId, buyer1, { from: buyer1 }),
+        "Caller is not the artist"
+      );
+    });
+  });
+
+  describe("Collaborations", function () {
+    let tokenId;
+
+    beforeEach(async function () {
+      const result = await artGallery.createCollaborativeArtwork(
+        "Joint Art",
+        TOKEN_URI,
+        ARTWORK_PRICE,
+        GALLERY_ID,
+        1000,
+        [artist1, artist2],
+        [7000, 3000],
+        { from: artist1 }
+      );
+      tokenId = result.logs.find(log => log.event === 'ArtworkCreated').args.tokenId;
+    });
+
+    it("should record collaborators and shares", async function () {
+      const { accounts, shares } = await artGallery.getCollaborators(tokenId);
+
+      expect(accounts).to.deep.equal([artist1, artist2]);
+      expect(shares.map(share => share.toString())).to.deep.equal(['7000', '3000']);
+      expect((await artGallery.artworks(tokenId)).artist).to.equal(artist1);
+    });
+
+    it("should split primary sale proceeds between collaborators", async function () {
+      await artGallery.purchaseArtwork(tokenId, { from: buyer1, value: ARTWORK_PRICE });
+
+      const platformFeeAmount = new BN(ARTWORK_PRICE).mul(new BN(25)).div(new BN(1000));
+      const proceeds = new BN(ARTWORK_PRICE).sub(platformFeeAmount);
+      const artist1Share = proceeds.mul(new BN(7000)).div(new BN(10000));
+
+      expect(await artGallery.pendingWithdrawals(artist1)).to.be.bignumber.equal(artist1Share);
+      expect(await artGallery.pendingWithdrawals(artist2)).to.be.bignumber.equal(proceeds.sub(artist1Share));
+    });
+
+    it("should split secondary royalties between collaborators", async function () {
+      await artGallery.purchaseArtwork(tokenId, { from: buyer1, value: ARTWORK_PRICE });
+      await artGallery.withdraw({ from: artist1 });
+      await artGallery.withdraw({ from: artist2 });
+
+      await artGallery.listArtwork(tokenId, ARTWORK_PRICE, { from: buyer1 });
+      await artGallery.purchaseArtwork(tokenId, { from: buyer2, value: ARTWORK_PRICE });
+
+      const royaltyAmount = new BN(ARTWORK_PRICE).mul(new BN(1000)).div(new BN(10000));
+      const artist1Share = royaltyAmount.mul(new BN(7000)).div(new BN(10000));
+
+      expect(await artGallery.pendingWithdrawals(artist1)).to.be.bignumber.equal(artist1Share);
+      expect(await artGallery.pendingWithdrawals(artist2)).to.be.bignumber.equal(royaltyAmount.sub(artist1Share));
+    });
+
+    it("should reject shares that do not add up to 100%", async function () {
+      await expectRevert(
+        artGallery.createCollaborativeArtwork(
+          "Joint Art", TOKEN_URI, ARTWORK_PRICE, GALLERY_ID, 1000,
+          [artist1, artist2], [7000, 2000], { from: artist1 }
+        ),
+        "Shares must add up to 10000"
+      );
+    });
+
+    it("should reject mismatched or empty collaborator lists", async function () {
+      await expectRevert(
+        artGallery.createCollaborativeArtwork(
+          "Joint Art", TOKEN_URI, ARTWORK_PRICE, GALLERY_ID, 1000,
+          [artist1, artist2], [10000], { from: artist1 }
+        ),
+        "Collaborators and shares length mismatch"
+      );
+      await expectRevert(
+        artGallery.createCollaborativeArtwork(
+          "Joint Art", TOKEN_URI, ARTWORK_PRICE, GALLERY_ID, 1000,
+          [], [], { from: artist1 }
+        ),
+        "No collaborators provided"
+      );
+    });
+
+    it("should not let royalties on a collaborative work be redirected", async function () {
+      await expectRevert(
+        artGallery.setRoyaltyReceiver(tokenId, buyer2, { from: artist1 }),
+        "Royalties are split among collaborators"
+      );
+
+      const royalty = await artGallery.royaltyInfo(tokenId, 10000);
+      expect(royalty[0]).to.equal(artist1);
+    });
+  });
+
+  describe("Withdrawals", function () {
+    let tokenId;
+
+    beforeEach(async function () {
+      const result = await artGallery.createArtwork(
+        "Test Art",
+        TOKEN_URI,
+        ARTWORK_PRICE,
+        GALLERY_ID,
+        1000,
+        { from: artist1 }
+      );
+      tokenId = result.logs[0].args.tokenId;
+    });
+
+    it("should credit sale proceeds instead of sending them", async function () {
+      const artistBalanceBefore = new BN(await web3.eth.getBalance(artist1));
+      const result = await artGallery.purchaseArtwork(tokenId, { from: buyer1, value: ARTWORK_PRICE });
+
+      const platformFeeAmount = new BN(ARTWORK_PRICE).mul(new BN(25)).div(new BN(1000));
+      const sellerAmount = new BN(ARTWORK_PRICE).sub(platformFeeAmount);
+
+      expectEvent(result, 'PaymentCredited', { payee: owner, amount: platformFeeAmount });
+      expectEvent(result, 'PaymentCredited', { payee: artist1, amount: sellerAmount });
+      expect(new BN(await web3.eth.getBalance(artist1))).to.be.bignumber.equal(artistBalanceBefore);
+      expect(await artGallery.pendingWithdrawals(artist1)).to.be.bignumber.equal(sellerAmount);
+      expect(await artGallery.pendingWithdrawals(owner)).to.be.bignumber.equal(platformFeeAmount);
+    });
+
+    it("should withdraw credited balance", async function () {
+      await artGallery.purchaseArtwork(tokenId, { from: buyer1, value: ARTWORK_PRICE });
+      const amount = await artGallery.pendingWithdrawals(artist1);
+
+      const result = await artGallery.withdraw({ from: artist1 });
+      expectEvent(result, 'Withdrawal', { payee: artist1, amount: amount });
+      expect((await artGallery.pendingWithdrawals(artist1)).toString()).to.equal('0');
+
+      await expectRevert(
+        artGallery.withdraw({ from: artist1 }),
+        "No funds to withdraw"
+      );
+    });
+
+    it("should not let a reverting seller block sales", async function () {
+      const receiver = await RevertingReceiver.new(artGallery.address);
+      await receiver.purchase(tokenId, { from: buyer1, value: ARTWORK_PRICE });
+      expect(await artGallery.ownerOf(tokenId)).to.equal(receiver.address);
+
+      await receiver.list(tokenId, ARTWORK_PRICE);
+      await artGallery.purchaseArtwork(tokenId, { from: buyer2, value: ARTWORK_PRICE });
+      expect(await artGallery.ownerOf(tokenId)).to.equal(buyer2);
+
+      const platformFeeAmount = new BN(ARTWORK_PRICE).mul(new BN(25)).div(new BN(1000));
+      const royaltyAmount = new BN(ARTWORK_PRICE).mul(new BN(10)).div(new BN(100));
+      const sellerAmount = new BN(ARTWORK_PRICE).sub(platformFeeAmount).sub(royaltyAmount);
+      expect(await artGallery.pendingWithdrawals(receiver.address)).to.be.bignumber.equal(sellerAmount);
+
+      await expectRevert(receiver.withdraw(), "Withdrawal failed");
+      expect(await artGallery.pendingWithdrawals(receiver.address)).to.be.bignumber.equal(sellerAmount);
+    });
+  });
+
+  describe("Reviews and Ratings", function () {
+    let tokenId;
+
+    beforeEach(async function () {
+      const result = await artGallery.createArtwork(
+        "Test Art",
+        TOKEN_URI,
+        ARTWORK_PRICE,
+        GALLERY_ID,
+        1000,
+        { from: artist1 }
+      );
+      tokenId = result.logs[0].args.tokenId;
+    });
+
+    it("should add review and rating", async function () {
+      const result = await artGallery.addReview(tokenId, "Great artwork!", 5, {
+        from: buyer1
+      });
+
+      expectEvent(result, 'ReviewAdded', {
+        tokenId: tokenId,
+        reviewer: buyer1,
+        comment: "Great artwork!",
+        rating: new BN(5)
+      });
+
+      const artwork = await artGallery.artworks(tokenId);
+      expect(artwork.totalRatings.toString()).to.equal('1');
+      expect(artwork.ratingSum.toString()).to.equal('5');
+    });
+
+    it("should not allow duplicate ratings", async function () {
+      await artGallery.addReview(tokenId, "First review", 4, { from: buyer1 });
+      
+      await expectRevert(
+        artGallery.addReview(tokenId, "Second review", 5, { from: buyer1 }),
+        "User has already rated this artwork"
+      );
+    });
+
+    it("should calculate average rating correctly", async function () {
+      await artGallery.addReview(tokenId, "Review 1", 4, { from: buyer1 });
+      await artGallery.addReview(tokenId, "Review 2", 2, { from: buyer2 });
+
+      const { avgRating } = await artGallery.getArtwork(tokenId);
+      expect(avgRating.toString()).to.equal('3');
+    });
+  });
+
+  describe("Profiles", function () {
+    it("should store and return a profile", async function () {
+      const links = ["https://example.com", "https://example.org/artist"];
+      const result = await extension.setProfile("Ada", "Painter of light", "ipfs://QmAvatar", links, {
+        from: artist1
+      });
+
+      expectEvent(result, 'ProfileUpdated', { account: artist1, displayName: "Ada" });
+
+      const profile = await extension.getProfile(artist1);
+      expect(profile.displayName).to.equal("Ada");
+      expect(profile.bio).to.equal("Painter of light");
+      expect(profile.avatarURI).to.equal("ipfs://QmAvatar");
+      expect(profile.links).to.deep.equal(links);
+      expect(profile.updatedAt).to.not.equal('0');
+    });
+
+    it("should replace links when a profile is updated", async function () {
+      await extension.setProfile("Ada", "", "", ["https://a.example", "https://b.example"], { from: artist1 });
+      await extension.setProfile("Ada L.", "", "", ["https://c.example"], { from: artist1 });
+
+      const profile = await extension.getProfile(artist1);
+      expect(profile.displayName).to.equal("Ada L.");
+      expect(profile.links).to.deep.equal(["https://c.example"]);
+    });
+
+    it("should return an empty profile for accounts that never set one", async function () {
+      const profile = await extension.getProfile(buyer1);
+      expect(profile.displayName).to.equal("");
+      expect(profile.links.length).to.equal(0);
+      expect(profile.updatedAt).to.equal('0');
+    });
+
+    it("should reject oversized profiles", async function () {
+      await expectRevert(
+        extension.setProfile("x".repeat(65), "", "", [], { from: artist1 }),
+        "Display name too long"
+      );
+      await expectRevert(
+        extension.setProfile("Ada", "x".repeat(1001), "", [], { from: artist1 }),
+        "Bio too long"
+      );
+      await expectRevert(
+        extension.setProfile("Ada", "", "ipfs://" + "x".repeat(250), [], { from: artist1 }),
+        "Avatar URI too long"
+      );
+      await expectRevert(
+        extension.setProfile("Ada", "", "", ["a", "b", "c", "d", "e", "f"], { from: artist1 }),
+        "Too many profile links"
+      );
+      await expectRevert(
+        extension.setProfile("Ada", "", "", ["https://example.com/" + "x".repeat(237)], { from: artist1 }),
+        "Profile link too long"
+      );
+    });
+  });
+
+  describe("ENS Resolution", function () {
+    const label = (text) => web3.utils.sha3(text);
+    let registry;
+    let resolver;
+    let ens;
+
+    // Gives account the forward name `${name}.test` and, unless reverseName is null, a reverse record
+    const registerName = async (account, name, reverseName = `${name}.test`) => {
+      const node = namehash(web3, `${name}.test`);
+      await registry.setSubnodeOwner(namehash(web3, 'test'), label(name), account, { from: owner });
+      await registry.setResolver(node, resolver.address, { from: account });
+      await resolver.setAddr(node, account, { from: account });
+
+      if (reverseName !== null) {
+        await registry.setSubnodeOwner(namehash(web3, 'addr.reverse'), label(account.slice(2).toLowerCase()), account, {
+          from: owner
+        });
+        await registry.setResolver(reverseNode(web3, account), resolver.address, { from: account });
+        await resolver.setName(reverseNode(web3, account), reverseName, { from: account });
+      }
+      return node;
+    };
+
+    beforeEach(async function () {
+      registry = await TestENSRegistry.new({ from: owner });
+      resolver = await TestENSResolver.new(registry.address, { from: owner });
+      await registry.setSubnodeOwner(namehash(web3, ''), label('test'), owner, { from: owner });
+      await registry.setSubnodeOwner(namehash(web3, ''), label('reverse'), owner, { from: owner });
+      await registry.setSubnodeOwner(namehash(web3, 'reverse'), label('addr'), owner, { from: owner });
+      ens = createEnsResolver(web3, registry.address);
+    });
+
+    it("should resolve a verified primary name and its avatar", async function () {
+      const node = await registerName(artist1, "ada");
+      await resolver.setText(node, "avatar", "ipfs://QmAvatar", { from: artist1 });
+
+      const result = await ens.lookupAddress(artist1);
+      expect(result).to.deep.equal({ name: "ada.test", avatar: "ipfs://QmAvatar", avatarMetadata: null });
+    });
+
+    it("should ignore a reverse record whose name does not resolve back", async function () {
+      await registerName(artist1, "ada");
+      await registerName(artist2, "mallory", "ada.test");
+
+      expect(await ens.lookupAddress(artist2)).to.equal(null);
+    });
+
+    it("should return null for addresses without a reverse record", async function () {
+      await registerName(artist1, "ada", null);
+
+      expect(await ens.lookupAddress(artist1)).to.equal(null);
+      expect(await ens.lookupAddress(buyer1)).to.equal(null);
+    });
+
+    it("should resolve NFT avatars only while the account holds the token", async function () {
+      await artGallery.createArtwork("Avatar", TOKEN_URI, ARTWORK_PRICE, GALLERY_ID, 0, { from: artist1 });
+      const node = await registerName(artist1, "ada");
+      const chainId = await web3.eth.getChainId();
+      await resolver.setText(node, "avatar", `eip155:${chainId}/erc721:${artGallery.address}/1`, { from: artist1 });
+
+      expect((await ens.lookupAddress(artist1)).avatarMetadata).to.equal(TOKEN_URI);
+
+      await artGallery.purchaseArtwork(1, { from: buyer1, value: ARTWORK_PRICE });
+      const result = await ens.lookupAddress(artist1);
+      expect(result.name).to.equal("ada.test");
+      expect(result.avatarMetadata).to.equal(null);
+    });
+  });
+
+  describe("Platform Fees", function () {
+    it("should update platform fee", async function () {
+      const newFee = 30; // 3%
+      await artGallery.updatePlatformFee(newFee, { from: owner });
+      
+      const fee = await artGallery.platformFee();
+      expect(fee.toString()).to.equal(newFee.toString());
+    });
+
+    it("should not allow non-owner to update fee", async function () {
+      await expectRevert(
+        artGallery.updatePlatformFee(30, { from: artist1 }),
+        "Ownable: caller is not the owner"
+      );
+    });
+
+    it("should not allow fee greater than 10%", async function () {
+      await expectRevert(
+        artGallery.updatePlatformFee(101, { from: owner }),
+        "Fee cannot exceed 10%"
+      );
+    });
+  });
+
+  describe("Getter Functions", function () {
+    let tokenId;
+
+    beforeEach(async function () {
+      const result = await artGallery.createArtwork(
+        "Test Art",
+        TOKEN_URI,
+        ARTWORK_PRICE,
+        GALLERY_ID,
+        1000,
+        { from: artist1 }
+      );
+      tokenId = result.logs[0].args.tokenId;
+    });
+
+    it("should get artwork details", async function () {
+      const details = await artGallery.getArtwork(tokenId);
+
+      expect(details.title).to.equal("Test Art");
+      expect(details.artist).to.equal(artist1);
+      expect(details.price.toString()).to.equal(ARTWORK_PRICE);
+      expect(details.forSale).to.be.true;
+      expect(details.avgRating.toString()).to.equal('0');
+      expect(details.galleryId).to.equal(GALLERY_ID);
+      expect(details.royaltyBasisPoints.toString()).to.equal('1000');
+    });
+
+    it("should get gallery artworks", async function () {
+      const artworks = await artGallery.getGalleryArtworks(GALLERY_ID);
+      expect(artworks.length).to.equal(1);
+      expect(artworks[0].toString()).to.equal(tokenId.toString());
+    });
+
+    it("should get user artworks", async function () {
+      const artworks = await artGallery.getUserArtworks(artist1);
+      expect(artworks.length).to.equal(1);
+      expect(artworks[0].toString()).to.equal(tokenId.toString());
+    });
+
+    it("should get user galleries", async function () {
+      const galleries = await extension.getUserGalleries(owner);
+      expect(galleries.length).to.equal(1);
+      expect(galleries[0]).to.equal(GALLERY_ID);
+    });
+    it("should get a batch of artwork details", async function () {
+      await artGallery.createArtwork("Second Art", "ipfs://QmSecond", ARTWORK_PRICE, GALLERY_ID, 500, { from: artist2 });
+      await artGallery.addReview(tokenId, "Great", 4, { from: buyer1 });
+      await artGallery.addReview(tokenId, "Fine", 3, { from: buyer2 });
+
+      const details = await artGallery.getArtworks([2, tokenId]);
+      expect(details.length).to.equal(2);
+      expect(details[0].title).to.equal("Second Art");
+      expect(details[0].owner).to.equal(artist2);
+      expect(details[0].tokenURI).to.equal("ipfs://QmSecond");
+      expect(details[0].royaltyBasisPoints.toString()).to.equal('500');
+      expect(details[1].tokenId.toString()).to.equal(tokenId.toString());
+      expect(details[1].avgRating.toString()).to.equal('3');
+      expect(details[1].totalRatings.toString()).to.equal('2');
+      expect(details[1].galleryId).to.equal(GALLERY_ID);
+
+      await expectRevert(artGallery.getArtworks([tokenId, 99]), "Artwork does not exist");
+    });
+
+    it("should page through gallery and user artworks", async function () {
+      for (let i = 0; i < 4; i++) {
+        await artGallery.createArtwork(`Art ${i}`, TOKEN_URI, ARTWORK_PRICE, GALLERY_ID, 1000, { from: artist1 });
+      }
+
+      expect((await artGallery.getGalleryArtworkCount(GALLERY_ID)).toString()).to.equal('5');
+      expect((await artGallery.getUserArtworkCount(artist1)).toString()).to.equal('5');
+
+      const page = await artGallery.getGalleryArtworksPage(GALLERY_ID, 1, 2);
+      expect(page.map(id => id.toString())).to.deep.equal(['2', '3']);
+
+      const lastPage = await artGallery.getUserArtworksPage(artist1, 3, 10);
+      expect(lastPage.map(id => id.toString())).to.deep.equal(['4', '5']);
+
+      expect((await artGallery.getUserArtworksPage(artist1, 5, 10)).length).to.equal(0);
+    });
+
+    it("should page through user galleries", async function () {
+      await artGallery.createGallery("second-gallery", "Second", "", { from: owner });
+      await artGallery.createGallery("third-gallery", "Third", "", { from: owner });
+
+      expect((await extension.getUserGalleryCount(owner)).toString()).to.equal('3');
+      expect(await extension.getUserGalleriesPage(owner, 1, 5)).to.deep.equal(["second-gallery", "third-gallery"]);
+      expect(await extension.getUserGalleriesPage(owner, 0, 0)).to.deep.equal([]);
+    });
+
+    it("should page through reviews", async function () {
+      expect((await artGallery.getReviewCount(tokenId)).toString()).to.equal('0');
+
+      await artGallery.addReview(tokenId, "First", 5, { from: buyer1 });
+      await artGallery.addReview(tokenId, "Second", 2, { from: buyer2 });
+      await artGallery.addReview(tokenId, "Third", 4, { from: artist2 });
+
+      expect((await artGallery.getReviewCount(tokenId)).toString()).to.equal('3');
+
+      const page = await artGallery.getReviews(tokenId, 1, 5);
+      expect(page.length).to.equal(2);
+      expect(page[0].reviewer).to.equal(buyer2);
+      expect(page[0].comment).to.equal("Second");
+      expect(page[1].rating.toString()).to.equal('4');
     });
   });
 });
\ No newline at end of file
@@ -10,6 +10,7 @@ module.exports = {
       solc: {
         version: "0.8.20",
         settings: {
+          viaIR: true,
           optimizer: {
             enabled: true,
             runs: 200